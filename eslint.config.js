@@ -8,6 +8,8 @@ export default [
       globals: {
         ...globals.browser,
         ...globals.node,
+        // vite-plugin-comlink
+        ComlinkWorker: 'readonly',
       },
       ecmaVersion: 'latest',
       sourceType: 'module',
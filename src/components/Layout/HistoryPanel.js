@@ -0,0 +1,136 @@
+/**
+ * @fileoverview 历史记录面板组件 - 展示撤销栈并支持跳转
+ * @module components/Layout/HistoryPanel
+ */
+
+import { BaseComponent } from '../core/BaseComponent.js';
+
+export class HistoryPanel extends BaseComponent {
+  constructor() {
+    super();
+    this.entries = [];
+    this.index = 0;
+    this.setStyles(this.styles());
+  }
+
+  template() {
+    return `
+      <div class="history-panel">
+        <div class="history-actions">
+          <button class="history-btn" data-action="undo" title="撤销 (Ctrl+Z)" disabled>↶ 撤销</button>
+          <button class="history-btn" data-action="redo" title="重做 (Ctrl+Shift+Z)" disabled>↷ 重做</button>
+        </div>
+        <div class="history-list" id="history-list"></div>
+      </div>
+    `;
+  }
+
+  styles() {
+    return /* css */ `
+      :host {
+        display: block;
+        color: #eee;
+      }
+
+      .history-actions {
+        display: flex;
+        gap: 6px;
+        padding: 8px 12px;
+      }
+
+      .history-btn {
+        flex: 1;
+        padding: 4px 8px;
+        background: rgba(255, 255, 255, 0.08);
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        border-radius: 4px;
+        color: #aaa;
+        font-size: 11px;
+        cursor: pointer;
+      }
+
+      .history-btn:hover:not(:disabled) {
+        background: #646cff;
+        color: #fff;
+      }
+
+      .history-btn:disabled {
+        opacity: 0.4;
+        cursor: default;
+      }
+
+      .history-list {
+        max-height: 200px;
+        overflow-y: auto;
+      }
+
+      .history-item {
+        padding: 6px 12px;
+        border-bottom: 1px solid #333;
+        font-size: 12px;
+        cursor: pointer;
+        user-select: none;
+      }
+
+      .history-item:hover {
+        background: rgba(255, 255, 255, 0.05);
+      }
+
+      .history-item.current {
+        background: #2c3e50;
+        border-left: 3px solid #646cff;
+      }
+
+      .history-item.undone {
+        color: #666;
+        font-style: italic;
+      }
+    `;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this._renderList();
+  }
+
+  addEventListeners() {
+    this.$('[data-action="undo"]').onclick = () => this.emit('undo');
+    this.$('[data-action="redo"]').onclick = () => this.emit('redo');
+  }
+
+  /**
+   * 更新历史列表
+   * @param {{entries: Array<{label: string, applied: boolean}>, index: number, canUndo: boolean, canRedo: boolean}} state
+   */
+  updateHistory({ entries, index, canUndo, canRedo }) {
+    this.entries = entries;
+    this.index = index;
+
+    const undoBtn = this.$('[data-action="undo"]');
+    const redoBtn = this.$('[data-action="redo"]');
+    if (undoBtn) undoBtn.disabled = !canUndo;
+    if (redoBtn) redoBtn.disabled = !canRedo;
+
+    this._renderList();
+  }
+
+  _renderList() {
+    const list = this.$('#history-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    // 第 0 项为初始状态，第 i 项表示应用了前 i 条命令
+    const items = [{ label: '初始状态', applied: true }, ...this.entries];
+    items.forEach((entry, i) => {
+      const item = document.createElement('div');
+      item.className = `history-item ${i === this.index ? 'current' : ''} ${entry.applied ? '' : 'undone'}`;
+      item.textContent = entry.label;
+      item.onclick = () => this.emit('history-jump', { index: i });
+      list.appendChild(item);
+    });
+
+    list.lastElementChild?.scrollIntoView?.({ block: 'nearest' });
+  }
+}
+
+customElements.define('history-panel', HistoryPanel);
@@ -9,6 +9,9 @@ export class LayersPanel extends BaseComponent {
   constructor() {
     super();
     this.layers = [];
+    /** @type {Array<{label: string, confidence: number}>} 场景分析检测到的物体 */
+    this.objects = [];
+    this.selectedObject = -1;
   }
 
   template() {
@@ -17,6 +20,8 @@ export class LayersPanel extends BaseComponent {
         <div class="layer-list" id="layer-list">
           <div class="empty-state">暂无图层</div>
         </div>
+        <div class="section-title" id="object-title" hidden>检测物体</div>
+        <div class="object-list" id="object-list"></div>
       </div>
     `;
   }
@@ -48,6 +53,14 @@ export class LayersPanel extends BaseComponent {
         background: rgba(255, 255, 255, 0.05);
       }
       
+      .layer-item.nested {
+        padding-left: 28px;
+      }
+
+      .layer-item.static {
+        cursor: default;
+      }
+      
       .layer-item.active {
         background: #2c3e50;
         border-left: 3px solid #646cff;
@@ -84,6 +97,20 @@ export class LayersPanel extends BaseComponent {
         text-overflow: ellipsis;
       }
       
+      .section-title {
+        padding: 6px 12px;
+        font-size: 11px;
+        color: #888;
+        background: rgba(255, 255, 255, 0.03);
+        border-bottom: 1px solid #333;
+      }
+      
+      .layer-confidence {
+        margin-left: 8px;
+        color: #777;
+        font-size: 11px;
+      }
+      
       .empty-state {
         padding: 20px;
         text-align: center;
@@ -104,10 +131,50 @@ export class LayersPanel extends BaseComponent {
    * @param {THREE.Object3D[]} objects
    */
   updateLayers(objects) {
-    this.layers = objects.filter((obj) => obj.isMesh || obj.isGroup); // Simple filter
+    // 分组下的网格（如分层深度的各层）紧随分组列出
+    this.layers = objects
+      .filter((obj) => obj.isMesh || obj.isGroup)
+      .flatMap((obj) => (obj.isGroup ? [obj, ...obj.children.filter((c) => c.isMesh)] : [obj]));
     this._renderList();
   }
 
+  /**
+   * 更新检测物体列表
+   * @param {Array<{label: string, confidence: number}>} objects
+   */
+  updateObjects(objects) {
+    this.objects = objects;
+    this.selectedObject = -1;
+    this._renderObjects();
+  }
+
+  /**
+   * 高亮选中的检测物体
+   * @param {number} index
+   */
+  setSelectedObject(index) {
+    this.selectedObject = index;
+    this._renderObjects();
+  }
+
+  _renderObjects() {
+    const list = this.$('#object-list');
+    list.innerHTML = '';
+    this.$('#object-title').hidden = this.objects.length === 0;
+
+    this.objects.forEach((obj, index) => {
+      const item = document.createElement('div');
+      item.className = `layer-item ${index === this.selectedObject ? 'active' : ''}`;
+      item.innerHTML = `
+        <span class="layer-icon">🎯</span>
+        <span class="layer-name">${obj.label}</span>
+        <span class="layer-confidence">${Math.round(obj.confidence * 100)}%</span>
+      `;
+      item.onclick = () => this.emit('detection-selected', { index });
+      list.appendChild(item);
+    });
+  }
+
   _renderList() {
     const list = this.$('#layer-list');
     list.innerHTML = '';
@@ -120,6 +187,8 @@ export class LayersPanel extends BaseComponent {
     this.layers.forEach((obj, index) => {
       const item = document.createElement('div');
       item.className = `layer-item ${obj.userData.selected ? 'active' : ''}`;
+      const nested = obj.parent?.isGroup && this.layers.includes(obj.parent);
+      if (nested) item.classList.add('nested');
 
       const typeIcon = obj.isMesh ? '📦' : '📁';
       const isVisible = obj.visible;
@@ -139,11 +208,16 @@ export class LayersPanel extends BaseComponent {
         this._renderList(); // Re-render to update icon
       };
 
-      item.onclick = () => {
-        this.$$('.layer-item').forEach((el) => el.classList.remove('active'));
-        item.classList.add('active');
-        this.emit('layer-selected', { object: obj });
-      };
+      // 分组及其下的网格（分层深度）只显示，不可选中
+      if (!obj.isGroup && !nested) {
+        item.onclick = () => {
+          this.$$('.layer-item').forEach((el) => el.classList.remove('active'));
+          item.classList.add('active');
+          this.emit('layer-selected', { object: obj });
+        };
+      } else {
+        item.classList.add('static');
+      }
 
       list.appendChild(item);
     });
@@ -98,6 +98,9 @@ export class NavigationBar extends BaseComponent {
           <button class="btn" data-action="new">新建</button>
           <button class="btn" data-action="open">打开</button>
           <button class="btn" data-action="save">保存</button>
+          <button class="btn" data-action="import-depth">导入深度</button>
+          <button class="btn" data-action="compare-depth">对比深度</button>
+          <button class="btn" data-action="analyze">分析场景</button>
           <button class="btn" data-action="export">导出</button>
         </nav>
         
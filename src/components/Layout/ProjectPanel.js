@@ -17,8 +17,8 @@ export class ProjectPanel extends BaseComponent {
         <div class="upload-zone" id="upload-zone">
           <div class="icon">📁</div>
           <p class="text">拖放图片/视频到此处</p>
-          <p class="hint">或点击选择文件</p>
-          <input type="file" id="file-input" accept="image/*,video/*" multiple hidden />
+          <p class="hint">或点击选择文件（可同时选择图片与 *_depth 深度图）</p>
+          <input type="file" id="file-input" accept="image/*,video/*,.exr" multiple hidden />
         </div>
         
         <div class="file-list" id="file-list">
@@ -194,15 +194,15 @@ export class ProjectPanel extends BaseComponent {
 
   _handleFiles(files) {
     const validFiles = files.filter(
-      (f) => f.type.startsWith('image/') || f.type.startsWith('video/')
+      (f) => f.type.startsWith('image/') || f.type.startsWith('video/') || /\.exr$/i.test(f.name)
     );
 
     if (validFiles.length > 0) {
       this.files.push(...validFiles);
       this._renderFileList();
 
-      // Emit event for the first file (auto-select if it's the only one)
-      this.emit('file-selected', { file: validFiles[0] });
+      // 同时拖入的文件一并交给应用，以便配对彩色图与深度图
+      this.emit('file-selected', { file: validFiles[0], files: validFiles });
     }
   }
 
@@ -221,7 +221,7 @@ export class ProjectPanel extends BaseComponent {
         ${
           file.type.startsWith('image/')
             ? `<img src="${url}" class="file-preview">`
-            : `<div class="file-preview" style="display:flex;align-items:center;justify-content:center">🎥</div>`
+            : `<div class="file-preview" style="display:flex;align-items:center;justify-content:center">${file.type.startsWith('video/') ? '🎥' : '🌑'}</div>`
         }
         <div class="file-info">
           <div class="file-name" title="${file.name}">${file.name}</div>
@@ -0,0 +1,270 @@
+/**
+ * @fileoverview 深度对比模态框 - 并排比较不同深度估计后端的结果
+ * @module components/Modals/DepthCompareModal
+ */
+
+import { BaseModal } from '../core/BaseModal.js';
+
+/**
+ * 深度对比模态框
+ * 勾选后端后发出 compare 事件，App 逐个估计并调用 setResult 填充；点击「使用」发出 apply
+ * @class
+ * @extends BaseModal
+ */
+export class DepthCompareModal extends BaseModal {
+  constructor() {
+    super();
+    /** @private {Map<string, object>} 各后端结果，切换深度/置信度显示时重绘 */
+    this._results = new Map();
+    /** @private */
+    this._view = 'depth';
+  }
+
+  template() {
+    return `
+      <div class="overlay" id="overlay">
+        <div class="modal">
+          <div class="modal-header">
+            <h3 class="modal-title">深度对比</h3>
+            <button class="close-btn" id="close-btn">×</button>
+          </div>
+          <div class="modal-content">
+            <div class="provider-list" id="provider-list"></div>
+            <div class="view-toggle">
+              <label><input type="radio" name="view" value="depth" checked> 深度</label>
+              <label><input type="radio" name="view" value="confidence"> 置信度</label>
+            </div>
+            <div class="grid" id="grid"></div>
+          </div>
+          <div class="modal-footer">
+            <button class="primary" id="compare-btn">开始对比</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  styles() {
+    return (
+      super.styles() +
+      /* css */ `
+      .modal {
+        width: 860px;
+      }
+
+      .provider-list {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 8px 16px;
+        margin-bottom: 12px;
+        font-size: 13px;
+      }
+
+      .view-toggle {
+        display: flex;
+        gap: 16px;
+        font-size: 12px;
+        margin-bottom: 12px;
+      }
+
+      .grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(240px, 1fr));
+        gap: 12px;
+      }
+
+      .card {
+        background: #262626;
+        border: 1px solid #333;
+        border-radius: 6px;
+        padding: 8px;
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+      }
+
+      .card canvas {
+        width: 100%;
+        background: #111;
+        border-radius: 4px;
+      }
+
+      .card-title {
+        color: #eee;
+        font-size: 13px;
+      }
+
+      .card-meta {
+        color: #888;
+        font-size: 11px;
+      }
+
+      .tag {
+        display: inline-block;
+        padding: 0 4px;
+        border-radius: 3px;
+        background: #333;
+        color: #ccc;
+        margin-right: 4px;
+      }
+
+      button {
+        padding: 6px 14px;
+        border-radius: 4px;
+        border: none;
+        cursor: pointer;
+        background: #333;
+        color: #eee;
+      }
+
+      button.primary {
+        background: #646cff;
+        color: #fff;
+      }
+
+      button:disabled {
+        opacity: 0.5;
+        cursor: default;
+      }
+    `
+    );
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.$('#compare-btn').onclick = () => {
+      const ids = [...this.$$('#provider-list input:checked')].map((input) => input.value);
+      if (ids.length === 0) return;
+      this._results.clear();
+      this.$('#grid').replaceChildren(...ids.map((id) => this._createCard(id)));
+      this.emit('compare', { ids });
+    };
+
+    this.$$('input[name="view"]').forEach((input) => {
+      input.onchange = () => {
+        this._view = input.value;
+        this._results.forEach((result, id) => this._draw(id, result));
+      };
+    });
+  }
+
+  /**
+   * 设置可选后端
+   * @param {Array<{id: string, name: string}>} providers
+   * @param {string[]} [checked] - 默认勾选的 ID，省略时保持当前勾选
+   */
+  setProviders(providers, checked) {
+    const current = checked || [...this.$$('#provider-list input:checked')].map((i) => i.value);
+    this.$('#provider-list').replaceChildren(
+      ...providers.map(({ id, name }) => {
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = id;
+        input.checked = current.includes(id);
+        label.append(input, ` ${name}`);
+        return label;
+      })
+    );
+    this._names = new Map(providers.map(({ id, name }) => [id, name]));
+  }
+
+  /**
+   * @param {boolean} busy
+   */
+  setBusy(busy) {
+    this.$('#compare-btn').disabled = busy;
+  }
+
+  /**
+   * 更新某后端的状态文字
+   * @param {string} id
+   * @param {string} text
+   */
+  setStatus(id, text) {
+    const card = this._card(id);
+    if (card) card.querySelector('.card-meta').textContent = text;
+  }
+
+  /**
+   * 显示某后端的估计结果
+   * @param {string} id
+   * @param {{data: Float32Array, confidence: Float32Array, width: number, height: number, output: string, range: number[]|null, elapsed: number}} result
+   */
+  setResult(id, result) {
+    const card = this._card(id);
+    if (!card) return;
+    this._results.set(id, result);
+    this._draw(id, result);
+
+    const meta = card.querySelector('.card-meta');
+    meta.replaceChildren();
+    const tag = document.createElement('span');
+    tag.className = 'tag';
+    tag.textContent = result.output === 'metric' ? '公制' : '相对';
+    meta.append(tag, `${Math.round(result.elapsed)} ms`);
+    if (result.range) {
+      meta.append(` · ${result.range[1].toFixed(1)}–${result.range[0].toFixed(1)} m`);
+    }
+    card.querySelector('button').disabled = false;
+  }
+
+  /**
+   * @private
+   * @param {string} id
+   * @returns {HTMLElement}
+   */
+  _createCard(id) {
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.dataset.id = id;
+
+    const title = document.createElement('span');
+    title.className = 'card-title';
+    title.textContent = this._names?.get(id) || id;
+    const meta = document.createElement('span');
+    meta.className = 'card-meta';
+    meta.textContent = '等待中';
+    const apply = document.createElement('button');
+    apply.textContent = '使用此深度';
+    apply.disabled = true;
+    apply.onclick = () => this.emit('apply', { id });
+
+    card.append(title, document.createElement('canvas'), meta, apply);
+    return card;
+  }
+
+  /**
+   * @private
+   * @param {string} id
+   * @returns {HTMLElement|null}
+   */
+  _card(id) {
+    return [...this.$$('.card')].find((card) => card.dataset.id === id) || null;
+  }
+
+  /**
+   * 以灰度绘制深度或置信度
+   * @private
+   */
+  _draw(id, result) {
+    const canvas = this._card(id)?.querySelector('canvas');
+    if (!canvas) return;
+    const values = this._view === 'confidence' ? result.confidence : result.data;
+    canvas.width = result.width;
+    canvas.height = result.height;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(result.width, result.height);
+    for (let i = 0; i < values.length; i++) {
+      const v = Math.floor(values[i] * 255);
+      image.data[i * 4] = v;
+      image.data[i * 4 + 1] = v;
+      image.data[i * 4 + 2] = v;
+      image.data[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(image, 0, 0);
+  }
+}
+
+customElements.define('depth-compare-modal', DepthCompareModal);
@@ -33,9 +33,86 @@ export class ExportModal extends BaseModal {
                   <span class="icon">🎬</span>
                   <span class="label">WebM 视频</span>
                 </label>
+                <label class="option-card">
+                  <input type="radio" name="format" value="gif">
+                  <span class="icon">🔁</span>
+                  <span class="label">GIF 动画</span>
+                </label>
+                <label class="option-card">
+                  <input type="radio" name="format" value="mp4">
+                  <span class="icon">🎞️</span>
+                  <span class="label">MP4 视频</span>
+                </label>
+                <label class="option-card">
+                  <input type="radio" name="format" value="glb">
+                  <span class="icon">🧊</span>
+                  <span class="label">GLB 模型</span>
+                </label>
+                <label class="option-card">
+                  <input type="radio" name="format" value="obj">
+                  <span class="icon">📐</span>
+                  <span class="label">OBJ + MTL</span>
+                </label>
+                <label class="option-card">
+                  <input type="radio" name="format" value="ply">
+                  <span class="icon">✨</span>
+                  <span class="label">PLY 点云</span>
+                </label>
+                <label class="option-card">
+                  <input type="radio" name="format" value="depth-png">
+                  <span class="icon">🌗</span>
+                  <span class="label">深度 PNG 16 位</span>
+                </label>
+                <label class="option-card">
+                  <input type="radio" name="format" value="depth-exr">
+                  <span class="icon">🌑</span>
+                  <span class="label">深度 EXR</span>
+                </label>
+                <label class="option-card">
+                  <input type="radio" name="format" value="stereo">
+                  <span class="icon">👓</span>
+                  <span class="label">立体图对</span>
+                </label>
               </div>
             </div>
 
+            <div class="form-group" id="still-group">
+              <label>输出尺寸</label>
+              <select id="still-size">
+                <option value="viewport" selected>视口尺寸</option>
+                <option value="1920x1080">1920 × 1080 (Full HD)</option>
+                <option value="3840x2160">3840 × 2160 (4K UHD)</option>
+                <option value="4096x2160">4096 × 2160 (DCI 4K)</option>
+                <option value="7680x4320">7680 × 4320 (8K)</option>
+                <option value="custom">自定义</option>
+              </select>
+              <div class="size-row hidden" id="still-custom">
+                <input type="number" id="still-width" value="6000" min="16" max="16384">
+                <span>×</span>
+                <input type="number" id="still-height" value="4000" min="16" max="16384">
+              </div>
+              <label class="checkbox-label">
+                <input type="checkbox" id="still-lock-aspect">
+                按视口宽高比（以宽度为准）
+              </label>
+              <label class="checkbox-label" id="transparent-label">
+                <input type="checkbox" id="still-transparent">
+                透明背景（仅 PNG）
+              </label>
+            </div>
+
+            <div class="form-group hidden" id="stereo-group">
+              <label>立体格式</label>
+              <select id="stereo-layout">
+                <option value="mpo" selected>MPO（富士 3D）</option>
+                <option value="jps">JPS（交叉眼）</option>
+                <option value="sbs">左右拼接 PNG</option>
+                <option value="ou">上下拼接 PNG</option>
+                <option value="pair">左右眼分别保存（ZIP）</option>
+              </select>
+              <span class="hint">输出尺寸为单眼画面；眼间距与汇聚距离沿用立体模式设置</span>
+            </div>
+
             <div class="form-group" id="quality-group">
               <label>质量设置 (0.1 - 1.0)</label>
               <div class="range-wrap">
@@ -48,6 +125,118 @@ export class ExportModal extends BaseModal {
               <label>视频时长 (秒)</label>
               <input type="number" id="duration" value="5" min="1" max="60">
             </div>
+
+            <div class="form-group hidden" id="render-group">
+              <label>渲染方式</label>
+              <select id="render-mode">
+                <option value="offline" selected>离线逐帧（帧精确，结果可复现）</option>
+                <option value="realtime">实时录制视口</option>
+              </select>
+              <div id="offline-options">
+                <label>分辨率</label>
+                <select id="offline-resolution">
+                  <option value="viewport">视口尺寸</option>
+                  <option value="1280x720">1280 × 720</option>
+                  <option value="1920x1080" selected>1920 × 1080</option>
+                  <option value="2560x1440">2560 × 1440</option>
+                  <option value="3840x2160">3840 × 2160</option>
+                  <option value="1080x1080">1080 × 1080（方形）</option>
+                  <option value="1080x1920">1080 × 1920（竖屏）</option>
+                </select>
+                <label>帧率</label>
+                <select id="offline-fps">
+                  <option value="12">12 fps</option>
+                  <option value="15">15 fps</option>
+                  <option value="24">24 fps</option>
+                  <option value="25">25 fps</option>
+                  <option value="30" selected>30 fps</option>
+                  <option value="60">60 fps</option>
+                </select>
+                <label>相机运动</label>
+                <select id="offline-motion">
+                  <option value="path">关键帧路径</option>
+                  <option value="none">固定视角</option>
+                  <option value="orbit" selected>环绕</option>
+                  <option value="spiral">螺旋</option>
+                  <option value="arc">弧线</option>
+                  <option value="dolly">推拉</option>
+                  <option value="crane">摇臂</option>
+                  <option value="parallax">视差</option>
+                  <option value="vertigo">希区柯克变焦</option>
+                </select>
+                <span class="hint">关键帧路径使用路径时长；视频项目使用源视频的帧率与时长</span>
+              </div>
+            </div>
+
+            <div class="form-group hidden" id="mp4-group">
+              <label>编码器</label>
+              <select id="mp4-codec">
+                <option value="libx264" selected>H.264（兼容性最佳）</option>
+                <option value="libx265">H.265 / HEVC</option>
+              </select>
+              <label>码率控制</label>
+              <select id="mp4-rate-mode">
+                <option value="crf" selected>恒定质量 (CRF)</option>
+                <option value="bitrate">目标码率</option>
+              </select>
+              <div class="range-wrap" id="mp4-crf-wrap">
+                <input type="range" id="mp4-crf" min="0" max="51" step="1" value="23">
+                <span id="mp4-crf-val">23</span>
+              </div>
+              <div class="hidden" id="mp4-bitrate-wrap">
+                <input type="number" id="mp4-bitrate" value="8" min="0.5" max="100" step="0.5">
+                <span class="hint">Mbps</span>
+              </div>
+              <label>像素格式</label>
+              <select id="mp4-pix-fmt">
+                <option value="yuv420p" selected>yuv420p（播放器通用）</option>
+                <option value="yuv422p">yuv422p</option>
+                <option value="yuv444p">yuv444p（无色度抽样）</option>
+              </select>
+            </div>
+
+            <div class="form-group hidden" id="mesh-group">
+              <label>网格抽稀</label>
+              <select id="mesh-decimation">
+                <option value="1" selected>原始密度</option>
+                <option value="2">1/2</option>
+                <option value="4">1/4</option>
+                <option value="8">1/8</option>
+              </select>
+              <label>边缘裁剪（深度差阈值，0 = 关闭）</label>
+              <div class="range-wrap">
+                <input type="range" id="mesh-edge" min="0" max="0.3" step="0.01" value="0.08">
+                <span id="mesh-edge-val">0.08</span>
+              </div>
+              <label>空洞裁剪（深度下限，0 = 关闭）</label>
+              <div class="range-wrap">
+                <input type="range" id="mesh-hole" min="0" max="0.3" step="0.01" value="0">
+                <span id="mesh-hole-val">0</span>
+              </div>
+              <label class="checkbox-label hidden" id="ply-binary-label">
+                <input type="checkbox" id="ply-binary" checked>
+                二进制 PLY（体积更小）
+              </label>
+              <span class="hint">边缘裁剪去除前后景之间被拉伸的三角形</span>
+            </div>
+
+            <div class="form-group hidden" id="gif-group">
+              <label>循环</label>
+              <select id="gif-loop-mode">
+                <option value="infinite" selected>无限循环</option>
+                <option value="once">只播放一次（不循环）</option>
+                <option value="count">指定重复次数</option>
+              </select>
+              <input type="number" class="hidden" id="gif-loop" value="1" min="1" max="100">
+              <label class="checkbox-label">
+                <input type="checkbox" id="gif-dither" checked>
+                抖动（减少色带）
+              </label>
+            </div>
+          </div>
+          <div class="progress hidden" id="progress-group">
+            <div class="progress-bar"><div class="progress-fill" id="progress-fill"></div></div>
+            <span id="progress-text"></span>
           </div>
           <div class="modal-footer">
             <button class="secondary" id="cancel-btn">取消</button>
@@ -131,6 +320,57 @@ export class ExportModal extends BaseModal {
         width: 100%;
       }
       
+      select {
+        background: #333;
+        border: 1px solid #444;
+        color: #fff;
+        padding: 8px;
+        border-radius: 4px;
+        width: 100%;
+        margin-bottom: 12px;
+      }
+
+      .hint {
+        color: #888;
+        font-size: 12px;
+      }
+
+      .progress {
+        padding: 0 20px 15px;
+        font-size: 12px;
+        color: #aaa;
+      }
+
+      .progress-bar {
+        height: 6px;
+        background: #333;
+        border-radius: 3px;
+        overflow: hidden;
+        margin-bottom: 6px;
+      }
+
+      .progress-fill {
+        height: 100%;
+        width: 0;
+        background: #646cff;
+        transition: width 0.2s;
+      }
+
+      .size-row {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .checkbox-label {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-top: 12px;
+        font-weight: normal;
+        cursor: pointer;
+      }
+
       .hidden {
         display: none;
       }
@@ -145,6 +385,12 @@ export class ExportModal extends BaseModal {
     const formatRadios = this.$$('input[name="format"]');
     const cards = this.$$('.option-card');
     const durationGroup = this.$('#duration-group');
+    const gifGroup = this.$('#gif-group');
+    const mp4Group = this.$('#mp4-group');
+    const renderGroup = this.$('#render-group');
+    const stillGroup = this.$('#still-group');
+    const meshGroup = this.$('#mesh-group');
+    const qualityGroup = this.$('#quality-group');
 
     formatRadios.forEach((radio) => {
       radio.onchange = (e) => {
@@ -152,12 +398,20 @@ export class ExportModal extends BaseModal {
         cards.forEach((c) => c.classList.remove('active'));
         e.target.closest('.option-card').classList.add('active');
 
-        // 显示/隐藏时长
-        if (e.target.value === 'webm') {
-          durationGroup.classList.remove('hidden');
-        } else {
-          durationGroup.classList.add('hidden');
-        }
+        // 显示/隐藏时长与 GIF 选项
+        const format = e.target.value;
+        durationGroup.classList.toggle('hidden', !['webm', 'gif', 'mp4'].includes(format));
+        renderGroup.classList.toggle('hidden', !['webm', 'gif', 'mp4'].includes(format));
+        stillGroup.classList.toggle('hidden', !['png', 'jpeg', 'stereo'].includes(format));
+        this.$('#stereo-group').classList.toggle('hidden', format !== 'stereo');
+        this.$('#transparent-label').classList.toggle('hidden', format !== 'png');
+        gifGroup.classList.toggle('hidden', format !== 'gif');
+        mp4Group.classList.toggle('hidden', format !== 'mp4');
+
+        const isMesh = ['glb', 'obj', 'ply'].includes(format);
+        meshGroup.classList.toggle('hidden', !isMesh);
+        qualityGroup.classList.toggle('hidden', isMesh || format.startsWith('depth-'));
+        this.$('#ply-binary-label').classList.toggle('hidden', format !== 'ply');
       };
     });
 
@@ -166,6 +420,35 @@ export class ExportModal extends BaseModal {
     const qualityVal = this.$('#quality-val');
     qualityInput.oninput = () => (qualityVal.textContent = qualityInput.value);
 
+    // 模型裁剪阈值
+    ['#mesh-edge', '#mesh-hole'].forEach((id) => {
+      const input = this.$(id);
+      input.oninput = () => (this.$(`${id}-val`).textContent = input.value);
+    });
+
+    // GIF 循环
+    this.$('#gif-loop-mode').onchange = (e) => {
+      this.$('#gif-loop').classList.toggle('hidden', e.target.value !== 'count');
+    };
+
+    // 静帧尺寸
+    this.$('#still-size').onchange = (e) => {
+      this.$('#still-custom').classList.toggle('hidden', e.target.value !== 'custom');
+    };
+
+    // 离线渲染选项
+    this.$('#render-mode').onchange = (e) => {
+      this.$('#offline-options').classList.toggle('hidden', e.target.value !== 'offline');
+    };
+
+    // MP4 码率控制
+    const crfInput = this.$('#mp4-crf');
+    crfInput.oninput = () => (this.$('#mp4-crf-val').textContent = crfInput.value);
+    this.$('#mp4-rate-mode').onchange = (e) => {
+      this.$('#mp4-crf-wrap').classList.toggle('hidden', e.target.value !== 'crf');
+      this.$('#mp4-bitrate-wrap').classList.toggle('hidden', e.target.value !== 'bitrate');
+    };
+
     // 按钮事件
     this.$('#cancel-btn').onclick = () => this.close();
     this.$('#export-btn').onclick = () => this._handleExport();
@@ -175,10 +458,107 @@ export class ExportModal extends BaseModal {
     const format = this.$('input[name="format"]:checked').value;
     const quality = parseFloat(this.$('#quality').value);
     const duration = parseInt(this.$('#duration').value);
+    const loop = this._getGifLoop();
+    const dither = this.$('#gif-dither').checked;
+    const encode = {
+      codec: this.$('#mp4-codec').value,
+      crf: parseInt(this.$('#mp4-crf').value),
+      bitrate:
+        this.$('#mp4-rate-mode').value === 'bitrate'
+          ? parseFloat(this.$('#mp4-bitrate').value) * 1e6
+          : null,
+      pixFmt: this.$('#mp4-pix-fmt').value,
+    };
+
+    // 静态图片立即完成，视频/动画在导出期间显示进度
+    this._setBusy(true);
+    this.setProgress(0, '准备导出');
+    this.emit('confirm', {
+      format,
+      quality,
+      duration,
+      loop,
+      dither,
+      encode,
+      renderMode: this.$('#render-mode').value,
+      resolution: this.$('#offline-resolution').value,
+      fps: parseInt(this.$('#offline-fps').value),
+      motion: this.$('#offline-motion').value,
+      still: this._getStillOptions(),
+      stereo: { layout: this.$('#stereo-layout').value },
+      mesh: {
+        decimation: parseInt(this.$('#mesh-decimation').value),
+        edgeThreshold: parseFloat(this.$('#mesh-edge').value),
+        holeThreshold: parseFloat(this.$('#mesh-hole').value),
+        binary: this.$('#ply-binary').checked,
+      },
+    });
+  }
 
-    this.emit('confirm', { format, quality, duration });
+  /**
+   * GIF 循环次数：0 无限循环，-1 只播放一次（不写循环扩展），其余为重复次数
+   * @private
+   * @returns {number}
+   */
+  _getGifLoop() {
+    const mode = this.$('#gif-loop-mode').value;
+    if (mode === 'infinite') return 0;
+    if (mode === 'once') return -1;
+    return Math.min(100, Math.max(1, parseInt(this.$('#gif-loop').value) || 1));
+  }
+
+  /**
+   * @private
+   * @returns {{size: string, lockAspect: boolean, transparent: boolean}}
+   */
+  _getStillOptions() {
+    let size = this.$('#still-size').value;
+    if (size === 'custom') {
+      const width = Math.max(16, parseInt(this.$('#still-width').value) || 0);
+      const height = Math.max(16, parseInt(this.$('#still-height').value) || 0);
+      size = `${width}x${height}`;
+    }
+    return {
+      size,
+      lockAspect: this.$('#still-lock-aspect').checked,
+      transparent: this.$('#still-transparent').checked,
+    };
+  }
+
+  /**
+   * 更新导出进度
+   * @param {number} ratio - 0-1
+   * @param {string} text
+   */
+  setProgress(ratio, text) {
+    const percent = Math.round(Math.max(0, Math.min(1, ratio)) * 100);
+    this.$('#progress-fill').style.width = `${percent}%`;
+    this.$('#progress-text').textContent = `${text} ${percent}%`;
+  }
+
+  /**
+   * 导出结束（成功或失败）后恢复并关闭
+   */
+  finishExport() {
+    this._setBusy(false);
     this.close();
   }
+
+  close() {
+    // 导出期间不允许关闭
+    if (this._busy) return;
+    super.close();
+  }
+
+  /**
+   * @private
+   */
+  _setBusy(busy) {
+    this._busy = busy;
+    this.$('#progress-group').classList.toggle('hidden', !busy);
+    this.$('#export-btn').disabled = busy;
+    this.$('#cancel-btn').disabled = busy;
+  }
 }
 
 customElements.define('export-modal', ExportModal);
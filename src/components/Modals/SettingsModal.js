@@ -5,6 +5,13 @@
 
 import { BaseModal } from '../core/BaseModal.js';
 
+/**
+ * 系统设置模态框
+ * 模型管理区只负责展示与发出事件（model-download / model-pause / model-evict / model-evict-all），
+ * 下载与缓存由 App 经 ModelDownloader 完成
+ * @class
+ * @extends BaseModal
+ */
 export class SettingsModal extends BaseModal {
   template() {
     return `
@@ -38,6 +45,37 @@ export class SettingsModal extends BaseModal {
               <label>自动保存 (分钟)</label>
               <input type="number" id="autosave" value="5" min="0" max="60" style="width: 60px">
             </div>
+
+            <div class="section-title">AI 模型</div>
+            <div class="setting-item">
+              <label>深度模型</label>
+              <select id="depth-provider"></select>
+            </div>
+            <div class="setting-item">
+              <label>分块高精度深度 (大图更清晰，耗时更长)</label>
+              <input type="checkbox" id="high-detail-depth">
+            </div>
+            <div class="setting-item">
+              <label>导入 ONNX 深度模型</label>
+              <div class="import-row">
+                <select id="onnx-kind" title="模型输出">
+                  <option value="disparity">视差 (近大)</option>
+                  <option value="depth">相对距离 (远大)</option>
+                  <option value="metric">公制距离 (米)</option>
+                </select>
+                <select id="onnx-normalization" title="输入归一化">
+                  <option value="imagenet">ImageNet</option>
+                  <option value="unit">0-1</option>
+                </select>
+                <input type="number" id="onnx-size" value="518" min="64" max="2048" step="14" title="输入边长" style="width: 64px">
+                <button class="small" id="import-onnx-btn">选择文件</button>
+              </div>
+            </div>
+            <div id="model-list"></div>
+            <div class="setting-item">
+              <label>缓存占用 <span class="model-meta" id="cache-size">-</span></label>
+              <button class="small" id="evict-all-btn">清除全部</button>
+            </div>
           </div>
           <div class="modal-footer">
             <button class="secondary" id="reset-btn">重置默认</button>
@@ -76,13 +114,81 @@ export class SettingsModal extends BaseModal {
         border-bottom: 1px solid #2a2a2a;
       }
       
-      input[type="number"] {
+      input[type="number"],
+      select {
         background: #333;
         border: 1px solid #444;
         color: #fff;
         padding: 5px;
         border-radius: 4px;
       }
+
+      .import-row {
+        display: flex;
+        gap: 6px;
+        align-items: center;
+      }
+
+      .model-item {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 10px 4px;
+        border-bottom: 1px solid #2a2a2a;
+      }
+
+      .model-info {
+        flex: 1;
+        min-width: 0;
+      }
+
+      .model-name {
+        display: block;
+        color: #eee;
+        font-size: 13px;
+      }
+
+      .model-meta {
+        color: #888;
+        font-size: 11px;
+      }
+
+      .model-item.cached .model-meta {
+        color: #4caf50;
+      }
+
+      .progress-bar {
+        height: 4px;
+        background: #333;
+        border-radius: 2px;
+        overflow: hidden;
+        margin-top: 6px;
+      }
+
+      .progress-fill {
+        height: 100%;
+        background: #646cff;
+        transition: width 0.2s;
+      }
+
+      button.small {
+        background: #333;
+        color: #eee;
+        border: 1px solid #444;
+        border-radius: 4px;
+        padding: 4px 10px;
+        font-size: 12px;
+        cursor: pointer;
+      }
+
+      button.small:hover:not(:disabled) {
+        background: #444;
+      }
+
+      button.small:disabled {
+        opacity: 0.4;
+        cursor: default;
+      }
     `
     );
   }
@@ -100,6 +206,10 @@ export class SettingsModal extends BaseModal {
         ui: {
           showFps: this.$('#show-fps').checked,
         },
+        ai: {
+          provider: this.$('#depth-provider').value,
+          highDetail: this.$('#high-detail-depth').checked,
+        },
       };
       this.emit('save', settings);
       this.close();
@@ -108,8 +218,129 @@ export class SettingsModal extends BaseModal {
     this.$('#reset-btn').onclick = () => {
       // 简单重置 UI
       this.$$('input[type="checkbox"]').forEach((i) => (i.checked = true));
+      this.$('#depth-provider').selectedIndex = 0;
+      this.$('#high-detail-depth').checked = false;
     };
+
+    this.$('#import-onnx-btn').onclick = () => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.onnx';
+      input.onchange = () => {
+        const file = input.files[0];
+        if (!file) return;
+        this.emit('depth-model-import', {
+          file,
+          options: {
+            kind: this.$('#onnx-kind').value,
+            normalization: this.$('#onnx-normalization').value,
+            inputSize: Number(this.$('#onnx-size').value) || 518,
+          },
+        });
+      };
+      input.click();
+    };
+
+    this.$('#evict-all-btn').onclick = () => this.emit('model-evict-all');
+
+    this.$('#model-list').onclick = (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+      const id = button.closest('.model-item').dataset.id;
+      this.emit(`model-${button.dataset.action}`, { id });
+    };
+  }
+
+  /**
+   * 设置可选的深度估计后端
+   * @param {Array<{id: string, name: string, description: string}>} providers
+   * @param {string} currentId
+   */
+  setDepthProviders(providers, currentId) {
+    const select = this.$('#depth-provider');
+    // 自定义模型名来自文件名，不拼接 HTML
+    select.replaceChildren(
+      ...providers.map(({ id, name, description }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = description ? `${name} · ${description}` : name;
+        return option;
+      })
+    );
+    select.value = currentId;
+  }
+
+  /**
+   * @param {boolean} enabled
+   */
+  setHighDetailDepth(enabled) {
+    this.$('#high-detail-depth').checked = enabled;
+  }
+
+  /**
+   * 渲染模型列表
+   * @param {Array<{id: string, name: string, size: number, cached: boolean, downloaded: number, downloading: boolean}>} models
+   */
+  setModels(models) {
+    this.$('#model-list').innerHTML = models
+      .map((model) => {
+        const ratio = model.cached ? 1 : Math.min(model.downloaded / model.size, 1);
+        let state = '未下载';
+        if (model.cached) state = '已缓存';
+        else if (model.downloading) state = '下载中';
+        else if (model.downloaded > 0) state = `已下载 ${Math.round(ratio * 100)}%`;
+
+        let action = '';
+        if (model.downloading) action = '<button class="small" data-action="pause">暂停</button>';
+        else if (!model.cached) {
+          const text = model.downloaded > 0 ? '继续' : '下载';
+          action = `<button class="small" data-action="download">${text}</button>`;
+        }
+
+        return `
+          <div class="model-item${model.cached ? ' cached' : ''}" data-id="${model.id}">
+            <div class="model-info">
+              <span class="model-name">${model.name}</span>
+              <span class="model-meta">${formatBytes(model.size)} · ${state}</span>
+              <div class="progress-bar"><div class="progress-fill" style="width: ${ratio * 100}%"></div></div>
+            </div>
+            ${action}
+            <button class="small" data-action="evict"${model.cached || model.downloaded > 0 ? '' : ' disabled'}>删除</button>
+          </div>
+        `;
+      })
+      .join('');
   }
+
+  /**
+   * 更新下载进度
+   * @param {string} id
+   * @param {number} ratio - 0-1
+   */
+  setModelProgress(id, ratio) {
+    const item = this.$(`.model-item[data-id="${id}"]`);
+    if (!item) return;
+    const percent = Math.round(ratio * 100);
+    item.querySelector('.progress-fill').style.width = `${percent}%`;
+    const meta = item.querySelector('.model-meta');
+    meta.textContent = meta.textContent.replace(/·.*$/, `· 下载中 ${percent}%`);
+  }
+
+  /**
+   * @param {number} bytes
+   */
+  setCacheSize(bytes) {
+    this.$('#cache-size').textContent = formatBytes(bytes);
+  }
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 }
 
 customElements.define('settings-modal', SettingsModal);
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview 检测框叠加层 - 在 3D 视口上标出场景分析检测到的物体
+ * @module components/Preview/DetectionOverlay
+ */
+
+import { BaseComponent } from '../core/BaseComponent.js';
+
+/**
+ * 检测框叠加层
+ * 框本身不拦截鼠标（不影响视角拖动），点击标签选中物体
+ * @class
+ * @extends BaseComponent
+ */
+export class DetectionOverlay extends BaseComponent {
+  constructor() {
+    super();
+    this.setStyles(/* css */ `
+      :host {
+        position: absolute;
+        inset: 0;
+        pointer-events: none;
+        z-index: 5;
+        overflow: hidden;
+      }
+
+      .box {
+        position: absolute;
+        border: 1.5px solid rgba(100, 108, 255, 0.8);
+        border-radius: 3px;
+        display: none;
+      }
+
+      .box.visible {
+        display: block;
+      }
+
+      .box.selected {
+        border-color: #ffd166;
+        box-shadow: 0 0 0 1px rgba(0, 0, 0, 0.4);
+      }
+
+      .tag {
+        position: absolute;
+        left: -1.5px;
+        bottom: 100%;
+        padding: 2px 6px;
+        background: rgba(100, 108, 255, 0.9);
+        color: #fff;
+        font-size: 11px;
+        white-space: nowrap;
+        border-radius: 3px 3px 0 0;
+        cursor: pointer;
+        pointer-events: auto;
+      }
+
+      .box.selected .tag {
+        background: #ffd166;
+        color: #222;
+      }
+    `);
+
+    /** @type {Array<{label: string, confidence: number}>} */
+    this.detections = [];
+    /** @type {number} */
+    this.selectedIndex = -1;
+  }
+
+  template() {
+    return '<div id="boxes"></div>';
+  }
+
+  /**
+   * 设置检测结果（重建框元素）
+   * @param {Array<{label: string, confidence: number}>} detections
+   */
+  setDetections(detections) {
+    this.detections = detections;
+    this.selectedIndex = -1;
+
+    const container = this.$('#boxes');
+    if (!container) return;
+    container.innerHTML = '';
+    detections.forEach((detection, index) => {
+      const box = document.createElement('div');
+      box.className = 'box';
+      const tag = document.createElement('span');
+      tag.className = 'tag';
+      tag.textContent = `${detection.label} ${Math.round(detection.confidence * 100)}%`;
+      tag.onclick = () => this.emit('detection-selected', { index });
+      box.appendChild(tag);
+      container.appendChild(box);
+    });
+  }
+
+  /**
+   * 更新框在视口中的位置（每帧调用）
+   * @param {Array<{left: number, top: number, width: number, height: number}|null>} rects
+   *   像素坐标，null 表示不可见
+   */
+  updateBoxes(rects) {
+    this.$$('.box').forEach((box, i) => {
+      const rect = rects[i];
+      box.classList.toggle('visible', !!rect);
+      if (!rect) return;
+      box.style.left = `${rect.left}px`;
+      box.style.top = `${rect.top}px`;
+      box.style.width = `${rect.width}px`;
+      box.style.height = `${rect.height}px`;
+    });
+  }
+
+  /**
+   * 高亮选中的物体
+   * @param {number} index - -1 取消选中
+   */
+  setSelected(index) {
+    this.selectedIndex = index;
+    this.$$('.box').forEach((box, i) => box.classList.toggle('selected', i === index));
+  }
+
+  /**
+   * 清除所有检测框
+   */
+  clear() {
+    this.setDetections([]);
+  }
+}
+
+customElements.define('detection-overlay', DetectionOverlay);
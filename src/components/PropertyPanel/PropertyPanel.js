@@ -421,6 +421,32 @@ export class PropertyPanel extends BaseComponent {
     }
   }
 
+  /**
+   * 更新控件值（不触发 onChange）
+   * @param {string} groupId - 组 ID
+   * @param {string} label - 控件标签
+   * @param {*} value - 新值
+   */
+  setControlValue(groupId, label, value) {
+    this.setControlValues([[groupId, label, value]]);
+  }
+
+  /**
+   * 批量更新控件值（不触发 onChange，仅重绘一次）
+   * @param {Array<[string, string, *]>} values - [组 ID, 控件标签, 新值] 列表
+   */
+  setControlValues(values) {
+    let changed = false;
+    values.forEach(([groupId, label, value]) => {
+      const control = this._groups.get(groupId)?.controls.find((c) => c.label === label);
+      if (control && control.value !== value) {
+        control.value = value;
+        changed = true;
+      }
+    });
+    if (changed) this.renderGroups();
+  }
+
   /**
    * 完成配置后渲染
    */
@@ -606,6 +632,7 @@ export class PropertyPanel extends BaseComponent {
         input.oninput = (e) => {
           const val = parseFloat(e.target.value);
           valueDisplay.textContent = val.toFixed(step < 0.1 ? 2 : 1);
+          config.value = val;
           if (onChange) onChange(val);
         };
         wrapper.appendChild(input);
@@ -618,6 +645,7 @@ export class PropertyPanel extends BaseComponent {
         input.type = 'color';
         input.value = value;
         input.oninput = (e) => {
+          config.value = e.target.value;
           if (onChange) onChange(e.target.value);
         };
         wrapper.appendChild(input);
@@ -633,6 +661,7 @@ export class PropertyPanel extends BaseComponent {
           input.appendChild(option);
         });
         input.onchange = (e) => {
+          config.value = e.target.value;
           if (onChange) onChange(e.target.value);
         };
         wrapper.appendChild(input);
@@ -643,6 +672,7 @@ export class PropertyPanel extends BaseComponent {
         input.type = 'checkbox';
         input.checked = value;
         input.onchange = (e) => {
+          config.value = e.target.checked;
           if (onChange) onChange(e.target.checked);
         };
         wrapper.appendChild(input);
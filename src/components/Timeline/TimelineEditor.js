@@ -183,6 +183,15 @@ export class TimelineEditor extends BaseComponent {
       display.textContent = `${this._formatTime(time)} / ${this._formatTime(this.totalTime)}`;
   }
 
+  /**
+   * 设置总时长
+   * @param {number} seconds
+   */
+  setDuration(seconds) {
+    this.totalTime = Math.max(0.1, seconds);
+    this.setTime(0);
+  }
+
   /**
    * 添加关键帧标记
    * @param {number} time
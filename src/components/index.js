@@ -10,8 +10,11 @@ export { NavigationBar } from './Layout/NavigationBar.js';
 export { Sidebar, SidebarSection } from './Layout/Sidebar.js';
 export { ProjectPanel } from './Layout/ProjectPanel.js';
 export { LayersPanel } from './Layout/LayersPanel.js';
+export { HistoryPanel } from './Layout/HistoryPanel.js';
 export { PreviewWindow } from './Preview/PreviewWindow.js';
+export { DetectionOverlay } from './Preview/DetectionOverlay.js';
 export { BaseModal } from './core/BaseModal.js';
 export { ExportModal } from './Modals/ExportModal.js';
 export { SettingsModal } from './Modals/SettingsModal.js';
+export { DepthCompareModal } from './Modals/DepthCompareModal.js';
 export { HelpModal } from './Modals/HelpModal.js';
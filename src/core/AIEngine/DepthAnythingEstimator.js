@@ -4,29 +4,33 @@
  * @description 使用 Depth Anything V2 模型进行高精度单目深度估计
  */
 
+import { MODEL_REGISTRY } from './ModelDownloader.js';
+import { DepthProvider } from './DepthProvider.js';
+import { inferenceQueue } from './InferenceQueue.js';
+
 /**
- * Depth Anything V2 模型配置
+ * Depth Anything V2 模型配置（下载地址见 ModelDownloader 的 MODEL_REGISTRY）
  * @constant
  */
 const DEPTH_ANYTHING_CONFIG = {
   // 高精度完整模型 (97MB)
   FULL: {
     id: 'depth-anything-v2-full',
-    url: 'https://cdn.glitch.me/0f5359e2-6022-421b-88f7-13e276d0fb33/depthanythingv2-vits.onnx',
+    url: MODEL_REGISTRY['depth-anything-v2-full'].url,
     size: 97,
     inputSize: 518,
   },
   // 动态输入尺寸版本 (97MB)
   DYNAMIC: {
     id: 'depth-anything-v2-dynamic',
-    url: 'https://cdn.glitch.me/0f5359e2-6022-421b-88f7-13e276d0fb33/depthanythingv2-vits-dynamic.onnx',
+    url: MODEL_REGISTRY['depth-anything-v2-dynamic'].url,
     size: 97,
     inputSize: 518,
   },
   // 4-bit 量化版本 (18MB) - 备用
   QUANTIZED: {
     id: 'depth-anything-v2-q4f16',
-    url: 'https://cdn.glitch.global/0f5359e2-6022-421b-88f7-13e276d0fb33/model_q4f16.onnx',
+    url: MODEL_REGISTRY['depth-anything-v2-q4f16'].url,
     size: 18,
     inputSize: 518,
   },
@@ -36,20 +40,21 @@ const DEPTH_ANYTHING_CONFIG = {
  * Depth Anything V2 深度估计器
  * 高精度单目深度估计，比 MiDaS 更精确
  * @class
+ * @extends DepthProvider
  */
-export class DepthAnythingEstimator {
+export class DepthAnythingEstimator extends DepthProvider {
   /**
    * @param {Object} options - 配置选项
    * @param {string} [options.precision='full'] - 精度级别: 'full' | 'dynamic' | 'quantized'
    * @param {Function} [options.onProgress] - 加载进度回调
+   * @param {ModelDownloader} [options.downloader] - 提供时经由其 IndexedDB 缓存加载模型
    */
   constructor(options = {}) {
+    super();
     const precision = options.precision || 'full';
     this._config = DEPTH_ANYTHING_CONFIG[precision.toUpperCase()] || DEPTH_ANYTHING_CONFIG.FULL;
     this._onProgress = options.onProgress || null;
-
-    /** @type {ort.InferenceSession|null} */
-    this._session = null;
+    this._downloader = options.downloader || null;
 
     /** @type {boolean} */
     this._ready = false;
@@ -70,16 +75,11 @@ export class DepthAnythingEstimator {
       console.log(`🔄 正在加载 Depth Anything V2 模型 (${this._config.size}MB)...`);
       const startTime = performance.now();
 
-      const ort = await import('onnxruntime-web');
-
-      // 配置 ONNX Runtime
-      ort.env.wasm.numThreads = navigator.hardwareConcurrency || 4;
-
-      // 创建推理会话
-      this._session = await ort.InferenceSession.create(this._config.url, {
-        executionProviders: ['wasm'],
-        graphOptimizationLevel: 'all',
-      });
+      // 在推理 Worker 中创建会话（有下载器时从缓存读取，首次使用时下载并缓存）
+      const model = this._downloader
+        ? await this._downloader.download(this._config.id)
+        : this._config.url;
+      await inferenceQueue.loadModel(this._config.id, model, { transfer: true });
 
       this._ready = true;
       const elapsed = ((performance.now() - startTime) / 1000).toFixed(2);
@@ -96,15 +96,16 @@ export class DepthAnythingEstimator {
    * @returns {boolean}
    */
   isReady() {
-    return this._ready && this._session !== null;
+    return this._ready;
   }
 
   /**
    * 估计深度
    * @param {HTMLImageElement|HTMLCanvasElement|ImageData} input - 输入图像
-   * @returns {Promise<Float32Array>} 深度图数据
+   * @param {object} [options] - { signal, onProgress }，见 DepthProvider.estimate
+   * @returns {Promise<DepthResult>} 输入尺寸下的深度图
    */
-  async estimate(input) {
+  async estimate(input, options = {}) {
     if (!this.isReady()) {
       throw new Error('DepthAnythingEstimator 未初始化');
     }
@@ -113,10 +114,14 @@ export class DepthAnythingEstimator {
     const startTime = performance.now();
 
     // 预处理图像
-    const inputTensor = await this._preprocessImage(input);
+    const image = this._preprocessImage(input);
 
-    // 运行推理
-    const results = await this._session.run({ image: inputTensor });
+    // 在 Worker 中运行推理
+    const results = await inferenceQueue.run(
+      this._config.id,
+      { image },
+      { label: 'Depth Anything V2', ...options }
+    );
 
     // 后处理
     const depthMap = this._postprocessOutput(results);
@@ -125,16 +130,24 @@ export class DepthAnythingEstimator {
 
     console.log(`✅ Depth Anything V2 深度估计完成 (${elapsed.toFixed(2)}ms)`);
 
-    return depthMap;
+    const size = this._config.inputSize;
+    return {
+      data: depthMap,
+      width: size,
+      height: size,
+      output: this.getOutputType(),
+      range: null,
+      confidence: DepthProvider.gradientConfidence(depthMap, size, size),
+    };
   }
 
   /**
-   * 预处理图像
+   * 预处理图像：缩放到模型输入尺寸，NCHW 转换在 Worker 中完成
    * @private
    * @param {HTMLImageElement|HTMLCanvasElement|ImageData} input
-   * @returns {Promise<ort.Tensor>}
+   * @returns {ImageFeed}
    */
-  async _preprocessImage(input) {
+  _preprocessImage(input) {
     const size = this._config.inputSize;
     this._canvas.width = size;
     this._canvas.height = size;
@@ -155,60 +168,23 @@ export class DepthAnythingEstimator {
       throw new Error('不支持的输入类型');
     }
 
-    // 获取像素数据
-    const imageData = this._ctx.getImageData(0, 0, size, size);
-    const { data } = imageData;
-
-    // 转换为 Float32Array (NCHW 格式, RGB 归一化到 0-1)
-    const floatData = new Float32Array(3 * size * size);
-
-    // Depth Anything V2 使用简单的 0-1 归一化
-    for (let y = 0; y < size; y++) {
-      for (let x = 0; x < size; x++) {
-        const srcIdx = (y * size + x) * 4;
-        const dstIdx = y * size + x;
-
-        // RGB 通道分离，归一化到 [0, 1]
-        floatData[0 * size * size + dstIdx] = data[srcIdx] / 255; // R
-        floatData[1 * size * size + dstIdx] = data[srcIdx + 1] / 255; // G
-        floatData[2 * size * size + dstIdx] = data[srcIdx + 2] / 255; // B
-      }
-    }
-
-    // 创建 ONNX Tensor
-    const ort = await import('onnxruntime-web');
-    return new ort.Tensor('float32', floatData, [1, 3, size, size]);
+    // 获取像素数据（Depth Anything V2 使用简单的 0-1 归一化）
+    const { data } = this._ctx.getImageData(0, 0, size, size);
+    return { pixels: data, width: size, height: size };
   }
 
   /**
    * 后处理输出
    * @private
-   * @param {Object} results - ONNX 推理结果
+   * @param {Object} results - 推理输出张量
    * @returns {Float32Array} 归一化深度图
    */
   _postprocessOutput(results) {
     // 获取输出 tensor (depth)
     const outputTensor = results.depth || results[Object.keys(results)[0]];
-    const depthData = new Float32Array(outputTensor.data.buffer);
-
-    // 归一化深度值到 [0, 1]
-    let minDepth = Infinity;
-    let maxDepth = -Infinity;
-
-    for (let i = 0; i < depthData.length; i++) {
-      if (depthData[i] < minDepth) minDepth = depthData[i];
-      if (depthData[i] > maxDepth) maxDepth = depthData[i];
-    }
 
-    const range = maxDepth - minDepth || 1;
-    const normalizedDepth = new Float32Array(depthData.length);
-
-    for (let i = 0; i < depthData.length; i++) {
-      // 反转深度（近处为 1，远处为 0）
-      normalizedDepth[i] = 1 - (depthData[i] - minDepth) / range;
-    }
-
-    return normalizedDepth;
+    // 与 MiDaS 相同，输出相对视差（越大越近），归一化到 [0, 1] 后近处为 1
+    return DepthProvider.normalize(outputTensor.data, true).data;
   }
 
   /**
@@ -258,10 +234,7 @@ export class DepthAnythingEstimator {
    * 销毁深度估计器
    */
   dispose() {
-    if (this._session) {
-      this._session.release();
-      this._session = null;
-    }
+    if (this._ready) inferenceQueue.releaseModel(this._config.id);
     this._ready = false;
 
     console.log('🗑️ DepthAnythingEstimator 已销毁');
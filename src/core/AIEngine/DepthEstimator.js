@@ -3,7 +3,7 @@
  * @module core/AIEngine/DepthEstimator
  */
 
-// import { ModelManager } from './ModelManager.js';
+import { DepthProvider } from './DepthProvider.js';
 
 /** @constant {string} */
 const MIDAS_MODEL_ID = 'midas-small';
@@ -11,16 +11,22 @@ const MIDAS_MODEL_ID = 'midas-small';
 /** @constant {string} */
 const MIDAS_MODEL_PATH = '/models/midas/midas_v21_small_256.onnx';
 
+/** @constant MiDaS 归一化参数 */
+const MIDAS_MEAN = [0.485, 0.456, 0.406];
+const MIDAS_STD = [0.229, 0.224, 0.225];
+
 /**
  * 深度估计器
  * 使用 MiDaS 模型进行单目深度估计
  * @class
+ * @extends DepthProvider
  */
-export class DepthEstimator {
+export class DepthEstimator extends DepthProvider {
   /**
    * @param {ModelManager} modelManager - 模型管理器实例
    */
   constructor(modelManager) {
+    super();
     /** @type {ModelManager} */
     this.modelManager = modelManager;
 
@@ -63,9 +69,10 @@ export class DepthEstimator {
   /**
    * 估计深度
    * @param {HTMLImageElement|HTMLCanvasElement|ImageData} input - 输入图像
-   * @returns {Promise<Float32Array>} 深度图数据
+   * @param {object} [options] - { signal, onProgress }，见 DepthProvider.estimate
+   * @returns {Promise<DepthResult>} 输入尺寸下的深度图
    */
-  async estimate(input) {
+  async estimate(input, options = {}) {
     if (!this.isReady()) {
       throw new Error('DepthEstimator 未初始化');
     }
@@ -74,10 +81,13 @@ export class DepthEstimator {
     const startTime = performance.now();
 
     // 预处理图像
-    const tensorInput = await this._preprocessImage(input);
+    const feeds = this._preprocessImage(input);
 
     // 运行推理
-    const output = await this.modelManager.runInference(MIDAS_MODEL_ID, tensorInput);
+    const output = await this.modelManager.runInference(MIDAS_MODEL_ID, feeds, {
+      label: 'MiDaS',
+      ...options,
+    });
 
     // 后处理
     const depthMap = this._postprocessOutput(output);
@@ -85,14 +95,23 @@ export class DepthEstimator {
     const elapsed = performance.now() - startTime;
     console.log(`✅ 深度估计完成 (${elapsed.toFixed(2)}ms)`);
 
-    return depthMap;
+    const size = this._inputSize;
+    return {
+      data: depthMap,
+      width: size,
+      height: size,
+      output: this.getOutputType(),
+      range: null,
+      confidence: DepthProvider.gradientConfidence(depthMap, size, size),
+    };
   }
 
   /**
-   * 预处理图像
+   * 预处理图像：缩放到模型输入尺寸，归一化在 Worker 中完成
    * @private
+   * @returns {{input: ImageFeed}}
    */
-  async _preprocessImage(input) {
+  _preprocessImage(input) {
     // 获取原始尺寸
     let width, height, imageData;
 
@@ -127,31 +146,16 @@ export class DepthEstimator {
       throw new Error('不支持的输入类型');
     }
 
-    // 转换为 Float32Array (NCHW 格式)
-    const { data } = imageData;
     const size = this._inputSize;
-    const floatData = new Float32Array(3 * size * size);
-
-    // MiDaS 归一化参数
-    const mean = [0.485, 0.456, 0.406];
-    const std = [0.229, 0.224, 0.225];
-
-    for (let y = 0; y < size; y++) {
-      for (let x = 0; x < size; x++) {
-        const srcIdx = (y * size + x) * 4;
-
-        // RGB 通道，归一化到 [0, 1]，然后标准化
-        floatData[0 * size * size + y * size + x] = (data[srcIdx] / 255 - mean[0]) / std[0];
-        floatData[1 * size * size + y * size + x] = (data[srcIdx + 1] / 255 - mean[1]) / std[1];
-        floatData[2 * size * size + y * size + x] = (data[srcIdx + 2] / 255 - mean[2]) / std[2];
-      }
-    }
-
-    // 创建 ONNX Tensor
-    const ort = await import('onnxruntime-web');
-    const inputTensor = new ort.Tensor('float32', floatData, [1, 3, size, size]);
-
-    return { input: inputTensor };
+    return {
+      input: {
+        pixels: imageData.data,
+        width: size,
+        height: size,
+        mean: MIDAS_MEAN,
+        std: MIDAS_STD,
+      },
+    };
   }
 
   /**
@@ -161,27 +165,8 @@ export class DepthEstimator {
   _postprocessOutput(output) {
     // 获取输出 tensor
     const outputTensor = output[Object.keys(output)[0]];
-    const depthData = outputTensor.data;
-    // const size = this._inputSize;
-
-    // 归一化深度值到 [0, 1]
-    let minDepth = Infinity;
-    let maxDepth = -Infinity;
-
-    for (let i = 0; i < depthData.length; i++) {
-      if (depthData[i] < minDepth) minDepth = depthData[i];
-      if (depthData[i] > maxDepth) maxDepth = depthData[i];
-    }
-
-    const range = maxDepth - minDepth || 1;
-    const normalizedDepth = new Float32Array(depthData.length);
-
-    for (let i = 0; i < depthData.length; i++) {
-      // 反转深度（近处为 1，远处为 0）
-      normalizedDepth[i] = 1 - (depthData[i] - minDepth) / range;
-    }
-
-    return normalizedDepth;
+    // MiDaS 输出逆深度（视差），越大越近
+    return DepthProvider.normalize(outputTensor.data, true).data;
   }
 
   /**
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview 深度估计后端的公共接口
+ * @module core/AIEngine/DepthProvider
+ */
+
+/**
+ * 深度输出类型
+ * @enum {string}
+ */
+export const DepthOutput = {
+  /** 相对深度（仅远近顺序有意义） */
+  RELATIVE: 'relative',
+  /** 公制深度（米） */
+  METRIC: 'metric',
+};
+
+/**
+ * 深度估计结果
+ * @typedef {object} DepthResult
+ * @property {Float32Array} data - 归一化深度 0-1，越大越近
+ * @property {number} width
+ * @property {number} height
+ * @property {string} output - DepthOutput
+ * @property {number[]|null} range - 公制输出时 data 0/1 对应的 [最远, 最近] 距离（米）
+ * @property {Float32Array} confidence - 逐像素置信度 0-1
+ */
+
+/** @constant {number} 深度梯度达到该值时置信度降为 0 */
+const CONFIDENCE_GRADIENT = 0.1;
+
+/**
+ * 深度估计后端基类
+ * 子类实现 init / estimate，estimate 返回 DepthResult
+ * @class
+ */
+export class DepthProvider {
+  /**
+   * 加载模型
+   * @returns {Promise<void>}
+   */
+  async init() {}
+
+  /**
+   * @returns {boolean}
+   */
+  isReady() {
+    return true;
+  }
+
+  /**
+   * 估计深度
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageData} _input
+   * @param {object} [_options]
+   * @param {AbortSignal} [_options.signal] - 取消推理，取消时以 AbortError 拒绝
+   * @param {string} [_options.label] - 推理任务的进度显示名称
+   * @param {function(JobProgress): void} [_options.onProgress]
+   * @returns {Promise<DepthResult>}
+   */
+  async estimate(_input, _options = {}) {
+    throw new Error('DepthProvider.estimate 未实现');
+  }
+
+  /**
+   * 模型输入边长，null 表示按原图尺寸估计
+   * @returns {number|null}
+   */
+  getInputSize() {
+    return null;
+  }
+
+  /**
+   * @returns {string} DepthOutput
+   */
+  getOutputType() {
+    return DepthOutput.RELATIVE;
+  }
+
+  dispose() {}
+
+  /**
+   * 将原始输出归一化为 0-1（越大越近）
+   * @param {ArrayLike<number>} values
+   * @param {boolean} [nearIsLarge=true] - 原始值越大越近（视差）时为 true，距离为 false
+   * @returns {{data: Float32Array, min: number, max: number}}
+   */
+  static normalize(values, nearIsLarge = true) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] < min) min = values[i];
+      if (values[i] > max) max = values[i];
+    }
+
+    const range = max - min || 1;
+    const data = new Float32Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+      const t = (values[i] - min) / range;
+      data[i] = nearIsLarge ? t : 1 - t;
+    }
+    return { data, min, max };
+  }
+
+  /**
+   * 由深度梯度估计置信度（模型不输出置信度时使用）
+   * 深度断层处的估计最不可靠，平坦区域置信度高
+   * @param {Float32Array} depth
+   * @param {number} width
+   * @param {number} height
+   * @param {number} [scale=1] - 整体置信度上限
+   * @returns {Float32Array}
+   */
+  static gradientConfidence(depth, width, height, scale = 1) {
+    const confidence = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const dx = x + 1 < width ? Math.abs(depth[i + 1] - depth[i]) : 0;
+        const dy = y + 1 < height ? Math.abs(depth[i + width] - depth[i]) : 0;
+        const gradient = Math.max(dx, dy) / CONFIDENCE_GRADIENT;
+        confidence[i] = scale * Math.max(0, 1 - gradient);
+      }
+    }
+    return confidence;
+  }
+}
+
+export default DepthProvider;
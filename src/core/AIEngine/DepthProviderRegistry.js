@@ -0,0 +1,140 @@
+/**
+ * @fileoverview 深度估计后端注册表
+ * @module core/AIEngine/DepthProviderRegistry
+ */
+
+import { DepthAnythingEstimator } from './DepthAnythingEstimator.js';
+import { DepthEstimator } from './DepthEstimator.js';
+import { HeuristicDepthEstimator } from './HeuristicDepthEstimator.js';
+import { ModelManager } from './ModelManager.js';
+import { OnnxDepthEstimator } from './OnnxDepthEstimator.js';
+
+/** @constant {string} 默认后端 */
+export const DEFAULT_DEPTH_PROVIDER = 'depth-anything-v2-full';
+
+/** @constant {string} 模型不可用时的降级后端 */
+export const FALLBACK_DEPTH_PROVIDER = 'heuristic';
+
+/**
+ * 注册项
+ * @typedef {object} DepthProviderEntry
+ * @property {string} name - 显示名称
+ * @property {string} [description]
+ * @property {boolean} [custom] - 用户导入的模型
+ * @property {function(object): DepthProvider} create - 创建后端实例，参数为 { downloader }
+ */
+
+/**
+ * 深度估计后端注册表
+ * @class
+ */
+export class DepthProviderRegistry {
+  constructor() {
+    /** @private {Map<string, DepthProviderEntry>} */
+    this._entries = new Map();
+  }
+
+  /**
+   * 注册后端（同 ID 覆盖）
+   * @param {string} id
+   * @param {DepthProviderEntry} entry
+   */
+  register(id, entry) {
+    this._entries.set(id, entry);
+  }
+
+  /**
+   * @param {string} id
+   */
+  unregister(id) {
+    this._entries.delete(id);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean}
+   */
+  has(id) {
+    return this._entries.has(id);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {DepthProviderEntry|undefined}
+   */
+  get(id) {
+    return this._entries.get(id);
+  }
+
+  /**
+   * @returns {Array<{id: string, name: string, description: string, custom: boolean}>}
+   */
+  list() {
+    return [...this._entries].map(([id, entry]) => ({
+      id,
+      name: entry.name,
+      description: entry.description || '',
+      custom: !!entry.custom,
+    }));
+  }
+
+  /**
+   * 创建后端实例（未初始化）
+   * @param {string} id
+   * @param {object} [options] - 传给 create，如 { downloader }
+   * @returns {DepthProvider}
+   */
+  create(id, options = {}) {
+    const entry = this._entries.get(id);
+    if (!entry) throw new Error(`未知深度后端: ${id}`);
+    return entry.create(options);
+  }
+
+  /**
+   * 注册用户导入的 ONNX 深度模型
+   * @param {string} name - 显示名称（通常为文件名）
+   * @param {ArrayBuffer} model
+   * @param {object} [options] - 见 OnnxDepthEstimator
+   * @returns {string} 注册 ID
+   */
+  registerOnnx(name, model, options = {}) {
+    const id = `custom:${name}`;
+    this.register(id, {
+      name,
+      description: '自定义 ONNX 模型',
+      custom: true,
+      create: () => new OnnxDepthEstimator({ ...options, model }),
+    });
+    return id;
+  }
+}
+
+export const depthProviderRegistry = new DepthProviderRegistry();
+
+depthProviderRegistry.register('depth-anything-v2-full', {
+  name: 'Depth Anything V2',
+  description: '完整精度 (97MB)',
+  create: ({ downloader }) => new DepthAnythingEstimator({ precision: 'full', downloader }),
+});
+depthProviderRegistry.register('depth-anything-v2-dynamic', {
+  name: 'Depth Anything V2 (动态尺寸)',
+  description: '动态输入 (97MB)',
+  create: ({ downloader }) => new DepthAnythingEstimator({ precision: 'dynamic', downloader }),
+});
+depthProviderRegistry.register('depth-anything-v2-q4f16', {
+  name: 'Depth Anything V2 (量化)',
+  description: '4-bit 量化 (18MB)',
+  create: ({ downloader }) => new DepthAnythingEstimator({ precision: 'quantized', downloader }),
+});
+depthProviderRegistry.register('midas-small', {
+  name: 'MiDaS v2.1 Small',
+  description: '轻量 (256×256)',
+  create: () => new DepthEstimator(new ModelManager()),
+});
+depthProviderRegistry.register(FALLBACK_DEPTH_PROVIDER, {
+  name: '启发式',
+  description: '无模型，亮度与中心距离估计',
+  create: () => new HeuristicDepthEstimator(),
+});
+
+export default depthProviderRegistry;
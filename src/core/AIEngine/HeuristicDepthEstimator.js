@@ -0,0 +1,53 @@
+/**
+ * @fileoverview 启发式深度估计 - 无模型时的降级方案
+ * @module core/AIEngine/HeuristicDepthEstimator
+ */
+
+import { DepthProvider } from './DepthProvider.js';
+
+/** @constant {number} 启发式结果的置信度上限 */
+const MAX_CONFIDENCE = 0.3;
+
+/**
+ * 启发式深度估计器
+ * 亮度与到画面中心的距离加权：亮处、中心视为更近
+ * @class
+ * @extends DepthProvider
+ */
+export class HeuristicDepthEstimator extends DepthProvider {
+  /**
+   * @param {HTMLCanvasElement|ImageData} input
+   * @returns {Promise<DepthResult>} 与输入同尺寸
+   */
+  async estimate(input) {
+    const imageData =
+      input instanceof ImageData
+        ? input
+        : input.getContext('2d').getImageData(0, 0, input.width, input.height);
+    const { width, height, data } = imageData;
+    const depthData = new Float32Array(width * height);
+
+    for (let i = 0; i < width * height; i++) {
+      const idx = i * 4;
+      const luminance = (0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2]) / 255;
+
+      const x = (i % width) / width;
+      const y = Math.floor(i / width) / height;
+      const distFromCenter = Math.sqrt(Math.pow(x - 0.5, 2) + Math.pow(y - 0.5, 2));
+
+      const depth = luminance * 0.7 + (1 - distFromCenter) * 0.3;
+      depthData[i] = Math.max(0, Math.min(1, depth));
+    }
+
+    return {
+      data: depthData,
+      width,
+      height,
+      output: this.getOutputType(),
+      range: null,
+      confidence: DepthProvider.gradientConfidence(depthData, width, height, MAX_CONFIDENCE),
+    };
+  }
+}
+
+export default HeuristicDepthEstimator;
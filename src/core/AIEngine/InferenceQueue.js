@@ -0,0 +1,351 @@
+/**
+ * @fileoverview 推理任务队列 - 在 Web Worker 中串行执行 ONNX 推理
+ * @module core/AIEngine/InferenceQueue
+ */
+
+import { proxy, transfer } from 'comlink';
+import { endpointSymbol } from 'vite-plugin-comlink/symbol';
+
+/**
+ * 任务阶段
+ * @enum {string}
+ */
+export const JobStage = {
+  QUEUED: 'queued',
+  PREPROCESS: 'preprocess',
+  INFERENCE: 'inference',
+  POSTPROCESS: 'postprocess',
+  DONE: 'done',
+};
+
+/** @constant {Object<string, number>} 各阶段对应的进度 */
+const STAGE_PROGRESS = {
+  [JobStage.QUEUED]: 0,
+  [JobStage.PREPROCESS]: 0.1,
+  [JobStage.INFERENCE]: 0.2,
+  [JobStage.POSTPROCESS]: 0.9,
+  [JobStage.DONE]: 1,
+};
+
+/**
+ * 任务进度
+ * @typedef {object} JobProgress
+ * @property {number} id
+ * @property {string} label
+ * @property {string} stage - JobStage
+ * @property {number} progress - 0-1
+ * @property {number} pending - 队列中（含执行中）的任务数
+ */
+
+/**
+ * 推理后端：Worker 接口（comlink 代理）或主线程直接导入的同名模块
+ * @typedef {object} InferenceBackend
+ * @property {object} api - InferenceWorker 导出的函数
+ * @property {boolean} remote - api 是否位于 Worker 中
+ * @property {function(): void} [terminate]
+ */
+
+/**
+ * 创建默认后端：优先 Worker，不支持时在主线程执行
+ * @returns {Promise<InferenceBackend>}
+ */
+async function createDefaultBackend() {
+  if (typeof Worker === 'undefined') {
+    return { api: await import('./InferenceWorker.js'), remote: false };
+  }
+  const api = new ComlinkWorker(new URL('./InferenceWorker.js', import.meta.url), {
+    type: 'module',
+  });
+  return { api, remote: true, terminate: () => api[endpointSymbol].terminate() };
+}
+
+/**
+ * @returns {DOMException}
+ */
+function abortError() {
+  return new DOMException('推理任务已取消', 'AbortError');
+}
+
+/**
+ * 推理任务队列
+ * 模型会话驻留在 Worker 中，任务按提交顺序逐个执行，主线程只做图像绘制与结果解码。
+ * 取消的任务立即以 AbortError 结束；已开始的推理无法中断，其结果到达后被丢弃
+ * @class
+ */
+export class InferenceQueue {
+  /**
+   * @param {object} [options]
+   * @param {function(): Promise<InferenceBackend>} [options.createBackend] - 测试时注入
+   */
+  constructor(options = {}) {
+    /** @private */
+    this._createBackend = options.createBackend || createDefaultBackend;
+    /** @private {Promise<InferenceBackend>|null} */
+    this._backend = null;
+    /** @private {Map<string, Promise<{inputNames: string[], outputNames: string[]}>>} */
+    this._models = new Map();
+    /** @private {Map<string, number>} 每个 key 的 loadModel 调用次数 */
+    this._refs = new Map();
+    /** @private 等待中的任务 */
+    this._jobs = [];
+    /** @private 执行中的任务 */
+    this._active = null;
+    /** @private */
+    this._nextId = 1;
+    /** @private {Set<function(JobProgress): void>} */
+    this._listeners = new Set();
+  }
+
+  /**
+   * 在 Worker 中加载模型（同 key 只加载一次，每次调用需对应一次 releaseModel）
+   * @param {string} key
+   * @param {ArrayBuffer|Uint8Array|string} model - 模型数据或 URL（相对 URL 按页面地址解析）
+   * @param {object} [options]
+   * @param {boolean} [options.transfer=false] - 转移模型缓冲区而非复制（调用方之后不能再使用它）
+   * @param {object} [options.session] - ort.InferenceSession 选项
+   * @returns {Promise<{inputNames: string[], outputNames: string[]}>}
+   */
+  loadModel(key, model, options = {}) {
+    if (!this._models.has(key)) {
+      const promise = this._loadModel(key, model, options);
+      promise.catch(() => {
+        if (this._models.get(key) !== promise) return;
+        this._models.delete(key);
+        this._refs.delete(key);
+      });
+      this._models.set(key, promise);
+    }
+    this._refs.set(key, (this._refs.get(key) || 0) + 1);
+    return this._models.get(key);
+  }
+
+  /**
+   * @private
+   */
+  async _loadModel(key, model, options) {
+    const { transfer: transferModel = false, session = {} } = options;
+    const { api, remote } = await this._getBackend();
+
+    let source = model;
+    if (typeof model === 'string') {
+      // Worker 中相对 URL 会按 Worker 脚本地址解析
+      source = new URL(model, globalThis.location?.href).href;
+    } else if (model instanceof ArrayBuffer) {
+      source = new Uint8Array(model);
+    }
+    if (remote && transferModel && typeof source !== 'string') {
+      source = transfer(source, [source.buffer]);
+    }
+    return api.loadSession(key, source, session);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean}
+   */
+  hasModel(key) {
+    return this._models.has(key);
+  }
+
+  /**
+   * 释放一次模型引用，最后一个引用释放时销毁 Worker 中的会话
+   * @param {string} key
+   */
+  async releaseModel(key) {
+    const loading = this._models.get(key);
+    if (!loading) return;
+    const refs = (this._refs.get(key) || 1) - 1;
+    if (refs > 0) {
+      this._refs.set(key, refs);
+      return;
+    }
+    this._models.delete(key);
+    this._refs.delete(key);
+    await loading.catch(() => {});
+    const { api } = await this._getBackend();
+    await api.releaseSession(key);
+  }
+
+  /**
+   * 提交推理任务
+   * 输入中的图像像素缓冲区会被转移到 Worker，调用方之后不能再使用
+   * @param {string} key - 模型 key
+   * @param {Object<string, TensorFeed|ImageFeed>} feeds - ort.Tensor 也可直接传入
+   * @param {object} [options]
+   * @param {string} [options.label] - 进度显示名称
+   * @param {AbortSignal} [options.signal]
+   * @param {function(JobProgress): void} [options.onProgress]
+   * @returns {Promise<Object<string, TensorFeed>>}
+   */
+  run(key, feeds, options = {}) {
+    const { label = key, signal = null, onProgress = null } = options;
+    if (signal?.aborted) return Promise.reject(abortError());
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: this._nextId++,
+        key,
+        label,
+        feeds,
+        onProgress,
+        resolve,
+        reject,
+        settled: false,
+      };
+      if (signal) {
+        const onAbort = () => this._cancelJob(job);
+        signal.addEventListener('abort', onAbort, { once: true });
+        job.cleanup = () => signal.removeEventListener('abort', onAbort);
+      }
+      this._jobs.push(job);
+      this._report(job, JobStage.QUEUED);
+      this._drain();
+    });
+  }
+
+  /**
+   * 取消所有任务（例如载入新文件时）
+   */
+  cancelAll() {
+    const jobs = [...this._jobs];
+    if (this._active) jobs.push(this._active);
+    jobs.forEach((job) => this._cancelJob(job));
+  }
+
+  /**
+   * @returns {number} 等待中与执行中的任务数
+   */
+  getPendingCount() {
+    return this._jobs.length + (this._active ? 1 : 0);
+  }
+
+  /**
+   * 订阅所有任务的进度
+   * @param {function(JobProgress): void} listener
+   * @returns {function(): void} 取消订阅
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * 终止 Worker，释放全部模型
+   */
+  async dispose() {
+    this.cancelAll();
+    const backend = this._backend;
+    this._backend = null;
+    this._models.clear();
+    this._refs.clear();
+    (await backend?.catch(() => null))?.terminate?.();
+  }
+
+  /**
+   * @private
+   * @returns {Promise<InferenceBackend>}
+   */
+  _getBackend() {
+    if (!this._backend) {
+      this._backend = this._createBackend();
+      this._backend.catch(() => (this._backend = null));
+    }
+    return this._backend;
+  }
+
+  /**
+   * 依次执行等待中的任务
+   * @private
+   */
+  async _drain() {
+    if (this._active) return;
+
+    while (this._jobs.length > 0) {
+      const job = this._jobs.shift();
+      this._active = job;
+      try {
+        const outputs = await this._execute(job);
+        this._active = null;
+        this._report(job, JobStage.DONE);
+        this._settle(job, () => job.resolve(outputs));
+      } catch (error) {
+        this._active = null;
+        this._settle(job, () => job.reject(error));
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _execute(job) {
+    const { api, remote } = await this._getBackend();
+    await this._models.get(job.key);
+
+    const feeds = {};
+    const buffers = [];
+    for (const [name, feed] of Object.entries(job.feeds)) {
+      if (feed.pixels) {
+        feeds[name] = feed;
+        buffers.push(feed.pixels.buffer);
+      } else {
+        // ort.Tensor 的 data 是原型上的 getter，结构化克隆时会丢失
+        feeds[name] = { type: feed.type, data: feed.data, dims: [...feed.dims] };
+      }
+    }
+    job.feeds = null;
+
+    const onStage = (stage) => this._report(job, stage);
+    return api.run(
+      job.id,
+      job.key,
+      remote ? transfer(feeds, buffers) : feeds,
+      remote ? proxy(onStage) : onStage
+    );
+  }
+
+  /**
+   * @private
+   */
+  _cancelJob(job) {
+    if (job.settled) return;
+    const index = this._jobs.indexOf(job);
+    if (index >= 0) {
+      this._jobs.splice(index, 1);
+    } else if (job === this._active) {
+      this._backend?.then(({ api }) => api.cancel(job.id)).catch(() => {});
+    }
+    this._settle(job, () => job.reject(abortError()));
+  }
+
+  /**
+   * 任务只结束一次：取消后到达的结果被丢弃
+   * @private
+   */
+  _settle(job, settle) {
+    if (job.settled) return;
+    job.settled = true;
+    job.cleanup?.();
+    settle();
+  }
+
+  /**
+   * @private
+   */
+  _report(job, stage) {
+    if (job.settled) return;
+    const progress = {
+      id: job.id,
+      label: job.label,
+      stage,
+      progress: STAGE_PROGRESS[stage],
+      pending: this.getPendingCount(),
+    };
+    job.onProgress?.(progress);
+    this._listeners.forEach((listener) => listener(progress));
+  }
+}
+
+export const inferenceQueue = new InferenceQueue();
+
+export default inferenceQueue;
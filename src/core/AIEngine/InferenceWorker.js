@@ -0,0 +1,164 @@
+/**
+ * @fileoverview ONNX 推理 Worker - 持有推理会话并执行推理任务
+ * @module core/AIEngine/InferenceWorker
+ * @description 由 InferenceQueue 经 vite-plugin-comlink 在 Worker 中加载，导出的函数即 Worker 接口；
+ * 不支持 Worker 的环境下由 InferenceQueue 在主线程直接导入
+ */
+
+import { transfer } from 'comlink';
+
+/**
+ * 张量描述（可结构化克隆的 ort.Tensor）
+ * @typedef {object} TensorFeed
+ * @property {string} type - 'float32' 等
+ * @property {ArrayBufferView} data
+ * @property {number[]} dims
+ */
+
+/**
+ * 图像输入，在 Worker 内转为 NCHW float32 张量 (value / 255 - mean) / std
+ * @typedef {object} ImageFeed
+ * @property {Uint8ClampedArray} pixels - RGBA
+ * @property {number} width
+ * @property {number} height
+ * @property {number[]} [mean=[0, 0, 0]]
+ * @property {number[]} [std=[1, 1, 1]]
+ */
+
+/** @type {Map<string, object>} 会话 key → ort.InferenceSession */
+const sessions = new Map();
+
+/** @type {Set<number>} 执行中的任务 */
+const running = new Set();
+
+/** @type {Set<number>} 已取消的任务 */
+const cancelled = new Set();
+
+let ortModule = null;
+
+/**
+ * @returns {Promise<object>} onnxruntime-web
+ */
+async function loadOrt() {
+  if (!ortModule) {
+    ortModule = await import('onnxruntime-web');
+    ortModule.env.wasm.numThreads = navigator.hardwareConcurrency || 4;
+  }
+  return ortModule;
+}
+
+/**
+ * 创建推理会话（同 key 已存在时复用）
+ * @param {string} key
+ * @param {Uint8Array|string} model - 模型数据或绝对 URL
+ * @param {object} [options] - ort.InferenceSession 选项
+ * @returns {Promise<{inputNames: string[], outputNames: string[]}>}
+ */
+export async function loadSession(key, model, options = {}) {
+  let session = sessions.get(key);
+  if (!session) {
+    const ort = await loadOrt();
+    session = await ort.InferenceSession.create(model, {
+      executionProviders: ['wasm'],
+      graphOptimizationLevel: 'all',
+      ...options,
+    });
+    sessions.set(key, session);
+  }
+  return { inputNames: [...session.inputNames], outputNames: [...session.outputNames] };
+}
+
+/**
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function hasSession(key) {
+  return sessions.has(key);
+}
+
+/**
+ * @param {string} key
+ */
+export async function releaseSession(key) {
+  const session = sessions.get(key);
+  sessions.delete(key);
+  await session?.release();
+}
+
+/**
+ * 标记任务取消：推理本身无法中断，任务在下一阶段开始前退出
+ * @param {number} jobId
+ */
+export function cancel(jobId) {
+  if (running.has(jobId)) cancelled.add(jobId);
+}
+
+/**
+ * 执行推理
+ * @param {number} jobId
+ * @param {string} key - 会话 key
+ * @param {Object<string, TensorFeed|ImageFeed>} feeds
+ * @param {function(string): void} [onStage] - 阶段回调: 'preprocess' | 'inference' | 'postprocess'
+ * @returns {Promise<Object<string, TensorFeed>>} 输出张量（缓冲区以 transfer 方式返回）
+ */
+export async function run(jobId, key, feeds, onStage) {
+  running.add(jobId);
+  try {
+    const session = sessions.get(key);
+    if (!session) throw new Error(`推理会话未加载: ${key}`);
+    const ort = await loadOrt();
+
+    await onStage?.('preprocess');
+    throwIfCancelled(jobId);
+    const tensors = {};
+    for (const [name, feed] of Object.entries(feeds)) {
+      const { type, data, dims } = feed.pixels ? imageToTensor(feed) : feed;
+      tensors[name] = new ort.Tensor(type, data, dims);
+    }
+
+    await onStage?.('inference');
+    throwIfCancelled(jobId);
+    const results = await session.run(tensors);
+
+    await onStage?.('postprocess');
+    throwIfCancelled(jobId);
+    const outputs = {};
+    const buffers = [];
+    for (const name of session.outputNames) {
+      const { type, dims } = results[name];
+      let data = results[name].data;
+      // 视图不独占缓冲区时复制，避免转移整块 WASM 内存
+      if (data.byteOffset !== 0 || data.byteLength !== data.buffer.byteLength) data = data.slice();
+      outputs[name] = { type, data, dims: [...dims] };
+      buffers.push(data.buffer);
+    }
+    return transfer(outputs, buffers);
+  } finally {
+    running.delete(jobId);
+    cancelled.delete(jobId);
+  }
+}
+
+/**
+ * RGBA 像素转 NCHW float32 张量
+ * @param {ImageFeed} feed
+ * @returns {TensorFeed}
+ */
+export function imageToTensor(feed) {
+  const { pixels, width, height, mean = [0, 0, 0], std = [1, 1, 1] } = feed;
+  const plane = width * height;
+  const data = new Float32Array(3 * plane);
+  for (let i = 0; i < plane; i++) {
+    for (let c = 0; c < 3; c++) {
+      data[c * plane + i] = (pixels[i * 4 + c] / 255 - mean[c]) / std[c];
+    }
+  }
+  return { type: 'float32', data, dims: [1, 3, height, width] };
+}
+
+/**
+ * @param {number} jobId
+ */
+function throwIfCancelled(jobId) {
+  if (cancelled.has(jobId)) throw new DOMException('推理任务已取消', 'AbortError');
+}
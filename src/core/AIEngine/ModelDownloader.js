@@ -7,17 +7,38 @@
  * 模型配置
  */
 const MODEL_REGISTRY = {
-  'depth-anything': {
-    name: 'Depth Anything',
-    url: 'https://huggingface.co/models/depth-anything/resolve/main/model.onnx',
-    size: 50 * 1024 * 1024, // ~50MB
-    version: '1.0.0',
+  'depth-anything-v2-full': {
+    name: 'Depth Anything V2',
+    url: 'https://cdn.glitch.me/0f5359e2-6022-421b-88f7-13e276d0fb33/depthanythingv2-vits.onnx',
+    size: 97 * 1024 * 1024, // ~97MB
+    version: '2.0.0',
+    type: 'onnx',
+  },
+  'depth-anything-v2-dynamic': {
+    name: 'Depth Anything V2 (动态尺寸)',
+    url: 'https://cdn.glitch.me/0f5359e2-6022-421b-88f7-13e276d0fb33/depthanythingv2-vits-dynamic.onnx',
+    size: 97 * 1024 * 1024, // ~97MB
+    version: '2.0.0',
+    type: 'onnx',
+  },
+  'depth-anything-v2-q4f16': {
+    name: 'Depth Anything V2 (4-bit 量化)',
+    url: 'https://cdn.glitch.global/0f5359e2-6022-421b-88f7-13e276d0fb33/model_q4f16.onnx',
+    size: 18 * 1024 * 1024, // ~18MB
+    version: '2.0.0',
+    type: 'onnx',
+  },
+  'yolov8n-seg': {
+    name: 'YOLOv8 Nano 实例分割',
+    url: './models/yolov8n-seg.onnx',
+    size: 13.2 * 1024 * 1024, // ~13.2MB
+    version: '8.0.0',
     type: 'onnx',
   },
   yolov8n: {
     name: 'YOLOv8 Nano',
-    url: 'https://github.com/ultralytics/assets/releases/download/v0.0.0/yolov8n.onnx',
-    size: 6.4 * 1024 * 1024, // ~6.4MB
+    url: './models/yolov8n.onnx',
+    size: 12.2 * 1024 * 1024, // ~12.2MB
     version: '8.0.0',
     type: 'onnx',
   },
@@ -30,6 +51,9 @@ const MODEL_REGISTRY = {
   },
 };
 
+/** @constant {number} 下载中每累积该字节数写入一次分段，中断后可从已写入处续传 */
+const SEGMENT_SIZE = 4 * 1024 * 1024;
+
 /**
  * 模型下载器
  */
@@ -39,11 +63,14 @@ export class ModelDownloader {
     this._dbName = 'immersa3d-models';
 
     /** @private */
-    this._dbVersion = 1;
+    this._dbVersion = 2;
 
     /** @private */
     this._db = null;
 
+    /** @private {Map<string, {controller: AbortController, promise: Promise<ArrayBuffer>}>} 进行中的下载 */
+    this._downloads = new Map();
+
     /** @type {function|null} */
     this.onProgress = null;
 
@@ -85,6 +112,11 @@ export class ModelDownloader {
         if (!db.objectStoreNames.contains('metadata')) {
           db.createObjectStore('metadata', { keyPath: 'id' });
         }
+
+        // 未完成下载的分段，key 为 `${modelId}:${index}`
+        if (!db.objectStoreNames.contains('segments')) {
+          db.createObjectStore('segments', { keyPath: 'key' });
+        }
       };
     });
   }
@@ -101,6 +133,53 @@ export class ModelDownloader {
     }));
   }
 
+  /**
+   * 是否为已登记的模型
+   * @param {string} modelId
+   * @returns {boolean}
+   */
+  has(modelId) {
+    return Object.hasOwn(MODEL_REGISTRY, modelId);
+  }
+
+  /**
+   * 是否正在下载
+   * @param {string} modelId
+   * @returns {boolean}
+   */
+  isDownloading(modelId) {
+    return this._downloads.has(modelId);
+  }
+
+  /**
+   * 各模型的缓存状态（读取元数据，不加载模型数据）
+   * @returns {Promise<Array<{id: string, cached: boolean, downloaded: number}>>}
+   *   downloaded 为已缓存或已下载部分的字节数
+   */
+  async getStatus() {
+    await this.init();
+
+    const records = await new Promise((resolve) => {
+      const request = this._db
+        .transaction(['metadata'], 'readonly')
+        .objectStore('metadata')
+        .getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve([]);
+    });
+    const byId = new Map(records.map((record) => [record.id, record]));
+
+    return Object.entries(MODEL_REGISTRY).map(([id, config]) => {
+      const record = byId.get(id);
+      const current = record && record.version === config.version;
+      return {
+        id,
+        cached: !!current && !record.partial,
+        downloaded: current ? record.size : 0,
+      };
+    });
+  }
+
   /**
    * 检查模型是否已缓存
    * @param {string} modelId
@@ -136,7 +215,7 @@ export class ModelDownloader {
   }
 
   /**
-   * 下载模型
+   * 下载模型（已缓存时直接读取缓存，上次中断时从已下载处续传）
    * @param {string} modelId
    * @returns {Promise<ArrayBuffer>}
    */
@@ -153,27 +232,90 @@ export class ModelDownloader {
       return cached;
     }
 
-    console.log(`⬇️ 开始下载模型: ${config.name}`);
+    // 同一模型只下载一次
+    if (this._downloads.has(modelId)) return this._downloads.get(modelId).promise;
+
+    const controller = new AbortController();
+    const promise = this._fetchModel(modelId, config, controller.signal).finally(() =>
+      this._downloads.delete(modelId)
+    );
+    this._downloads.set(modelId, { controller, promise });
+    return promise;
+  }
+
+  /**
+   * 暂停下载，已下载部分保留，再次 download() 时续传
+   * @param {string} modelId
+   */
+  cancel(modelId) {
+    this._downloads.get(modelId)?.controller.abort();
+  }
+
+  /**
+   * @private
+   * @param {string} modelId
+   * @param {object} config
+   * @param {AbortSignal} signal
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async _fetchModel(modelId, config, signal) {
+    const chunks = (await this._getSegments(modelId, config.version)).map(
+      (data) => new Uint8Array(data)
+    );
+    let receivedLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    let pending = [];
+    let segmentIndex = chunks.length;
+
+    const flush = async () => {
+      if (pending.length === 0) return;
+      const segment = this._concat(pending);
+      pending = [];
+      await this._saveSegment(modelId, config.version, segmentIndex++, segment, receivedLength);
+    };
+
+    console.log(
+      receivedLength > 0
+        ? `⬇️ 继续下载模型: ${config.name} (已下载 ${this._formatBytes(receivedLength)})`
+        : `⬇️ 开始下载模型: ${config.name}`
+    );
 
     try {
-      const response = await fetch(config.url);
+      const headers = receivedLength > 0 ? { Range: `bytes=${receivedLength}-` } : {};
+      const response = await fetch(config.url, { headers, signal });
       if (!response.ok) {
         throw new Error(`下载失败: HTTP ${response.status}`);
       }
+      // 开发服务器对不存在的文件回退到 index.html，不能当作模型缓存
+      if (response.headers.get('Content-Type')?.includes('text/html')) {
+        throw new Error('下载失败: 模型文件不存在');
+      }
 
-      const reader = response.body.getReader();
-      const contentLength = +response.headers.get('Content-Length') || config.size;
+      if (receivedLength > 0 && response.status !== 206) {
+        // 服务器不支持断点续传，从头下载
+        await this._deleteSegments(modelId);
+        chunks.length = 0;
+        receivedLength = 0;
+        segmentIndex = 0;
+      }
 
-      let receivedLength = 0;
-      const chunks = [];
+      const reader = response.body.getReader();
+      const contentLength =
+        receivedLength + (+response.headers.get('Content-Length') || config.size - receivedLength);
 
+      let pendingLength = 0;
       while (true) {
         const { done, value } = await reader.read();
 
         if (done) break;
 
         chunks.push(value);
+        pending.push(value);
         receivedLength += value.length;
+        pendingLength += value.length;
+        if (pendingLength >= SEGMENT_SIZE) {
+          await flush();
+          pendingLength = 0;
+        }
 
         // 进度回调
         if (this.onProgress) {
@@ -189,15 +331,11 @@ export class ModelDownloader {
       }
 
       // 合并 chunks
-      const data = new Uint8Array(receivedLength);
-      let position = 0;
-      for (const chunk of chunks) {
-        data.set(chunk, position);
-        position += chunk.length;
-      }
+      const data = this._concat(chunks);
 
       // 缓存到 IndexedDB
       await this._saveToCache(modelId, data.buffer, config.version);
+      await this._deleteSegments(modelId);
 
       console.log(`✅ 模型下载完成: ${config.name}`);
 
@@ -207,7 +345,14 @@ export class ModelDownloader {
 
       return data.buffer;
     } catch (error) {
-      console.error(`❌ 模型下载失败: ${config.name}`, error);
+      // 保存已收到的数据供续传
+      await flush().catch(() => {});
+
+      if (error.name === 'AbortError') {
+        console.log(`⏸️ 模型下载已暂停: ${config.name}`);
+      } else {
+        console.error(`❌ 模型下载失败: ${config.name}`, error);
+      }
 
       if (this.onError) {
         this.onError({ modelId, name: config.name, error });
@@ -217,6 +362,91 @@ export class ModelDownloader {
     }
   }
 
+  /**
+   * 合并数据块
+   * @private
+   * @param {Uint8Array[]} chunks
+   * @returns {Uint8Array}
+   */
+  _concat(chunks) {
+    const data = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let position = 0;
+    for (const chunk of chunks) {
+      data.set(chunk, position);
+      position += chunk.length;
+    }
+    return data;
+  }
+
+  /**
+   * 读取未完成下载的分段（按顺序）
+   * @private
+   * @param {string} modelId
+   * @param {string} version - 版本不一致时丢弃
+   * @returns {Promise<ArrayBuffer[]>}
+   */
+  async _getSegments(modelId, version) {
+    await this.init();
+
+    const records = await new Promise((resolve) => {
+      const store = this._db.transaction(['segments'], 'readonly').objectStore('segments');
+      const request = store.getAll(this._segmentRange(modelId));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve([]);
+    });
+
+    if (records.some((record) => record.version !== version)) {
+      await this._deleteSegments(modelId);
+      return [];
+    }
+    return records.sort((a, b) => a.index - b.index).map((record) => record.data);
+  }
+
+  /**
+   * 保存下载分段并记录已下载字节数
+   * @private
+   */
+  async _saveSegment(modelId, version, index, data, downloaded) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this._db.transaction(['segments', 'metadata'], 'readwrite');
+      transaction
+        .objectStore('segments')
+        .put({ key: `${modelId}:${index}`, id: modelId, version, index, data: data.buffer });
+      transaction
+        .objectStore('metadata')
+        .put({ id: modelId, version, size: downloaded, partial: true, timestamp: Date.now() });
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(new Error('下载分段保存失败'));
+    });
+  }
+
+  /**
+   * 删除下载分段
+   * @private
+   */
+  async _deleteSegments(modelId) {
+    await this.init();
+
+    return new Promise((resolve) => {
+      const transaction = this._db.transaction(['segments'], 'readwrite');
+      transaction.objectStore('segments').delete(this._segmentRange(modelId));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => resolve();
+    });
+  }
+
+  /**
+   * @private
+   * @param {string} modelId
+   * @returns {IDBKeyRange}
+   */
+  _segmentRange(modelId) {
+    return IDBKeyRange.bound(`${modelId}:`, `${modelId}:\uffff`);
+  }
+
   /**
    * 从缓存获取模型
    * @private
@@ -258,7 +488,7 @@ export class ModelDownloader {
     await this.init();
 
     return new Promise((resolve, reject) => {
-      const transaction = this._db.transaction(['models'], 'readwrite');
+      const transaction = this._db.transaction(['models', 'metadata'], 'readwrite');
       const store = transaction.objectStore('models');
 
       const record = {
@@ -268,50 +498,62 @@ export class ModelDownloader {
         timestamp: Date.now(),
       };
 
-      const request = store.put(record);
-
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(new Error('缓存保存失败'));
+      store.put(record);
+      transaction.objectStore('metadata').put({
+        id: modelId,
+        version,
+        size: data.byteLength,
+        partial: false,
+        timestamp: record.timestamp,
+      });
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(new Error('缓存保存失败'));
     });
   }
 
   /**
-   * 清除模型缓存
+   * 清除模型缓存（含未完成的下载）
    * @param {string} [modelId] - 如果不提供则清除所有
    */
   async clearCache(modelId) {
     await this.init();
+    if (modelId) this.cancel(modelId);
+    else this._downloads.forEach((download) => download.controller.abort());
 
     return new Promise((resolve, reject) => {
-      const transaction = this._db.transaction(['models'], 'readwrite');
-      const store = transaction.objectStore('models');
-
-      const request = modelId ? store.delete(modelId) : store.clear();
+      const transaction = this._db.transaction(['models', 'metadata', 'segments'], 'readwrite');
+      for (const name of ['models', 'metadata']) {
+        const store = transaction.objectStore(name);
+        if (modelId) store.delete(modelId);
+        else store.clear();
+      }
+      const segments = transaction.objectStore('segments');
+      if (modelId) segments.delete(this._segmentRange(modelId));
+      else segments.clear();
 
-      request.onsuccess = () => {
+      transaction.oncomplete = () => {
         console.log(modelId ? `🗑️ 已清除模型缓存: ${modelId}` : '🗑️ 已清除所有模型缓存');
         resolve();
       };
-      request.onerror = () => reject(new Error('清除缓存失败'));
+      transaction.onerror = () => reject(new Error('清除缓存失败'));
     });
   }
 
   /**
-   * 获取缓存大小
+   * 获取缓存大小（含未完成的下载）
    * @returns {Promise<number>}
    */
   async getCacheSize() {
     await this.init();
 
     return new Promise((resolve) => {
-      const transaction = this._db.transaction(['models'], 'readonly');
-      const store = transaction.objectStore('models');
+      const transaction = this._db.transaction(['metadata'], 'readonly');
+      const store = transaction.objectStore('metadata');
       const request = store.getAll();
 
       request.onsuccess = () => {
-        const total = request.result.reduce((sum, item) => {
-          return sum + (item.data?.byteLength || 0);
-        }, 0);
+        const total = request.result.reduce((sum, item) => sum + (item.size || 0), 0);
         resolve(total);
       };
 
@@ -330,4 +572,5 @@ export class ModelDownloader {
   }
 }
 
+export { MODEL_REGISTRY };
 export default ModelDownloader;
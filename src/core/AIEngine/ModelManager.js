@@ -3,6 +3,8 @@
  * @module core/AIEngine/ModelManager
  */
 
+import { inferenceQueue } from './InferenceQueue.js';
+
 /**
  * 模型状态
  * @enum {string}
@@ -211,22 +213,16 @@ export class ModelManager {
     const { type = 'onnx' } = options;
 
     if (type === 'onnx') {
-      // 动态导入 ONNX Runtime
-      const ort = await import('onnxruntime-web');
-
-      // 设置执行提供者
-      const executionProviders = this._getExecutionProviders();
-
-      const session = await ort.InferenceSession.create(modelData, {
-        executionProviders,
-        graphOptimizationLevel: 'all',
+      // 会话在推理 Worker 中创建，模型数据已写入缓存，直接转移
+      const { inputNames, outputNames } = await inferenceQueue.loadModel(modelId, modelData, {
+        transfer: true,
+        session: { executionProviders: this._getExecutionProviders() },
       });
 
       return {
         type: 'onnx',
-        session,
-        inputNames: session.inputNames,
-        outputNames: session.outputNames,
+        inputNames,
+        outputNames,
       };
     }
 
@@ -270,10 +266,11 @@ export class ModelManager {
   /**
    * 运行推理
    * @param {string} modelId - 模型 ID
-   * @param {object} inputs - 输入数据
+   * @param {object} inputs - 输入数据（ONNX 模型见 InferenceQueue.run 的 feeds）
+   * @param {object} [options] - ONNX 模型的任务选项 { label, signal, onProgress }
    * @returns {Promise<object>}
    */
-  async runInference(modelId, inputs) {
+  async runInference(modelId, inputs, options = {}) {
     const model = this.models.get(modelId);
     if (!model) {
       throw new Error(`模型未加载: ${modelId}`);
@@ -282,7 +279,7 @@ export class ModelManager {
     const startTime = performance.now();
 
     if (model.type === 'onnx') {
-      const results = await model.session.run(inputs);
+      const results = await inferenceQueue.run(modelId, inputs, options);
       const inferenceTime = performance.now() - startTime;
       console.log(`⚡ 推理完成 (${inferenceTime.toFixed(2)}ms): ${modelId}`);
       return results;
@@ -333,8 +330,8 @@ export class ModelManager {
     const model = this.models.get(modelId);
     if (!model) return;
 
-    if (model.type === 'onnx' && model.session) {
-      model.session.release?.();
+    if (model.type === 'onnx') {
+      inferenceQueue.releaseModel(modelId);
     }
 
     if (model.type === 'tfjs' && model.model) {
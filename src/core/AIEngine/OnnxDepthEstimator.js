@@ -0,0 +1,166 @@
+/**
+ * @fileoverview 通用 ONNX 深度估计器 - 加载用户提供的单目深度模型
+ * @module core/AIEngine/OnnxDepthEstimator
+ */
+
+import { DepthProvider, DepthOutput } from './DepthProvider.js';
+import { inferenceQueue } from './InferenceQueue.js';
+
+/**
+ * 模型原始输出的含义
+ * @enum {string}
+ */
+export const OnnxDepthKind = {
+  /** 视差 / 逆深度，越大越近（MiDaS、Depth Anything 相对模型） */
+  DISPARITY: 'disparity',
+  /** 相对距离，越大越远 */
+  DEPTH: 'depth',
+  /** 公制距离（米），越大越远 */
+  METRIC: 'metric',
+};
+
+/**
+ * 输入归一化方式
+ * @enum {string}
+ */
+export const OnnxNormalization = {
+  /** RGB / 255 */
+  UNIT: 'unit',
+  /** ImageNet 均值方差 */
+  IMAGENET: 'imagenet',
+};
+
+const IMAGENET_MEAN = [0.485, 0.456, 0.406];
+const IMAGENET_STD = [0.229, 0.224, 0.225];
+
+/** 推理会话 key 计数，同一模型的多个实例各自持有会话 */
+let sessionCount = 0;
+
+/**
+ * 通用 ONNX 深度估计器
+ * 要求模型单输入 [1, 3, H, W]，首个输出为 H×W 的深度
+ * @class
+ * @extends DepthProvider
+ */
+export class OnnxDepthEstimator extends DepthProvider {
+  /**
+   * @param {object} options
+   * @param {ArrayBuffer|Uint8Array|string} options.model - 模型数据或 URL
+   * @param {number} [options.inputSize=518] - 输入边长
+   * @param {string} [options.kind=OnnxDepthKind.DISPARITY]
+   * @param {string} [options.normalization=OnnxNormalization.IMAGENET]
+   */
+  constructor(options) {
+    super();
+    const {
+      model,
+      inputSize = 518,
+      kind = OnnxDepthKind.DISPARITY,
+      normalization = OnnxNormalization.IMAGENET,
+    } = options;
+
+    /** @private */
+    this._model = model instanceof ArrayBuffer ? new Uint8Array(model) : model;
+    /** @private */
+    this._inputSize = inputSize;
+    /** @private */
+    this._kind = kind;
+    /** @private */
+    this._normalization = normalization;
+    /** @private */
+    this._key = `onnx-depth-${++sessionCount}`;
+    /** @private {{inputNames: string[], outputNames: string[]}|null} */
+    this._session = null;
+    /** @private */
+    this._canvas = document.createElement('canvas');
+    this._ctx = this._canvas.getContext('2d', { willReadFrequently: true });
+  }
+
+  async init() {
+    // 注册表中的模型数据被多个实例共享，复制而非转移
+    this._session = await inferenceQueue.loadModel(this._key, this._model);
+    console.log(`✅ 自定义深度模型加载完成 (输入: ${this._session.inputNames.join(', ')})`);
+  }
+
+  isReady() {
+    return this._session !== null;
+  }
+
+  getInputSize() {
+    return this._inputSize;
+  }
+
+  getOutputType() {
+    return this._kind === OnnxDepthKind.METRIC ? DepthOutput.METRIC : DepthOutput.RELATIVE;
+  }
+
+  /**
+   * @param {HTMLImageElement|HTMLCanvasElement} input
+   * @param {object} [options] - { signal, onProgress }，见 DepthProvider.estimate
+   * @returns {Promise<DepthResult>}
+   */
+  async estimate(input, options = {}) {
+    if (!this.isReady()) throw new Error('OnnxDepthEstimator 未初始化');
+
+    const size = this._inputSize;
+    const { inputNames, outputNames } = this._session;
+    const results = await inferenceQueue.run(
+      this._key,
+      { [inputNames[0]]: this._toImageFeed(input) },
+      { label: '自定义深度模型', ...options }
+    );
+    const output = results[outputNames[0]];
+    // 输出尺寸以张量形状为准（[..., H, W]），可能与输入不同（步长、非方形）
+    const dims = output.dims || [];
+    const height = dims.length >= 2 ? dims[dims.length - 2] : size;
+    const width = dims.length >= 2 ? dims[dims.length - 1] : size;
+    if (output.data.length !== width * height) {
+      throw new Error(
+        `自定义深度模型输出形状 [${dims.join(', ')}] 不是单通道深度图（${output.data.length} 个值）`
+      );
+    }
+
+    const { data, min, max } = DepthProvider.normalize(
+      output.data,
+      this._kind === OnnxDepthKind.DISPARITY
+    );
+    const metric = this._kind === OnnxDepthKind.METRIC;
+    return {
+      data,
+      width,
+      height,
+      output: this.getOutputType(),
+      range: metric ? [max, min] : null,
+      confidence: DepthProvider.gradientConfidence(data, width, height),
+    };
+  }
+
+  /**
+   * 缩放到输入尺寸，归一化在 Worker 中完成
+   * @private
+   * @returns {ImageFeed}
+   */
+  _toImageFeed(input) {
+    const size = this._inputSize;
+    this._canvas.width = size;
+    this._canvas.height = size;
+    this._ctx.drawImage(input, 0, 0, size, size);
+    const { data } = this._ctx.getImageData(0, 0, size, size);
+
+    const imagenet = this._normalization === OnnxNormalization.IMAGENET;
+    return {
+      pixels: data,
+      width: size,
+      height: size,
+      mean: imagenet ? IMAGENET_MEAN : undefined,
+      std: imagenet ? IMAGENET_STD : undefined,
+    };
+  }
+
+  dispose() {
+    if (this._session) inferenceQueue.releaseModel(this._key);
+    this._session = null;
+  }
+}
+
+export default OnnxDepthEstimator;
@@ -3,7 +3,7 @@
  * @module core/AIEngine/SceneAnalyzer
  */
 
-import * as ort from 'onnxruntime-web';
+import { inferenceQueue } from './InferenceQueue.js';
 
 /**
  * 检测到的物体的数据结构
@@ -11,7 +11,8 @@ import * as ort from 'onnxruntime-web';
  * @property {string} label - 类别标签
  * @property {number} confidence - 置信度 (0-1)
  * @property {number[]} bbox - 边界框 [x, y, width, height]
- * @property {number} [mask] - 分割掩码索引 (如果模型支持)
+ * @property {{data: Uint8Array, width: number, height: number}} [mask]
+ *   实例分割 alpha 掩码 (0-255，与输入图像同尺寸，仅 YOLO-seg 模型)
  */
 
 /**
@@ -100,14 +101,26 @@ const COCO_LABELS = [
   'toothbrush',
 ];
 
+/** @constant {number} COCO 类别数 */
+const NUM_CLASSES = 80;
+
 /**
  * 场景分析器
+ * 支持检测模型 (输出 [1, 84, 8400]) 与实例分割模型 YOLOv8-seg
+ * (输出 [1, 116, 8400] 含 32 个掩码系数 + 原型掩码 [1, 32, 160, 160])
  * @class
  */
 export class SceneAnalyzer {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {ModelDownloader} [options.downloader] - 提供时 loadModel 可传入已登记的模型 ID，经由缓存加载
+   */
+  constructor(options = {}) {
     /** @private */
-    this._session = null;
+    this._downloader = options.downloader || null;
+
+    /** @private {string[]} 模型输出名（检测输出在前，分割模型另有原型掩码） */
+    this._outputNames = [];
 
     /** @private */
     this._modelPath = null;
@@ -121,7 +134,7 @@ export class SceneAnalyzer {
 
   /**
    * 加载模型
-   * @param {string} modelPath - ONNX 模型路径
+   * @param {string} modelPath - ONNX 模型路径或 ModelDownloader 登记的模型 ID
    * @returns {Promise<boolean>}
    */
   async loadModel(modelPath = './models/yolov8n.onnx') {
@@ -137,8 +150,16 @@ export class SceneAnalyzer {
       };
 
       console.log('🧠 正在加载场景分析模型 (YOLO)...');
-      this._session = await ort.InferenceSession.create(modelPath, options);
-
+      const model = this._downloader?.has(modelPath)
+        ? await this._downloader.download(modelPath)
+        : modelPath;
+      const { outputNames } = await inferenceQueue.loadModel(modelPath, model, {
+        transfer: true,
+        session: options,
+      });
+
+      if (this._modelPath) inferenceQueue.releaseModel(this._modelPath);
+      this._outputNames = outputNames;
       this._modelPath = modelPath;
       this.isLoaded = true;
       console.log('✅ 场景分析模型加载完成');
@@ -154,6 +175,8 @@ export class SceneAnalyzer {
    * 分析图像
    * @param {HTMLImageElement|HTMLCanvasElement} image - 输入图像
    * @param {object} options - 选项
+   * @param {AbortSignal} [options.signal] - 取消时以 AbortError 拒绝
+   * @param {function(JobProgress): void} [options.onProgress]
    * @returns {Promise<DetectedObject[]>}
    */
   async analyze(image, options = {}) {
@@ -161,19 +184,28 @@ export class SceneAnalyzer {
       throw new Error('模型未加载');
     }
 
-    const { confidenceThreshold = 0.25, iouThreshold = 0.45 } = options;
+    const {
+      confidenceThreshold = 0.25,
+      iouThreshold = 0.45,
+      masks = true,
+      signal,
+      onProgress,
+    } = options;
 
     try {
       // 1. 预处理
-      const { tensor, scale, padding } = await this._preprocess(image);
+      const { feed, scale, padding } = this._preprocess(image);
 
-      // 2. 推理
-      const feeds = { images: tensor };
-      const results = await this._session.run(feeds);
+      // 2. 在 Worker 中推理
+      const results = await inferenceQueue.run(
+        this._modelPath,
+        { images: feed },
+        { label: '场景分析', signal, onProgress }
+      );
 
       // 3. 后处理 (YOLOv8 输出通常是 [1, 84, 8400])
-      // 84 = 4 (bbox) + 80 (classes)
-      const output = results[Object.keys(results)[0]];
+      // 84 = 4 (bbox) + 80 (classes)；分割模型额外有掩码系数与原型掩码输出
+      const [output, prototypes] = this._outputNames.map((name) => results[name]);
       const detections = this._postprocess(
         output,
         scale,
@@ -181,20 +213,25 @@ export class SceneAnalyzer {
         confidenceThreshold,
         iouThreshold
       );
+      if (masks && prototypes) {
+        this._decodeMasks(detections, prototypes, scale, padding, image.width, image.height);
+      }
+      detections.forEach((detection) => delete detection.maskCoefficients);
 
       console.log(`🔍 检测到 ${detections.length} 个物体`);
       return detections;
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error('场景分析失败:', error);
       return [];
     }
   }
 
   /**
-   * 预处理图像
+   * 预处理图像：缩放填充到模型输入尺寸，归一化在 Worker 中完成
    * @private
    */
-  async _preprocess(image) {
+  _preprocess(image) {
     const [w, h] = this._inputSize;
 
     // 创建画布进行缩放和填充
@@ -216,24 +253,11 @@ export class SceneAnalyzer {
     ctx.fillRect(0, 0, w, h);
     ctx.drawImage(image, 0, 0, image.width, image.height, tx, ty, nw, nh);
 
-    // 获取图像数据
-    const imageData = ctx.getImageData(0, 0, w, h);
-    const { data } = imageData;
-
-    // 转换为张量 [1, 3, 640, 640]
-    const float32Data = new Float32Array(3 * w * h);
-
-    for (let i = 0; i < w * h; i++) {
-      // 归一化到 [0, 1]
-      float32Data[i] = data[i * 4] / 255.0; // R
-      float32Data[i + w * h] = data[i * 4 + 1] / 255.0; // G
-      float32Data[i + 2 * w * h] = data[i * 4 + 2] / 255.0; // B
-    }
-
-    const tensor = new ort.Tensor('float32', float32Data, [1, 3, h, w]);
+    // 获取图像数据（归一化到 [0, 1]）
+    const { data } = ctx.getImageData(0, 0, w, h);
 
     return {
-      tensor,
+      feed: { pixels: data, width: w, height: h },
       scale,
       padding: { x: tx, y: ty },
     };
@@ -246,7 +270,8 @@ export class SceneAnalyzer {
   _postprocess(output, scale, padding, confThresh, iouThresh) {
     const boxes = [];
     const data = output.data;
-    const [, , anchors] = output.dims; // [1, 84, 8400]
+    const [, channels, anchors] = output.dims; // [1, 84, 8400]
+    const maskDim = channels - 4 - NUM_CLASSES;
 
     // 转置数据以便遍历：从 [84, 8400] 逻辑上看每个锚点
     // output.data 是平铺的一维数组
@@ -257,7 +282,7 @@ export class SceneAnalyzer {
       let maxClass = -1;
 
       // 类别分数从索引 4 开始 (0-3 是 bbox)
-      for (let c = 0; c < 80; c++) {
+      for (let c = 0; c < NUM_CLASSES; c++) {
         const score = data[(4 + c) * anchors + i];
         if (score > maxScore) {
           maxScore = score;
@@ -282,12 +307,19 @@ export class SceneAnalyzer {
         const width = w / scale;
         const height = h / scale;
 
-        boxes.push({
+        const box = {
           label: COCO_LABELS[maxClass],
           confidence: maxScore,
           bbox: [x, y, width, height],
           classId: maxClass,
-        });
+        };
+        if (maskDim > 0) {
+          box.maskCoefficients = new Float32Array(maskDim);
+          for (let k = 0; k < maskDim; k++) {
+            box.maskCoefficients[k] = data[(4 + NUM_CLASSES + k) * anchors + i];
+          }
+        }
+        boxes.push(box);
       }
     }
 
@@ -295,6 +327,63 @@ export class SceneAnalyzer {
     return this._nms(boxes, iouThresh);
   }
 
+  /**
+   * 解码实例分割掩码：掩码系数 × 原型掩码 → sigmoid，映射回原图并裁剪到边界框
+   * @private
+   * @param {DetectedObject[]} detections - NMS 之后的检测结果（就地写入 mask）
+   * @param {{data: Float32Array, dims: number[]}} prototypes - [1, 32, mh, mw]
+   * @param {number} scale - 预处理缩放
+   * @param {{x: number, y: number}} padding - 预处理填充
+   * @param {number} width - 原图宽度
+   * @param {number} height - 原图高度
+   */
+  _decodeMasks(detections, prototypes, scale, padding, width, height) {
+    const [, maskDim, mh, mw] = prototypes.dims;
+    const protoData = prototypes.data;
+    const stepX = mw / this._inputSize[0];
+    const stepY = mh / this._inputSize[1];
+
+    for (const detection of detections) {
+      const coefficients = detection.maskCoefficients;
+      if (!coefficients) continue;
+
+      // 原型分辨率下的 logits
+      const logits = new Float32Array(mw * mh);
+      for (let k = 0; k < maskDim; k++) {
+        const c = coefficients[k];
+        const offset = k * mw * mh;
+        for (let p = 0; p < logits.length; p++) logits[p] += c * protoData[offset + p];
+      }
+
+      const data = new Uint8Array(width * height);
+      const [bx, by, bw, bh] = detection.bbox;
+      const x0 = Math.max(0, Math.floor(bx));
+      const y0 = Math.max(0, Math.floor(by));
+      const x1 = Math.min(width, Math.ceil(bx + bw));
+      const y1 = Math.min(height, Math.ceil(by + bh));
+
+      for (let y = y0; y < y1; y++) {
+        // 原图像素中心 → 模型输入坐标 → 原型坐标
+        const py = Math.max(0, Math.min(mh - 1, ((y + 0.5) * scale + padding.y) * stepY - 0.5));
+        const py0 = Math.floor(py);
+        const py1 = Math.min(mh - 1, py0 + 1);
+        const fy = py - py0;
+        for (let x = x0; x < x1; x++) {
+          const px = Math.max(0, Math.min(mw - 1, ((x + 0.5) * scale + padding.x) * stepX - 0.5));
+          const px0 = Math.floor(px);
+          const px1 = Math.min(mw - 1, px0 + 1);
+          const fx = px - px0;
+          const top = logits[py0 * mw + px0] * (1 - fx) + logits[py0 * mw + px1] * fx;
+          const bottom = logits[py1 * mw + px0] * (1 - fx) + logits[py1 * mw + px1] * fx;
+          const logit = top * (1 - fy) + bottom * fy;
+          data[y * width + x] = Math.round(255 / (1 + Math.exp(-logit)));
+        }
+      }
+
+      detection.mask = { data, width, height };
+    }
+  }
+
   /**
    * 非极大值抑制 (NMS)
    * @private
@@ -356,8 +445,9 @@ export class SceneAnalyzer {
    * 销毁
    */
   dispose() {
-    // ONNX Runtime 似乎不需要显式销毁 Session，但可以置空
-    this._session = null;
+    if (this._modelPath) inferenceQueue.releaseModel(this._modelPath);
+    this._modelPath = null;
+    this._outputNames = [];
     this.isLoaded = false;
     console.log('🗑️ SceneAnalyzer 已销毁');
   }
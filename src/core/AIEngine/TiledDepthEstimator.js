@@ -0,0 +1,314 @@
+/**
+ * @fileoverview 分块高精度深度估计 - 全分辨率重叠分块 + 全局低分辨率对齐
+ * @module core/AIEngine/TiledDepthEstimator
+ */
+
+import { DepthProvider } from './DepthProvider.js';
+import { resampleBilinear } from '../../modules/EnhancementSystem/DepthRefiner.js';
+
+/** @constant {number} 分块数上限，超出时增大分块 */
+const MAX_TILES = 24;
+
+/** @constant {number} 分块方差低于该值时视为平坦区域，直接使用全局结果 */
+const MIN_TILE_VARIANCE = 1e-6;
+
+/**
+ * 分块区域（输出深度图像素坐标）
+ * @typedef {object} DepthTile
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * 分块深度估计器
+ * 先对整幅图像做一次全局估计，再在原图上按重叠分块逐块估计；
+ * 每块的相对深度以最小二乘对齐到全局结果（缩放 + 平移），重叠区按距块边缘的距离羽化融合。
+ * 不持有后端的生命周期：init / dispose 由调用方对原后端执行
+ * @class
+ * @extends DepthProvider
+ */
+export class TiledDepthEstimator extends DepthProvider {
+  /**
+   * @param {DepthProvider} provider - 已初始化的后端
+   * @param {object} [options]
+   * @param {number} [options.tileSize] - 分块边长（输出像素），默认为后端输入尺寸
+   * @param {number} [options.overlap=0.25] - 相邻分块重叠比例
+   * @param {number} [options.maxTiles=24]
+   */
+  constructor(provider, options = {}) {
+    super();
+    const {
+      tileSize = provider.getInputSize() || 518,
+      overlap = 0.25,
+      maxTiles = MAX_TILES,
+    } = options;
+
+    /** @private */
+    this._provider = provider;
+    /** @private */
+    this._tileSize = tileSize;
+    /** @private */
+    this._overlap = overlap;
+    /** @private */
+    this._maxTiles = maxTiles;
+
+    /** @private */
+    this._canvas = document.createElement('canvas');
+    this._ctx = this._canvas.getContext('2d');
+  }
+
+  isReady() {
+    return this._provider.isReady();
+  }
+
+  getOutputType() {
+    return this._provider.getOutputType();
+  }
+
+  /**
+   * 估计深度
+   * @param {HTMLImageElement|HTMLCanvasElement} input - 全分辨率图像
+   * @param {object} [options]
+   * @param {number} [options.width] - 输出宽度，默认为图像宽度
+   * @param {number} [options.height] - 输出高度
+   * @param {AbortSignal} [options.signal]
+   * @param {function(JobProgress): void} [options.onProgress]
+   * @returns {Promise<DepthResult>}
+   */
+  async estimate(input, options = {}) {
+    const sourceWidth = input.naturalWidth || input.width;
+    const sourceHeight = input.naturalHeight || input.height;
+    const { width = sourceWidth, height = sourceHeight, signal, onProgress } = options;
+
+    const tiles = this.layout(width, height);
+    const global = await this._provider.estimate(input, {
+      signal,
+      onProgress,
+      label: '高精度深度 (全局)',
+    });
+    const reference = resampleBilinear(global.data, global.width, global.height, width, height);
+
+    let data = reference;
+    if (tiles.length > 1) {
+      const blender = new TileBlender(reference, width, height, this._feather(tiles));
+      for (let i = 0; i < tiles.length; i++) {
+        signal?.throwIfAborted();
+        const tile = tiles[i];
+        const crop = this._crop(input, tile, sourceWidth / width, sourceHeight / height);
+        const result = await this._provider.estimate(crop, {
+          signal,
+          onProgress,
+          label: `高精度深度 (${i + 1}/${tiles.length})`,
+        });
+        blender.add(
+          tile,
+          resampleBilinear(result.data, result.width, result.height, tile.width, tile.height)
+        );
+      }
+      data = blender.finish();
+    }
+
+    return {
+      data,
+      width,
+      height,
+      output: global.output,
+      range: global.range,
+      confidence: DepthProvider.gradientConfidence(data, width, height),
+    };
+  }
+
+  /**
+   * 计算分块布局，分块过多时按比例增大分块
+   * @param {number} width
+   * @param {number} height
+   * @returns {DepthTile[]}
+   */
+  layout(width, height) {
+    let size = this._tileSize;
+    let tiles = computeTiles(width, height, size, this._overlap);
+    while (tiles.length > this._maxTiles) {
+      size = Math.ceil(size * 1.25);
+      tiles = computeTiles(width, height, size, this._overlap);
+    }
+    return tiles;
+  }
+
+  /**
+   * 羽化宽度：分块重叠宽度
+   * @private
+   */
+  _feather(tiles) {
+    const size = Math.max(tiles[0].width, tiles[0].height);
+    return Math.max(1, Math.round(size * this._overlap));
+  }
+
+  /**
+   * 从原图裁出分块对应区域（至多缩小到后端输入尺寸的两倍，由后端再缩放）
+   * @private
+   * @returns {HTMLCanvasElement}
+   */
+  _crop(input, tile, scaleX, scaleY) {
+    const sx = tile.x * scaleX;
+    const sy = tile.y * scaleY;
+    const sw = tile.width * scaleX;
+    const sh = tile.height * scaleY;
+    const limit = (this._provider.getInputSize() || this._tileSize) * 2;
+    const fit = Math.min(1, limit / Math.max(sw, sh));
+
+    this._canvas.width = Math.max(1, Math.round(sw * fit));
+    this._canvas.height = Math.max(1, Math.round(sh * fit));
+    this._ctx.imageSmoothingQuality = 'high';
+    this._ctx.drawImage(input, sx, sy, sw, sh, 0, 0, this._canvas.width, this._canvas.height);
+    return this._canvas;
+  }
+}
+
+/**
+ * 重叠分块布局：每个方向均匀分布，重叠不小于 overlap
+ * @param {number} width
+ * @param {number} height
+ * @param {number} tileSize
+ * @param {number} overlap - 0-1
+ * @returns {DepthTile[]}
+ */
+export function computeTiles(width, height, tileSize, overlap) {
+  const stride = Math.max(1, tileSize * (1 - overlap));
+  const xs = axisStarts(width, tileSize, stride);
+  const ys = axisStarts(height, tileSize, stride);
+  const tiles = [];
+  for (const y of ys) {
+    for (const x of xs) {
+      tiles.push({ x, y, width: Math.min(tileSize, width), height: Math.min(tileSize, height) });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * @returns {number[]}
+ */
+function axisStarts(length, size, stride) {
+  if (length <= size) return [0];
+  const count = Math.ceil((length - size) / stride) + 1;
+  return Array.from({ length: count }, (_, i) => Math.round((i * (length - size)) / (count - 1)));
+}
+
+/**
+ * 最小二乘求 scale、shift 使 depth * scale + shift 逼近 reference
+ * @param {ArrayLike<number>} depth
+ * @param {ArrayLike<number>} reference
+ * @returns {{scale: number, shift: number}|null} 分块平坦或与全局结果反相关时返回 null
+ */
+export function fitScaleShift(depth, reference) {
+  const n = depth.length;
+  let sumD = 0;
+  let sumR = 0;
+  for (let i = 0; i < n; i++) {
+    sumD += depth[i];
+    sumR += reference[i];
+  }
+  const meanD = sumD / n;
+  const meanR = sumR / n;
+
+  let covariance = 0;
+  let variance = 0;
+  for (let i = 0; i < n; i++) {
+    const d = depth[i] - meanD;
+    covariance += d * (reference[i] - meanR);
+    variance += d * d;
+  }
+  variance /= n;
+  covariance /= n;
+  if (variance < MIN_TILE_VARIANCE || covariance <= 0) return null;
+
+  const scale = covariance / variance;
+  return { scale, shift: meanR - scale * meanD };
+}
+
+/**
+ * 分块融合：对齐到全局结果后按羽化权重累加，未被任何分块覆盖的像素保留全局结果
+ * @class
+ */
+export class TileBlender {
+  /**
+   * @param {Float32Array} reference - 全局深度（输出尺寸）
+   * @param {number} width
+   * @param {number} height
+   * @param {number} feather - 羽化宽度（像素）
+   */
+  constructor(reference, width, height, feather) {
+    this.reference = reference;
+    this.width = width;
+    this.height = height;
+    this.feather = feather;
+    /** @private */
+    this._sum = new Float32Array(width * height);
+    /** @private */
+    this._weight = new Float32Array(width * height);
+  }
+
+  /**
+   * @param {DepthTile} tile
+   * @param {Float32Array} depth - 分块尺寸的深度
+   * @returns {boolean} 分块无法对齐时返回 false（不参与融合）
+   */
+  add(tile, depth) {
+    const { x: tx, y: ty, width: tw, height: th } = tile;
+    const reference = new Float32Array(tw * th);
+    for (let y = 0; y < th; y++) {
+      const start = (ty + y) * this.width + tx;
+      reference.set(this.reference.subarray(start, start + tw), y * tw);
+    }
+    const fit = fitScaleShift(depth, reference);
+    if (!fit) return false;
+
+    // 图像边界一侧无需羽化
+    const left = tx > 0;
+    const top = ty > 0;
+    const right = tx + tw < this.width;
+    const bottom = ty + th < this.height;
+    for (let y = 0; y < th; y++) {
+      let wy = 1;
+      if (top) wy = Math.min(wy, ramp(y + 0.5, this.feather));
+      if (bottom) wy = Math.min(wy, ramp(th - y - 0.5, this.feather));
+      for (let x = 0; x < tw; x++) {
+        let w = wy;
+        if (left) w = Math.min(w, ramp(x + 0.5, this.feather));
+        if (right) w = Math.min(w, ramp(tw - x - 0.5, this.feather));
+        if (w <= 0) continue;
+        const i = (ty + y) * this.width + tx + x;
+        this._sum[i] += (depth[y * tw + x] * fit.scale + fit.shift) * w;
+        this._weight[i] += w;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * @returns {Float32Array} 融合结果，限制在 0-1
+   */
+  finish() {
+    const result = new Float32Array(this.width * this.height);
+    for (let i = 0; i < result.length; i++) {
+      const w = this._weight[i];
+      // 权重不足 1 的部分以全局结果补足
+      const value = w >= 1 ? this._sum[i] / w : this._sum[i] + (1 - w) * this.reference[i];
+      result[i] = Math.max(0, Math.min(1, value));
+    }
+    return result;
+  }
+}
+
+/**
+ * 羽化权重：距边缘 distance 处的 smoothstep
+ * @returns {number}
+ */
+function ramp(distance, feather) {
+  const t = Math.min(1, distance / feather);
+  return t * t * (3 - 2 * t);
+}
+
+export default TiledDepthEstimator;
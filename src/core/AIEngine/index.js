@@ -8,3 +8,14 @@ export { DepthEstimator } from './DepthEstimator.js';
 export { DepthAnythingEstimator } from './DepthAnythingEstimator.js';
 export { SceneAnalyzer } from './SceneAnalyzer.js';
 export { ModelDownloader } from './ModelDownloader.js';
+export { InferenceQueue, inferenceQueue, JobStage } from './InferenceQueue.js';
+export { DepthProvider, DepthOutput } from './DepthProvider.js';
+export { HeuristicDepthEstimator } from './HeuristicDepthEstimator.js';
+export { TiledDepthEstimator } from './TiledDepthEstimator.js';
+export { OnnxDepthEstimator, OnnxDepthKind, OnnxNormalization } from './OnnxDepthEstimator.js';
+export {
+  DepthProviderRegistry,
+  depthProviderRegistry,
+  DEFAULT_DEPTH_PROVIDER,
+  FALLBACK_DEPTH_PROVIDER,
+} from './DepthProviderRegistry.js';
@@ -3,27 +3,117 @@
  * @module core/App
  */
 
+import * as THREE from 'three';
 import { resourceManager } from './ResourceManager.js';
 
-import { SceneManager } from './Renderer/SceneManager.js';
+import { SceneManager, ControlMode } from './Renderer/SceneManager.js';
 import { GaussianRenderer } from './Renderer/GaussianRenderer.js';
 import { ImageProcessor } from '../modules/InputSystem/ImageProcessor.js';
-import { MeshGenerator } from '../modules/GeometrySystem/MeshGenerator.js';
+import {
+  MeshGenerator,
+  EdgeMode,
+  DisplacementMode,
+} from '../modules/GeometrySystem/MeshGenerator.js';
+import { DepthSequence } from '../modules/GeometrySystem/DepthSequence.js';
+import { DepthMeshBaker } from '../modules/GeometrySystem/DepthMeshBaker.js';
+import { DepthLayerBuilder } from '../modules/GeometrySystem/DepthLayerBuilder.js';
+import { DepthRegionLocator } from '../modules/GeometrySystem/DepthRegionLocator.js';
+import { ObjectDepthEditor } from '../modules/GeometrySystem/ObjectDepthEditor.js';
+import { DepthBrush, BrushMode } from '../modules/GeometrySystem/DepthBrush.js';
+import { PointCloud } from '../modules/GeometrySystem/PointCloud.js';
+import { VideoProcessor } from '../modules/InputSystem/VideoProcessor.js';
+import { DepthMapIO, DepthFileFormat, isDepthMapFile } from '../modules/InputSystem/DepthMapIO.js';
+import { PanoramaDetector } from '../modules/InputSystem/PanoramaDetector.js';
+import { TemporalDepthStabilizer } from '../modules/EnhancementSystem/TemporalDepthStabilizer.js';
+import {
+  DepthRefiner,
+  UpsampleMethod,
+  resampleBilinear,
+} from '../modules/EnhancementSystem/DepthRefiner.js';
 import { ProjectionManager } from '../modules/ProjectionSystem/ProjectionManager.js';
+import { projectorRegistry } from '../modules/ProjectionSystem/ProjectorRegistry.js';
 import { RenderingPipeline } from './Renderer/RenderingPipeline.js';
+import { OfflineRenderer } from './Renderer/OfflineRenderer.js';
 import { CameraAnimator, AnimationType } from '../modules/CameraSystem/CameraAnimator.js';
-import { MediaExporter } from './Utils/MediaExporter.js';
-import { StereoRenderer } from '../modules/Effects3D/stereo/StereoRenderer.js';
+import { MediaExporter, ExportFormat } from './Utils/MediaExporter.js';
+import { MeshExporter, MeshExportFormat } from './Utils/MeshExporter.js';
+import { StereoImageEncoder } from './Utils/StereoImageEncoder.js';
+import {
+  StereoRenderer,
+  StereoMode,
+  StereoParity,
+} from '../modules/Effects3D/stereo/StereoRenderer.js';
+import { ParallaxManager } from '../modules/Effects3D/stereo/ParallaxManager.js';
 import { ParticleSystem } from '../modules/AtmosphereSystem/ParticleSystem.js';
 import { SkyController } from '../modules/AtmosphereSystem/SkyController.js';
 import { LightingManager } from '../modules/AtmosphereSystem/LightingManager.js';
 import { QualityManager, QualityProfile } from './Renderer/QualityManager.js';
-import { DepthAnythingEstimator } from './AIEngine/DepthAnythingEstimator.js';
+import { HeuristicDepthEstimator } from './AIEngine/HeuristicDepthEstimator.js';
+import { TiledDepthEstimator } from './AIEngine/TiledDepthEstimator.js';
+import {
+  depthProviderRegistry,
+  DEFAULT_DEPTH_PROVIDER,
+  FALLBACK_DEPTH_PROVIDER,
+} from './AIEngine/DepthProviderRegistry.js';
+import { ModelDownloader } from './AIEngine/ModelDownloader.js';
+import { inferenceQueue, JobStage } from './AIEngine/InferenceQueue.js';
 import { CameraPath } from '../modules/CameraSystem/CameraPath.js';
 import { inputManager } from '../modules/InputSystem/InputManager.js';
+import { ProjectSerializer, PROJECT_EXTENSION } from './Project/ProjectSerializer.js';
+import { CommandHistory } from './History/CommandHistory.js';
 import Logger from '../utils/Logger.js';
 import moduleManager from './ModuleManager.js';
 
+/** @constant {number} 图像处理最大边长 */
+const MAX_PROCESSING_SIZE = 1024;
+
+/** @constant {number} 高精度深度模式下的图像处理最大边长 */
+const HIGH_DETAIL_PROCESSING_SIZE = 2048;
+
+/**
+ * 视频转 3D 处理参数（逐帧深度估计开销大，帧尺寸与帧数需受限）
+ * @constant {{fps: number, maxFrames: number, maxSize: number}}
+ */
+const VIDEO_PROCESSING = { fps: 12, maxFrames: 120, maxSize: 512 };
+
+/**
+ * GIF 导出参数（GIF 体积大，帧率与宽度需受限）
+ * @constant {{fps: number, maxWidth: number}}
+ */
+const GIF_EXPORT = { fps: 15, maxWidth: 640 };
+
+/** @constant {number} 实时录制视频帧率 */
+const VIDEO_RECORDING_FPS = 30;
+
+/** @constant {number} 离线渲染使用的固定随机种子 */
+const OFFLINE_SEED = 0x1a3d;
+
+/** @constant {string[]} 场景分析模型 (ModelDownloader 登记 ID)，优先使用可输出物体掩码的实例分割模型 */
+const SCENE_ANALYSIS_MODELS = ['yolov8n-seg', 'yolov8n'];
+
+/** @constant {string} 深度估计后端的本地存储键 */
+const DEPTH_PROVIDER_KEY = 'immersa3d-depth-provider';
+
+/** @constant {string} 高精度（分块）深度开关的本地存储键 */
+const HIGH_DETAIL_DEPTH_KEY = 'immersa3d-high-detail-depth';
+
+/** @constant {Object<string, string>} AI 推理任务阶段的状态栏文字 */
+const INFERENCE_STAGE_LABELS = {
+  [JobStage.QUEUED]: '排队中',
+  [JobStage.PREPROCESS]: '预处理',
+  [JobStage.INFERENCE]: '推理中',
+  [JobStage.POSTPROCESS]: '解码结果',
+};
+
+/** @constant {string[]} 从球心环视的全景投影模式 */
+const PANORAMA_MODES = ['equirectangular', 'cubemap'];
+
+/** @constant {number} 全景深度位移开启时相机可离开球心的距离（球半径为 2） */
+const PANORAMA_MAX_OFFSET = 0.5;
+
+const _raycaster = new THREE.Raycaster();
+const _pointer = new THREE.Vector2();
+
 /**
  * 应用程序主类
  * 负责协调所有核心模块，管理应用程序生命周期
@@ -63,10 +153,20 @@ export class App {
     this.imageProcessor = null;
     /** @type {MeshGenerator|null} */
     this.meshGenerator = null;
+    /** @type {DepthMeshBaker|null} */
+    this.depthMeshBaker = null;
+    /** @type {DepthMapIO|null} */
+    this.depthMapIO = null;
+    /** @type {PanoramaDetector|null} */
+    this.panoramaDetector = null;
+    /** @type {DepthLayerBuilder|null} */
+    this.depthLayerBuilder = null;
     /** @type {THREE.Object3D|null} */
     this.currentMesh = null;
     /** @type {number} */
     this.depthScale = 1.0;
+    /** 深度断层边缘处理（撕裂/淡出拉伸三角形） */
+    this.edgeMask = { mode: EdgeMode.OFF, threshold: 0.05 };
     /** @type {ProjectionManager|null} */
     this.projectionManager = null;
     /** @type {RenderingPipeline|null} */
@@ -75,8 +175,12 @@ export class App {
     this.cameraAnimator = null;
     /** @type {MediaExporter|null} */
     this.mediaExporter = null;
+    /** @type {OfflineRenderer|null} */
+    this.offlineRenderer = null;
     /** @type {StereoRenderer|null} */
     this.stereoRenderer = null;
+    /** @type {ParallaxManager|null} 立体静帧导出的离轴投影相机 */
+    this.parallaxManager = null;
     /** @type {ParticleSystem|null} */
     this.particleSystem = null;
     /** @type {SkyController|null} */
@@ -85,17 +189,103 @@ export class App {
     this.lightingManager = null;
     /** @type {CameraPath|null} */
     this.cameraPath = null;
-    /** @type {DepthAnythingEstimator|null} */
+    /** @type {DepthProvider|null} 当前深度估计后端 */
     this.depthEstimator = null;
+    /** @type {ModelDownloader|null} 模型下载与 IndexedDB 缓存 */
+    this.modelDownloader = null;
+    /** @type {string} 深度估计后端 ID（见 depthProviderRegistry） */
+    this.depthProviderId = this._loadDepthProvider();
+    /** @type {boolean} 高精度深度：在原图上分块估计并与全局结果融合 */
+    this.highDetailDepth = this._loadHighDetailDepth();
+    /** @private 模型不可用时的降级估计 */
+    this._heuristicDepth = new HeuristicDepthEstimator();
+    /** @private {Map<string, Float32Array>} 对比结果（已缩放到处理尺寸） */
+    this._depthComparison = new Map();
+    /** @type {SceneAnalyzer|null} 按需加载 */
+    this.sceneAnalyzer = null;
+    /**
+     * 场景分析检测到的物体（bbox 为像素坐标，rect/center 为归一化图像坐标）
+     * mask 仅实例分割模型提供，edit 为该物体的深度编辑
+     * @type {Array<{label: string, confidence: number, bbox: number[], rect: number[], center: number[], depth: number, mask: object|null, edit: {offset: number, flatten: number, extrude: boolean}}>}
+     */
+    this.sceneObjects = [];
+    /** @type {number} 当前对焦物体索引 */
+    this.focusedObject = -1;
+    /** @private */
+    this._regionLocator = new DepthRegionLocator();
+    /** @private */
+    this._objectDepthEditor = new ObjectDepthEditor();
+    /** @private 物体深度编辑前的原始深度 */
+    this._objectDepthBase = null;
+    /** @private */
+    this._objectDepthTimer = null;
+    /** @type {string} 当前视口工具 */
+    this.activeTool = 'select';
+    /** @type {DepthBrush} 深度画笔（工具栏 brush） */
+    this.depthBrush = new DepthBrush();
     /** @type {GaussianRenderer|null} */
     this.gaussianRenderer = null;
     /** @type {QualityManager|null} */
     this.qualityManager = null;
+    /** @type {VideoProcessor|null} */
+    this.videoProcessor = null;
+    /** @type {DepthSequence|null} 当前视频深度序列 */
+    this.depthSequence = null;
+    /** 视频时域深度稳定参数 */
+    this.videoDepthOptions = { alignment: true, smoothing: 0.5 };
+    /** @private 丢弃过期的稳定结果 */
+    this._stabilizeToken = 0;
+    /** @private */
+    this._restabilizeTimer = null;
+    /** 分层深度参数 */
+    this.depthLayerOptions = { enabled: false, count: 3, threshold: 0.1 };
+    /** @type {THREE.Group|null} 分层深度网格（启用时替代 currentMesh 显示） */
+    this.depthLayers = null;
+    /** @private 每层独立的投影变形 */
+    this._layerProjections = [];
+    /** @private 丢弃过期的分层结果 */
+    this._depthLayerToken = 0;
+    /** @private */
+    this._depthLayerTimer = null;
+    /** 深度后处理参数：上采样方法、空洞填补、中值去噪与深度曲线 */
+    this.depthRefineOptions = {
+      upsample: UpsampleMethod.GUIDED,
+      fillHoles: true,
+      medianRadius: 0,
+      low: 0,
+      high: 1,
+      gamma: 1,
+    };
+    /** @private */
+    this._depthRefineTimer = null;
+    /** @type {PanoramaInfo|null} 当前输入的全景信息，非全景为 null */
+    this.panorama = null;
+    /** 全景深度位移：开启后按深度径向收缩球面，可在球内小范围移动 */
+    this.panoramaDepth = false;
+    /** @private {string|null} 因全景输入自动切换前的投影模式 */
+    this._modeBeforePanorama = null;
 
     this.useAIDepth = true;
     this._aiDepthReady = false;
     this.currentTimelineTime = 0;
 
+    /** @type {ProjectSerializer} */
+    this.projectSerializer = new ProjectSerializer();
+    /** @type {CommandHistory} 场景编辑撤销栈 */
+    this.history = new CommandHistory({ maxSize: 100 });
+    /** @type {{file: File, canvas: HTMLCanvasElement}|null} 当前源图像 */
+    this.currentSource = null;
+    /** @type {{data: Float32Array, width: number, height: number}|null} 当前深度图 */
+    this.currentDepth = null;
+    /** @private {{data: Float32Array, width: number, height: number}|null} 后处理前的深度，参数变化时据此重算 */
+    this._depthSource = null;
+    /** @private {Float32Array|null} 后处理后的深度，不含画笔与物体编辑 */
+    this._refinedDepth = null;
+    /** @private {Float32Array|null} 画笔修改的累积增量，替换深度时叠加到新深度上 */
+    this._brushDelta = null;
+    /** 氛围状态（天空控制器不记录当前预设） */
+    this.atmosphereState = { weather: 'clear', timeOfDay: 12, particleColor: '#ffffff' };
+
     // Register instance
     moduleManager.register('app', this);
   }
@@ -174,32 +364,338 @@ export class App {
   async _loadCoreModules() {
     this.imageProcessor = new ImageProcessor();
     this.meshGenerator = new MeshGenerator();
+    this.depthMeshBaker = new DepthMeshBaker();
+    this.depthMapIO = new DepthMapIO();
+    this.panoramaDetector = new PanoramaDetector();
+    this.depthLayerBuilder = new DepthLayerBuilder(this.meshGenerator, this.imageProcessor);
+    this.modelDownloader = new ModelDownloader();
+    this.modelDownloader.onProgress = ({ modelId, name, progress }) => {
+      this._updateStatus(`下载模型 ${name}: ${Math.round(progress * 100)}%`);
+      document.getElementById('settings-modal')?.setModelProgress(modelId, progress);
+    };
+    // 推理在 Worker 中执行，进度经队列回报
+    inferenceQueue.subscribe(({ label, stage, progress, pending }) => {
+      if (stage === JobStage.DONE) return;
+      const queued = pending > 1 ? ` (队列 ${pending})` : '';
+      this._updateStatus(
+        `${label} ${INFERENCE_STAGE_LABELS[stage]} ${Math.round(progress * 100)}%${queued}`
+      );
+    });
     this._initDepthEstimator();
     Logger.log('📦 核心模块加载完成');
   }
 
   async _initDepthEstimator() {
+    const entry = depthProviderRegistry.get(this.depthProviderId);
+    const estimator = depthProviderRegistry.create(this.depthProviderId, {
+      downloader: this.modelDownloader,
+    });
+    this.depthEstimator = estimator;
     try {
-      this._updateStatus('正在加载 AI 深度模型 (97MB)...');
-      Logger.log('🔄 开始加载 Depth Anything V2 模型...');
-
-      this.depthEstimator = new DepthAnythingEstimator({ precision: 'full' });
-      await this.depthEstimator.init();
+      this._updateStatus(`正在加载深度模型 ${entry.name}...`);
+      Logger.log(`🔄 开始加载深度模型: ${entry.name}`);
+
+      await estimator.init();
+      // 加载期间已切换后端
+      if (this.depthEstimator !== estimator) {
+        estimator.dispose();
+        return;
+      }
+      this._refreshModelList();
 
       this._aiDepthReady = true;
-      this._updateStatus('AI 深度模型就绪');
-      this._showToast('AI 深度模型加载完成', 'success');
-      Logger.log('✅ Depth Anything V2 模型加载完成');
+      this._updateStatus('深度模型就绪');
+      this._showToast(`深度模型已就绪: ${entry.name}`, 'success');
+      Logger.log(`✅ 深度模型加载完成: ${entry.name}`);
 
       const modelStatus = document.getElementById('status-ai-model');
       if (modelStatus) {
-        modelStatus.textContent = 'Depth Anything V2';
+        modelStatus.textContent = entry.name;
         modelStatus.style.color = 'var(--color-success)';
       }
     } catch (error) {
+      // 切换后端后旧模型的失败无需提示
+      if (this.depthEstimator !== estimator) return;
       Logger.error('❌ AI 深度模型加载失败:', error);
       this._showToast('AI 模型加载失败，将使用模拟深度', 'warning');
       this._aiDepthReady = false;
+      this._refreshModelList();
+    }
+  }
+
+  /**
+   * 切换深度估计后端并加载模型（选择会保存到本地）
+   * @param {string} id - depthProviderRegistry 中的 ID
+   */
+  setDepthProvider(id) {
+    if (id === this.depthProviderId || !depthProviderRegistry.has(id)) return;
+    this.depthProviderId = id;
+    // 自定义模型不跨会话保存
+    if (!depthProviderRegistry.get(id).custom) {
+      try {
+        localStorage.setItem(DEPTH_PROVIDER_KEY, id);
+      } catch {
+        // localStorage 不可用
+      }
+    }
+
+    this.depthEstimator?.dispose();
+    this._aiDepthReady = false;
+    this._initDepthEstimator();
+  }
+
+  /**
+   * @private
+   * @returns {string}
+   */
+  _loadDepthProvider() {
+    try {
+      const id = localStorage.getItem(DEPTH_PROVIDER_KEY);
+      return depthProviderRegistry.has(id) ? id : DEFAULT_DEPTH_PROVIDER;
+    } catch {
+      return DEFAULT_DEPTH_PROVIDER;
+    }
+  }
+
+  /**
+   * 开关高精度深度（对之后载入的图像生效，选择会保存到本地）
+   * @param {boolean} enabled
+   */
+  setHighDetailDepth(enabled) {
+    this.highDetailDepth = !!enabled;
+    try {
+      localStorage.setItem(HIGH_DETAIL_DEPTH_KEY, String(this.highDetailDepth));
+    } catch {
+      // localStorage 不可用
+    }
+  }
+
+  /**
+   * @private
+   * @returns {boolean}
+   */
+  _loadHighDetailDepth() {
+    try {
+      return localStorage.getItem(HIGH_DETAIL_DEPTH_KEY) === 'true';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * 图像处理尺寸（网格纹理与深度图的最大边长）
+   * @private
+   * @returns {number}
+   */
+  _getProcessingSize() {
+    return this.highDetailDepth ? HIGH_DETAIL_PROCESSING_SIZE : MAX_PROCESSING_SIZE;
+  }
+
+  /**
+   * 导入用户的 ONNX 深度模型并切换到该模型
+   * @param {File} file
+   * @param {object} options - 见 OnnxDepthEstimator
+   */
+  async importDepthModel(file, options) {
+    try {
+      const id = depthProviderRegistry.registerOnnx(file.name, await file.arrayBuffer(), options);
+      this._showToast(`已导入深度模型: ${file.name}`, 'success');
+      document
+        .getElementById('settings-modal')
+        ?.setDepthProviders(depthProviderRegistry.list(), id);
+      document.getElementById('depth-compare-modal')?.setProviders(depthProviderRegistry.list());
+      this.setDepthProvider(id);
+    } catch (error) {
+      this._showToast(`模型导入失败: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 用多个后端估计当前图像的深度，结果并排显示在对比面板中
+   * @param {string[]} ids
+   */
+  async compareDepthProviders(ids) {
+    const modal = document.getElementById('depth-compare-modal');
+    if (!this.currentSource || !modal) {
+      this._showToast('请先加载图像', 'warning');
+      return;
+    }
+
+    const { canvas } = this.currentSource;
+    this._depthComparison.clear();
+    modal.setBusy(true);
+    for (const id of ids) {
+      const entry = depthProviderRegistry.get(id);
+      if (!entry) continue;
+      modal.setStatus(id, '加载模型...');
+      this._updateStatus(`深度对比: ${entry.name}`);
+
+      // 当前后端已加载时直接复用
+      const reuse = id === this.depthProviderId && this._aiDepthReady;
+      const provider = reuse
+        ? this.depthEstimator
+        : depthProviderRegistry.create(id, { downloader: this.modelDownloader });
+      try {
+        if (!reuse) await provider.init();
+        modal.setStatus(id, '估计中...');
+        const start = performance.now();
+        const result = await provider.estimate(canvas);
+        const elapsed = performance.now() - start;
+
+        const fitted = this._fitDepthResult(result, canvas);
+        this._depthComparison.set(id, { source: result, data: fitted.data });
+        modal.setResult(id, { ...result, ...fitted, elapsed });
+      } catch (error) {
+        // 载入新文件时取消剩余的对比
+        if (error.name === 'AbortError') {
+          modal.setStatus(id, '已取消');
+          break;
+        }
+        Logger.error(`深度对比失败 (${entry.name}):`, error);
+        modal.setStatus(id, `失败: ${error.message}`);
+      } finally {
+        if (!reuse) provider.dispose();
+      }
+    }
+    modal.setBusy(false);
+    this._updateStatus('就绪');
+  }
+
+  /**
+   * 用对比结果替换当前深度
+   * @param {string} id
+   */
+  applyComparedDepth(id) {
+    const compared = this._depthComparison.get(id);
+    if (!compared || !this.currentDepth || compared.data.length !== this.currentDepth.data.length)
+      return;
+
+    const entry = depthProviderRegistry.get(id);
+    this._recordChange({
+      label: `深度来源: ${entry?.name || id}`,
+      from: { source: this._depthSource, data: this._refinedDepth },
+      to: compared,
+      apply: ({ source, data }) => {
+        this._depthSource = source;
+        this._replaceDepthData(data);
+      },
+    });
+  }
+
+  /**
+   * 替换整幅深度，画笔修改与物体深度编辑基于新深度重新应用
+   * @private
+   * @param {Float32Array} data - 后处理后的深度（不会被修改）
+   */
+  _replaceDepthData(data) {
+    this._refinedDepth = data;
+    this._objectDepthBase = null;
+    const edited = Float32Array.from(data);
+    const delta = this._brushDelta;
+    if (delta) {
+      for (let i = 0; i < edited.length; i++) {
+        edited[i] = Math.max(0, Math.min(1, edited[i] + delta[i]));
+      }
+    }
+    this._setCurrentDepthData(edited);
+    if (this.sceneObjects.some((o) => o.edit.offset || o.edit.flatten || o.edit.extrude)) {
+      this._applyObjectDepthEdits();
+    } else if (this.depthLayers) {
+      this._scheduleDepthLayerRebuild();
+    }
+  }
+
+  /**
+   * 将估计结果经深度后处理缩放到处理尺寸
+   * @private
+   * @param {DepthResult} result
+   * @param {HTMLCanvasElement} canvas
+   * @returns {{data: Float32Array, confidence: Float32Array, width: number, height: number}}
+   */
+  _fitDepthResult(result, canvas) {
+    const { width, height } = canvas;
+    const confidence =
+      result.width === width && result.height === height
+        ? result.confidence
+        : this._resizeDepthMap(result.confidence, result.width, result.height, width, height);
+    return { data: this._refineDepth(result, canvas), confidence, width, height };
+  }
+
+  /**
+   * 深度后处理：填补空洞、去噪、以图像为引导上采样到画布尺寸并施加深度曲线
+   * @private
+   * @param {{data: Float32Array, width: number, height: number}} source - 任意分辨率的深度
+   * @param {HTMLCanvasElement} canvas - 处理尺寸下的图像
+   * @returns {Float32Array} 与画布同尺寸的深度
+   */
+  _refineDepth(source, canvas) {
+    const { upsample, fillHoles, medianRadius, low, high, gamma } = this.depthRefineOptions;
+    const refiner = new DepthRefiner({
+      upsample,
+      fillHoles,
+      medianRadius,
+      remap: { low, high, gamma },
+    });
+    const guide = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    return refiner.refine(source.data, source.width, source.height, guide);
+  }
+
+  /**
+   * 下载模型到缓存（已下载部分续传）
+   * @param {string} modelId
+   */
+  async downloadModel(modelId) {
+    const download = this.modelDownloader.download(modelId);
+    this._refreshModelList();
+    try {
+      await download;
+      this._showToast('模型已下载', 'success');
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this._showToast('下载已暂停，可稍后继续', 'info');
+      } else {
+        this._showToast(`模型下载失败: ${error.message}`, 'error');
+      }
+    }
+    this._updateStatus('就绪');
+    this._refreshModelList();
+  }
+
+  /**
+   * 清除模型缓存（已加载的模型不受影响，下次加载时重新下载）
+   * @param {string} [modelId] - 省略时清除全部
+   */
+  async evictModel(modelId) {
+    try {
+      await this.modelDownloader.clearCache(modelId);
+      this._showToast(modelId ? '模型缓存已删除' : '模型缓存已清空', 'success');
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+    this._refreshModelList();
+  }
+
+  /**
+   * 刷新设置面板中的模型列表与缓存占用
+   * @private
+   */
+  async _refreshModelList() {
+    const modal = document.getElementById('settings-modal');
+    if (!modal?.setModels || !this.modelDownloader) return;
+
+    try {
+      const downloader = this.modelDownloader;
+      const status = new Map((await downloader.getStatus()).map((entry) => [entry.id, entry]));
+      modal.setModels(
+        downloader.getAvailableModels().map((model) => ({
+          ...model,
+          ...status.get(model.id),
+          downloading: downloader.isDownloading(model.id),
+        }))
+      );
+      modal.setCacheSize(await downloader.getCacheSize());
+    } catch (error) {
+      Logger.warn('模型缓存状态读取失败:', error);
     }
   }
 
@@ -217,18 +713,25 @@ export class App {
       this.sceneManager.camera
     );
 
-    // 接管渲染
+    // 接管渲染（立体模式下由 StereoRenderer 分别渲染左右眼）
     this.sceneManager.setRenderHandler((delta) => {
-      this.renderingPipeline.render(delta);
+      if (this.stereoRenderer && this.stereoRenderer.mode !== StereoMode.NONE) {
+        this.stereoRenderer.render();
+      } else {
+        this.renderingPipeline.render(delta);
+      }
     });
 
     this.cameraAnimator = new CameraAnimator(this.sceneManager.camera, this.sceneManager.controls);
     this.mediaExporter = new MediaExporter(this.sceneManager.renderer);
+    this.offlineRenderer = new OfflineRenderer(this.sceneManager, this.renderingPipeline);
     this.stereoRenderer = new StereoRenderer(
       this.sceneManager.renderer,
       this.sceneManager.scene,
-      this.sceneManager.camera
+      this.sceneManager.camera,
+      this.renderingPipeline
     );
+    this.parallaxManager = new ParallaxManager(this.sceneManager.camera);
     this.particleSystem = new ParticleSystem(this.sceneManager.scene);
     this.skyController = new SkyController(this.sceneManager.scene, this.sceneManager.renderer);
     this.lightingManager = new LightingManager(this.sceneManager.scene);
@@ -243,6 +746,8 @@ export class App {
 
     this.sceneManager.addUpdateCallback((delta) => {
       if (this.particleSystem) this.particleSystem.update(delta);
+      if (this.depthSequence) this.depthSequence.update(delta);
+      if (this.sceneObjects.length > 0) this._updateDetectionOverlay();
     });
 
     this.sceneManager.start();
@@ -283,15 +788,48 @@ export class App {
 
     const exportModal = document.getElementById('export-modal');
     if (exportModal) {
-      exportModal.addEventListener('confirm', (e) => this._handleExport(e.detail));
+      exportModal.addEventListener('confirm', async (e) => {
+        await this._handleExport(e.detail, (ratio, text) => exportModal.setProgress(ratio, text));
+        exportModal.finishExport();
+      });
     }
 
     const settingsModal = document.getElementById('settings-modal');
     if (settingsModal) {
       settingsModal.addEventListener('save', (e) => {
         Logger.log('保存设置:', e.detail);
+        if (e.detail.ai) {
+          this.setDepthProvider(e.detail.ai.provider);
+          this.setHighDetailDepth(e.detail.ai.highDetail);
+        }
         this._showToast('设置已保存', 'success');
       });
+      settingsModal.addEventListener('opened', () => {
+        settingsModal.setDepthProviders(depthProviderRegistry.list(), this.depthProviderId);
+        settingsModal.setHighDetailDepth(this.highDetailDepth);
+        this._refreshModelList();
+      });
+      settingsModal.addEventListener('model-download', (e) => this.downloadModel(e.detail.id));
+      settingsModal.addEventListener('model-pause', (e) =>
+        this.modelDownloader.cancel(e.detail.id)
+      );
+      settingsModal.addEventListener('model-evict', (e) => this.evictModel(e.detail.id));
+      settingsModal.addEventListener('model-evict-all', () => this.evictModel());
+      settingsModal.addEventListener('depth-model-import', (e) =>
+        this.importDepthModel(e.detail.file, e.detail.options)
+      );
+    }
+
+    const compareModal = document.getElementById('depth-compare-modal');
+    if (compareModal) {
+      compareModal.addEventListener('opened', () =>
+        compareModal.setProviders(depthProviderRegistry.list(), [
+          this.depthProviderId,
+          FALLBACK_DEPTH_PROVIDER,
+        ])
+      );
+      compareModal.addEventListener('compare', (e) => this.compareDepthProviders(e.detail.ids));
+      compareModal.addEventListener('apply', (e) => this.applyComparedDepth(e.detail.id));
     }
 
     // Tools
@@ -313,18 +851,45 @@ export class App {
     const projectPanel = document.getElementById('project-panel');
     if (projectPanel) {
       projectPanel.addEventListener('file-selected', (e) => {
-        if (e.detail.file) this._handleFileUpload(e.detail.file);
+        if (e.detail.file) this._handleFileSelection(e.detail.files || [e.detail.file]);
       });
     }
 
     const layersPanel = document.getElementById('layers-panel');
     if (layersPanel) {
       layersPanel.addEventListener('layer-selected', (e) => {
-        if (e.detail.object) {
-          this.currentMesh = e.detail.object;
-          Logger.log('选中对象:', this.currentMesh.name);
-        }
+        const object = e.detail.object;
+        // 分组与分层深度的各层由 App 管理，不能作为当前深度网格
+        if (!object?.isMesh || object.parent?.isGroup) return;
+        this.currentMesh = object;
+        Logger.log('选中对象:', this.currentMesh.name);
       });
+      layersPanel.addEventListener('detection-selected', (e) =>
+        this.focusSceneObject(e.detail.index)
+      );
+    }
+
+    const canvas = this.sceneManager?.renderer.domElement;
+    if (canvas) {
+      canvas.addEventListener('pointerdown', (e) => this._onBrushPointerDown(e));
+      canvas.addEventListener('pointermove', (e) => this._onBrushPointerMove(e));
+      canvas.addEventListener('pointerup', () => this._endBrushStroke());
+      canvas.addEventListener('pointercancel', () => this._endBrushStroke());
+    }
+
+    const detectionOverlay = document.getElementById('detection-overlay');
+    if (detectionOverlay) {
+      detectionOverlay.addEventListener('detection-selected', (e) =>
+        this.focusSceneObject(e.detail.index)
+      );
+    }
+
+    const historyPanel = document.getElementById('history-panel');
+    if (historyPanel) {
+      historyPanel.addEventListener('undo', () => this.undo());
+      historyPanel.addEventListener('redo', () => this.redo());
+      historyPanel.addEventListener('history-jump', (e) => this.jumpToHistory(e.detail.index));
+      this.history.onChange((state) => historyPanel.updateHistory(state));
     }
 
     document
@@ -339,18 +904,28 @@ export class App {
   }
 
   _setupShortcuts() {
+    inputManager.init();
+
     inputManager.registerAction('Space', () => {
       const btn = document.querySelector('[data-action="play"]');
       if (btn) this._togglePlayback(!this.cameraAnimator?.isPlaying);
     });
 
-    inputManager.registerAction('Ctrl+Z', () => {
-      this._showToast('撤销功能暂未实现', 'info');
+    inputManager.registerAction('Ctrl+Z', (e) => {
+      e.preventDefault();
+      this.undo();
     });
 
+    const redo = (e) => {
+      e.preventDefault();
+      this.redo();
+    };
+    inputManager.registerAction('Ctrl+Shift+Z', redo);
+    inputManager.registerAction('Ctrl+Y', redo);
+
     inputManager.registerAction('Ctrl+S', (e) => {
       e.preventDefault();
-      this._showToast('保存项目...', 'info');
+      this.saveProject();
     });
 
     inputManager.registerAction('F', () => this._toggleFullscreen());
@@ -379,7 +954,7 @@ export class App {
       min: 0.01,
       max: 0.2,
       step: 0.01,
-      onChange: (val) => this.sceneManager.setControlParams({ dampingFactor: val }),
+      onChange: (val) => this._setControlParam('阻尼感', 'dampingFactor', val),
     });
     panel.addControl('camera', {
       type: 'slider',
@@ -388,13 +963,13 @@ export class App {
       min: 0.1,
       max: 2.0,
       step: 0.1,
-      onChange: (val) => this.sceneManager.setControlParams({ rotateSpeed: val }),
+      onChange: (val) => this._setControlParam('旋转速度', 'rotateSpeed', val),
     });
     panel.addControl('camera', {
       type: 'checkbox',
       label: '自动旋转',
       value: false,
-      onChange: (val) => this.sceneManager.setControlParams({ autoRotate: val }),
+      onChange: (val) => this._setControlParam('自动旋转', 'autoRotate', val),
     });
     panel.addControl('camera', {
       type: 'slider',
@@ -403,7 +978,7 @@ export class App {
       min: 0.1,
       max: 10.0,
       step: 0.1,
-      onChange: (val) => this.sceneManager.setControlParams({ autoRotateSpeed: val }),
+      onChange: (val) => this._setControlParam('自旋速度', 'autoRotateSpeed', val),
     });
 
     // Projection
@@ -413,11 +988,7 @@ export class App {
       label: '投影模式',
       value: 'perspective',
       options: [
-        { label: '透视', value: 'perspective' },
-        { label: '正交', value: 'orthographic' },
-        { label: '圆柱', value: 'cylindrical' },
-        { label: '球面', value: 'spherical' },
-        { label: '鱼眼', value: 'fisheye' },
+        ...projectorRegistry.list().map(({ mode, name }) => ({ label: name, value: mode })),
         { label: '立体', value: 'stereo' },
       ],
       onChange: (val) => this._updateProjectionMode(val),
@@ -431,6 +1002,35 @@ export class App {
       step: 0.1,
       onChange: (val) => this._updateDepthScale(val),
     });
+    panel.addControl('projection', {
+      type: 'select',
+      label: '断层边缘',
+      value: this.edgeMask.mode,
+      options: [
+        { label: '拉伸', value: EdgeMode.OFF },
+        { label: '撕裂', value: EdgeMode.TEAR },
+        { label: '淡出', value: EdgeMode.FADE },
+      ],
+      onChange: (val) => this.setEdgeMask('mode', val),
+    });
+    panel.addControl('projection', {
+      type: 'slider',
+      label: '边缘阈值',
+      value: this.edgeMask.threshold,
+      min: 0.01,
+      max: 0.3,
+      step: 0.01,
+      onChange: (val) => this.setEdgeMask('threshold', val),
+    });
+
+    // Panorama（等距柱状全景输入自动切换到全景球投影）
+    panel.addGroup('panorama', '全景');
+    panel.addControl('panorama', {
+      type: 'checkbox',
+      label: '深度位移',
+      value: this.panoramaDepth,
+      onChange: (val) => this.setPanoramaDepth(val),
+    });
 
     // Stereo
     panel.addGroup('stereo', '立体设置');
@@ -444,9 +1044,22 @@ export class App {
         { label: '左右分屏', value: 'sideBySide' },
         { label: '上下分屏', value: 'topBottom' },
         { label: '交叉眼', value: 'crossEyed' },
+        { label: '隔行交错', value: StereoMode.INTERLACED },
+        { label: '隔列交错', value: StereoMode.COLUMN_INTERLEAVED },
+        { label: '棋盘格', value: StereoMode.CHECKERBOARD },
       ],
       onChange: (val) => this.setStereoMode(val),
     });
+    panel.addControl('stereo', {
+      type: 'select',
+      label: '交错奇偶',
+      value: StereoParity.LEFT_FIRST,
+      options: [
+        { label: '左眼在前', value: StereoParity.LEFT_FIRST },
+        { label: '右眼在前', value: StereoParity.RIGHT_FIRST },
+      ],
+      onChange: (val) => this.setStereoParity(val),
+    });
     panel.addControl('stereo', {
       type: 'slider',
       label: '眼间距',
@@ -454,7 +1067,7 @@ export class App {
       min: 0,
       max: 0.2,
       step: 0.001,
-      onChange: (val) => this.stereoRenderer?.setEyeSeparation(val),
+      onChange: (val) => this.setEyeSeparation(val),
     });
 
     // Atmosphere
@@ -476,7 +1089,7 @@ export class App {
         };
         return { label: labels[p] || p, value: p };
       }),
-      onChange: (val) => this.skyController?.setWeather(val),
+      onChange: (val) => this.setWeather(val),
     });
     panel.addControl('atmosphere', {
       type: 'slider',
@@ -485,7 +1098,7 @@ export class App {
       min: 0,
       max: 24,
       step: 0.1,
-      onChange: (val) => this.skyController?.setTimeOfDay(val),
+      onChange: (val) => this.setTimeOfDay(val),
     });
     panel.addControl('atmosphere', {
       type: 'select',
@@ -502,7 +1115,7 @@ export class App {
         };
         return { label: labels[p] || p, value: p };
       }),
-      onChange: (val) => this.lightingManager?.applyPreset(val),
+      onChange: (val) => this.setLightingPreset(val),
     });
 
     // Particles
@@ -535,6 +1148,177 @@ export class App {
       onChange: (val) => this.setAtmosphereColor(val),
     });
 
+    // Video depth
+    panel.addGroup('video', '视频深度');
+    panel.addControl('video', {
+      type: 'checkbox',
+      label: '尺度对齐',
+      value: this.videoDepthOptions.alignment,
+      onChange: (val) => this.setVideoDepthOption('alignment', val),
+    });
+    panel.addControl('video', {
+      type: 'slider',
+      label: '时域平滑',
+      value: this.videoDepthOptions.smoothing,
+      min: 0,
+      max: 1.0,
+      step: 0.05,
+      onChange: (val) => this.setVideoDepthOption('smoothing', val),
+    });
+
+    // Depth layers
+    panel.addGroup('layers', '分层深度');
+    panel.addControl('layers', {
+      type: 'checkbox',
+      label: '启用分层',
+      value: this.depthLayerOptions.enabled,
+      onChange: (val) => this.setDepthLayerOption('enabled', val),
+    });
+    panel.addControl('layers', {
+      type: 'slider',
+      label: '层数',
+      value: this.depthLayerOptions.count,
+      min: 2,
+      max: 4,
+      step: 1,
+      onChange: (val) => this.setDepthLayerOption('count', val),
+    });
+    panel.addControl('layers', {
+      type: 'slider',
+      label: '断层阈值',
+      value: this.depthLayerOptions.threshold,
+      min: 0.02,
+      max: 0.3,
+      step: 0.01,
+      onChange: (val) => this.setDepthLayerOption('threshold', val),
+    });
+
+    // Depth refinement
+    panel.addGroup('refine', '深度优化');
+    panel.addControl('refine', {
+      type: 'select',
+      label: '上采样',
+      value: this.depthRefineOptions.upsample,
+      options: [
+        { label: '双线性', value: UpsampleMethod.BILINEAR },
+        { label: '联合双边', value: UpsampleMethod.JOINT_BILATERAL },
+        { label: '引导滤波', value: UpsampleMethod.GUIDED },
+      ],
+      onChange: (val) => this.setDepthRefineOption('upsample', val),
+    });
+    panel.addControl('refine', {
+      type: 'checkbox',
+      label: '填补空洞',
+      value: this.depthRefineOptions.fillHoles,
+      onChange: (val) => this.setDepthRefineOption('fillHoles', val),
+    });
+    panel.addControl('refine', {
+      type: 'slider',
+      label: '中值去噪',
+      value: this.depthRefineOptions.medianRadius,
+      min: 0,
+      max: 3,
+      step: 1,
+      onChange: (val) => this.setDepthRefineOption('medianRadius', val),
+    });
+    panel.addControl('refine', {
+      type: 'slider',
+      label: '远端截断',
+      value: this.depthRefineOptions.low,
+      min: 0,
+      max: 0.5,
+      step: 0.01,
+      onChange: (val) => this.setDepthRefineOption('low', val),
+    });
+    panel.addControl('refine', {
+      type: 'slider',
+      label: '近端截断',
+      value: this.depthRefineOptions.high,
+      min: 0.5,
+      max: 1,
+      step: 0.01,
+      onChange: (val) => this.setDepthRefineOption('high', val),
+    });
+    panel.addControl('refine', {
+      type: 'slider',
+      label: '深度曲线',
+      value: this.depthRefineOptions.gamma,
+      min: 0.3,
+      max: 3,
+      step: 0.05,
+      onChange: (val) => this.setDepthRefineOption('gamma', val),
+    });
+
+    // Object depth (作用于场景分析中选中的物体)
+    panel.addGroup('object', '物体深度');
+    panel.addControl('object', {
+      type: 'slider',
+      label: '前后偏移',
+      value: 0,
+      min: -0.5,
+      max: 0.5,
+      step: 0.01,
+      onChange: (val) => this.setObjectDepthEdit('offset', val),
+    });
+    panel.addControl('object', {
+      type: 'slider',
+      label: '压平',
+      value: 0,
+      min: 0,
+      max: 1,
+      step: 0.05,
+      onChange: (val) => this.setObjectDepthEdit('flatten', val),
+    });
+    panel.addControl('object', {
+      type: 'checkbox',
+      label: '独立分层',
+      value: false,
+      onChange: (val) => this.setObjectDepthEdit('extrude', val),
+    });
+
+    // Depth brush (工具栏画笔的参数，不计入撤销历史)
+    panel.addGroup('brush', '深度画笔');
+    panel.addControl('brush', {
+      type: 'select',
+      label: '模式',
+      value: this.depthBrush.mode,
+      options: [
+        { label: '拉近', value: BrushMode.PULL },
+        { label: '推远', value: BrushMode.PUSH },
+        { label: '平滑', value: BrushMode.SMOOTH },
+        { label: '压平', value: BrushMode.FLATTEN },
+        { label: '克隆 (Alt+点击取源)', value: BrushMode.CLONE },
+      ],
+      onChange: (val) => (this.depthBrush.mode = val),
+    });
+    panel.addControl('brush', {
+      type: 'slider',
+      label: '大小',
+      value: this.depthBrush.radius,
+      min: 2,
+      max: 128,
+      step: 1,
+      onChange: (val) => (this.depthBrush.radius = val),
+    });
+    panel.addControl('brush', {
+      type: 'slider',
+      label: '强度',
+      value: this.depthBrush.strength,
+      min: 0.05,
+      max: 1,
+      step: 0.05,
+      onChange: (val) => (this.depthBrush.strength = val),
+    });
+    panel.addControl('brush', {
+      type: 'slider',
+      label: '衰减',
+      value: this.depthBrush.falloff,
+      min: 0,
+      max: 1,
+      step: 0.05,
+      onChange: (val) => (this.depthBrush.falloff = val),
+    });
+
     // Quality
     panel.addGroup('quality', '画质设置');
     panel.addControl('quality', {
@@ -547,13 +1331,25 @@ export class App {
         { label: '高 (默认)', value: QualityProfile.HIGH },
         { label: '超高 (画质优先)', value: QualityProfile.ULTRA },
       ],
-      onChange: (val) => this.qualityManager?.setProfile(val),
+      onChange: (val) =>
+        this._recordChange({
+          label: '画质预设',
+          from: this.qualityManager?.currentProfile,
+          to: val,
+          apply: (v) => this.qualityManager?.setProfile(v),
+        }),
     });
     panel.addControl('quality', {
       type: 'checkbox',
       label: '自动调节',
       value: true,
-      onChange: (val) => this.qualityManager?.setAutoMode(val),
+      onChange: (val) =>
+        this._recordChange({
+          label: '自动调节',
+          from: this.qualityManager?.isAuto,
+          to: val,
+          apply: (v) => this.qualityManager?.setAutoMode(v),
+        }),
     });
 
     // Postprocess
@@ -577,7 +1373,14 @@ export class App {
       min: 0,
       max: 2.0,
       step: 0.1,
-      onChange: (val) => this.renderingPipeline?.setBloomStrength(val),
+      onChange: (val) =>
+        this._recordChange({
+          label: '辉光强度',
+          from: this.renderingPipeline?.passes.bloom?.strength,
+          to: val,
+          merge: true,
+          apply: (v) => this.renderingPipeline?.setBloomStrength(v),
+        }),
     });
     panel.addControl('postprocess', {
       type: 'slider',
@@ -586,7 +1389,14 @@ export class App {
       min: 0,
       max: 2.0,
       step: 0.1,
-      onChange: (val) => this.renderingPipeline?.setBloomRadius(val),
+      onChange: (val) =>
+        this._recordChange({
+          label: '辉光半径',
+          from: this.renderingPipeline?.passes.bloom?.radius,
+          to: val,
+          merge: true,
+          apply: (v) => this.renderingPipeline?.setBloomRadius(v),
+        }),
     });
     panel.addControl('postprocess', {
       type: 'slider',
@@ -595,7 +1405,14 @@ export class App {
       min: 0,
       max: 1.0,
       step: 0.05,
-      onChange: (val) => this.renderingPipeline?.setBloomThreshold(val),
+      onChange: (val) =>
+        this._recordChange({
+          label: '辉光阈值',
+          from: this.renderingPipeline?.passes.bloom?.threshold,
+          to: val,
+          merge: true,
+          apply: (v) => this.renderingPipeline?.setBloomThreshold(v),
+        }),
     });
     panel.addControl('postprocess', {
       type: 'checkbox',
@@ -615,6 +1432,28 @@ export class App {
       value: false,
       onChange: (val) => this._toggleEffect('filmGrain', val),
     });
+    panel.addControl('postprocess', {
+      type: 'checkbox',
+      label: '景深',
+      value: false,
+      onChange: (val) => this._toggleEffect('bokeh', val),
+    });
+    panel.addControl('postprocess', {
+      type: 'slider',
+      label: '光圈',
+      value: 0.025,
+      min: 0.005,
+      max: 0.1,
+      step: 0.005,
+      onChange: (val) =>
+        this._recordChange({
+          label: '光圈',
+          from: this.renderingPipeline?.passes.bokeh?.uniforms.aperture.value,
+          to: val,
+          merge: true,
+          apply: (v) => this.renderingPipeline?.setBokehAperture(v),
+        }),
+    });
     panel.addControl('postprocess', {
       type: 'slider',
       label: '颗粒强度',
@@ -622,8 +1461,17 @@ export class App {
       min: 0,
       max: 1.0,
       step: 0.01,
-      onChange: (val) => this.renderingPipeline?.setFilmGrainIntensity(val),
+      onChange: (val) =>
+        this._recordChange({
+          label: '颗粒强度',
+          from: this.renderingPipeline?.passes.filmGrain?.uniforms.intensity.value,
+          to: val,
+          merge: true,
+          apply: (v) => this.renderingPipeline?.setFilmGrainIntensity(v),
+        }),
     });
+
+    panel.finishSetup();
   }
 
   _setupTimeline() {
@@ -632,32 +1480,39 @@ export class App {
 
     this.currentTimelineTime = 0;
     timeline.addEventListener('play', () => {
-      if (this.cameraPath) {
+      if (this.depthSequence) this.depthSequence.play();
+      if (this.cameraPath && (!this.depthSequence || this.cameraPath.keyframes.length >= 2)) {
         this.cameraPath.play();
-        this._updateStatus('播放动画...');
       }
+      this._updateStatus('播放动画...');
     });
 
     timeline.addEventListener('stop', () => {
-      if (this.cameraPath) {
-        this.cameraPath.stop();
-        this._updateStatus('动画已停止');
-      }
+      if (this.depthSequence) this.depthSequence.stop();
+      if (this.cameraPath) this.cameraPath.stop();
+      this._updateStatus('动画已停止');
     });
 
     timeline.addEventListener('seek', (e) => {
       this.currentTimelineTime = e.detail.time;
+      if (this.depthSequence) this.depthSequence.seek(this.currentTimelineTime);
       if (this.cameraPath) this.cameraPath.seek(this.currentTimelineTime);
     });
 
     timeline.addEventListener('addKeyframe', () => {
       if (this.cameraPath) {
-        this.cameraPath.captureKeyframe(this.currentTimelineTime);
-        timeline.addKeyframeMarker(this.currentTimelineTime);
+        this.addCameraKeyframe(this.currentTimelineTime);
         this._showToast(`已添加关键帧 @ ${this.currentTimelineTime.toFixed(2)}s`, 'success');
       }
     });
 
+    timeline.addEventListener('clearParams', () => {
+      if (this.cameraPath?.keyframes.length) {
+        this.clearCameraKeyframes();
+        this._showToast('已清除所有关键帧', 'info');
+      }
+    });
+
     if (this.cameraPath) {
       this.cameraPath.onUpdate((progress) => {
         const duration = this.cameraPath.getDuration() || 10;
@@ -688,14 +1543,24 @@ export class App {
       case 'new':
         if (confirm('确定要新建项目吗？未保存的更改将丢失。')) {
           this._clearScene();
+          this.history.clear();
           this._showToast('已新建项目', 'success');
         }
         break;
       case 'open':
-        this.fileInput?.click();
+        this._openFilePicker(`${PROJECT_EXTENSION},image/*,video/*,.exr`, true);
+        break;
+      case 'compare-depth':
+        document.getElementById('depth-compare-modal')?.open();
+        break;
+      case 'analyze':
+        this.analyzeScene();
+        break;
+      case 'import-depth':
+        this._openFilePicker('image/*,.exr', false, (files) => this.importDepthMap(files[0]));
         break;
       case 'save':
-        this._showToast('保存项目功能暂未实现', 'info');
+        this.saveProject();
         break;
       case 'export':
         document.getElementById('export-modal')?.open();
@@ -709,16 +1574,330 @@ export class App {
     }
   }
 
+  _openFilePicker(
+    accept,
+    multiple = false,
+    onSelect = (files) => this._handleFileSelection(files)
+  ) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.multiple = multiple;
+    input.onchange = (e) => {
+      if (e.target.files.length > 0) onSelect(Array.from(e.target.files));
+    };
+    input.click();
+  }
+
+  /**
+   * 处理一次选择的多个文件：彩色图 + 深度图成对时直接使用外部深度
+   * @private
+   * @param {File[]} files
+   */
+  _handleFileSelection(files) {
+    const depthFile = files.length > 1 ? files.find(isDepthMapFile) : null;
+    const file = files.find((f) => f !== depthFile);
+
+    if (file) {
+      this._handleFileUpload(file, depthFile);
+    } else if (depthFile || /\.exr$/i.test(files[0]?.name)) {
+      this.importDepthMap(depthFile || files[0]);
+    }
+  }
+
   _clearScene() {
+    this._disposeDepthLayers();
+    this._setSceneObjects([]);
+    this._objectDepthBase = null;
     if (this.currentMesh && this.sceneManager) {
       this.sceneManager.remove(this.currentMesh);
       resourceManager.disposeObject(this.currentMesh);
       this.currentMesh = null;
     }
+    this.currentSource = null;
+    this.currentDepth = null;
+    this._depthSource = null;
+    this._refinedDepth = null;
+    this._brushDelta = null;
+    this._setDepthSequence(null);
     this._updateStatus('就绪');
     Logger.log('🗑️ 场景已清空 (ResourceManager)');
   }
 
+  async saveProject() {
+    if (!this.currentSource || !this.currentDepth) {
+      this._showToast('请先加载图像', 'warning');
+      return;
+    }
+    if (!this.mediaExporter) {
+      this._showToast('导出器未初始化', 'error');
+      return;
+    }
+    if (this.depthSequence) {
+      this._showToast('视频项目暂不支持保存，请导出为视频', 'warning');
+      return;
+    }
+
+    try {
+      this._updateStatus('保存项目...');
+      const blob = this.projectSerializer.toBlob({
+        manifest: this._collectProjectState(),
+        source: new Uint8Array(await this.currentSource.file.arrayBuffer()),
+        depth: this.currentDepth.data,
+      });
+      const baseName = this.currentSource.file.name.replace(/\.[^.]+$/, '') || 'immersa3d';
+      this.mediaExporter.downloadBlob(blob, `${baseName}${PROJECT_EXTENSION}`);
+      this._showToast('项目已保存', 'success');
+      Logger.log(`💾 项目已保存 (${(blob.size / 1024 / 1024).toFixed(2)} MB)`);
+    } catch (error) {
+      Logger.error('项目保存失败:', error);
+      this._showToast(`项目保存失败: ${error.message}`, 'error');
+    }
+    this._updateStatus('就绪');
+  }
+
+  async loadProject(file) {
+    if (!this.imageProcessor || !this.sceneManager) throw new Error('核心模块未初始化');
+
+    this._updateStatus(`打开项目: ${file.name}`);
+    try {
+      const { manifest, source, depth } = this.projectSerializer.deserialize(
+        await file.arrayBuffer()
+      );
+      if (!source || !depth) throw new Error('项目缺少图像或深度数据');
+
+      const sourceFile = new File([source], manifest.source.name, { type: manifest.source.type });
+      this.panorama = manifest.scene?.panorama || null;
+      const image = await this.imageProcessor.loadImage(sourceFile);
+      const resizedCanvas = this.imageProcessor.resizeKeepAspect(image, this._getProcessingSize());
+
+      let depthData = depth;
+      if (
+        manifest.depth.width !== resizedCanvas.width ||
+        manifest.depth.height !== resizedCanvas.height
+      ) {
+        depthData = this._resizeDepthMap(
+          depth,
+          manifest.depth.width,
+          manifest.depth.height,
+          resizedCanvas.width,
+          resizedCanvas.height
+        );
+      }
+
+      await this._buildDepthScene(sourceFile, resizedCanvas, depthData);
+      this._applyProjectState(manifest);
+      this.history.clear();
+
+      const layersPanel = document.getElementById('layers-panel');
+      if (layersPanel) layersPanel.updateLayers(this.sceneManager.scene.children);
+
+      this._showToast(`项目已打开: ${file.name}`, 'success');
+      this._updateStatus('就绪');
+    } catch (error) {
+      Logger.error('项目打开失败:', error);
+      this._showToast(`项目打开失败: ${error.message}`, 'error');
+      this._updateStatus('打开失败');
+    }
+  }
+
+  /**
+   * 收集可保存的场景状态
+   * @private
+   * @returns {object}
+   */
+  _collectProjectState() {
+    const { camera, controls } = this.sceneManager;
+    const pipeline = this.renderingPipeline;
+    const { file, canvas } = this.currentSource;
+
+    return {
+      source: { name: file.name, type: file.type, width: canvas.width, height: canvas.height },
+      depth: { width: this.currentDepth.width, height: this.currentDepth.height },
+      scene: {
+        depthScale: this.depthScale,
+        projectionMode: this.projectionManager?.getCurrentMode() || 'perspective',
+        depthLayers: { ...this.depthLayerOptions },
+        edgeMask: { ...this.edgeMask },
+        panorama: this.panorama,
+        panoramaDepth: this.panoramaDepth,
+      },
+      camera: {
+        position: camera.position.toArray(),
+        target: controls.target.toArray(),
+        fov: camera.fov,
+        path: this.cameraPath ? this.cameraPath.exportPath() : { keyframes: [] },
+      },
+      stereo: {
+        mode: this.stereoRenderer?.mode || 'none',
+        eyeSeparation: this.stereoRenderer?.eyeSeparation ?? 0.064,
+        focalLength: this.stereoRenderer?.focalLength ?? 3,
+        parity: this.stereoRenderer?.parity || StereoParity.LEFT_FIRST,
+      },
+      atmosphere: {
+        ...this.atmosphereState,
+        particles: this.particleSystem?.currentPreset || 'none',
+      },
+      lighting: { preset: this.lightingManager?.currentPreset || null },
+      effects: pipeline
+        ? {
+            ...pipeline.config,
+            bloomStrength: pipeline.passes.bloom?.strength,
+            bloomRadius: pipeline.passes.bloom?.radius,
+            bloomThreshold: pipeline.passes.bloom?.threshold,
+            filmGrainIntensity: pipeline.passes.filmGrain?.uniforms.intensity.value,
+            bokehFocus: pipeline.passes.bokeh?.uniforms.focus.value,
+            bokehAperture: pipeline.passes.bokeh?.uniforms.aperture.value,
+          }
+        : {},
+    };
+  }
+
+  /**
+   * 将项目清单应用到当前场景
+   * @private
+   * @param {object} manifest
+   */
+  _applyProjectState(manifest) {
+    const { scene = {}, camera = {}, stereo = {}, atmosphere = {}, lighting = {} } = manifest;
+    const effects = manifest.effects || {};
+
+    if (scene.depthScale !== undefined) this._updateDepthScale(scene.depthScale);
+    if (scene.panoramaDepth !== undefined) this.panoramaDepth = scene.panoramaDepth;
+    if (scene.projectionMode && this.projectionManager && this.currentMesh) {
+      this.projectionManager.setProjectionMode(
+        scene.projectionMode,
+        this.currentMesh,
+        this._getProjectionOptions({ duration: 0 })
+      );
+      this._applyProjectionView(scene.projectionMode, true);
+    }
+    if (scene.edgeMask) {
+      Object.assign(this.edgeMask, scene.edgeMask);
+      this._applyEdgeMask();
+    }
+    if (scene.depthLayers) {
+      Object.assign(this.depthLayerOptions, scene.depthLayers);
+      this._scheduleDepthLayerRebuild();
+    }
+
+    const { camera: sceneCamera, controls } = this.sceneManager;
+    // 环视模式下相机位于球心，只恢复视野
+    if (this.sceneManager.controlMode === ControlMode.ORBIT) {
+      if (camera.position) sceneCamera.position.fromArray(camera.position);
+      if (camera.target) controls.target.fromArray(camera.target);
+      controls.update();
+    }
+    if (camera.fov) {
+      sceneCamera.fov = camera.fov;
+      sceneCamera.updateProjectionMatrix();
+    }
+
+    if (camera.path) this._applyCameraPath(camera.path);
+
+    if (this.stereoRenderer) {
+      if (stereo.mode) this.stereoRenderer.setMode(stereo.mode);
+      if (stereo.eyeSeparation !== undefined)
+        this.stereoRenderer.setEyeSeparation(stereo.eyeSeparation);
+      if (stereo.focalLength !== undefined) this.stereoRenderer.setFocalLength(stereo.focalLength);
+      if (stereo.parity) this.stereoRenderer.setParity(stereo.parity);
+    }
+
+    if (atmosphere.weather) this.setWeather(atmosphere.weather);
+    if (atmosphere.timeOfDay !== undefined) this.setTimeOfDay(atmosphere.timeOfDay);
+    if (this.particleSystem) {
+      if (atmosphere.particles && atmosphere.particles !== 'none') {
+        this.particleSystem.applyPreset(atmosphere.particles);
+      } else {
+        this.particleSystem.clear();
+      }
+    }
+    if (atmosphere.particleColor) this.setAtmosphereColor(atmosphere.particleColor);
+    if (lighting.preset) this.setLightingPreset(lighting.preset);
+
+    const pipeline = this.renderingPipeline;
+    if (pipeline) {
+      Object.keys(pipeline.config).forEach((name) => {
+        if (effects[name] !== undefined) pipeline.setEffect(name, effects[name]);
+      });
+      if (effects.bloomStrength !== undefined) pipeline.setBloomStrength(effects.bloomStrength);
+      if (effects.bloomRadius !== undefined) pipeline.setBloomRadius(effects.bloomRadius);
+      if (effects.bloomThreshold !== undefined) pipeline.setBloomThreshold(effects.bloomThreshold);
+      if (effects.filmGrainIntensity !== undefined)
+        pipeline.setFilmGrainIntensity(effects.filmGrainIntensity);
+      if (effects.bokehFocus !== undefined) pipeline.setBokehFocus(effects.bokehFocus);
+      if (effects.bokehAperture !== undefined) pipeline.setBokehAperture(effects.bokehAperture);
+    }
+
+    this._syncPropertyPanel();
+    Logger.log(`📂 项目状态已恢复 (v${manifest.version})`);
+  }
+
+  /**
+   * 将当前场景状态同步回属性面板
+   * @private
+   */
+  _syncPropertyPanel() {
+    const panel = document.getElementById('main-properties');
+    if (!panel?.setControlValues) return;
+
+    const pipeline = this.renderingPipeline;
+    const controls = this.sceneManager?.controls;
+    const focusedEdit = this.sceneObjects[this.focusedObject]?.edit;
+    const values = [
+      ['camera', '阻尼感', controls?.dampingFactor],
+      ['camera', '旋转速度', controls?.rotateSpeed],
+      ['camera', '自动旋转', controls?.autoRotate],
+      ['camera', '自旋速度', controls?.autoRotateSpeed],
+      ['projection', '投影模式', this.projectionManager?.getCurrentMode()],
+      ['projection', '深度强度', this.depthScale],
+      ['projection', '断层边缘', this.edgeMask.mode],
+      ['projection', '边缘阈值', this.edgeMask.threshold],
+      ['panorama', '深度位移', this.panoramaDepth],
+      ['stereo', '立体模式', this.stereoRenderer?.mode],
+      ['stereo', '眼间距', this.stereoRenderer?.eyeSeparation],
+      ['stereo', '交错奇偶', this.stereoRenderer?.parity],
+      ['atmosphere', '天气预设', this.atmosphereState.weather],
+      ['atmosphere', '时间', this.atmosphereState.timeOfDay],
+      ['atmosphere', '光照预设', this.lightingManager?.currentPreset],
+      ['particles', '效果', this.particleSystem?.currentPreset || 'none'],
+      ['particles', '颜色', this.atmosphereState.particleColor],
+      ['video', '尺度对齐', this.videoDepthOptions.alignment],
+      ['video', '时域平滑', this.videoDepthOptions.smoothing],
+      ['layers', '启用分层', this.depthLayerOptions.enabled],
+      ['layers', '层数', this.depthLayerOptions.count],
+      ['layers', '断层阈值', this.depthLayerOptions.threshold],
+      ['refine', '上采样', this.depthRefineOptions.upsample],
+      ['refine', '填补空洞', this.depthRefineOptions.fillHoles],
+      ['refine', '中值去噪', this.depthRefineOptions.medianRadius],
+      ['refine', '远端截断', this.depthRefineOptions.low],
+      ['refine', '近端截断', this.depthRefineOptions.high],
+      ['refine', '深度曲线', this.depthRefineOptions.gamma],
+      ['object', '前后偏移', focusedEdit?.offset ?? 0],
+      ['object', '压平', focusedEdit?.flatten ?? 0],
+      ['object', '独立分层', focusedEdit?.extrude ?? false],
+      ['brush', '模式', this.depthBrush.mode],
+      ['brush', '大小', this.depthBrush.radius],
+      ['brush', '强度', this.depthBrush.strength],
+      ['brush', '衰减', this.depthBrush.falloff],
+      ['quality', '预设', this.qualityManager?.currentProfile],
+      ['quality', '自动调节', this.qualityManager?.isAuto],
+      ['postprocess', 'SMAA 抗锯齿', pipeline?.config.smaa],
+      ['postprocess', '启用辉光', pipeline?.config.bloom],
+      ['postprocess', '辉光强度', pipeline?.passes.bloom?.strength],
+      ['postprocess', '辉光半径', pipeline?.passes.bloom?.radius],
+      ['postprocess', '辉光阈值', pipeline?.passes.bloom?.threshold],
+      ['postprocess', '启用暗角', pipeline?.config.vignette],
+      ['postprocess', '色彩校正', pipeline?.config.colorCorrection],
+      ['postprocess', '电影颗粒', pipeline?.config.filmGrain],
+      ['postprocess', '颗粒强度', pipeline?.passes.filmGrain?.uniforms.intensity.value],
+      ['postprocess', '景深', pipeline?.config.bokeh],
+      ['postprocess', '光圈', pipeline?.passes.bokeh?.uniforms.aperture.value],
+    ];
+
+    panel.setControlValues(values.filter(([, , value]) => value !== undefined && value !== null));
+  }
+
   _exportImage() {
     if (!this.mediaExporter) {
       this._showToast('导出器未初始化', 'error');
@@ -767,20 +1946,189 @@ export class App {
 
   _handleToolChange(tool) {
     Logger.log(`🔧 切换工具: ${tool}`);
-    this._updateStatus(`工具: ${tool}`);
+    this._endBrushStroke();
+    this.activeTool = tool;
+    // 画笔拖动时不旋转视角
+    if (this.sceneManager) this.sceneManager.setControlsEnabled(tool !== 'brush');
+    if (tool === 'brush') {
+      this._updateStatus('深度画笔: 拖动绘制，Shift 反向推拉，Alt+点击设置克隆源');
+    } else {
+      this._updateStatus(`工具: ${tool}`);
+    }
+  }
+
+  /**
+   * @private
+   * @param {PointerEvent} event
+   */
+  _onBrushPointerDown(event) {
+    if (this.activeTool !== 'brush' || event.button !== 0) return;
+    if (!this.currentMesh || !this.currentDepth) return;
+    if (this.depthSequence) {
+      this._showToast('视频暂不支持深度画笔', 'warning');
+      return;
+    }
+
+    const point = this._pickDepthPixel(event);
+    if (!point) return;
+    const brush = this.depthBrush;
+    if (event.altKey) {
+      brush.setCloneSource(point.x, point.y);
+      this._showToast('已设置克隆源', 'info');
+      return;
+    }
+    if (brush.mode === BrushMode.CLONE && !brush.hasCloneSource()) {
+      this._showToast('请先 Alt+点击设置克隆源', 'warning');
+      return;
+    }
+
+    const { data, width, height } = this.currentDepth;
+    event.target.setPointerCapture?.(event.pointerId);
+    if (brush.beginStroke(data, width, height, point.x, point.y, { invert: event.shiftKey })) {
+      this._setCurrentDepthData(data);
+    }
+  }
+
+  /**
+   * @private
+   * @param {PointerEvent} event
+   */
+  _onBrushPointerMove(event) {
+    if (!this.depthBrush.isStroking()) return;
+    const point = this._pickDepthPixel(event);
+    if (point && this.depthBrush.strokeTo(point.x, point.y)) {
+      this._setCurrentDepthData(this.currentDepth.data);
+    }
+  }
+
+  /**
+   * 抬笔：整个笔画记为一次可撤销的增量修改（仅保存修改区域）
+   * 增量与深度后处理无关，重算后处理后撤销仍然有效
+   * @private
+   */
+  _endBrushStroke() {
+    const stroke = this.depthBrush.endStroke();
+    if (!stroke || !this.currentDepth) return;
+
+    const { rect, before } = stroke;
+    const delta = this._readDepthPatch(rect).map((value, i) => value - before[i]);
+    // 先还原，再经由历史记录写入增量，撤销与重做走同一路径
+    this._writeDepthPatch(rect, before);
+    const labels = {
+      [BrushMode.PUSH]: '推远',
+      [BrushMode.PULL]: '拉近',
+      [BrushMode.SMOOTH]: '平滑',
+      [BrushMode.FLATTEN]: '压平',
+      [BrushMode.CLONE]: '克隆',
+    };
+    this._recordChange({
+      label: `深度画笔: ${labels[this.depthBrush.mode] || this.depthBrush.mode}`,
+      from: { owner: this.currentDepth, rect, delta: delta.map((value) => -value) },
+      to: { owner: this.currentDepth, rect, delta },
+      apply: (patch) => this._applyDepthDelta(patch),
+    });
+  }
+
+  /**
+   * 指针位置对应的深度图像素
+   * @private
+   * @param {PointerEvent} event
+   * @returns {{x: number, y: number}|null}
+   */
+  _pickDepthPixel(event) {
+    const { camera } = this.sceneManager;
+    const rect = event.target.getBoundingClientRect();
+    _pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    _raycaster.setFromCamera(_pointer, camera);
+
+    const { data, width, height } = this.currentDepth;
+    const hit = this._regionLocator.pick(this.currentMesh, _raycaster.ray, data, width, height);
+    return hit && { x: hit.u * (width - 1), y: hit.v * (height - 1) };
+  }
+
+  /**
+   * @private
+   * @param {number[]} rect - [x0, y0, x1, y1)
+   * @returns {Float32Array}
+   */
+  _readDepthPatch([x0, y0, x1, y1]) {
+    const { data, width } = this.currentDepth;
+    const patch = new Float32Array((x1 - x0) * (y1 - y0));
+    for (let y = y0; y < y1; y++) {
+      patch.set(data.subarray(y * width + x0, y * width + x1), (y - y0) * (x1 - x0));
+    }
+    return patch;
+  }
+
+  /**
+   * 直接写入深度区域（不更新纹理）
+   * @private
+   * @param {number[]} rect - [x0, y0, x1, y1)
+   * @param {Float32Array} patch
+   */
+  _writeDepthPatch([x0, y0, x1, y1], patch) {
+    const { data, width } = this.currentDepth;
+    for (let y = y0; y < y1; y++) {
+      data.set(patch.subarray((y - y0) * (x1 - x0), (y - y0 + 1) * (x1 - x0)), y * width + x0);
+    }
+  }
+
+  /**
+   * 叠加画笔增量；同步修改物体编辑前的原始深度与累积增量，
+   * 重新应用物体编辑或重算深度后处理后画笔修改仍保留
+   * @private
+   * @param {{owner: object, rect: number[], delta: Float32Array}} patch
+   */
+  _applyDepthDelta({ owner, rect, delta }) {
+    // 已切换到其他图像
+    if (owner !== this.currentDepth || !this.currentMesh) return;
+
+    const [x0, y0, x1, y1] = rect;
+    const { data, width } = this.currentDepth;
+    const base = this._objectDepthBase !== data ? this._objectDepthBase : null;
+    if (!this._brushDelta) this._brushDelta = new Float32Array(data.length);
+    const accumulated = this._brushDelta;
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        const i = y * width + x;
+        const d = delta[(y - y0) * (x1 - x0) + x - x0];
+        accumulated[i] += d;
+        if (base) base[i] = Math.max(0, Math.min(1, base[i] + d));
+        data[i] = Math.max(0, Math.min(1, data[i] + d));
+      }
+    }
+    this._setCurrentDepthData(data);
+    if (this.depthLayers) this._scheduleDepthLayerRebuild();
   }
 
-  async _handleFileUpload(file) {
+  /**
+   * @param {File} file
+   * @param {File|null} [depthFile] - 与图像配对的外部深度图，提供时跳过深度估计
+   */
+  async _handleFileUpload(file, depthFile = null) {
     Logger.log(`📁 上传文件: ${file.name} (${(file.size / 1024 / 1024).toFixed(2)} MB)`);
     const isImage = file.type.startsWith('image/');
     const isVideo = file.type.startsWith('video/');
     const isGaussianSplat = this._isGaussianSplatFile(file);
 
-    if (!isImage && !isVideo && !isGaussianSplat) {
+    const isProject = this._isProjectFile(file);
+
+    if (!isProject && !isImage && !isVideo && !isGaussianSplat) {
       this._showToast('请上传图片、视频或 3DGS 文件 (.splat, .ply, .spz)', 'error');
       return;
     }
 
+    // 新文件取代上一个文件未完成的 AI 推理
+    inferenceQueue.cancelAll();
+
+    if (isProject) {
+      await this.loadProject(file);
+      return;
+    }
+
     this._showToast(`正在处理: ${file.name}`, 'info');
     this._updateStatus(`处理中: ${file.name}`);
 
@@ -789,12 +2137,14 @@ export class App {
         await this.loadGaussianSplat(file);
         this._showToast('3DGS 场景加载完成！', 'success');
       } else if (isImage) {
-        await this._processImage(file);
+        await this._processImage(file, depthFile);
         this._showToast('3D 转换完成！', 'success');
       } else {
         await this._processVideo(file);
         this._showToast('视频处理完成！', 'success');
       }
+      // 撤销记录引用的是上一个场景的对象与深度
+      this.history.clear();
 
       const layersPanel = document.getElementById('layers-panel');
       if (layersPanel && this.sceneManager) {
@@ -802,55 +2152,136 @@ export class App {
       }
       this._updateStatus('就绪');
     } catch (error) {
+      if (error.name === 'AbortError') {
+        Logger.log(`⏹️ 已取消处理: ${file.name}`);
+        return;
+      }
       Logger.error('文件处理失败:', error);
       this._showToast(`处理失败: ${error.message}`, 'error');
       this._updateStatus('处理失败');
     }
   }
 
-  async _processImage(file) {
+  async _processImage(file, depthFile = null) {
     if (!this.imageProcessor || !this.meshGenerator || !this.sceneManager)
       throw new Error('核心模块未初始化');
 
     this._updateStatus('加载图像...');
     const image = await this.imageProcessor.loadImage(file);
     Logger.log(`🖼️ 图像加载完成: ${image.naturalWidth} × ${image.naturalHeight}`);
+    this.panorama = await this.panoramaDetector.detect(
+      file,
+      image.naturalWidth,
+      image.naturalHeight
+    );
+    if (this.panorama) Logger.log(`🌐 检测到全景图 (${this.panorama.source})`);
 
     const resStatus = document.getElementById('status-resolution');
     if (resStatus) resStatus.textContent = `${image.naturalWidth} × ${image.naturalHeight}`;
 
-    const maxSize = 1024;
-    const resizedCanvas = this.imageProcessor.resizeKeepAspect(image, maxSize);
+    const resizedCanvas = this.imageProcessor.resizeKeepAspect(image, this._getProcessingSize());
     Logger.log(`📐 调整尺寸: ${resizedCanvas.width} × ${resizedCanvas.height}`);
 
-    this._updateStatus('生成深度图...');
-    let depthData;
+    let depth;
+    if (depthFile) {
+      this._updateStatus('读取深度图...');
+      depth = await this._loadDepthMap(depthFile, resizedCanvas);
+    } else {
+      this._updateStatus('生成深度图...');
+      depth = await this._estimateDepth(resizedCanvas, true, image);
+    }
 
-    if (this.useAIDepth && this._aiDepthReady && this.depthEstimator) {
-      try {
-        this._updateStatus('AI 深度估计中 (Depth Anything V2)...');
-        Logger.log('🤖 使用 Depth Anything V2 进行深度估计...');
-        depthData = await this.depthEstimator.estimate(resizedCanvas);
-
-        const depthSize = this.depthEstimator.getInputSize();
-        if (depthSize !== resizedCanvas.width || depthSize !== resizedCanvas.height) {
-          depthData = this._resizeDepthMap(
-            depthData,
-            depthSize,
-            depthSize,
-            resizedCanvas.width,
-            resizedCanvas.height
-          );
-        }
-        Logger.log('✅ AI 深度估计完成 (Depth Anything V2)');
-      } catch (error) {
-        Logger.warn('⚠️ AI 深度估计失败，降级使用模拟深度:', error);
-        depthData = this._generateSimulatedDepthMap(resizedCanvas);
+    this._updateStatus('优化深度图...');
+    const depthData = this._refineDepth(depth, resizedCanvas);
+    await this._buildDepthScene(file, resizedCanvas, depthData, depth);
+  }
+
+  /**
+   * 为当前图像导入外部深度图（替换估计结果）
+   * @param {File} file - 16 位 PNG、EXR 或普通灰度图
+   */
+  async importDepthMap(file) {
+    if (!this.currentSource || this.depthSequence) {
+      this._showToast('请先加载图像', 'warning');
+      return;
+    }
+
+    this._updateStatus('读取深度图...');
+    try {
+      const { file: sourceFile, canvas } = this.currentSource;
+      const depth = await this._loadDepthMap(file, canvas);
+      await this._buildDepthScene(sourceFile, canvas, this._refineDepth(depth, canvas), depth);
+      this._showToast(`已导入深度图: ${file.name}`, 'success');
+    } catch (error) {
+      Logger.error('深度图导入失败:', error);
+      this._showToast(`深度图导入失败: ${error.message}`, 'error');
+    } finally {
+      this._updateStatus('就绪');
+    }
+  }
+
+  /**
+   * 解码外部深度图（保持原分辨率，由深度后处理缩放到图像处理尺寸）
+   * @private
+   * @returns {Promise<{data: Float32Array, width: number, height: number}>}
+   */
+  async _loadDepthMap(file, canvas) {
+    const { data, width, height } = await this.depthMapIO.decode(file);
+
+    const aspect = width / height;
+    const targetAspect = canvas.width / canvas.height;
+    if (Math.abs(aspect - targetAspect) / targetAspect > 0.02) {
+      Logger.warn(`⚠️ 深度图宽高比 (${width}×${height}) 与图像不一致，将被拉伸`);
+    }
+
+    return { data, width, height };
+  }
+
+  /**
+   * 估计深度图（模型分辨率，未经后处理），AI 不可用或失败时降级为模拟深度
+   * @private
+   * @param {HTMLCanvasElement} canvas
+   * @param {boolean} [verbose=true] - 是否输出状态信息（视频逐帧时关闭）
+   * @param {HTMLImageElement|null} [source] - 原始分辨率图像，高精度模式下在其上分块估计
+   * @returns {Promise<DepthResult>}
+   */
+  async _estimateDepth(canvas, verbose = true, source = null) {
+    if (!this.useAIDepth || !this._aiDepthReady || !this.depthEstimator) {
+      return this._estimateFallbackDepth(canvas);
+    }
+
+    const name = depthProviderRegistry.get(this.depthProviderId)?.name;
+    try {
+      if (verbose) {
+        this._updateStatus(`AI 深度估计中 (${name})...`);
+        Logger.log(`🤖 使用 ${name} 进行深度估计...`);
       }
-    } else {
-      depthData = this._generateSimulatedDepthMap(resizedCanvas);
+      // 无固定输入尺寸的后端本身按原图估计，无需分块
+      const tiled = this.highDetailDepth && source && this.depthEstimator.getInputSize();
+      const result = tiled
+        ? await new TiledDepthEstimator(this.depthEstimator).estimate(source, {
+            width: canvas.width,
+            height: canvas.height,
+          })
+        : await this.depthEstimator.estimate(canvas);
+      if (verbose) Logger.log(`✅ AI 深度估计完成 (${name})`);
+      return result;
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      Logger.warn('⚠️ AI 深度估计失败，降级使用模拟深度:', error);
+      return this._estimateFallbackDepth(canvas);
     }
+  }
 
+  /**
+   * 由图像与深度数据构建 3D 网格
+   * @private
+   * @param {File} file - 源图像文件
+   * @param {HTMLCanvasElement} resizedCanvas - 处理尺寸下的图像
+   * @param {Float32Array} depthData - 与画布同尺寸的深度数据（已后处理）
+   * @param {{data: Float32Array, width: number, height: number}|null} [source] - 后处理前的深度
+   */
+  async _buildDepthScene(file, resizedCanvas, depthData, source = null) {
     this._updateStatus('创建纹理...');
     const colorTexture = await this.imageProcessor.createTexture(resizedCanvas);
     const depthTexture = await this.imageProcessor.createDepthTexture(
@@ -860,6 +2291,16 @@ export class App {
     );
 
     if (this.currentMesh) this._clearScene();
+    this.currentSource = { file, canvas: resizedCanvas };
+    this._depthSource = source;
+    this._refinedDepth = depthData;
+    this._brushDelta = null;
+    this.currentDepth = {
+      // 画笔与物体编辑作用于副本，后处理结果保持不变
+      data: Float32Array.from(depthData),
+      width: resizedCanvas.width,
+      height: resizedCanvas.height,
+    };
 
     this._updateStatus('生成 3D 网格...');
     const aspectRatio = resizedCanvas.width / resizedCanvas.height;
@@ -868,60 +2309,50 @@ export class App {
       depthScale: this.depthScale,
       width: aspectRatio * 2,
       height: 2,
+      edgeMode: this.edgeMask.mode,
+      edgeThreshold: this.edgeMask.threshold,
     });
 
     resourceManager.trackObject(this.currentMesh);
 
     this.sceneManager.add(this.currentMesh);
-    this.sceneManager.camera.position.set(0, 0, 3);
-    this.sceneManager.camera.lookAt(0, 0, 0);
-    this.sceneManager.controls.update();
-
-    Logger.log('✅ 3D 网格创建完成');
-  }
 
-  _generateSimulatedDepthMap(canvas) {
-    const width = canvas.width;
-    const height = canvas.height;
-    const ctx = canvas.getContext('2d');
-    const imageData = ctx.getImageData(0, 0, width, height);
-    const data = imageData.data;
-    const depthData = new Float32Array(width * height);
+    // 新网格沿用当前投影模式（全景输入自动切换）
+    if (this.projectionManager) {
+      const previous = this.projectionManager.getCurrentMode();
+      const mode = this._resolveProjectionMode(previous);
+      if (mode !== 'perspective' || mode !== previous) {
+        this.projectionManager.setProjectionMode(
+          mode,
+          this.currentMesh,
+          this._getProjectionOptions({ duration: 0 })
+        );
+      }
+      this._applyProjectionView(mode, true);
+      if (mode !== previous) this._syncPropertyPanel();
+    }
+    if (this.sceneManager.controlMode === ControlMode.ORBIT) {
+      this.sceneManager.camera.position.set(0, 0, 3);
+      this.sceneManager.camera.lookAt(0, 0, 0);
+      this.sceneManager.controls.update();
+    }
 
-    for (let i = 0; i < width * height; i++) {
-      const idx = i * 4;
-      const r = data[idx];
-      const g = data[idx + 1];
-      const b = data[idx + 2];
-      const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+    if (this.depthLayerOptions.enabled) this._scheduleDepthLayerRebuild();
 
-      const x = (i % width) / width;
-      const y = Math.floor(i / width) / height;
-      const centerX = 0.5;
-      const centerY = 0.5;
-      const distFromCenter = Math.sqrt(Math.pow(x - centerX, 2) + Math.pow(y - centerY, 2));
+    Logger.log('✅ 3D 网格创建完成');
+  }
 
-      const depth = luminance * 0.7 + (1 - distFromCenter) * 0.3;
-      depthData[i] = Math.max(0, Math.min(1, depth));
-    }
-    return depthData;
+  /**
+   * @private
+   * @param {HTMLCanvasElement} canvas
+   * @returns {Promise<DepthResult>}
+   */
+  async _estimateFallbackDepth(canvas) {
+    return this._heuristicDepth.estimate(canvas);
   }
 
   _resizeDepthMap(depthData, srcWidth, srcHeight, dstWidth, dstHeight) {
-    const result = new Float32Array(dstWidth * dstHeight);
-    const xRatio = srcWidth / dstWidth;
-    const yRatio = srcHeight / dstHeight;
-
-    for (let y = 0; y < dstHeight; y++) {
-      for (let x = 0; x < dstWidth; x++) {
-        const srcX = Math.floor(x * xRatio);
-        const srcY = Math.floor(y * yRatio);
-        const srcIdx = srcY * srcWidth + srcX;
-        const dstIdx = y * dstWidth + x;
-        result[dstIdx] = depthData[srcIdx] || 0;
-      }
-    }
-    return result;
+    return resampleBilinear(depthData, srcWidth, srcHeight, dstWidth, dstHeight);
   }
 
   async loadGaussianSplat(file) {
@@ -959,86 +2390,534 @@ export class App {
     }
   }
 
+  _isProjectFile(file) {
+    return file.name.toLowerCase().endsWith(PROJECT_EXTENSION);
+  }
+
   _isGaussianSplatFile(file) {
     const ext = file.name.split('.').pop().toLowerCase();
     return ['splat', 'ply', 'spz', 'ksplat'].includes(ext);
   }
 
+  /**
+   * 视频处理器（FFmpeg.wasm 较大，首次使用时创建）
+   * @private
+   * @returns {VideoProcessor}
+   */
+  _getVideoProcessor() {
+    if (!this.videoProcessor) this.videoProcessor = new VideoProcessor();
+    return this.videoProcessor;
+  }
+
   async _processVideo(file) {
+    if (!this.imageProcessor || !this.meshGenerator || !this.sceneManager)
+      throw new Error('核心模块未初始化');
+
     Logger.log('🎬 视频处理:', file.name);
-    this._showToast('视频处理功能开发中...', 'info');
-    await new Promise((resolve) => setTimeout(resolve, 500));
+    this._updateStatus('读取视频信息...');
+    const info = await this._getVideoProcessor().getVideoInfo(file);
+    const resStatus = document.getElementById('status-resolution');
+    if (resStatus) resStatus.textContent = `${info.width} × ${info.height}`;
+    this.panorama = await this.panoramaDetector.detect(file, info.width, info.height);
+
+    // H.264 要求偶数尺寸
+    const { fps, maxFrames, maxSize } = VIDEO_PROCESSING;
+    const scale = Math.min(1, maxSize / Math.max(info.width, info.height));
+    const width = Math.max(2, Math.round((info.width * scale) / 2) * 2);
+    const height = Math.max(2, Math.round((info.height * scale) / 2) * 2);
+
+    this._updateStatus('加载 FFmpeg...');
+    if (!(await this.videoProcessor.load())) throw new Error('FFmpeg 加载失败');
+
+    this._updateStatus('解码视频帧...');
+    const frames = await this.videoProcessor.extractFrames(file, {
+      fps,
+      maxFrames,
+      width,
+      height,
+    });
+    if (frames.length === 0) throw new Error('未能解码任何视频帧');
+
+    const sequence = new DepthSequence({ fps, width, height });
+    for (let i = 0; i < frames.length; i++) {
+      this._updateStatus(`逐帧深度估计 ${i + 1}/${frames.length}...`);
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      canvas.getContext('2d').putImageData(frames[i], 0, 0);
+      frames[i] = null;
+
+      const depth = await this._estimateDepth(canvas, false);
+      sequence.addFrame(canvas, this._refineDepth(depth, canvas));
+    }
+    Logger.log(`✅ 视频深度序列完成: ${sequence.frameCount} 帧 @ ${fps} fps`);
+
+    await this._stabilizeSequence(sequence);
+
+    const first = sequence.frames[0];
+    await this._buildDepthScene(file, first.canvas, first.depth);
+    this._setDepthSequence(sequence);
   }
 
-  _updateDepthScale(value) {
-    this.depthScale = value;
-    Logger.log(`🔍 深度强度: ${value}`);
-    if (this.currentMesh && this.meshGenerator) {
-      this.meshGenerator.updateDepthScale(this.currentMesh, value);
-    }
+  /**
+   * 对序列原始深度执行时域稳定
+   * @private
+   * @param {DepthSequence} sequence
+   */
+  async _stabilizeSequence(sequence) {
+    const token = ++this._stabilizeToken;
+    const stabilizer = new TemporalDepthStabilizer(this.videoDepthOptions);
+    stabilizer.onProgress = (progress) => {
+      if (token === this._stabilizeToken) {
+        this._updateStatus(`时域深度稳定 ${Math.round(progress * 100)}%...`);
+      }
+    };
+
+    const { depths, transforms } = await stabilizer.stabilize(
+      sequence.frames.map((frame) => ({ canvas: frame.canvas, depth: frame.rawDepth })),
+      sequence.width,
+      sequence.height
+    );
+
+    // 期间参数再次变化或序列已被替换
+    if (token !== this._stabilizeToken || sequence.frameCount !== depths.length) return;
+
+    sequence.setDepths(depths);
+    const scales = transforms.map((t) => t.scale);
+    Logger.log(
+      `🎞️ 逐帧深度尺度范围: ${Math.min(...scales).toFixed(3)} – ${Math.max(...scales).toFixed(3)}`
+    );
   }
 
-  // eslint-disable-next-line no-unused-vars
-  _updateParallaxIntensity(value) {
-    // TODO
+  setVideoDepthOption(key, value) {
+    const labels = { alignment: '尺度对齐', smoothing: '时域平滑' };
+    this._recordChange({
+      label: labels[key] || key,
+      from: this.videoDepthOptions[key],
+      to: value,
+      merge: typeof value === 'number',
+      apply: (v) => {
+        this.videoDepthOptions[key] = v;
+        this._scheduleRestabilize();
+      },
+    });
   }
 
-  _updateProjectionMode(mode) {
-    Logger.log(`📐 投影模式: ${mode}`);
-    if (!this.projectionManager || !this.currentMesh) {
-      this._showToast('请先加载图像', 'warning');
-      return;
-    }
-    this.projectionManager.setProjectionMode(mode, this.currentMesh, { radius: 2, strength: 1.0 });
+  /**
+   * 参数变化后延迟重算，避免滑块拖动时反复计算
+   * @private
+   */
+  _scheduleRestabilize() {
+    if (!this.depthSequence) return;
+    clearTimeout(this._restabilizeTimer);
+    this._restabilizeTimer = setTimeout(async () => {
+      const sequence = this.depthSequence;
+      if (!sequence) return;
+      await this._stabilizeSequence(sequence);
+      this._updateStatus('就绪');
+    }, 400);
+  }
 
-    if (mode === 'spherical' || mode === 'cylindrical') {
-      this.sceneManager.camera.position.set(0, 0, 5);
-    } else {
-      this.sceneManager.camera.position.set(0, 0, 3);
+  setDepthRefineOption(key, value) {
+    const labels = {
+      upsample: '上采样',
+      fillHoles: '填补空洞',
+      medianRadius: '中值去噪',
+      low: '远端截断',
+      high: '近端截断',
+      gamma: '深度曲线',
+    };
+    if (this.depthSequence) {
+      this._showToast('视频深度优化参数将在重新载入后生效', 'info');
     }
-    this.sceneManager.controls.update();
-    this._showToast(`已切换到 ${this._getProjectionName(mode)} 模式`, 'success');
+    this._recordChange({
+      label: labels[key] || key,
+      from: this.depthRefineOptions[key],
+      to: value,
+      merge: typeof value === 'number',
+      apply: (v) => {
+        this.depthRefineOptions[key] = v;
+        this._scheduleDepthRefine();
+      },
+    });
   }
 
-  _getProjectionName(mode) {
-    const names = {
-      perspective: '透视',
-      orthographic: '正交',
-      spherical: '球面',
-      cylindrical: '柱面',
-      fisheye: '鱼眼',
-    };
-    return names[mode] || mode;
+  /**
+   * 后处理参数变化后延迟重算；项目与视频没有保留原始深度，参数只作用于之后载入的图像
+   * @private
+   */
+  _scheduleDepthRefine() {
+    clearTimeout(this._depthRefineTimer);
+    this._depthRefineTimer = setTimeout(() => {
+      const source = this._depthSource;
+      if (!source || !this.currentSource || !this.currentDepth) return;
+      this._replaceDepthData(this._refineDepth(source, this.currentSource.canvas));
+    }, 300);
   }
 
-  _toggleEffect(effectId, enabled) {
-    Logger.log(`✨ 效果 ${effectId}: ${enabled ? '开启' : '关闭'}`);
-    if (!this.renderingPipeline) {
-      this._showToast('后处理系统未初始化', 'error');
-      return;
+  setDepthLayerOption(key, value) {
+    const labels = { enabled: '启用分层', count: '层数', threshold: '断层阈值' };
+    if (key === 'enabled' && value && this.depthSequence) {
+      this._showToast('视频暂不支持分层深度', 'warning');
     }
+    this._recordChange({
+      label: labels[key] || key,
+      from: this.depthLayerOptions[key],
+      to: value,
+      merge: typeof value === 'number',
+      apply: (v) => {
+        this.depthLayerOptions[key] = v;
+        this._scheduleDepthLayerRebuild();
+      },
+    });
+  }
 
-    // Convert 'colorgrade' to 'colorCorrection' if needed, mostly matching pipeline keys
-    const effectMap = {
-      bloom: 'bloom',
-      vignette: 'vignette',
-      colorgrade: 'colorCorrection',
-      smaa: 'smaa',
-    };
-    const effectName = effectMap[effectId] || effectId;
-    this.renderingPipeline.setEffect(effectName, enabled);
+  /**
+   * 分层参数变化后延迟重建，避免滑块拖动时反复修补
+   * @private
+   */
+  _scheduleDepthLayerRebuild() {
+    clearTimeout(this._depthLayerTimer);
+    this._depthLayerTimer = setTimeout(() => this._rebuildDepthLayers(), 300);
+  }
 
-    const effectNames = {
-      bloom: '辉光',
-      vignette: '暗角',
-      colorCorrection: '色彩校正',
-      smaa: 'SMAA 抗锯齿',
+  /**
+   * 按当前参数重建分层网格；未启用时恢复单层网格
+   * @private
+   */
+  async _rebuildDepthLayers() {
+    const token = ++this._depthLayerToken;
+    this._disposeDepthLayers();
+
+    const { enabled, count, threshold } = this.depthLayerOptions;
+    // 选中“独立分层”的物体优先于按深度断层自动分层
+    const extruded = this.sceneObjects.filter((object) => object.mask && object.edit.extrude);
+    const wanted = enabled || extruded.length > 0;
+    if (wanted && this.currentMesh && this.currentDepth && !this.depthSequence) {
+      this._updateStatus('构建分层深度...');
+      try {
+        const { canvas } = this.currentSource;
+        const { data } = this.currentDepth;
+        const options = {
+          depthScale: this.depthScale,
+          width: (canvas.width / canvas.height) * 2,
+          height: 2,
+        };
+        const group =
+          extruded.length > 0
+            ? await this.depthLayerBuilder.buildFromMasks(
+                data,
+                canvas,
+                extruded.map((object) => ({ mask: object.mask, name: object.label })),
+                options
+              )
+            : await this.depthLayerBuilder.build(data, canvas, {
+                ...options,
+                layerCount: count,
+                threshold,
+              });
+
+        // 期间参数再次变化或场景已被替换
+        if (token !== this._depthLayerToken || !this.currentMesh) {
+          this._disposeLayerGroup(group);
+          return;
+        }
+
+        this.depthLayers = group;
+        this._applyEdgeMask();
+        this.currentMesh.visible = false;
+        this.sceneManager.add(group);
+        const mode = this.projectionManager?.getCurrentMode();
+        if (mode && mode !== 'perspective') this._applyLayerProjection(mode, { duration: 0 });
+        this._applyDisplacementMode();
+        Logger.log(`🧅 分层深度: ${group.children.length} 层`);
+      } catch (error) {
+        Logger.error('分层深度构建失败:', error);
+        this._showToast(`分层深度构建失败: ${error.message}`, 'error');
+      }
+      this._updateStatus('就绪');
+    }
+
+    const layersPanel = document.getElementById('layers-panel');
+    if (layersPanel && this.sceneManager) {
+      layersPanel.updateLayers(this.sceneManager.scene.children);
+    }
+  }
+
+  /**
+   * 为每层网格应用与主网格相同的投影变形
+   * @private
+   * @param {string} [mode]
+   * @param {object} [options] - 如 { duration: 0 } 跳过过渡
+   */
+  _applyLayerProjection(mode, options = {}) {
+    if (!this.depthLayers || !mode) return;
+    this.depthLayers.children.forEach((layer, i) => {
+      if (!this._layerProjections[i]) {
+        this._layerProjections[i] = new ProjectionManager(
+          this.sceneManager.scene,
+          this.sceneManager.camera
+        );
+      }
+      this._layerProjections[i].setProjectionMode(mode, layer, this._getProjectionOptions(options));
+    });
+  }
+
+  /**
+   * 移除分层网格并恢复单层网格显示
+   * @private
+   */
+  _disposeDepthLayers() {
+    this._layerProjections.forEach((projection) => projection.dispose());
+    this._layerProjections = [];
+
+    if (!this.depthLayers) return;
+    this.sceneManager?.remove(this.depthLayers);
+    this._disposeLayerGroup(this.depthLayers);
+    this.depthLayers = null;
+    if (this.currentMesh) this.currentMesh.visible = true;
+  }
+
+  /**
+   * @private
+   * @param {THREE.Group} group
+   */
+  _disposeLayerGroup(group) {
+    // 每层的深度/颜色纹理为独立创建，disposeObject 不会清理 ShaderMaterial uniform
+    group.children.forEach((layer) => {
+      layer.material.uniforms.depthMap.value?.dispose();
+      layer.material.uniforms.colorMap.value?.dispose();
+    });
+    resourceManager.disposeObject(group);
+  }
+
+  /**
+   * 设置当前深度序列并同步时间轴
+   * @private
+   * @param {DepthSequence|null} sequence
+   */
+  _setDepthSequence(sequence) {
+    if (this.depthSequence) this.depthSequence.dispose();
+    this.depthSequence = sequence;
+
+    const timeline = document.getElementById('timeline-editor');
+    if (!sequence) {
+      if (timeline) timeline.setDuration(10);
+      return;
+    }
+
+    // 分层网格为静态深度，视频序列不使用
+    clearTimeout(this._depthLayerTimer);
+    this._disposeDepthLayers();
+
+    sequence.bindMesh(this.currentMesh);
+    sequence.onUpdate((time) => {
+      this.currentTimelineTime = time;
+      if (timeline) timeline.setTime(time);
+    });
+    if (timeline) timeline.setDuration(sequence.duration);
+  }
+
+  _updateDepthScale(value) {
+    this._recordChange({
+      label: '深度强度',
+      from: this.depthScale,
+      to: value,
+      merge: true,
+      apply: (v) => {
+        this.depthScale = v;
+        Logger.log(`🔍 深度强度: ${v}`);
+        if (this.currentMesh && this.meshGenerator) {
+          this.meshGenerator.updateDepthScale(this.currentMesh, v);
+        }
+        this.depthLayers?.children.forEach((layer) =>
+          this.meshGenerator.updateDepthScale(layer, v)
+        );
+      },
+    });
+  }
+
+  setEdgeMask(key, value) {
+    const labels = { mode: '断层边缘', threshold: '边缘阈值' };
+    this._recordChange({
+      label: labels[key] || key,
+      from: this.edgeMask[key],
+      to: value,
+      merge: typeof value === 'number',
+      apply: (v) => {
+        this.edgeMask[key] = v;
+        this._applyEdgeMask();
+      },
+    });
+  }
+
+  /**
+   * 将断层边缘处理应用到当前网格与各深度层
+   * @private
+   */
+  _applyEdgeMask() {
+    if (!this.meshGenerator) return;
+    const { mode, threshold } = this.edgeMask;
+    const meshes = [this.currentMesh, ...(this.depthLayers?.children || [])];
+    meshes.forEach((mesh) => mesh && this.meshGenerator.updateEdgeMask(mesh, mode, threshold));
+  }
+
+  // eslint-disable-next-line no-unused-vars
+  _updateParallaxIntensity(value) {
+    // TODO
+  }
+
+  _updateProjectionMode(mode) {
+    Logger.log(`📐 投影模式: ${mode}`);
+    if (!this.projectionManager || !this.currentMesh) {
+      this._showToast('请先加载图像', 'warning');
+      return;
+    }
+    this._recordChange({
+      label: '投影模式',
+      from: this.projectionManager.getCurrentMode(),
+      to: mode,
+      apply: (m) => {
+        if (!this.currentMesh) return;
+        this._modeBeforePanorama = null;
+        this.projectionManager.setProjectionMode(m, this.currentMesh, this._getProjectionOptions());
+        this._applyLayerProjection(m);
+
+        // 全景从球 / 立方体内部环视，其余模式环绕观察
+        this._applyProjectionView(m);
+        if (this.sceneManager.controlMode === ControlMode.ORBIT) {
+          const wrapped = m === 'spherical' || m === 'cylindrical' || m === 'stereographic';
+          this.sceneManager.camera.position.set(0, 0, wrapped ? 5 : 3);
+          this.sceneManager.controls.update();
+        }
+        this._showToast(`已切换到 ${this._getProjectionName(m)} 模式`, 'success');
+      },
+    });
+  }
+
+  /**
+   * 投影选项（全景输入附带其在完整全景中的范围）
+   * @private
+   * @param {object} [extra] - 如 { duration: 0 }
+   * @returns {object}
+   */
+  _getProjectionOptions(extra = {}) {
+    return { radius: 2, strength: 1.0, crop: this.panorama?.crop, ...extra };
+  }
+
+  /**
+   * 新场景的投影模式：全景输入切换到全景球，之后的非全景输入恢复切换前的模式
+   * @private
+   * @param {string} current
+   * @returns {string}
+   */
+  _resolveProjectionMode(current) {
+    if (this.panorama) {
+      if (PANORAMA_MODES.includes(current)) return current;
+      this._modeBeforePanorama = current;
+      return 'equirectangular';
+    }
+    if (this._modeBeforePanorama !== null) {
+      const mode = this._modeBeforePanorama;
+      this._modeBeforePanorama = null;
+      return mode;
+    }
+    return current;
+  }
+
+  /**
+   * 按投影模式切换观看方式与深度位移：全景模式从球心环视，其余模式环绕观察
+   * @private
+   * @param {string} mode
+   * @param {boolean} [resetLook=false] - 环视时回到球心与初始朝向
+   */
+  _applyProjectionView(mode, resetLook = false) {
+    if (!this.sceneManager) return;
+    this._applyDisplacementMode();
+
+    const panoramic = PANORAMA_MODES.includes(mode);
+    const { panoramaControls } = this.sceneManager;
+    panoramaControls.maxOffset = panoramic && this.panoramaDepth ? PANORAMA_MAX_OFFSET : 0;
+    panoramaControls.heading = this.panorama?.heading || 0;
+
+    const entering = panoramic && this.sceneManager.controlMode !== ControlMode.LOOK;
+    this.sceneManager.setControlMode(panoramic ? ControlMode.LOOK : ControlMode.ORBIT);
+    if (entering || (panoramic && resetLook)) panoramaControls.reset();
+  }
+
+  /**
+   * 将深度位移方式应用到当前网格与各深度层
+   * 全景球面按深度径向收缩（关闭时不位移），其余模式沿 z 轴位移
+   * @private
+   */
+  _applyDisplacementMode() {
+    if (!this.meshGenerator) return;
+    let mode = DisplacementMode.PLANAR;
+    if (PANORAMA_MODES.includes(this.projectionManager?.getCurrentMode())) {
+      mode = this.panoramaDepth ? DisplacementMode.RADIAL : DisplacementMode.NONE;
+    }
+    const meshes = [this.currentMesh, ...(this.depthLayers?.children || [])];
+    meshes.forEach((mesh) => mesh && this.meshGenerator.updateDisplacementMode(mesh, mode));
+  }
+
+  /**
+   * 开关全景深度位移
+   * @param {boolean} enabled
+   */
+  setPanoramaDepth(enabled) {
+    this._recordChange({
+      label: '全景深度',
+      from: this.panoramaDepth,
+      to: enabled,
+      apply: (v) => {
+        this.panoramaDepth = v;
+        if (this.projectionManager) {
+          this._applyProjectionView(this.projectionManager.getCurrentMode());
+        }
+      },
+    });
+  }
+
+  _getProjectionName(mode) {
+    return projectorRegistry.get(mode)?.name || mode;
+  }
+
+  _toggleEffect(effectId, enabled) {
+    Logger.log(`✨ 效果 ${effectId}: ${enabled ? '开启' : '关闭'}`);
+    if (!this.renderingPipeline) {
+      this._showToast('后处理系统未初始化', 'error');
+      return;
+    }
+
+    // Convert 'colorgrade' to 'colorCorrection' if needed, mostly matching pipeline keys
+    const effectMap = {
+      bloom: 'bloom',
+      vignette: 'vignette',
+      colorgrade: 'colorCorrection',
+      smaa: 'smaa',
+    };
+    const effectName = effectMap[effectId] || effectId;
+
+    const effectNames = {
+      bloom: '辉光',
+      vignette: '暗角',
+      colorCorrection: '色彩校正',
+      smaa: 'SMAA 抗锯齿',
       filmGrain: '电影颗粒',
+      bokeh: '景深',
     };
-    this._showToast(
-      `${effectNames[effectName] || effectId} 效果${enabled ? '已开启' : '已关闭'}`,
-      'success'
-    );
+    this._recordChange({
+      label: effectNames[effectName] || effectId,
+      from: this.renderingPipeline.config[effectName],
+      to: enabled,
+      apply: (on) => {
+        this.renderingPipeline.setEffect(effectName, on);
+        this._showToast(
+          `${effectNames[effectName] || effectId} 效果${on ? '已开启' : '已关闭'}`,
+          'success'
+        );
+      },
+    });
   }
 
   _togglePlayback(playing) {
@@ -1110,24 +2989,252 @@ export class App {
     }, 3000);
   }
 
+  /**
+   * 场景分析：YOLO 物体检测，检测框叠加在视口并列入图层面板
+   */
+  async analyzeScene() {
+    if (!this.currentSource || !this.currentDepth || !this.currentMesh) {
+      this._showToast('请先加载图像', 'warning');
+      return;
+    }
+    if (this.depthSequence) {
+      this._showToast('视频暂不支持场景分析', 'warning');
+      return;
+    }
+
+    try {
+      if (!this.sceneAnalyzer) {
+        this._updateStatus('加载场景分析模型...');
+        const { SceneAnalyzer } = await import('./AIEngine/SceneAnalyzer.js');
+        this.sceneAnalyzer = new SceneAnalyzer({ downloader: this.modelDownloader });
+      }
+      let loaded = false;
+      for (const model of SCENE_ANALYSIS_MODELS) {
+        loaded = await this.sceneAnalyzer.loadModel(model);
+        if (loaded) break;
+      }
+      if (!loaded) throw new Error('YOLO 模型加载失败');
+
+      this._updateStatus('场景分析中...');
+      // 重新分析时丢弃旧物体的深度编辑
+      this._restoreObjectDepth();
+      const { data, width, height } = this.currentDepth;
+      const detections = await this.sceneAnalyzer.analyze(this.currentSource.canvas);
+      const objects = detections
+        .map((detection) => {
+          const region = this._regionLocator.measure(detection.bbox, data, width, height);
+          return (
+            region && {
+              label: detection.label,
+              confidence: detection.confidence,
+              bbox: detection.bbox,
+              ...region,
+              mask: detection.mask || null,
+              edit: { offset: 0, flatten: 0, extrude: false },
+            }
+          );
+        })
+        .filter(Boolean);
+
+      this._setSceneObjects(objects);
+      Logger.log(`🔍 场景分析: ${objects.map((o) => o.label).join(', ') || '无物体'}`);
+      if (objects.length > 0) {
+        this._showToast(`检测到 ${objects.length} 个物体，点击标签对焦`, 'success');
+      } else {
+        this._showToast('未检测到物体', 'info');
+      }
+    } catch (error) {
+      // 载入新文件时取消
+      if (error.name === 'AbortError') return;
+      Logger.error('场景分析失败:', error);
+      this._showToast(`场景分析失败: ${error.message}`, 'error');
+    }
+    this._updateStatus('就绪');
+  }
+
+  /**
+   * 对焦检测到的物体：相机绕物体旋转，景深焦点与立体汇聚距离随之跟踪
+   * @param {number} index - sceneObjects 索引
+   */
+  focusSceneObject(index) {
+    const object = this.sceneObjects[index];
+    if (!object || !this.currentMesh || !this.sceneManager) return;
+
+    const { controls } = this.sceneManager;
+    const [u, v] = object.center;
+    const target = this._regionLocator.toWorld(this.currentMesh, u, v, object.depth);
+    this._recordChange({
+      label: `对焦: ${object.label}`,
+      from: { target: controls.target.toArray(), index: this.focusedObject },
+      to: { target: target.toArray(), index },
+      apply: (state) => {
+        controls.target.fromArray(state.target);
+        controls.update();
+        this.focusedObject = state.index;
+        document.getElementById('detection-overlay')?.setSelected(state.index);
+        document.getElementById('layers-panel')?.setSelectedObject(state.index);
+        this._trackFocus();
+        this._syncPropertyPanel();
+      },
+    });
+  }
+
+  /**
+   * 编辑当前对焦物体的深度（需实例分割掩码）
+   * @param {'offset'|'flatten'|'extrude'} key
+   * @param {number|boolean} value
+   */
+  setObjectDepthEdit(key, value) {
+    const object = this.sceneObjects[this.focusedObject];
+    if (!object?.mask) {
+      this._showToast('请先在场景分析结果中选中带分割掩码的物体', 'warning');
+      this._syncPropertyPanel();
+      return;
+    }
+    const labels = { offset: '前后偏移', flatten: '压平', extrude: '独立分层' };
+    this._recordChange({
+      label: `${object.label} ${labels[key] || key}`,
+      from: object.edit[key],
+      to: value,
+      merge: typeof value === 'number',
+      apply: (v) => {
+        object.edit[key] = v;
+        clearTimeout(this._objectDepthTimer);
+        this._objectDepthTimer = setTimeout(() => this._applyObjectDepthEdits(), 150);
+      },
+    });
+  }
+
+  /**
+   * 由原始深度重新应用全部物体编辑并更新网格
+   * @private
+   */
+  _applyObjectDepthEdits() {
+    if (!this.currentDepth || !this.currentMesh) return;
+
+    if (!this._objectDepthBase) this._objectDepthBase = this.currentDepth.data;
+    const edits = this.sceneObjects
+      .filter((object) => object.mask)
+      .map((object) => ({ mask: object.mask, ...object.edit }));
+    this._setCurrentDepthData(this._objectDepthEditor.apply(this._objectDepthBase, edits));
+
+    if (this.depthLayers || this.depthLayerOptions.enabled || edits.some((e) => e.extrude)) {
+      this._scheduleDepthLayerRebuild();
+    }
+  }
+
+  /**
+   * 撤销所有物体深度编辑
+   * @private
+   */
+  _restoreObjectDepth() {
+    if (!this._objectDepthBase) return;
+    this._setCurrentDepthData(this._objectDepthBase);
+    this._objectDepthBase = null;
+  }
+
+  /**
+   * 替换当前深度数据，同步网格纹理与检测框锚点深度
+   * @private
+   * @param {Float32Array} data
+   */
+  _setCurrentDepthData(data) {
+    const { width, height } = this.currentDepth;
+    this.currentDepth.data = data;
+    this.imageProcessor.updateDepthTexture(this.currentMesh.material.uniforms.depthMap.value, data);
+    this.sceneObjects.forEach((object) => {
+      const region = this._regionLocator.measure(object.bbox, data, width, height);
+      if (region) object.depth = region.depth;
+    });
+  }
+
+  /**
+   * 设置检测物体并刷新叠加层与图层面板
+   * @private
+   * @param {Array<object>} objects
+   */
+  _setSceneObjects(objects) {
+    this.sceneObjects = objects;
+    this.focusedObject = -1;
+    document.getElementById('detection-overlay')?.setDetections(objects);
+    document.getElementById('layers-panel')?.updateObjects(objects);
+  }
+
+  /**
+   * 将检测框投影到视口（每帧）
+   * @private
+   */
+  _updateDetectionOverlay() {
+    const overlay = document.getElementById('detection-overlay');
+    if (!overlay || !this.currentMesh) return;
+
+    const { camera } = this.sceneManager;
+    const { clientWidth: width, clientHeight: height } = overlay;
+    overlay.updateBoxes(
+      this.sceneObjects.map((object) =>
+        this._regionLocator.projectRect(this.currentMesh, object, camera, width, height)
+      )
+    );
+    if (this.focusedObject >= 0) this._trackFocus();
+  }
+
+  /**
+   * 景深焦点与立体汇聚距离跟随对焦物体（相机缩放后保持对焦）
+   * @private
+   */
+  _trackFocus() {
+    if (this.focusedObject < 0) return;
+    const { camera, controls } = this.sceneManager;
+    const distance = camera.position.distanceTo(controls.target);
+    this.renderingPipeline?.setBokehFocus(distance);
+    this.stereoRenderer?.setFocalLength(distance);
+  }
+
   setStereoMode(mode) {
     if (!this.stereoRenderer) {
       this._showToast('立体渲染器未初始化', 'error');
       return;
     }
-    this.stereoRenderer.setMode(mode);
     const modeNames = {
       none: '关闭',
       anaglyph: '红青3D',
       sideBySide: '左右分屏',
       topBottom: '上下分屏',
       crossEyed: '交叉眼',
+      [StereoMode.INTERLACED]: '隔行交错',
+      [StereoMode.COLUMN_INTERLEAVED]: '隔列交错',
+      [StereoMode.CHECKERBOARD]: '棋盘格',
     };
-    this._showToast(`立体模式: ${modeNames[mode] || mode}`, 'success');
+    this._recordChange({
+      label: '立体模式',
+      from: this.stereoRenderer.mode,
+      to: mode,
+      apply: (m) => {
+        this.stereoRenderer.setMode(m);
+        this._showToast(`立体模式: ${modeNames[m] || m}`, 'success');
+      },
+    });
+  }
+
+  setStereoParity(parity) {
+    if (!this.stereoRenderer) return;
+    this._recordChange({
+      label: '交错奇偶',
+      from: this.stereoRenderer.parity,
+      to: parity,
+      apply: (v) => this.stereoRenderer.setParity(v),
+    });
   }
 
   setEyeSeparation(separation) {
-    if (this.stereoRenderer) this.stereoRenderer.setEyeSeparation(separation);
+    if (!this.stereoRenderer) return;
+    this._recordChange({
+      label: '眼间距',
+      from: this.stereoRenderer.eyeSeparation,
+      to: separation,
+      merge: true,
+      apply: (v) => this.stereoRenderer.setEyeSeparation(v),
+    });
   }
 
   setAtmosphere(preset, options = {}) {
@@ -1135,12 +3242,6 @@ export class App {
       this._showToast('粒子系统未初始化', 'error');
       return;
     }
-    if (preset === 'none' || !preset) {
-      this.particleSystem.clear();
-      this._showToast('氛围效果已关闭', 'info');
-      return;
-    }
-    this.particleSystem.applyPreset(preset, options);
     const presetNames = {
       dust: '灰尘',
       snow: '雪花',
@@ -1151,11 +3252,174 @@ export class App {
       fog: '雾气',
       bubbles: '气泡',
     };
-    this._showToast(`氛围效果: ${presetNames[preset] || preset}`, 'success');
+    this._recordChange({
+      label: '粒子效果',
+      from: this.particleSystem.currentPreset || 'none',
+      to: preset || 'none',
+      apply: (p) => {
+        if (p === 'none') {
+          this.particleSystem.clear();
+          this._showToast('氛围效果已关闭', 'info');
+          return;
+        }
+        this.particleSystem.applyPreset(p, options);
+        this._showToast(`氛围效果: ${presetNames[p] || p}`, 'success');
+      },
+    });
   }
 
   setAtmosphereColor(color) {
-    if (this.particleSystem) this.particleSystem.setColor(color);
+    this._recordChange({
+      label: '粒子颜色',
+      from: this.atmosphereState.particleColor,
+      to: color,
+      merge: true,
+      apply: (c) => {
+        this.atmosphereState.particleColor = c;
+        if (this.particleSystem) this.particleSystem.setColor(c);
+      },
+    });
+  }
+
+  setWeather(preset) {
+    this._recordChange({
+      label: '天气预设',
+      from: this.atmosphereState.weather,
+      to: preset,
+      apply: (p) => {
+        this.atmosphereState.weather = p;
+        this.skyController?.setWeather(p);
+      },
+    });
+  }
+
+  setTimeOfDay(hour) {
+    this._recordChange({
+      label: '时间',
+      from: this.atmosphereState.timeOfDay,
+      to: hour,
+      merge: true,
+      apply: (h) => {
+        this.atmosphereState.timeOfDay = h;
+        this.skyController?.setTimeOfDay(h);
+      },
+    });
+  }
+
+  setLightingPreset(preset) {
+    if (!this.lightingManager) return;
+    this._recordChange({
+      label: '光照预设',
+      from: this.lightingManager.currentPreset,
+      to: preset,
+      // 未应用过预设时撤销回到初始光照
+      apply: (p) =>
+        p ? this.lightingManager.applyPreset(p) : this.lightingManager.resetToDefault(),
+    });
+  }
+
+  addCameraKeyframe(time) {
+    if (!this.cameraPath) return;
+    const before = this.cameraPath.exportPath();
+    this.cameraPath.captureKeyframe(time);
+    this._recordChange({
+      label: `添加关键帧 @ ${time.toFixed(2)}s`,
+      from: before,
+      to: this.cameraPath.exportPath(),
+      apply: (path) => this._applyCameraPath(path),
+    });
+  }
+
+  clearCameraKeyframes() {
+    if (!this.cameraPath) return;
+    this._recordChange({
+      label: '清除关键帧',
+      from: this.cameraPath.exportPath(),
+      to: { keyframes: [] },
+      apply: (path) => this._applyCameraPath(path),
+    });
+  }
+
+  /**
+   * 替换相机路径并刷新时间轴标记
+   * @private
+   * @param {{keyframes: object[]}} path - CameraPath.exportPath() 格式
+   */
+  _applyCameraPath(path) {
+    if (!this.cameraPath) return;
+    this.cameraPath.importPath(path);
+
+    const timeline = document.getElementById('timeline-editor');
+    if (timeline) {
+      timeline.clearMarkers();
+      this.cameraPath.keyframes.forEach((kf) => timeline.addKeyframeMarker(kf.time));
+    }
+  }
+
+  _setControlParam(label, key, value) {
+    this._recordChange({
+      label,
+      from: this.sceneManager.controls?.[key],
+      to: value,
+      merge: typeof value === 'number',
+      apply: (v) => this.sceneManager.setControlParams({ [key]: v }),
+    });
+  }
+
+  /**
+   * 通过撤销栈应用一次取值变更
+   * @private
+   * @param {object} change
+   * @param {string} change.label - 历史记录名称
+   * @param {*} change.from - 变更前的值
+   * @param {*} change.to - 变更后的值
+   * @param {Function} change.apply - 应用某个值
+   * @param {boolean} [change.merge=false] - 是否合并连续变更（滑块拖动）
+   */
+  _recordChange({ label, from, to, apply, merge = false }) {
+    if (from === to) {
+      apply(to);
+      return;
+    }
+    const display = this._formatHistoryValue(to);
+    this.history.execute({
+      label: display === null ? label : `${label}: ${display}`,
+      mergeKey: merge ? label : null,
+      execute: () => apply(to),
+      undo: () => apply(from),
+    });
+  }
+
+  _formatHistoryValue(value) {
+    if (typeof value === 'boolean') return value ? '开' : '关';
+    if (typeof value === 'number') return String(Number(value.toFixed(3)));
+    if (typeof value === 'string') return value;
+    return null;
+  }
+
+  undo() {
+    const entry = this.history.getEntries()[this.history.index - 1];
+    if (!this.history.undo()) {
+      this._showToast('没有可撤销的操作', 'info');
+      return;
+    }
+    this._syncPropertyPanel();
+    this._updateStatus(`撤销: ${entry.label}`);
+  }
+
+  redo() {
+    const entry = this.history.getEntries()[this.history.index];
+    if (!this.history.redo()) {
+      this._showToast('没有可重做的操作', 'info');
+      return;
+    }
+    this._syncPropertyPanel();
+    this._updateStatus(`重做: ${entry.label}`);
+  }
+
+  jumpToHistory(index) {
+    this.history.jumpTo(index);
+    this._syncPropertyPanel();
   }
 
   setAtmosphereOpacity(opacity) {
@@ -1169,25 +3433,371 @@ export class App {
     }
   }
 
-  async _handleExport({ format, quality, duration }) {
+  /**
+   * 录制视口画面
+   * @private
+   * @param {number} duration - 秒
+   * @param {number} fps
+   * @param {Function} onProgress - 进度回调 (0-1)
+   * @returns {Promise<HTMLCanvasElement[]>}
+   */
+  async _recordViewport(duration, fps, onProgress) {
+    this.mediaExporter.startRecording({ fps, maxDuration: duration });
+    const start = performance.now();
+    await new Promise((resolve) => {
+      const timer = setInterval(() => {
+        const elapsed = (performance.now() - start) / 1000;
+        onProgress(Math.min(1, elapsed / duration));
+        if (elapsed >= duration + 0.5) {
+          clearInterval(timer);
+          resolve();
+        }
+      }, 250);
+    });
+    const frames = this.mediaExporter.stopRecording();
+    if (frames.length === 0) throw new Error('没有录制到帧');
+    return frames;
+  }
+
+  /**
+   * 离线逐帧渲染：按 1/fps 精确推进运镜、视频深度序列与粒子，输出与机器性能无关
+   * @private
+   * @param {object} options
+   * @param {string} options.motion - 'path' 关键帧路径 / 'none' 固定视角 / AnimationType 预设
+   * @param {number} options.duration - 秒（关键帧路径与视频序列使用自身时长）
+   * @param {number} options.fps
+   * @param {string} options.resolution - 'viewport' 或 'WxH'
+   * @param {Function} onProgress - 进度回调 (0-1)
+   * @returns {Promise<{frames: HTMLCanvasElement[], fps: number}>}
+   */
+  async _renderOffline({ motion, duration, fps, resolution }, onProgress) {
+    const { camera, controls } = this.sceneManager;
+    const sequence = this.depthSequence;
+
+    // 视频项目以源视频的帧率与时长为准
+    if (sequence) {
+      fps = sequence.fps;
+      duration = sequence.duration;
+    }
+    if (motion === 'path') {
+      if (this.cameraPath.keyframes.length < 2) throw new Error('关键帧路径至少需要 2 个关键帧');
+      duration = this.cameraPath.getDuration();
+    }
+
+    let width;
+    let height;
+    if (resolution === 'viewport') {
+      ({ width, height } = this.sceneManager.renderer.domElement);
+    } else {
+      [width, height] = resolution.split('x').map(Number);
+    }
+
+    const saved = {
+      position: camera.position.clone(),
+      quaternion: camera.quaternion.clone(),
+      fov: camera.fov,
+      target: controls.target.clone(),
+      particles: this.particleSystem?.captureState(),
+      sequenceTime: sequence?.currentTime,
+      sequencePlaying: sequence?.isPlaying,
+    };
+
+    sequence?.pause();
+    this.cameraPath.stop();
+    this.cameraAnimator.stop();
+
+    let driver = null;
+    if (motion === 'path') {
+      this.cameraPath.prepare();
+      driver = this.cameraPath;
+    } else if (motion !== 'none') {
+      this.cameraAnimator.playPreset(motion, { duration, paused: true, seed: OFFLINE_SEED });
+      driver = this.cameraAnimator;
+    }
+    this.particleSystem?.reseed(OFFLINE_SEED);
+    // 投影过渡按实时时间推进，不完成会使导出的帧不可复现
+    this._finishProjectionTransitions();
+
+    try {
+      const frames = await this.offlineRenderer.render({
+        width,
+        height,
+        fps,
+        duration,
+        onProgress,
+        step: (time, delta) => {
+          if (driver) driver.seek(time);
+          if (sequence) sequence.seek(time);
+          if (this.particleSystem) this.particleSystem.update(delta);
+        },
+      });
+      return { frames, fps };
+    } finally {
+      this.cameraPath.stop();
+      this.cameraAnimator.stop();
+      camera.position.copy(saved.position);
+      camera.quaternion.copy(saved.quaternion);
+      camera.fov = saved.fov;
+      camera.updateProjectionMatrix();
+      controls.target.copy(saved.target);
+      controls.update();
+      this.particleSystem?.restoreState(saved.particles);
+      if (sequence) {
+        sequence.seek(saved.sequenceTime);
+        if (saved.sequencePlaying) sequence.play();
+      }
+    }
+  }
+
+  /**
+   * 获取导出所需的帧序列（离线渲染或实时录制），并交给 MediaExporter
+   * @private
+   * @returns {Promise<HTMLCanvasElement[]>}
+   */
+  async _prepareExportFrames(options, realtimeFps, onProgress) {
+    if (options.renderMode === 'offline') {
+      const { frames, fps } = await this._renderOffline(options, onProgress);
+      this.mediaExporter.setFrames(frames, fps);
+      return frames;
+    }
+    return this._recordViewport(options.duration, realtimeFps, onProgress);
+  }
+
+  /**
+   * 导出 GIF 动画
+   * @private
+   */
+  async _exportGIF(options, onProgress) {
+    const { quality, loop, dither, renderMode } = options;
+    const frames = await this._prepareExportFrames(options, GIF_EXPORT.fps, (p) =>
+      onProgress(p * 0.5, renderMode === 'offline' ? '渲染帧' : '录制中')
+    );
+
+    // 实时录制为视口尺寸，GIF 体积随像素数增长，限制输出宽度；离线渲染使用所选分辨率
+    const scale = renderMode === 'offline' ? 1 : Math.min(1, GIF_EXPORT.maxWidth / frames[0].width);
+    const blob = await this.mediaExporter.exportGIF({
+      quality,
+      loop,
+      dither,
+      width: Math.round(frames[0].width * scale),
+      height: Math.round(frames[0].height * scale),
+      onProgress: (p) => onProgress(0.5 + p * 0.5, '编码 GIF'),
+    });
+    this.mediaExporter.downloadBlob(blob, `immersa3d-${Date.now()}.gif`);
+  }
+
+  /**
+   * 通过 FFmpeg 导出 MP4
+   * @private
+   */
+  async _exportMP4(options, onProgress) {
+    this.mediaExporter.setVideoProcessor(this._getVideoProcessor());
+    await this._prepareExportFrames(options, VIDEO_RECORDING_FPS, (p) =>
+      onProgress(p * 0.5, options.renderMode === 'offline' ? '渲染帧' : '录制中')
+    );
+    onProgress(0.5, '加载 FFmpeg');
+    const blob = await this.mediaExporter.exportMP4({
+      ...options.encode,
+      onProgress: (p) => onProgress(0.5 + p * 0.5, '编码 MP4'),
+    });
+    this.mediaExporter.downloadBlob(blob, `immersa3d-video-${Date.now()}.mp4`);
+  }
+
+  /**
+   * 通过 MediaRecorder 导出 WebM
+   * @private
+   */
+  async _exportWebM(options, onProgress) {
+    await this._prepareExportFrames(options, VIDEO_RECORDING_FPS, (p) =>
+      onProgress(p * 0.5, options.renderMode === 'offline' ? '渲染帧' : '录制中')
+    );
+    onProgress(0.5, '编码 WebM');
+    const blob = await this.mediaExporter.exportVideo();
+    this.mediaExporter.downloadBlob(blob, `immersa3d-video-${Date.now()}.webm`);
+  }
+
+  /**
+   * 导出高分辨率静帧（PNG/JPEG）
+   * @private
+   */
+  async _exportStill(options, onProgress) {
+    const { format, quality, still } = options;
+    const { width, height } = this._resolveStillSize(still);
+    // 分块渲染跨越多帧，过渡中的投影会让各块几何体不一致
+    this._finishProjectionTransitions();
+    const canvas = await this.offlineRenderer.renderStill({
+      width,
+      height,
+      transparent: format === 'png' && still.transparent,
+      onProgress: (p) => onProgress(p * 0.9, '渲染'),
+    });
+    onProgress(0.9, '编码');
+    await this.mediaExporter.downloadCanvas(canvas, {
+      format: format === 'jpeg' ? ExportFormat.JPEG : ExportFormat.PNG,
+      quality,
+    });
+  }
+
+  /**
+   * 导出立体图对（MPO / JPS / 拼接 PNG / 左右眼分别保存）
+   * 眼间距与汇聚距离沿用立体模式的设置
+   * @private
+   */
+  async _exportStereo(options, onProgress) {
+    const { quality, still, stereo } = options;
+    const { width, height } = this._resolveStillSize(still);
+    // 投影过渡由 gsap 驱动，会在左右眼两次渲染之间继续变形
+    this._finishProjectionTransitions();
+    this.parallaxManager.eyeSeparation = this.stereoRenderer.eyeSeparation;
+    this.parallaxManager.setFocalLength(this.stereoRenderer.focalLength);
+
+    const { left, right } = await this.offlineRenderer.renderStereoStill({
+      width,
+      height,
+      parallax: this.parallaxManager,
+      onProgress: (p) => onProgress(p * 0.9, '渲染'),
+    });
+    onProgress(0.9, '编码');
+    const { blob, extension } = await new StereoImageEncoder().encode(left, right, {
+      layout: stereo.layout,
+      quality,
+      baseline: this.stereoRenderer.eyeSeparation,
+      name: 'immersa3d',
+    });
+    this.mediaExporter.downloadBlob(blob, `immersa3d-stereo-${Date.now()}.${extension}`);
+  }
+
+  /**
+   * 立即完成主网格与各深度分层的投影过渡（导出需要最终几何体）
+   * @private
+   */
+  _finishProjectionTransitions() {
+    this.projectionManager?.finishTransition();
+    this._layerProjections.forEach((projection) => projection.finishTransition());
+  }
+
+  /**
+   * 解析静帧输出尺寸，'viewport' 使用视口实际像素尺寸
+   * @private
+   * @returns {{width: number, height: number}}
+   */
+  _resolveStillSize({ size, lockAspect }) {
+    const canvas = this.sceneManager.renderer.domElement;
+    if (size === 'viewport') return { width: canvas.width, height: canvas.height };
+
+    const [width, height] = size.split('x').map(Number);
+    if (!lockAspect) return { width, height };
+    return { width, height: Math.round((width * canvas.height) / canvas.width) };
+  }
+
+  /**
+   * 导出当前深度（视频项目为当前帧）
+   * @private
+   */
+  async _exportDepth(format, onProgress) {
+    if (!this.currentDepth) throw new Error('请先加载图像');
+
+    const { width, height } = this.currentDepth;
+    const sequence = this.depthSequence;
+    const depth = sequence
+      ? sequence.frames[sequence.getFrameIndex(sequence.currentTime)].depth
+      : this.currentDepth.data;
+
+    onProgress(0.3, '编码深度图');
+    const baseName = this.currentSource.file.name.replace(/\.[^.]+$/, '') || 'immersa3d';
+    if (format === DepthFileFormat.EXR) {
+      const bytes = await this.depthMapIO.encodeEXR(depth, width, height);
+      this.mediaExporter.downloadBlob(
+        new Blob([bytes], { type: 'image/x-exr' }),
+        `${baseName}_depth.exr`
+      );
+    } else {
+      const bytes = await this.depthMapIO.encodePNG16(depth, width, height);
+      this.mediaExporter.downloadBlob(
+        new Blob([bytes], { type: 'image/png' }),
+        `${baseName}_depth.png`
+      );
+    }
+  }
+
+  /**
+   * 烘焙当前深度网格并导出为 GLB / OBJ / PLY
+   * @private
+   */
+  async _exportMesh({ format, mesh: meshOptions }, onProgress) {
+    if (!this.currentMesh) throw new Error('请先加载图像');
+
+    onProgress(0.1, '烘焙网格');
+    this._finishProjectionTransitions();
+    const { geometry, texture, stats } = this.depthMeshBaker.bake(this.currentMesh, meshOptions);
+    const exporter = new MeshExporter();
+    const filename = `immersa3d-mesh-${Date.now()}`;
+
+    onProgress(0.5, `写入 ${format.toUpperCase()}`);
+    try {
+      if (format === MeshExportFormat.GLB) {
+        const blob = await exporter.exportGLB(geometry, texture);
+        this.mediaExporter.downloadBlob(blob, `${filename}.glb`);
+      } else if (format === MeshExportFormat.OBJ) {
+        const blob = await exporter.exportOBJ(geometry, texture, { name: filename });
+        this.mediaExporter.downloadBlob(blob, `${filename}.zip`);
+      } else {
+        const image = texture?.image;
+        const colorData = image
+          ? this.imageProcessor.getImageData(image, { width: image.width, height: image.height })
+          : null;
+        const cloud = new PointCloud(null);
+        cloud.createFromGeometry(geometry, colorData);
+        const blob = exporter.exportPLY(cloud.points, { binary: meshOptions.binary });
+        cloud.dispose();
+        this.mediaExporter.downloadBlob(blob, `${filename}.ply`);
+      }
+    } finally {
+      geometry.dispose();
+    }
+    Logger.log(`📦 模型已导出: ${stats.vertices} 顶点 / ${stats.triangles} 三角形`);
+  }
+
+  /**
+   * @param {object} options - ExportModal 的导出设置
+   * @param {Function} [onProgress] - 进度回调 (ratio, text)
+   */
+  async _handleExport(options, onProgress = () => {}) {
     if (!this.mediaExporter) return;
+    const { format } = options;
+    const report = (ratio, text) => {
+      onProgress(ratio, text);
+      this._updateStatus(`${text} ${Math.round(ratio * 100)}%...`);
+    };
+    const videoOptions = { ...options, duration: options.duration || 5 };
+
     this._showToast(`开始导出 ${format.toUpperCase()}...`, 'info');
     try {
-      if (format === 'webm') {
-        const recordingDuration = duration || 5;
-        this._showToast(`正在录制视频 (${recordingDuration}s)...`, 'info');
-        this.mediaExporter.startRecording({ fps: 30, maxDuration: recordingDuration });
-        await new Promise((resolve) => setTimeout(resolve, recordingDuration * 1000 + 500));
-        this.mediaExporter.stopRecording();
-        const blob = await this.mediaExporter.exportVideo({ fps: 30 });
-        this.mediaExporter._downloadBlob(blob, `immersa3d-video-${Date.now()}.webm`);
+      if (format === 'mp4') {
+        await this._exportMP4(videoOptions, report);
+      } else if (format === 'webm') {
+        await this._exportWebM(videoOptions, report);
+      } else if (format === 'gif') {
+        await this._exportGIF(videoOptions, report);
+      } else if (format === 'depth-png' || format === 'depth-exr') {
+        await this._exportDepth(
+          format === 'depth-exr' ? DepthFileFormat.EXR : DepthFileFormat.PNG16,
+          report
+        );
+      } else if (Object.values(MeshExportFormat).includes(format)) {
+        await this._exportMesh(options, report);
+      } else if (format === 'stereo') {
+        await this._exportStereo(options, report);
       } else {
-        this.mediaExporter.downloadImage({ format, quality });
+        await this._exportStill(options, report);
       }
       this._showToast('导出成功！', 'success');
     } catch (error) {
       Logger.error('导出失败:', error);
-      this._showToast('导出失败', 'error');
+      this._showToast(`导出失败: ${error.message}`, 'error');
+    } finally {
+      this.mediaExporter.clearFrames();
+      this._updateStatus('就绪');
     }
   }
 }
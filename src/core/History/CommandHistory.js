@@ -0,0 +1,206 @@
+/**
+ * @fileoverview 命令历史 - 撤销/重做栈，支持连续操作合并与跳转
+ * @module core/History/CommandHistory
+ */
+
+/**
+ * @typedef {object} Command
+ * @property {string} label - 显示名称
+ * @property {Function} execute - 执行（重做）
+ * @property {Function} undo - 撤销
+ * @property {string|null} [mergeKey] - 相同键的连续命令合并为一步（如滑块拖动）
+ */
+
+/**
+ * 命令历史
+ * @class
+ */
+export class CommandHistory {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxSize=100] - 最大记录数
+   * @param {number} [options.mergeWindow=600] - 合并时间窗口 (ms)
+   */
+  constructor(options = {}) {
+    this.maxSize = options.maxSize ?? 100;
+    this.mergeWindow = options.mergeWindow ?? 600;
+
+    /** @private @type {Array<Command & {timestamp: number}>} */
+    this._stack = [];
+
+    /** @private 已应用的命令数量（指向下一条重做位置） */
+    this._index = 0;
+
+    /** @private 撤销/重做执行期间不记录新命令 */
+    this._applying = false;
+
+    /** @private @type {Set<Function>} */
+    this._listeners = new Set();
+  }
+
+  /**
+   * 已应用的命令数量（0 表示初始状态）
+   * @type {number}
+   */
+  get index() {
+    return this._index;
+  }
+
+  /**
+   * 是否正在执行撤销/重做
+   * @type {boolean}
+   */
+  get isApplying() {
+    return this._applying;
+  }
+
+  /**
+   * 执行命令并记录
+   * @param {Command} command
+   */
+  execute(command) {
+    command.execute();
+
+    // 撤销/重做引发的嵌套调用只执行不记录
+    if (this._applying) return;
+
+    const now = Date.now();
+    const top = this._stack[this._index - 1];
+    const canMerge =
+      command.mergeKey &&
+      this._index === this._stack.length &&
+      top?.mergeKey === command.mergeKey &&
+      now - top.timestamp < this.mergeWindow;
+
+    if (canMerge) {
+      // 保留最初的撤销，替换为最新的执行
+      top.label = command.label;
+      top.execute = command.execute;
+      top.timestamp = now;
+    } else {
+      this._stack.length = this._index;
+      this._stack.push({ ...command, mergeKey: command.mergeKey || null, timestamp: now });
+      if (this._stack.length > this.maxSize) {
+        this._stack.shift();
+      }
+      this._index = this._stack.length;
+    }
+
+    this._notify();
+  }
+
+  /**
+   * 撤销一步
+   * @returns {boolean} 是否有可撤销的命令
+   */
+  undo() {
+    if (!this.canUndo()) return false;
+    this._index -= 1;
+    this._run(this._stack[this._index].undo);
+    this._notify();
+    return true;
+  }
+
+  /**
+   * 重做一步
+   * @returns {boolean} 是否有可重做的命令
+   */
+  redo() {
+    if (!this.canRedo()) return false;
+    this._run(this._stack[this._index].execute);
+    this._index += 1;
+    this._notify();
+    return true;
+  }
+
+  /**
+   * 跳转到指定历史位置
+   * @param {number} index - 目标已应用命令数（0 为初始状态）
+   */
+  jumpTo(index) {
+    const target = Math.max(0, Math.min(this._stack.length, index));
+    if (target === this._index) return;
+
+    while (this._index > target) {
+      this._index -= 1;
+      this._run(this._stack[this._index].undo);
+    }
+    while (this._index < target) {
+      this._run(this._stack[this._index].execute);
+      this._index += 1;
+    }
+    this._notify();
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this._index > 0;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this._index < this._stack.length;
+  }
+
+  /**
+   * 获取历史条目
+   * @returns {Array<{label: string, timestamp: number, applied: boolean}>}
+   */
+  getEntries() {
+    return this._stack.map((entry, i) => ({
+      label: entry.label,
+      timestamp: entry.timestamp,
+      applied: i < this._index,
+    }));
+  }
+
+  /**
+   * 清空历史
+   */
+  clear() {
+    this._stack = [];
+    this._index = 0;
+    this._notify();
+  }
+
+  /**
+   * 订阅历史变化
+   * @param {Function} callback - 参数为 {entries, index, canUndo, canRedo}
+   * @returns {Function} 取消订阅函数
+   */
+  onChange(callback) {
+    this._listeners.add(callback);
+    return () => this._listeners.delete(callback);
+  }
+
+  /**
+   * @private
+   */
+  _run(fn) {
+    this._applying = true;
+    try {
+      fn();
+    } finally {
+      this._applying = false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _notify() {
+    const state = {
+      entries: this.getEntries(),
+      index: this._index,
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+    };
+    this._listeners.forEach((callback) => callback(state));
+  }
+}
+
+export default CommandHistory;
@@ -0,0 +1,6 @@
+/**
+ * @fileoverview 命令历史模块导出
+ * @module core/History
+ */
+
+export { CommandHistory } from './CommandHistory.js';
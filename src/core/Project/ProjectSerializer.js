@@ -0,0 +1,160 @@
+/**
+ * @fileoverview 项目文件 (.immersa) 序列化 - 版本化清单 + ZIP 容器
+ * @module core/Project/ProjectSerializer
+ */
+
+import { ZipWriter, ZipReader } from '../Utils/ZipArchive.js';
+
+/** @constant {string} */
+export const PROJECT_FORMAT = 'immersa3d-project';
+
+/** @constant {number} 当前项目格式版本 */
+export const PROJECT_FORMAT_VERSION = 1;
+
+/** @constant {string} */
+export const PROJECT_EXTENSION = '.immersa';
+
+/** @constant {string} */
+export const PROJECT_MIME_TYPE = 'application/x-immersa3d-project';
+
+/**
+ * 归档内文件名
+ * @enum {string}
+ */
+export const ProjectEntry = {
+  MANIFEST: 'project.json',
+  SOURCE: 'source',
+  DEPTH: 'depth.f32',
+};
+
+/**
+ * 版本迁移表：键为源版本，函数返回升级到下一版本的清单
+ * 新增格式字段时递增 PROJECT_FORMAT_VERSION 并在此登记迁移
+ * @type {Object<number, function(object): object>}
+ */
+export const PROJECT_MIGRATIONS = {};
+
+/**
+ * 将清单逐级迁移到当前版本
+ * @param {object} manifest - 原始清单
+ * @param {Object<number, Function>} [migrations] - 迁移表
+ * @param {number} [targetVersion] - 目标版本
+ * @returns {object} 迁移后的清单
+ */
+export function migrateProject(
+  manifest,
+  migrations = PROJECT_MIGRATIONS,
+  targetVersion = PROJECT_FORMAT_VERSION
+) {
+  if (!manifest || manifest.format !== PROJECT_FORMAT) {
+    throw new Error('不是有效的 Immersa 3D 项目文件');
+  }
+
+  let current = { ...manifest };
+  let version = Number(current.version) || 0;
+
+  if (version > targetVersion) {
+    throw new Error(`项目版本 v${version} 高于当前支持的 v${targetVersion}，请升级应用`);
+  }
+
+  while (version < targetVersion) {
+    const migrate = migrations[version];
+    if (!migrate) {
+      throw new Error(`缺少项目迁移: v${version} → v${version + 1}`);
+    }
+    current = migrate(current);
+    version += 1;
+    current.version = version;
+  }
+
+  return current;
+}
+
+/**
+ * 项目序列化器
+ * @class
+ */
+export class ProjectSerializer {
+  /**
+   * 序列化项目
+   * @param {object} project
+   * @param {object} project.manifest - 场景状态（不含二进制数据）
+   * @param {Uint8Array} project.source - 原始图像字节
+   * @param {Float32Array} project.depth - 深度数据
+   * @returns {Uint8Array}
+   */
+  serialize({ manifest, source, depth }) {
+    const zip = new ZipWriter();
+
+    const fullManifest = {
+      ...manifest,
+      format: PROJECT_FORMAT,
+      version: PROJECT_FORMAT_VERSION,
+      savedAt: new Date().toISOString(),
+    };
+
+    zip.addFile(ProjectEntry.MANIFEST, JSON.stringify(fullManifest, null, 2));
+    if (source) zip.addFile(ProjectEntry.SOURCE, source);
+    if (depth) zip.addFile(ProjectEntry.DEPTH, this._encodeFloat32(depth));
+
+    return zip.toUint8Array();
+  }
+
+  /**
+   * 序列化为可下载的 Blob
+   * @param {object} project
+   * @returns {Blob}
+   */
+  toBlob(project) {
+    return new Blob([this.serialize(project)], { type: PROJECT_MIME_TYPE });
+  }
+
+  /**
+   * 反序列化项目
+   * @param {ArrayBuffer|Uint8Array} buffer
+   * @returns {{manifest: object, source: Uint8Array|null, depth: Float32Array|null}}
+   */
+  deserialize(buffer) {
+    const zip = new ZipReader(buffer);
+
+    if (!zip.has(ProjectEntry.MANIFEST)) {
+      throw new Error('项目文件缺少清单');
+    }
+
+    const manifest = migrateProject(JSON.parse(zip.readText(ProjectEntry.MANIFEST)));
+    const source = zip.has(ProjectEntry.SOURCE) ? zip.read(ProjectEntry.SOURCE) : null;
+    const depth = zip.has(ProjectEntry.DEPTH)
+      ? this._decodeFloat32(zip.read(ProjectEntry.DEPTH))
+      : null;
+
+    return { manifest, source, depth };
+  }
+
+  /**
+   * Float32Array → 小端字节
+   * @private
+   */
+  _encodeFloat32(data) {
+    const bytes = new Uint8Array(data.length * 4);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < data.length; i++) {
+      view.setFloat32(i * 4, data[i], true);
+    }
+    return bytes;
+  }
+
+  /**
+   * 小端字节 → Float32Array
+   * @private
+   */
+  _decodeFloat32(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const data = new Float32Array(bytes.byteLength / 4);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = view.getFloat32(i * 4, true);
+    }
+    return data;
+  }
+}
+
+export default ProjectSerializer;
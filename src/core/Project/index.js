@@ -0,0 +1,15 @@
+/**
+ * @fileoverview 项目文件模块导出
+ * @module core/Project
+ */
+
+export {
+  ProjectSerializer,
+  ProjectEntry,
+  PROJECT_FORMAT,
+  PROJECT_FORMAT_VERSION,
+  PROJECT_EXTENSION,
+  PROJECT_MIME_TYPE,
+  PROJECT_MIGRATIONS,
+  migrateProject,
+} from './ProjectSerializer.js';
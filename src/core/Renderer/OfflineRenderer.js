@@ -0,0 +1,342 @@
+/**
+ * @fileoverview 离线逐帧渲染器 - 按固定时间步长渲染，结果与实时帧率无关
+ * @module core/Renderer/OfflineRenderer
+ */
+
+import * as THREE from 'three';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { CopyShader } from 'three/addons/shaders/CopyShader.js';
+import Logger from '../../utils/Logger.js';
+
+/** @constant {number} 单块最大边长（像素），超出时分块渲染 */
+const MAX_TILE_SIZE = 4096;
+
+/** @constant {number} 分块外扩像素，吸收泛光/抗锯齿在块边缘的差异 */
+const TILE_MARGIN = 64;
+
+const _crop = new THREE.Matrix4();
+
+/**
+ * 离线渲染器
+ * 渲染期间暂停实时循环，以 1/fps 的精确时间推进场景，并在指定分辨率下渲染每一帧
+ * @class
+ */
+export class OfflineRenderer {
+  /**
+   * @param {SceneManager} sceneManager
+   * @param {RenderingPipeline} pipeline
+   */
+  constructor(sceneManager, pipeline) {
+    this.sceneManager = sceneManager;
+    this.pipeline = pipeline;
+
+    /** @type {boolean} */
+    this.isRendering = false;
+
+    /** @private 将半浮点结果转为 8 位以便读回 */
+    this._copyPass = null;
+  }
+
+  /**
+   * 渲染帧序列
+   * @param {object} options
+   * @param {number} options.width - 输出宽度（像素）
+   * @param {number} options.height - 输出高度（像素）
+   * @param {number} options.fps - 帧率
+   * @param {number} options.duration - 时长（秒）
+   * @param {Function} options.step - (time, delta) => void，将场景推进到指定时间
+   * @param {Function} [options.onProgress] - 进度回调 (0-1)
+   * @returns {Promise<HTMLCanvasElement[]>}
+   */
+  async render({ width, height, fps, duration, step, onProgress = null }) {
+    if (this.isRendering) throw new Error('离线渲染进行中');
+
+    const { renderer, camera, controls } = this.sceneManager;
+    const pipeline = this.pipeline;
+    const frameCount = Math.max(1, Math.round(duration * fps));
+
+    const saved = {
+      size: renderer.getSize(new THREE.Vector2()),
+      pixelRatio: renderer.getPixelRatio(),
+      aspect: camera.aspect,
+      time: pipeline.time,
+      damping: controls.enableDamping,
+      autoRotate: controls.autoRotate,
+    };
+
+    this.isRendering = true;
+    this.sceneManager.stop();
+
+    // 输出尺寸与视口和设备像素比无关
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    pipeline.setPixelRatio(1);
+    pipeline.setSize(width, height);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    // 阻尼与自动旋转依赖调用频率，离线时关闭
+    controls.enableDamping = false;
+    controls.autoRotate = false;
+
+    Logger.log(`🎬 离线渲染: ${frameCount} 帧 @ ${fps} fps, ${width}×${height}`);
+
+    const frames = [];
+    try {
+      for (let i = 0; i < frameCount; i++) {
+        // 由帧序号计算时间，避免浮点累加误差
+        const time = i / fps;
+        step(time, i === 0 ? 0 : 1 / fps);
+
+        pipeline.time = time;
+        pipeline.render(0);
+        frames.push(this._capture(width, height));
+
+        if (onProgress) onProgress((i + 1) / frameCount);
+        // 让出主线程，保持界面响应
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    } finally {
+      renderer.setPixelRatio(saved.pixelRatio);
+      renderer.setSize(saved.size.x, saved.size.y);
+      pipeline.setPixelRatio(saved.pixelRatio);
+      pipeline.setSize(saved.size.x, saved.size.y);
+      pipeline.time = saved.time;
+      camera.aspect = saved.aspect;
+      camera.updateProjectionMatrix();
+      controls.enableDamping = saved.damping;
+      controls.autoRotate = saved.autoRotate;
+
+      this.isRendering = false;
+      this.sceneManager.start();
+    }
+
+    return frames;
+  }
+
+  /**
+   * 渲染高分辨率静帧
+   * 通过 RenderingPipeline 渲染到离屏目标，与视口和画布尺寸无关；超过单块上限时分块拼接
+   * @param {object} options
+   * @param {number} options.width - 输出宽度（像素）
+   * @param {number} options.height - 输出高度（像素）
+   * @param {boolean} [options.transparent=false] - 透明背景
+   * @param {THREE.Camera} [options.camera] - 自定义相机（投影矩阵由调用方按输出宽高比设置），默认场景相机
+   * @param {Function} [options.onProgress] - 进度回调 (0-1)
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  async renderStill({ width, height, transparent = false, camera = null, onProgress = null }) {
+    if (this.isRendering) throw new Error('离线渲染进行中');
+
+    const { renderer, scene } = this.sceneManager;
+    const sceneCamera = this.sceneManager.camera;
+    const pipeline = this.pipeline;
+    // 自定义相机可能使用离轴投影，分块时直接裁切其投影矩阵而非 setViewOffset
+    const custom = camera && camera !== sceneCamera ? camera : null;
+    const baseProjection = custom ? custom.projectionMatrix.clone() : null;
+
+    const limit = Math.min(renderer.capabilities.maxTextureSize, MAX_TILE_SIZE);
+    const tiled = width > limit || height > limit;
+    const margin = tiled ? TILE_MARGIN : 0;
+    const cols = tiled ? Math.ceil(width / (limit - margin * 2)) : 1;
+    const rows = tiled ? Math.ceil(height / (limit - margin * 2)) : 1;
+    const tileWidth = Math.ceil(width / cols);
+    const tileHeight = Math.ceil(height / rows);
+    const targetWidth = tileWidth + margin * 2;
+    const targetHeight = tileHeight + margin * 2;
+
+    const saved = {
+      size: renderer.getSize(new THREE.Vector2()),
+      pixelRatio: renderer.getPixelRatio(),
+      aspect: sceneCamera.aspect,
+      background: scene.background,
+      clearColor: renderer.getClearColor(new THREE.Color()),
+      clearAlpha: renderer.getClearAlpha(),
+    };
+
+    this.isRendering = true;
+    this.sceneManager.stop();
+
+    pipeline.setPixelRatio(1);
+    pipeline.setSize(targetWidth, targetHeight);
+    if (custom) {
+      pipeline.setCamera(custom);
+    } else {
+      sceneCamera.aspect = width / height;
+      sceneCamera.updateProjectionMatrix();
+    }
+    if (transparent) {
+      scene.background = null;
+      renderer.setClearColor(0x000000, 0);
+    }
+
+    if (!this._copyPass) this._copyPass = new ShaderPass(CopyShader);
+    const byteTarget = new THREE.WebGLRenderTarget(targetWidth, targetHeight);
+    const pixels = new Uint8Array(targetWidth * targetHeight * 4);
+
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const ctx = output.getContext('2d');
+
+    Logger.log(`📸 高分辨率渲染: ${width}×${height}${tiled ? ` (${cols}×${rows} 块)` : ''}`);
+
+    try {
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+          const x = col * tileWidth;
+          const y = row * tileHeight;
+
+          // 视锥偏移按整幅画面计算，外扩区域在拼接时裁掉
+          if (custom) {
+            this._cropProjection(custom, baseProjection, width, height, {
+              x: x - margin,
+              y: y - margin,
+              width: targetWidth,
+              height: targetHeight,
+            });
+          } else {
+            sceneCamera.setViewOffset(
+              width,
+              height,
+              x - margin,
+              y - margin,
+              targetWidth,
+              targetHeight
+            );
+          }
+          pipeline.setTileRegion(
+            (x - margin) / width,
+            1 - (y - margin + targetHeight) / height,
+            targetWidth / width,
+            targetHeight / height
+          );
+
+          const result = pipeline.renderOffscreen();
+          this._copyPass.render(renderer, byteTarget, result);
+          renderer.readRenderTargetPixels(byteTarget, 0, 0, targetWidth, targetHeight, pixels);
+
+          const copyWidth = Math.min(tileWidth, width - x);
+          const copyHeight = Math.min(tileHeight, height - y);
+          ctx.putImageData(
+            this._cropTile(pixels, targetWidth, targetHeight, margin, copyWidth, copyHeight),
+            x,
+            y
+          );
+
+          if (onProgress) onProgress((row * cols + col + 1) / (rows * cols));
+          await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+      }
+    } finally {
+      if (custom) {
+        custom.projectionMatrix.copy(baseProjection);
+        custom.projectionMatrixInverse.copy(baseProjection).invert();
+        pipeline.setCamera(sceneCamera);
+      } else {
+        sceneCamera.clearViewOffset();
+        sceneCamera.aspect = saved.aspect;
+        sceneCamera.updateProjectionMatrix();
+      }
+      pipeline.clearTileRegion();
+      pipeline.setPixelRatio(saved.pixelRatio);
+      pipeline.setSize(saved.size.x, saved.size.y);
+      scene.background = saved.background;
+      renderer.setClearColor(saved.clearColor, saved.clearAlpha);
+      renderer.setRenderTarget(null);
+      byteTarget.dispose();
+
+      this.isRendering = false;
+      this.sceneManager.start();
+    }
+
+    return output;
+  }
+
+  /**
+   * 渲染立体图对
+   * 按输出宽高比更新 ParallaxManager 的离轴投影相机，再分别渲染左右眼
+   * @param {object} options
+   * @param {number} options.width - 单眼输出宽度（像素）
+   * @param {number} options.height
+   * @param {ParallaxManager} options.parallax
+   * @param {boolean} [options.transparent=false]
+   * @param {Function} [options.onProgress] - 进度回调 (0-1)
+   * @returns {Promise<{left: HTMLCanvasElement, right: HTMLCanvasElement}>}
+   */
+  async renderStereoStill({ width, height, parallax, transparent = false, onProgress = null }) {
+    const camera = this.sceneManager.camera;
+    const aspect = camera.aspect;
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    parallax.update();
+    camera.aspect = aspect;
+    camera.updateProjectionMatrix();
+
+    const left = await this.renderStill({
+      width,
+      height,
+      transparent,
+      camera: parallax.cameraL,
+      onProgress: onProgress && ((p) => onProgress(p * 0.5)),
+    });
+    const right = await this.renderStill({
+      width,
+      height,
+      transparent,
+      camera: parallax.cameraR,
+      onProgress: onProgress && ((p) => onProgress(0.5 + p * 0.5)),
+    });
+    return { left, right };
+  }
+
+  /**
+   * 把投影矩阵裁切到画面中的一块（与 setViewOffset 等效，适用于任意投影矩阵）
+   * @private
+   * @param {THREE.Camera} camera
+   * @param {THREE.Matrix4} base - 整幅画面的投影矩阵
+   * @param {number} fullWidth
+   * @param {number} fullHeight
+   * @param {{x: number, y: number, width: number, height: number}} tile - 块范围（像素，原点左上）
+   */
+  _cropProjection(camera, base, fullWidth, fullHeight, { x, y, width, height }) {
+    // 块在 NDC 中的范围映射到 [-1, 1]
+    const scaleX = fullWidth / width;
+    const scaleY = fullHeight / height;
+    const offsetX = scaleX * (1 - (2 * x + width) / fullWidth);
+    const offsetY = scaleY * ((2 * y + height) / fullHeight - 1);
+    _crop.set(scaleX, 0, 0, offsetX, 0, scaleY, 0, offsetY, 0, 0, 1, 0, 0, 0, 0, 1);
+
+    camera.projectionMatrix.multiplyMatrices(_crop, base);
+    camera.projectionMatrixInverse.copy(camera.projectionMatrix).invert();
+  }
+
+  /**
+   * 从读回的像素（原点左下）中裁出块中心区域并翻转为自上而下
+   * @private
+   * @returns {ImageData}
+   */
+  _cropTile(pixels, targetWidth, targetHeight, margin, width, height) {
+    const tile = new ImageData(width, height);
+    for (let row = 0; row < height; row++) {
+      const sourceRow = targetHeight - 1 - (margin + row);
+      const start = (sourceRow * targetWidth + margin) * 4;
+      tile.data.set(pixels.subarray(start, start + width * 4), row * width * 4);
+    }
+    return tile;
+  }
+
+  /**
+   * 复制当前绘制缓冲（须在 render 之后同步调用）
+   * @private
+   */
+  _capture(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(this.sceneManager.renderer.domElement, 0, 0, width, height);
+    return canvas;
+  }
+}
+
+export default OfflineRenderer;
@@ -10,10 +10,37 @@ import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js'
 import { SMAAPass } from 'three/addons/postprocessing/SMAAPass.js';
 import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
 import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { BokehShader } from 'three/addons/shaders/BokehShader.js';
 import { VignetteShader, ColorCorrectionShader } from './Shaders.js';
 import { FilmGrainShader } from '../../modules/PostProcessing/EffectsStack.js';
 import Logger from '../../utils/Logger.js';
 
+/**
+ * 景深 Pass：直接读取 RenderPass 写入的深度缓冲
+ * three 的 BokehPass 用覆盖材质重绘深度，会丢失深度网格在顶点着色器中的位移
+ * @private
+ */
+class DepthBokehPass extends ShaderPass {
+  constructor(camera) {
+    super(BokehShader, 'tColor');
+    this.camera = camera;
+    this.material.defines.DEPTH_PACKING = 0;
+  }
+
+  render(renderer, writeBuffer, readBuffer, deltaTime, maskActive) {
+    const perspective = this.camera.isPerspectiveCamera ? 1 : 0;
+    if (this.material.defines.PERSPECTIVE_CAMERA !== perspective) {
+      this.material.defines.PERSPECTIVE_CAMERA = perspective;
+      this.material.needsUpdate = true;
+    }
+    this.uniforms.tDepth.value = readBuffer.depthTexture;
+    this.uniforms.nearClip.value = this.camera.near;
+    this.uniforms.farClip.value = this.camera.far;
+    this.uniforms.aspect.value = readBuffer.width / readBuffer.height;
+    super.render(renderer, writeBuffer, readBuffer, deltaTime, maskActive);
+  }
+}
+
 export class RenderingPipeline {
   constructor(renderer, scene, camera) {
     this.renderer = renderer;
@@ -32,6 +59,7 @@ export class RenderingPipeline {
       vignette: true,
       filmGrain: false,
       colorCorrection: false,
+      bokeh: false,
     };
 
     this._init();
@@ -45,6 +73,15 @@ export class RenderingPipeline {
     this.composer.addPass(renderPass);
     this.passes.render = renderPass;
 
+    // 1.5 Bokeh Pass (Depth of field, 紧跟 RenderPass 才能读到场景深度)
+    for (const target of [this.composer.renderTarget1, this.composer.renderTarget2]) {
+      target.depthTexture = new THREE.DepthTexture(target.width, target.height);
+    }
+    this.passes.bokeh = new DepthBokehPass(this.camera);
+    this.passes.bokeh.uniforms.focus.value = 3.0;
+    this.passes.bokeh.enabled = this.config.bokeh;
+    this.composer.addPass(this.passes.bokeh);
+
     // 2. SMAA Pass (Anti-aliasing)
     const size = this.renderer.getSize(new THREE.Vector2());
     const pixelRatio = this.renderer.getPixelRatio();
@@ -100,9 +137,47 @@ export class RenderingPipeline {
     }
   }
 
+  setPixelRatio(ratio) {
+    // EffectComposer 会按新的像素比重设所有 pass 尺寸
+    this.composer.setPixelRatio(ratio);
+  }
+
+  /**
+   * 分块渲染时指定当前块在整幅画面中的区域（归一化坐标，原点左下），
+   * 使暗角等依赖画面位置的效果跨块连续
+   * @param {number} x
+   * @param {number} y
+   * @param {number} width
+   * @param {number} height
+   */
+  setTileRegion(x, y, width, height) {
+    const { uniforms } = this.passes.vignette;
+    uniforms.tileOffset.value.set(x, y);
+    uniforms.tileScale.value.set(width, height);
+  }
+
+  clearTileRegion() {
+    this.setTileRegion(0, 0, 1, 1);
+  }
+
+  /**
+   * 渲染到离屏目标而非屏幕
+   * @returns {THREE.WebGLRenderTarget} 含最终结果的目标（由 composer 持有，勿销毁）
+   */
+  renderOffscreen() {
+    this.composer.renderToScreen = false;
+    try {
+      this.composer.render(0);
+    } finally {
+      this.composer.renderToScreen = true;
+    }
+    return this.composer.readBuffer;
+  }
+
   setCamera(camera) {
     this.camera = camera;
     this.passes.render.camera = camera;
+    this.passes.bokeh.camera = camera;
   }
 
   render(delta) {
@@ -147,6 +222,18 @@ export class RenderingPipeline {
     if (this.passes.bloom) this.passes.bloom.threshold = value;
   }
 
+  /**
+   * 设置景深对焦距离（相机到焦平面的距离，世界单位）
+   * @param {number} distance
+   */
+  setBokehFocus(distance) {
+    if (this.passes.bokeh) this.passes.bokeh.uniforms.focus.value = distance;
+  }
+
+  setBokehAperture(value) {
+    if (this.passes.bokeh) this.passes.bokeh.uniforms.aperture.value = value;
+  }
+
   dispose() {
     // Dispose passes if they have dispose method
     Object.values(this.passes).forEach((pass) => {
@@ -6,8 +6,18 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { renderLoop } from '../RenderLoop.js';
+import { PanoramaControls } from '../../modules/CameraSystem/PanoramaControls.js';
 import Logger from '../../utils/Logger.js';
 
+/**
+ * 相机控制方式
+ * @enum {string}
+ */
+export const ControlMode = {
+  ORBIT: 'orbit', // 环绕观察（OrbitControls）
+  LOOK: 'look', // 球心环视（PanoramaControls）
+};
+
 /**
  * Three.js 场景管理器
  * @class
@@ -32,6 +42,18 @@ export class SceneManager {
     /** @type {OrbitControls} */
     this.controls = null;
 
+    /** @type {PanoramaControls} */
+    this.panoramaControls = null;
+
+    /** @type {string} */
+    this.controlMode = ControlMode.ORBIT;
+
+    /** @private 用户是否允许相机交互（画笔等工具会暂时禁用） */
+    this._controlsEnabled = true;
+
+    /** @private 进入环视前的环绕相机状态 */
+    this._orbitState = null;
+
     /** @type {Array} */
     this._disposables = [];
 
@@ -130,6 +152,55 @@ export class SceneManager {
     this.controls.minDistance = 1;
     this.controls.maxDistance = 100;
     this.controls.maxPolarAngle = Math.PI;
+
+    this.panoramaControls = new PanoramaControls(this.camera, this.renderer.domElement);
+  }
+
+  /**
+   * 切换相机控制方式
+   * 进入环视时保存环绕相机状态，离开时恢复
+   * @param {string} mode - ControlMode
+   */
+  setControlMode(mode) {
+    if (mode === this.controlMode) return;
+
+    if (mode === ControlMode.LOOK) {
+      this._orbitState = {
+        position: this.camera.position.clone(),
+        target: this.controls.target.clone(),
+        fov: this.camera.fov,
+      };
+    } else if (this._orbitState) {
+      this.camera.position.copy(this._orbitState.position);
+      this.controls.target.copy(this._orbitState.target);
+      this.camera.fov = this._orbitState.fov;
+      this.camera.updateProjectionMatrix();
+      this._orbitState = null;
+    }
+
+    this.controlMode = mode;
+    this._applyControlsEnabled();
+    if (mode === ControlMode.ORBIT) this.controls.update();
+
+    Logger.log(`🎮 相机控制: ${mode}`);
+  }
+
+  /**
+   * 启用/禁用当前控制器的用户交互
+   * @param {boolean} enabled
+   */
+  setControlsEnabled(enabled) {
+    this._controlsEnabled = enabled;
+    this._applyControlsEnabled();
+  }
+
+  /**
+   * @private
+   */
+  _applyControlsEnabled() {
+    // OrbitControls 的事件处理会直接改动相机，环视时必须禁用
+    this.controls.enabled = this._controlsEnabled && this.controlMode === ControlMode.ORBIT;
+    this.panoramaControls.enabled = this._controlsEnabled && this.controlMode === ControlMode.LOOK;
   }
 
   /**
@@ -312,7 +383,11 @@ export class SceneManager {
     if (!this.renderer || !this.scene || !this.camera) return;
 
     // 更新控制器
-    this.controls.update();
+    if (this.controlMode === ControlMode.LOOK) {
+      this.panoramaControls.update(delta);
+    } else {
+      this.controls.update();
+    }
 
     // 调用额外更新回调
     for (const callback of this._updateCallbacks) {
@@ -361,6 +436,10 @@ export class SceneManager {
    * 重置相机视图
    */
   resetView() {
+    if (this.controlMode === ControlMode.LOOK) {
+      this.panoramaControls.reset();
+      return;
+    }
     this.camera.position.set(0, 0, 5);
     this.camera.lookAt(0, 0, 0);
     this.controls.reset();
@@ -414,6 +493,7 @@ export class SceneManager {
 
     // 销毁控制器
     this.controls?.dispose();
+    this.panoramaControls?.dispose();
 
     // 销毁渲染器
     this.renderer?.dispose();
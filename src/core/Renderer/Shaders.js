@@ -3,14 +3,19 @@
  * @module core/Renderer/Shaders
  */
 
+import { Vector2 } from 'three';
+
 /**
  * 暗角着色器
+ * tileOffset / tileScale 描述当前画面在整幅图中的区域（分块渲染时使用）
  */
 export const VignetteShader = {
   uniforms: {
     tDiffuse: { value: null },
     offset: { value: 1.0 },
     darkness: { value: 1.0 },
+    tileOffset: { value: new Vector2(0, 0) },
+    tileScale: { value: new Vector2(1, 1) },
   },
   vertexShader: /* glsl */ `
     varying vec2 vUv;
@@ -23,11 +28,14 @@ export const VignetteShader = {
     uniform sampler2D tDiffuse;
     uniform float offset;
     uniform float darkness;
+    uniform vec2 tileOffset;
+    uniform vec2 tileScale;
     varying vec2 vUv;
     
     void main() {
       vec4 texel = texture2D(tDiffuse, vUv);
-      vec2 uv = (vUv - vec2(0.5)) * vec2(offset);
+      vec2 frameUv = tileOffset + vUv * tileScale;
+      vec2 uv = (frameUv - vec2(0.5)) * vec2(offset);
       float vignette = 1.0 - dot(uv, uv);
       texel.rgb *= mix(1.0, smoothstep(0.0, 1.0, vignette), darkness);
       gl_FragColor = texel;
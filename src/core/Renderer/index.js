@@ -3,5 +3,6 @@
  * @module core/Renderer
  */
 
-export { SceneManager } from './SceneManager.js';
+export { SceneManager, ControlMode } from './SceneManager.js';
 export { GaussianRenderer } from './GaussianRenderer.js';
+export { OfflineRenderer } from './OfflineRenderer.js';
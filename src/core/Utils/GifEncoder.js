@@ -0,0 +1,438 @@
+/**
+ * @fileoverview GIF89a 编码器（中位切分调色板、Floyd-Steinberg 抖动、LZW 压缩）
+ * @module core/Utils/GifEncoder
+ */
+
+/** @constant {number} LZW 码表上限 */
+const MAX_CODES = 4096;
+
+/** @constant {number} 调色板量化时最多采样的像素数 */
+const MAX_PALETTE_SAMPLES = 100000;
+
+/**
+ * 中位切分量化，生成调色板
+ * 先按 RGB555 建立直方图，再按加权中位数切分颜色空间
+ * @param {Array<Uint8ClampedArray|Uint8Array>} pixelArrays - RGBA 像素数据（可多帧共同量化）
+ * @param {number} [maxColors=256] - 最大颜色数 (2-256)
+ * @returns {Uint8Array} RGB 调色板（长度为 3 × 颜色数）
+ */
+export function quantize(pixelArrays, maxColors = 256) {
+  const total = pixelArrays.reduce((sum, pixels) => sum + pixels.length / 4, 0);
+  const stride = Math.max(1, Math.floor(total / MAX_PALETTE_SAMPLES));
+
+  // 每个 RGB555 桶的像素数与颜色累加
+  const counts = new Uint32Array(32768);
+  const sums = new Float64Array(32768 * 3);
+  for (const pixels of pixelArrays) {
+    for (let i = 0; i < pixels.length; i += 4 * stride) {
+      const key = ((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3);
+      counts[key]++;
+      sums[key * 3] += pixels[i];
+      sums[key * 3 + 1] += pixels[i + 1];
+      sums[key * 3 + 2] += pixels[i + 2];
+    }
+  }
+
+  const buckets = [];
+  for (let key = 0; key < 32768; key++) {
+    if (counts[key] > 0) buckets.push(key);
+  }
+
+  const channel = (key, c) => (key >> (10 - c * 5)) & 31;
+  const describe = (keys) => {
+    const min = [31, 31, 31];
+    const max = [0, 0, 0];
+    let count = 0;
+    for (const key of keys) {
+      for (let c = 0; c < 3; c++) {
+        const v = channel(key, c);
+        if (v < min[c]) min[c] = v;
+        if (v > max[c]) max[c] = v;
+      }
+      count += counts[key];
+    }
+    const ranges = max.map((v, c) => v - min[c]);
+    const axis = ranges.indexOf(Math.max(...ranges));
+    return { keys, count, axis, range: ranges[axis] };
+  };
+
+  const limit = Math.max(2, Math.min(256, maxColors));
+  const boxes = buckets.length > 0 ? [describe(buckets)] : [];
+  while (boxes.length < limit) {
+    // 优先切分"像素多且跨度大"的盒子
+    let target = -1;
+    let best = 0;
+    boxes.forEach((box, i) => {
+      const score = box.range * box.count;
+      if (box.keys.length > 1 && box.range > 0 && score > best) {
+        best = score;
+        target = i;
+      }
+    });
+    if (target < 0) break;
+
+    const box = boxes[target];
+    box.keys.sort((a, b) => channel(a, box.axis) - channel(b, box.axis));
+
+    // 加权中位数，保证两侧均非空
+    let acc = 0;
+    let split = 1;
+    for (let i = 0; i < box.keys.length - 1; i++) {
+      acc += counts[box.keys[i]];
+      split = i + 1;
+      if (acc >= box.count / 2) break;
+    }
+    boxes.splice(target, 1, describe(box.keys.slice(0, split)), describe(box.keys.slice(split)));
+  }
+
+  const palette = new Uint8Array(Math.max(2, boxes.length) * 3);
+  boxes.forEach((box, i) => {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    for (const key of box.keys) {
+      r += sums[key * 3];
+      g += sums[key * 3 + 1];
+      b += sums[key * 3 + 2];
+    }
+    palette[i * 3] = Math.round(r / box.count);
+    palette[i * 3 + 1] = Math.round(g / box.count);
+    palette[i * 3 + 2] = Math.round(b / box.count);
+  });
+  return palette;
+}
+
+/**
+ * 字节缓冲
+ * @private
+ */
+class ByteWriter {
+  constructor() {
+    this._buffer = new Uint8Array(1 << 16);
+    this.length = 0;
+  }
+
+  _reserve(size) {
+    if (this.length + size <= this._buffer.length) return;
+    let capacity = this._buffer.length * 2;
+    while (capacity < this.length + size) capacity *= 2;
+    const next = new Uint8Array(capacity);
+    next.set(this._buffer.subarray(0, this.length));
+    this._buffer = next;
+  }
+
+  byte(value) {
+    this._reserve(1);
+    this._buffer[this.length++] = value;
+  }
+
+  short(value) {
+    this.byte(value & 0xff);
+    this.byte((value >> 8) & 0xff);
+  }
+
+  string(text) {
+    for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+  }
+
+  bytes(data) {
+    this._reserve(data.length);
+    this._buffer.set(data, this.length);
+    this.length += data.length;
+  }
+
+  toUint8Array() {
+    return this._buffer.slice(0, this.length);
+  }
+}
+
+/**
+ * GIF LZW 压缩，输出数据子块（不含结束块）
+ * @param {Uint8Array} indices - 调色板索引
+ * @param {number} minCodeSize - 最小码长 (2-8)
+ * @param {ByteWriter} out
+ * @private
+ */
+function lzwEncode(indices, minCodeSize, out) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  const block = new Uint8Array(255);
+  let blockLength = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const flushBlock = () => {
+    if (blockLength === 0) return;
+    out.byte(blockLength);
+    out.bytes(block.subarray(0, blockLength));
+    blockLength = 0;
+  };
+  const writeCode = (code, size) => {
+    bitBuffer |= code << bitCount;
+    bitCount += size;
+    while (bitCount >= 8) {
+      block[blockLength++] = bitBuffer & 0xff;
+      if (blockLength === 255) flushBlock();
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  // 字典: (前缀码 << 8 | 下一个索引) -> 码
+  let dictionary = new Map();
+  let nextCode = endCode + 1;
+  let codeSize = minCodeSize + 1;
+
+  writeCode(clearCode, codeSize);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = dictionary.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    writeCode(prefix, codeSize);
+    if (nextCode < MAX_CODES) {
+      // 码值超过当前码长能表示的范围时加宽
+      if (nextCode === 1 << codeSize) codeSize++;
+      dictionary.set(key, nextCode++);
+    } else {
+      writeCode(clearCode, codeSize);
+      dictionary = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    }
+    prefix = k;
+  }
+
+  writeCode(prefix, codeSize);
+  writeCode(endCode, codeSize);
+  if (bitCount > 0) {
+    block[blockLength++] = bitBuffer & 0xff;
+    if (blockLength === 255) flushBlock();
+  }
+  flushBlock();
+}
+
+/**
+ * GIF89a 编码器
+ * 所有帧共用全局调色板，避免循环播放时颜色跳变
+ * @class
+ */
+export class GifEncoder {
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @param {object} [options]
+   * @param {Uint8Array} options.palette - RGB 调色板（见 quantize）
+   * @param {number} [options.loop=0] - 循环次数：0 无限循环，-1 只播放一次
+   * @param {boolean} [options.dither=true] - 是否使用 Floyd-Steinberg 抖动
+   */
+  constructor(width, height, options = {}) {
+    if (!options.palette) {
+      throw new Error('GIF 编码需要调色板');
+    }
+
+    this.width = width;
+    this.height = height;
+    this.loop = options.loop ?? 0;
+    this.dither = options.dither ?? true;
+
+    // 调色板长度必须为 2 的幂
+    const colorCount = options.palette.length / 3;
+    /** @private */
+    this._tableBits = Math.max(1, Math.ceil(Math.log2(colorCount)));
+    /** @private */
+    this._palette = new Uint8Array(3 << this._tableBits);
+    this._palette.set(options.palette);
+    /** @private */
+    this._colorCount = colorCount;
+
+    /** @private RGB555 -> 调色板索引缓存 */
+    this._lookup = new Int16Array(32768).fill(-1);
+
+    /** @private */
+    this._out = new ByteWriter();
+    /** @private 已累计的时长 (ms)，用于无漂移地换算厘秒延迟 */
+    this._elapsed = 0;
+    /** @private */
+    this._frameCount = 0;
+
+    this._writeHeader();
+  }
+
+  /**
+   * 已写入帧数
+   * @type {number}
+   */
+  get frameCount() {
+    return this._frameCount;
+  }
+
+  /**
+   * 添加一帧
+   * @param {Uint8ClampedArray|Uint8Array} pixels - 与编码器同尺寸的 RGBA 数据
+   * @param {number} delay - 帧时长 (ms)
+   */
+  addFrame(pixels, delay) {
+    if (pixels.length !== this.width * this.height * 4) {
+      throw new Error(`GIF 帧尺寸不匹配: 需要 ${this.width}×${this.height}`);
+    }
+
+    // GIF 延迟单位为 1/100 秒，按累计时长取整，避免 fps 不能整除时的漂移
+    const start = Math.round(this._elapsed / 10);
+    this._elapsed += delay;
+    const delayCs = Math.round(this._elapsed / 10) - start;
+
+    const out = this._out;
+
+    // Graphic Control Extension
+    out.byte(0x21);
+    out.byte(0xf9);
+    out.byte(4);
+    out.byte(0x04); // disposal = 1（保留），无透明色
+    out.short(delayCs);
+    out.byte(0);
+    out.byte(0);
+
+    // Image Descriptor（使用全局调色板）
+    out.byte(0x2c);
+    out.short(0);
+    out.short(0);
+    out.short(this.width);
+    out.short(this.height);
+    out.byte(0);
+
+    const indices = this.dither ? this._mapDithered(pixels) : this._mapNearest(pixels);
+    const minCodeSize = Math.max(2, this._tableBits);
+    out.byte(minCodeSize);
+    lzwEncode(indices, minCodeSize, out);
+    out.byte(0);
+
+    this._frameCount++;
+  }
+
+  /**
+   * 结束编码
+   * @returns {Uint8Array} GIF 文件字节
+   */
+  finish() {
+    this._out.byte(0x3b);
+    return this._out.toUint8Array();
+  }
+
+  /**
+   * @private
+   */
+  _writeHeader() {
+    const out = this._out;
+    out.string('GIF89a');
+
+    // Logical Screen Descriptor：全局调色板
+    out.short(this.width);
+    out.short(this.height);
+    out.byte(0x80 | ((this._tableBits - 1) << 4) | (this._tableBits - 1));
+    out.byte(0);
+    out.byte(0);
+    out.bytes(this._palette);
+
+    // NETSCAPE2.0 循环扩展
+    if (this.loop >= 0) {
+      out.byte(0x21);
+      out.byte(0xff);
+      out.byte(11);
+      out.string('NETSCAPE2.0');
+      out.byte(3);
+      out.byte(1);
+      out.short(this.loop);
+      out.byte(0);
+    }
+  }
+
+  /**
+   * 最近调色板颜色（按 RGB555 缓存）
+   * @private
+   */
+  _nearest(r, g, b) {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    const cached = this._lookup[key];
+    if (cached >= 0) return cached;
+
+    const palette = this._palette;
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < this._colorCount; i++) {
+      const dr = r - palette[i * 3];
+      const dg = g - palette[i * 3 + 1];
+      const db = b - palette[i * 3 + 2];
+      const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    }
+    this._lookup[key] = best;
+    return best;
+  }
+
+  /**
+   * @private
+   */
+  _mapNearest(pixels) {
+    const indices = new Uint8Array(this.width * this.height);
+    for (let i = 0; i < indices.length; i++) {
+      indices[i] = this._nearest(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]);
+    }
+    return indices;
+  }
+
+  /**
+   * Floyd-Steinberg 误差扩散
+   * @private
+   */
+  _mapDithered(pixels) {
+    const { width, height } = this;
+    const palette = this._palette;
+    const indices = new Uint8Array(width * height);
+
+    // 当前行与下一行的累计误差
+    let current = new Float32Array((width + 2) * 3);
+    let next = new Float32Array((width + 2) * 3);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const p = (y * width + x) * 4;
+        const e = (x + 1) * 3;
+        const r = Math.max(0, Math.min(255, pixels[p] + current[e]));
+        const g = Math.max(0, Math.min(255, pixels[p + 1] + current[e + 1]));
+        const b = Math.max(0, Math.min(255, pixels[p + 2] + current[e + 2]));
+
+        const index = this._nearest(r, g, b);
+        indices[y * width + x] = index;
+
+        const errors = [
+          r - palette[index * 3],
+          g - palette[index * 3 + 1],
+          b - palette[index * 3 + 2],
+        ];
+        for (let c = 0; c < 3; c++) {
+          const err = errors[c];
+          current[e + 3 + c] += (err * 7) / 16;
+          next[e - 3 + c] += (err * 3) / 16;
+          next[e + c] += (err * 5) / 16;
+          next[e + 3 + c] += err / 16;
+        }
+      }
+      [current, next] = [next, current];
+      next.fill(0);
+    }
+    return indices;
+  }
+}
+
+export default GifEncoder;
@@ -3,6 +3,9 @@
  * @module core/Utils/MediaExporter
  */
 
+import { GifEncoder, quantize } from './GifEncoder.js';
+import { VideoProcessor } from '../../modules/InputSystem/VideoProcessor.js';
+
 /**
  * 导出格式
  * @enum {string}
@@ -39,6 +42,20 @@ export class MediaExporter {
 
     /** @private */
     this._frameInterval = null;
+
+    /** @private 录制帧率，决定导出 GIF 的帧延迟 */
+    this._recordingFps = 30;
+
+    /** @private @type {VideoProcessor|null} */
+    this._videoProcessor = null;
+  }
+
+  /**
+   * 设置用于 MP4 编码的视频处理器（与视频导入共用同一个 FFmpeg 实例）
+   * @param {VideoProcessor} processor
+   */
+  setVideoProcessor(processor) {
+    this._videoProcessor = processor;
   }
 
   /**
@@ -88,6 +105,28 @@ export class MediaExporter {
     this._downloadDataUrl(dataUrl, `${filename}.${ext}`);
   }
 
+  /**
+   * 下载任意画布（如离屏渲染的高分辨率静帧）
+   * 使用 toBlob 而非 Data URL，避免超大图片生成巨型字符串
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} options
+   * @returns {Promise<void>}
+   */
+  async downloadCanvas(canvas, options = {}) {
+    const {
+      format = ExportFormat.PNG,
+      quality = 0.92,
+      filename = `immersa3d-${Date.now()}`,
+    } = options;
+
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('图片编码失败'))), format, quality);
+    });
+    const ext = format.split('/')[1] || 'png';
+    this.downloadBlob(blob, `${filename}.${ext === 'jpeg' ? 'jpg' : ext}`);
+    console.log(`📷 图片已导出: ${canvas.width}×${canvas.height} ${format}`);
+  }
+
   /**
    * 调整画布大小
    * @private
@@ -120,6 +159,7 @@ export class MediaExporter {
     this._frames = [];
     this._isRecording = true;
     this._recordingStartTime = performance.now();
+    this._recordingFps = fps;
 
     const frameTime = 1000 / fps;
     const maxFrames = fps * maxDuration;
@@ -165,6 +205,17 @@ export class MediaExporter {
     return this._frames;
   }
 
+  /**
+   * 使用外部渲染的帧序列（如离线逐帧渲染）替代录制结果
+   * @param {HTMLCanvasElement[]} frames
+   * @param {number} fps - 帧率，决定导出时的帧时长
+   */
+  setFrames(frames, fps) {
+    if (this._isRecording) this.stopRecording();
+    this._frames = frames;
+    this._recordingFps = fps;
+  }
+
   /**
    * 获取录制的帧数
    * @returns {number}
@@ -182,28 +233,68 @@ export class MediaExporter {
   }
 
   /**
-   * 导出为 GIF（需要 gif.js 库 - 此处提供基础实现）
+   * 导出为 GIF 动画
    * @param {object} options
+   * @param {number} [options.fps] - 帧率，默认使用录制帧率
+   * @param {number} [options.quality=1] - 质量 (0.1-1)，决定调色板颜色数
+   * @param {number} [options.width] - 输出宽度，默认原始尺寸
+   * @param {number} [options.height] - 输出高度
+   * @param {number} [options.loop=0] - 循环次数：0 无限循环，-1 只播放一次
+   * @param {boolean} [options.dither=true] - 是否抖动
+   * @param {Function} [options.onProgress] - 进度回调 (0-1)
    * @returns {Promise<Blob>}
    */
-  async exportGIF(_options = {}) {
-    // const { fps, quality, width, height } = options;
+  async exportGIF(options = {}) {
+    const {
+      fps = this._recordingFps,
+      quality = 1,
+      loop = 0,
+      dither = true,
+      onProgress = null,
+    } = options;
 
     const frames = this._frames;
     if (frames.length === 0) {
       throw new Error('没有可导出的帧');
     }
 
-    // 创建简易 GIF（实际项目中应使用 gif.js）
-    console.log(`🎞️ 准备导出 GIF (${frames.length} 帧)...`);
+    const width = options.width || frames[0].width;
+    const height = options.height || frames[0].height;
+    console.log(`🎞️ 准备导出 GIF (${frames.length} 帧, ${width}×${height})...`);
 
-    // 返回第一帧作为静态图片的替代方案
-    return new Promise((resolve) => {
-      frames[0].toBlob((blob) => {
-        console.log('⚠️ GIF 导出需要 gif.js 库，当前返回第一帧');
-        resolve(blob);
-      }, 'image/png');
+    const readPixels = (frame) => {
+      const canvas =
+        frame.width === width && frame.height === height
+          ? frame
+          : this._resizeCanvas(frame, width, height);
+      return canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    };
+
+    // 从均匀抽取的若干帧生成全局调色板，避免同时持有所有帧像素
+    const sampleStep = Math.max(1, Math.floor(frames.length / 8));
+    const samples = [];
+    for (let i = 0; i < frames.length; i += sampleStep) {
+      samples.push(readPixels(frames[i]));
+    }
+    const colors = Math.max(16, Math.round(256 * Math.min(1, quality)));
+    const encoder = new GifEncoder(width, height, {
+      palette: quantize(samples, colors),
+      loop,
+      dither,
     });
+    samples.length = 0;
+
+    const delay = 1000 / fps;
+    for (let i = 0; i < frames.length; i++) {
+      encoder.addFrame(readPixels(frames[i]), delay);
+      if (onProgress) onProgress((i + 1) / frames.length);
+      // 允许 UI 更新
+      await new Promise((r) => setTimeout(r, 0));
+    }
+
+    const blob = new Blob([encoder.finish()], { type: 'image/gif' });
+    console.log(`✅ GIF 导出完成 (${(blob.size / 1024 / 1024).toFixed(2)} MB)`);
+    return blob;
   }
 
   /**
@@ -212,7 +303,11 @@ export class MediaExporter {
    * @returns {Promise<Blob>}
    */
   async exportVideo(options = {}) {
-    const { fps = 30, bitrate = 5000000, mimeType = 'video/webm;codecs=vp9' } = options;
+    const {
+      fps = this._recordingFps,
+      bitrate = 5000000,
+      mimeType = 'video/webm;codecs=vp9',
+    } = options;
 
     const frames = this._frames;
     if (frames.length === 0) {
@@ -278,16 +373,46 @@ export class MediaExporter {
     });
   }
 
+  /**
+   * 通过 FFmpeg.wasm 导出为 MP4 视频
+   * @param {object} options
+   * @param {number} [options.fps] - 帧率，默认使用录制帧率
+   * @param {string} [options.codec='libx264'] - 视频编码器（libx264 / libx265）
+   * @param {number} [options.crf=23] - 恒定质量因子 (0-51)，设置 bitrate 时忽略
+   * @param {number|null} [options.bitrate=null] - 目标码率 (bps)
+   * @param {string} [options.pixFmt='yuv420p'] - 像素格式
+   * @param {Function} [options.onProgress] - 进度回调 (0-1)
+   * @returns {Promise<Blob>}
+   */
+  async exportMP4(options = {}) {
+    const { fps = this._recordingFps, ...encodeOptions } = options;
+
+    const frames = this._frames;
+    if (frames.length === 0) {
+      throw new Error('没有可导出的帧');
+    }
+
+    if (!this._videoProcessor) this._videoProcessor = new VideoProcessor();
+    if (!(await this._videoProcessor.load())) {
+      throw new Error('FFmpeg 加载失败');
+    }
+
+    console.log(`🎬 准备导出 MP4 (${frames.length} 帧, ${encodeOptions.codec || 'libx264'})...`);
+    return this._videoProcessor.encodeVideo(frames, { ...encodeOptions, fps, format: 'mp4' });
+  }
+
   /**
    * 下载视频
    * @param {object} options
+   * @param {string} [options.format='webm'] - 'webm'（MediaRecorder）或 'mp4'（FFmpeg）
    */
   async downloadVideo(options = {}) {
-    const { filename = `immersa3d-${Date.now()}` } = options;
+    const { filename = `immersa3d-${Date.now()}`, format = 'webm' } = options;
 
     try {
-      const blob = await this.exportVideo(options);
-      this._downloadBlob(blob, `${filename}.webm`);
+      const blob =
+        format === 'mp4' ? await this.exportMP4(options) : await this.exportVideo(options);
+      this.downloadBlob(blob, `${filename}.${format}`);
     } catch (error) {
       console.error('视频导出失败:', error);
       throw error;
@@ -309,9 +434,10 @@ export class MediaExporter {
 
   /**
    * 下载 Blob
-   * @private
+   * @param {Blob} blob
+   * @param {string} filename
    */
-  _downloadBlob(blob, filename) {
+  downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.download = filename;
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview 三维模型导出 - GLB / OBJ+MTL / PLY
+ * @module core/Utils/MeshExporter
+ */
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { PLYExporter } from 'three/addons/exporters/PLYExporter.js';
+import { ZipWriter } from './ZipArchive.js';
+
+/**
+ * 模型导出格式
+ * @enum {string}
+ */
+export const MeshExportFormat = {
+  GLB: 'glb',
+  OBJ: 'obj',
+  PLY: 'ply',
+};
+
+/** @constant {number} 嵌入纹理的最大边长 */
+const MAX_TEXTURE_SIZE = 4096;
+
+/**
+ * 模型导出器
+ * 输入为 DepthMeshBaker 烘焙后的几何体，输出可直接在 Blender 等软件中打开的文件
+ * @class
+ */
+export class MeshExporter {
+  /**
+   * 导出 GLB（纹理嵌入，材质为 KHR_materials_unlit，保持与应用内一致的外观）
+   * @param {THREE.BufferGeometry} geometry
+   * @param {THREE.Texture|null} texture
+   * @param {object} [options]
+   * @param {string} [options.name='DepthMesh']
+   * @returns {Promise<Blob>}
+   */
+  async exportGLB(geometry, texture, options = {}) {
+    const { name = 'DepthMesh' } = options;
+
+    const material = new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = name;
+
+    try {
+      const buffer = await new GLTFExporter().parseAsync(mesh, {
+        binary: true,
+        maxTextureSize: MAX_TEXTURE_SIZE,
+      });
+      console.log(`📦 GLB 导出完成: ${(buffer.byteLength / 1024 / 1024).toFixed(2)} MB`);
+      return new Blob([buffer], { type: 'model/gltf-binary' });
+    } finally {
+      material.dispose();
+    }
+  }
+
+  /**
+   * 导出 OBJ + MTL + 纹理，打包为 ZIP
+   * @param {THREE.BufferGeometry} geometry
+   * @param {THREE.Texture|null} texture
+   * @param {object} [options]
+   * @param {string} [options.name='depth-mesh'] - 归档内文件名前缀
+   * @returns {Promise<Blob>}
+   */
+  async exportOBJ(geometry, texture, options = {}) {
+    const { name = 'depth-mesh' } = options;
+    const hasTexture = Boolean(texture?.image);
+
+    const zip = new ZipWriter();
+    zip.addFile(`${name}.obj`, this.toOBJ(geometry, { mtllib: `${name}.mtl` }));
+    zip.addFile(`${name}.mtl`, this.toMTL(hasTexture ? `${name}.png` : null));
+    if (hasTexture) {
+      zip.addFile(`${name}.png`, await this._encodeTexture(texture.image));
+    }
+
+    console.log(`📦 OBJ 导出完成: ${geometry.attributes.position.count} 顶点`);
+    return zip.toBlob();
+  }
+
+  /**
+   * 导出 PLY 点云
+   * @param {THREE.Points} points - PointCloud 生成的点云
+   * @param {object} [options]
+   * @param {boolean} [options.binary=true]
+   * @returns {Blob}
+   */
+  exportPLY(points, options = {}) {
+    const { binary = true } = options;
+    const data = new PLYExporter().parse(points, null, { binary, littleEndian: true });
+    console.log(`📦 PLY 导出完成: ${points.geometry.attributes.position.count} 点`);
+    return new Blob([data], { type: binary ? 'application/octet-stream' : 'text/plain' });
+  }
+
+  /**
+   * 生成 OBJ 文本（带 UV 与法线，索引从 1 开始）
+   * @param {THREE.BufferGeometry} geometry
+   * @param {object} [options]
+   * @param {string|null} [options.mtllib=null]
+   * @returns {string}
+   */
+  toOBJ(geometry, options = {}) {
+    const { mtllib = null } = options;
+    const position = geometry.attributes.position;
+    const uv = geometry.attributes.uv;
+    const normal = geometry.attributes.normal;
+    const lines = ['# Immersa3D depth mesh'];
+
+    if (mtllib) lines.push(`mtllib ${mtllib}`);
+    lines.push('o DepthMesh');
+
+    for (let i = 0; i < position.count; i++) {
+      lines.push(`v ${fmt(position.getX(i))} ${fmt(position.getY(i))} ${fmt(position.getZ(i))}`);
+    }
+    if (uv) {
+      for (let i = 0; i < uv.count; i++) lines.push(`vt ${fmt(uv.getX(i))} ${fmt(uv.getY(i))}`);
+    }
+    if (normal) {
+      for (let i = 0; i < normal.count; i++) {
+        lines.push(`vn ${fmt(normal.getX(i))} ${fmt(normal.getY(i))} ${fmt(normal.getZ(i))}`);
+      }
+    }
+
+    if (mtllib) lines.push('usemtl DepthMaterial');
+
+    const index = geometry.index;
+    const count = index ? index.count : position.count;
+    const vertex = (i) => {
+      const v = (index ? index.getX(i) : i) + 1;
+      if (uv && normal) return `${v}/${v}/${v}`;
+      if (uv) return `${v}/${v}`;
+      if (normal) return `${v}//${v}`;
+      return `${v}`;
+    };
+    for (let i = 0; i < count; i += 3) {
+      lines.push(`f ${vertex(i)} ${vertex(i + 1)} ${vertex(i + 2)}`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * 生成 MTL 文本
+   * @param {string|null} textureFile
+   * @returns {string}
+   */
+  toMTL(textureFile) {
+    const lines = [
+      'newmtl DepthMaterial',
+      'Ka 1.000 1.000 1.000',
+      'Kd 1.000 1.000 1.000',
+      'Ks 0.000 0.000 0.000',
+      'd 1.0',
+      'illum 1',
+    ];
+    if (textureFile) lines.push(`map_Kd ${textureFile}`);
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * 将纹理图像编码为 PNG 字节
+   * @private
+   * @returns {Promise<Uint8Array>}
+   */
+  async _encodeTexture(image) {
+    const scale = Math.min(1, MAX_TEXTURE_SIZE / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('纹理编码失败'))), 'image/png');
+    });
+    return new Uint8Array(await blob.arrayBuffer());
+  }
+}
+
+/**
+ * 数值格式化，控制 OBJ 文件体积
+ * @private
+ */
+function fmt(value) {
+  return Number(value.toFixed(6)).toString();
+}
+
+export default MeshExporter;
@@ -0,0 +1,326 @@
+/**
+ * @fileoverview 立体图对编码 - MPO / JPS / 左右或上下拼接 PNG / 分离的左右图
+ * @module core/Utils/StereoImageEncoder
+ */
+
+import { ZipWriter } from './ZipArchive.js';
+
+/**
+ * 立体图对输出格式
+ * @enum {string}
+ */
+export const StereoLayout = {
+  MPO: 'mpo', // CIPA DC-007 多图像对象（富士 3D 相机格式）
+  JPS: 'jps', // 立体 JPEG，交叉眼排列（右图在左）
+  SIDE_BY_SIDE: 'sbs', // 左右拼接 PNG（左图在左）
+  OVER_UNDER: 'ou', // 上下拼接 PNG（左图在上）
+  PAIR: 'pair', // 左右眼分别保存为 PNG，打包为 ZIP
+};
+
+/** @constant {number} MP 类型：多帧图像 - 视差图 */
+const MP_TYPE_DISPARITY = 0x020002;
+
+/** @constant {number} MP 属性：代表图像 */
+const MP_REPRESENTATIVE_IMAGE = 0x20000000;
+
+/** @constant {number} MP Entry 长度（字节） */
+const MP_ENTRY_SIZE = 16;
+
+/** @constant {number} TIFF 数据类型 */
+const TIFF_LONG = 4;
+const TIFF_RATIONAL = 5;
+const TIFF_UNDEFINED = 7;
+const TIFF_SRATIONAL = 10;
+
+/** @constant {number} JPS 描述符：立体图像、左右排列、左图在前 */
+const JPS_STEREOSCOPIC = 0x01;
+const JPS_SIDE_BY_SIDE = 0x02;
+const JPS_LEFT_FIELD_FIRST = 0x04;
+
+/**
+ * 立体图对编码器
+ * 输入为同尺寸的左右眼画布
+ * @class
+ */
+export class StereoImageEncoder {
+  /**
+   * 编码立体图对
+   * @param {HTMLCanvasElement} left
+   * @param {HTMLCanvasElement} right
+   * @param {object} [options]
+   * @param {string} [options.layout=StereoLayout.MPO]
+   * @param {number} [options.quality=0.92] - JPEG 质量（MPO / JPS）
+   * @param {number} [options.baseline=0.064] - 基线长度（米），写入 MPO
+   * @param {string} [options.name='stereo'] - 分离保存时 ZIP 内的文件名前缀
+   * @returns {Promise<{blob: Blob, extension: string}>}
+   */
+  async encode(left, right, options = {}) {
+    const {
+      layout = StereoLayout.MPO,
+      quality = 0.92,
+      baseline = 0.064,
+      name = 'stereo',
+    } = options;
+
+    switch (layout) {
+      case StereoLayout.MPO: {
+        const bytes = this.buildMPO(
+          await this._encodeCanvas(left, 'image/jpeg', quality),
+          await this._encodeCanvas(right, 'image/jpeg', quality),
+          { baseline }
+        );
+        return { blob: new Blob([bytes], { type: 'image/mpo' }), extension: 'mpo' };
+      }
+      case StereoLayout.JPS: {
+        const canvas = this.composeSideBySide(right, left);
+        const jpeg = await this._encodeCanvas(canvas, 'image/jpeg', quality);
+        const bytes = this.addJPSHeader(jpeg, { leftFirst: false });
+        return { blob: new Blob([bytes], { type: 'image/x-jps' }), extension: 'jps' };
+      }
+      case StereoLayout.SIDE_BY_SIDE:
+      case StereoLayout.OVER_UNDER: {
+        const canvas =
+          layout === StereoLayout.SIDE_BY_SIDE
+            ? this.composeSideBySide(left, right)
+            : this.composeOverUnder(left, right);
+        const bytes = await this._encodeCanvas(canvas, 'image/png');
+        return { blob: new Blob([bytes], { type: 'image/png' }), extension: 'png' };
+      }
+      case StereoLayout.PAIR: {
+        const zip = new ZipWriter();
+        zip.addFile(`${name}_L.png`, await this._encodeCanvas(left, 'image/png'));
+        zip.addFile(`${name}_R.png`, await this._encodeCanvas(right, 'image/png'));
+        return { blob: zip.toBlob(), extension: 'zip' };
+      }
+      default:
+        throw new Error(`未知立体格式: ${layout}`);
+    }
+  }
+
+  /**
+   * 左右拼接
+   * @param {HTMLCanvasElement} first - 左半
+   * @param {HTMLCanvasElement} second - 右半
+   * @returns {HTMLCanvasElement}
+   */
+  composeSideBySide(first, second) {
+    const canvas = document.createElement('canvas');
+    canvas.width = first.width * 2;
+    canvas.height = first.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(first, 0, 0);
+    ctx.drawImage(second, first.width, 0);
+    return canvas;
+  }
+
+  /**
+   * 上下拼接
+   * @param {HTMLCanvasElement} first - 上半
+   * @param {HTMLCanvasElement} second - 下半
+   * @returns {HTMLCanvasElement}
+   */
+  composeOverUnder(first, second) {
+    const canvas = document.createElement('canvas');
+    canvas.width = first.width;
+    canvas.height = first.height * 2;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(first, 0, 0);
+    ctx.drawImage(second, 0, first.height);
+    return canvas;
+  }
+
+  /**
+   * 合成 MPO：两幅 JPEG 首尾相接，各自在 SOI 后插入 APP2 "MPF" 段
+   * 第一幅（左眼）含 MP Index IFD，登记两幅图像的大小与偏移（相对第一幅 MP 头）
+   * @param {Uint8Array} leftJpeg
+   * @param {Uint8Array} rightJpeg
+   * @param {object} [options]
+   * @param {number} [options.baseline=0.064] - 基线长度（米）
+   * @returns {Uint8Array}
+   */
+  buildMPO(leftJpeg, rightJpeg, options = {}) {
+    const { baseline = 0.064 } = options;
+
+    const rightSegment = this._mpfSegment({ index: null, individualNum: 2, baseline });
+    const right = this._insertSegment(rightJpeg, rightSegment);
+
+    // 段长度与偏移值无关，先以占位写入确定第一幅的大小与 MP 头位置
+    const index = { entries: [] };
+    const leftSegment = this._mpfSegment({ index, individualNum: 1, baseline });
+    const { bytes: left, position } = this._insertSegmentAt(leftJpeg, leftSegment);
+    // MP 头（字节序标记）位于 APP2 标记、长度与 "MPF\0" 之后
+    const header = position + 8;
+
+    index.entries = [
+      { attribute: MP_REPRESENTATIVE_IMAGE | MP_TYPE_DISPARITY, size: left.length, offset: 0 },
+      { attribute: MP_TYPE_DISPARITY, size: right.length, offset: left.length - header },
+    ];
+    left.set(this._mpfSegment({ index, individualNum: 1, baseline }), position);
+
+    const output = new Uint8Array(left.length + right.length);
+    output.set(left, 0);
+    output.set(right, left.length);
+
+    console.log(`👓 MPO 合成完成: ${(output.length / 1024).toFixed(0)} KB`);
+    return output;
+  }
+
+  /**
+   * 在 JPEG 中插入 JPS 立体描述 APP3 段
+   * @param {Uint8Array} jpeg - 左右拼接的 JPEG
+   * @param {object} [options]
+   * @param {boolean} [options.leftFirst=false] - 左图在左半（默认交叉眼排列）
+   * @returns {Uint8Array}
+   */
+  addJPSHeader(jpeg, options = {}) {
+    const { leftFirst = false } = options;
+    const comment = new TextEncoder().encode('immersa3d');
+    const payload = new Uint8Array(8 + 2 + 4 + 2 + comment.length);
+    const view = new DataView(payload.buffer);
+
+    payload.set(new TextEncoder().encode('_JPSJPS_'), 0);
+    view.setUint16(8, 4);
+    // 32 位描述符（大端）：位 0-7 媒体类型，8-15 排列方式，16-23 标志，24-31 分隔
+    const flags = leftFirst ? JPS_LEFT_FIELD_FIRST : 0;
+    view.setUint32(10, JPS_STEREOSCOPIC | (JPS_SIDE_BY_SIDE << 8) | (flags << 16));
+    view.setUint16(14, comment.length);
+    payload.set(comment, 16);
+
+    return this._insertSegment(jpeg, this._segment(0xe3, payload));
+  }
+
+  /**
+   * 生成 APP2 MPF 段
+   * @private
+   * @param {object} options
+   * @param {{entries: Array<{attribute: number, size: number, offset: number}>}|null} options.index -
+   *   第一幅图像的 MP Index（其余图像为 null）
+   * @param {number} options.individualNum - 图像编号（视差图自左向右从 1 开始）
+   * @param {number} options.baseline
+   * @returns {Uint8Array}
+   */
+  _mpfSegment({ index, individualNum, baseline }) {
+    const imageCount = 2;
+    const indexSize = index ? 2 + 3 * 12 + 4 + imageCount * MP_ENTRY_SIZE : 0;
+    const attributeSize = 2 + 5 * 12 + 4 + 16;
+    const payload = new Uint8Array(4 + 8 + indexSize + attributeSize);
+    payload.set([0x4d, 0x50, 0x46, 0x00], 0); // "MPF\0"
+
+    // 以下偏移均相对 MP 头（小端 TIFF 头）
+    const view = new DataView(payload.buffer, 4);
+    const le = true;
+    view.setUint16(0, 0x4949); // "II"
+    view.setUint16(2, 0x002a, le);
+    view.setUint32(4, 8, le);
+
+    const writeEntry = (offset, tag, type, count, value) => {
+      view.setUint16(offset, tag, le);
+      view.setUint16(offset + 2, type, le);
+      view.setUint32(offset + 4, count, le);
+      view.setUint32(offset + 8, value, le);
+    };
+    const writeVersion = (offset) => {
+      writeEntry(offset, 0xb000, TIFF_UNDEFINED, 4, 0);
+      [0x30, 0x31, 0x30, 0x30].forEach((c, i) => view.setUint8(offset + 8 + i, c)); // "0100"
+    };
+
+    let ifd = 8;
+    if (index) {
+      const entries = ifd + 2 + 3 * 12 + 4;
+      view.setUint16(ifd, 3, le);
+      writeVersion(ifd + 2);
+      writeEntry(ifd + 14, 0xb001, TIFF_LONG, 1, imageCount); // NumberOfImages
+      writeEntry(ifd + 26, 0xb002, TIFF_UNDEFINED, imageCount * MP_ENTRY_SIZE, entries); // MPEntry
+      const next = entries + imageCount * MP_ENTRY_SIZE;
+      view.setUint32(ifd + 38, next, le);
+
+      index.entries.forEach((entry, i) => {
+        const offset = entries + i * MP_ENTRY_SIZE;
+        view.setUint32(offset, entry.attribute, le);
+        view.setUint32(offset + 4, entry.size, le);
+        view.setUint32(offset + 8, entry.offset, le);
+        // 无从属图像
+        view.setUint16(offset + 12, 0, le);
+        view.setUint16(offset + 14, 0, le);
+      });
+      ifd = next;
+    }
+
+    // MP Attribute IFD
+    const values = ifd + 2 + 5 * 12 + 4;
+    view.setUint16(ifd, 5, le);
+    writeVersion(ifd + 2);
+    writeEntry(ifd + 14, 0xb101, TIFF_LONG, 1, individualNum); // MPIndividualNum
+    writeEntry(ifd + 26, 0xb204, TIFF_LONG, 1, 1); // BaseViewpointNum：以左眼为基准
+    writeEntry(ifd + 38, 0xb205, TIFF_SRATIONAL, 1, values); // ConvergenceAngle
+    writeEntry(ifd + 50, 0xb206, TIFF_RATIONAL, 1, values + 8); // BaselineLength
+    view.setUint32(ifd + 62, 0, le);
+
+    // 离轴投影的左右相机光轴平行，汇聚角为 0
+    view.setInt32(values, 0, le);
+    view.setInt32(values + 4, 1, le);
+    view.setUint32(values + 8, Math.round(baseline * 10000), le);
+    view.setUint32(values + 12, 10000, le);
+
+    return this._segment(0xe2, payload);
+  }
+
+  /**
+   * @private
+   * @param {number} marker - APPn 标记的第二个字节
+   * @param {Uint8Array} payload
+   * @returns {Uint8Array}
+   */
+  _segment(marker, payload) {
+    const length = payload.length + 2;
+    if (length > 0xffff) throw new Error('JPEG 段过长');
+    const segment = new Uint8Array(length + 2);
+    segment.set([0xff, marker, length >> 8, length & 0xff], 0);
+    segment.set(payload, 4);
+    return segment;
+  }
+
+  /**
+   * @private
+   * @returns {Uint8Array}
+   */
+  _insertSegment(jpeg, segment) {
+    return this._insertSegmentAt(jpeg, segment).bytes;
+  }
+
+  /**
+   * 在 SOI 之后、已有的 APP0（JFIF）/ APP1（Exif）段之后插入段
+   * @private
+   * @returns {{bytes: Uint8Array, position: number}}
+   */
+  _insertSegmentAt(jpeg, segment) {
+    if (jpeg[0] !== 0xff || jpeg[1] !== 0xd8) throw new Error('不是有效的 JPEG');
+
+    let position = 2;
+    while (
+      jpeg[position] === 0xff &&
+      (jpeg[position + 1] === 0xe0 || jpeg[position + 1] === 0xe1)
+    ) {
+      position += 2 + ((jpeg[position + 2] << 8) | jpeg[position + 3]);
+    }
+
+    const bytes = new Uint8Array(jpeg.length + segment.length);
+    bytes.set(jpeg.subarray(0, position), 0);
+    bytes.set(segment, position);
+    bytes.set(jpeg.subarray(position), position + segment.length);
+    return { bytes, position };
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Uint8Array>}
+   */
+  async _encodeCanvas(canvas, type, quality) {
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('图片编码失败'))), type, quality);
+    });
+    return new Uint8Array(await blob.arrayBuffer());
+  }
+}
+
+export default StereoImageEncoder;
@@ -0,0 +1,257 @@
+/**
+ * @fileoverview 轻量 ZIP 归档读写（仅存储模式，无压缩）
+ * @module core/Utils/ZipArchive
+ */
+
+/** @constant {number} */
+const LOCAL_FILE_HEADER = 0x04034b50;
+/** @constant {number} */
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+/** @constant {number} */
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+/** @type {Uint32Array|null} */
+let crcTable = null;
+
+/**
+ * 计算 CRC32 校验值
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+export function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 统一转换为 Uint8Array
+ * @private
+ */
+function toBytes(data) {
+  if (typeof data === 'string') return new TextEncoder().encode(data);
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data))
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  throw new Error('不支持的归档数据类型');
+}
+
+/**
+ * ZIP 写入器
+ * @class
+ */
+export class ZipWriter {
+  constructor() {
+    /** @private */
+    this._entries = [];
+  }
+
+  /**
+   * 添加文件
+   * @param {string} name - 归档内路径
+   * @param {Uint8Array|ArrayBuffer|ArrayBufferView|string} data
+   */
+  addFile(name, data) {
+    const bytes = toBytes(data);
+    this._entries.push({
+      name,
+      nameBytes: new TextEncoder().encode(name),
+      data: bytes,
+      crc: crc32(bytes),
+    });
+  }
+
+  /**
+   * 生成归档字节
+   * @returns {Uint8Array}
+   */
+  toUint8Array() {
+    let localSize = 0;
+    let centralSize = 0;
+    for (const entry of this._entries) {
+      localSize += 30 + entry.nameBytes.length + entry.data.length;
+      centralSize += 46 + entry.nameBytes.length;
+    }
+
+    const output = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(output.buffer);
+    let offset = 0;
+    const offsets = [];
+
+    // 本地文件头 + 数据
+    for (const entry of this._entries) {
+      offsets.push(offset);
+      view.setUint32(offset, LOCAL_FILE_HEADER, true);
+      view.setUint16(offset + 4, 20, true); // 所需版本
+      view.setUint16(offset + 6, 0x0800, true); // UTF-8 文件名
+      view.setUint16(offset + 8, 0, true); // 存储模式
+      view.setUint32(offset + 14, entry.crc, true);
+      view.setUint32(offset + 18, entry.data.length, true);
+      view.setUint32(offset + 22, entry.data.length, true);
+      view.setUint16(offset + 26, entry.nameBytes.length, true);
+      output.set(entry.nameBytes, offset + 30);
+      output.set(entry.data, offset + 30 + entry.nameBytes.length);
+      offset += 30 + entry.nameBytes.length + entry.data.length;
+    }
+
+    // 中央目录
+    const centralStart = offset;
+    this._entries.forEach((entry, i) => {
+      view.setUint32(offset, CENTRAL_DIRECTORY_HEADER, true);
+      view.setUint16(offset + 4, 20, true);
+      view.setUint16(offset + 6, 20, true);
+      view.setUint16(offset + 8, 0x0800, true);
+      view.setUint16(offset + 10, 0, true);
+      view.setUint32(offset + 16, entry.crc, true);
+      view.setUint32(offset + 20, entry.data.length, true);
+      view.setUint32(offset + 24, entry.data.length, true);
+      view.setUint16(offset + 28, entry.nameBytes.length, true);
+      view.setUint32(offset + 42, offsets[i], true);
+      output.set(entry.nameBytes, offset + 46);
+      offset += 46 + entry.nameBytes.length;
+    });
+
+    // 中央目录结束记录
+    view.setUint32(offset, END_OF_CENTRAL_DIRECTORY, true);
+    view.setUint16(offset + 8, this._entries.length, true);
+    view.setUint16(offset + 10, this._entries.length, true);
+    view.setUint32(offset + 12, offset - centralStart, true);
+    view.setUint32(offset + 16, centralStart, true);
+
+    return output;
+  }
+
+  /**
+   * 生成归档 Blob
+   * @param {string} [type='application/zip']
+   * @returns {Blob}
+   */
+  toBlob(type = 'application/zip') {
+    return new Blob([this.toUint8Array()], { type });
+  }
+}
+
+/**
+ * ZIP 读取器
+ * @class
+ */
+export class ZipReader {
+  /**
+   * @param {ArrayBuffer|Uint8Array} buffer
+   */
+  constructor(buffer) {
+    /** @private */
+    this._bytes = toBytes(buffer);
+
+    /** @private */
+    this._view = new DataView(this._bytes.buffer, this._bytes.byteOffset, this._bytes.byteLength);
+
+    /** @type {Map<string, {offset: number, size: number, method: number, crc: number}>} */
+    this.entries = new Map();
+
+    this._readCentralDirectory();
+  }
+
+  /**
+   * 解析中央目录
+   * @private
+   */
+  _readCentralDirectory() {
+    const view = this._view;
+    let eocd = -1;
+    for (let i = this._bytes.length - 22; i >= 0; i--) {
+      if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) throw new Error('无效的归档文件');
+
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+        throw new Error('归档中央目录损坏');
+      }
+      const method = view.getUint16(offset + 10, true);
+      const crc = view.getUint32(offset + 16, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const name = decoder.decode(this._bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+      // 数据起点需跳过本地文件头
+      const localNameLength = view.getUint16(localOffset + 26, true);
+      const localExtraLength = view.getUint16(localOffset + 28, true);
+      this.entries.set(name, {
+        offset: localOffset + 30 + localNameLength + localExtraLength,
+        size: compressedSize,
+        method,
+        crc,
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+  }
+
+  /**
+   * 是否包含文件
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  /**
+   * 列出所有文件名
+   * @returns {string[]}
+   */
+  list() {
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * 读取文件字节
+   * @param {string} name
+   * @returns {Uint8Array}
+   */
+  read(name) {
+    const entry = this.entries.get(name);
+    if (!entry) throw new Error(`归档中不存在: ${name}`);
+    if (entry.method !== 0) throw new Error(`不支持的压缩方式: ${entry.method}`);
+
+    const data = this._bytes.slice(entry.offset, entry.offset + entry.size);
+    if (crc32(data) !== entry.crc) throw new Error(`CRC 校验失败: ${name}`);
+    return data;
+  }
+
+  /**
+   * 读取文本文件
+   * @param {string} name
+   * @returns {string}
+   */
+  readText(name) {
+    return new TextDecoder().decode(this.read(name));
+  }
+}
+
+export default ZipWriter;
@@ -18,6 +18,9 @@ export const LightingPreset = {
   CINEMATIC: 'cinematic',
 };
 
+/** @constant {number[]} 初始主光源位置 */
+const DEFAULT_MAIN_POSITION = [5, 10, 7];
+
 /**
  * 光照管理器
  * @class
@@ -57,7 +60,7 @@ export class LightingManager {
 
     // 主方向光（太阳）
     this.mainLight = new THREE.DirectionalLight(0xffffff, 1);
-    this.mainLight.position.set(5, 10, 7);
+    this.mainLight.position.set(...DEFAULT_MAIN_POSITION);
     this.mainLight.castShadow = true;
     this.mainLight.shadow.mapSize.width = 2048;
     this.mainLight.shadow.mapSize.height = 2048;
@@ -106,6 +109,22 @@ export class LightingManager {
     console.log(`💡 光照预设: ${preset}`);
   }
 
+  /**
+   * 恢复初始光照（未应用任何预设）
+   */
+  resetToDefault() {
+    this.currentPreset = null;
+    this._clearExtraLights();
+
+    this.ambientLight.color.set(0x404040);
+    this.ambientLight.intensity = 0.5;
+    this.mainLight.color.set(0xffffff);
+    this.mainLight.intensity = 1;
+    this.mainLight.position.set(...DEFAULT_MAIN_POSITION);
+
+    console.log('💡 光照已恢复默认');
+  }
+
   /**
    * 工作室光照
    * @private
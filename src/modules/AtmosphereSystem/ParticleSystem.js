@@ -4,6 +4,7 @@
  */
 
 import * as THREE from 'three';
+import { createRandom } from '../../utils/Random.js';
 
 /**
  * 粒子预设类型
@@ -41,8 +42,11 @@ export class ParticleSystem {
     /** @type {boolean} */
     this.isActive = false;
 
-    /** @private */
-    this._clock = new THREE.Clock();
+    /** @private 累计时间（秒），由 update 的 delta 推进 */
+    this._time = 0;
+
+    /** @private 随机源，离线渲染时替换为带种子的生成器 */
+    this._random = Math.random;
 
     /** @private */
     this._velocities = null;
@@ -166,7 +170,7 @@ export class ParticleSystem {
    * @private
    */
   _createParticles() {
-    const { count, size, opacity, spread, color } = this._config;
+    const { count, opacity, color } = this._config;
 
     // 创建几何体
     const geometry = new THREE.BufferGeometry();
@@ -174,24 +178,7 @@ export class ParticleSystem {
     const sizes = new Float32Array(count);
     const opacities = new Float32Array(count);
     this._velocities = new Float32Array(count * 3);
-
-    for (let i = 0; i < count; i++) {
-      // 随机位置
-      positions[i * 3] = (Math.random() - 0.5) * spread;
-      positions[i * 3 + 1] = (Math.random() - 0.5) * spread;
-      positions[i * 3 + 2] = (Math.random() - 0.5) * spread;
-
-      // 随机大小变化
-      sizes[i] = size * (0.5 + Math.random());
-
-      // 随机透明度变化
-      opacities[i] = opacity * (0.5 + Math.random() * 0.5);
-
-      // 随机速度
-      this._velocities[i * 3] = (Math.random() - 0.5) * 0.1;
-      this._velocities[i * 3 + 1] = (Math.random() - 0.5) * 0.1;
-      this._velocities[i * 3 + 2] = (Math.random() - 0.5) * 0.1;
-    }
+    this._fillAttributes(positions, sizes, opacities);
 
     geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
     geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
@@ -244,6 +231,88 @@ export class ParticleSystem {
     this.scene.add(this.particles);
   }
 
+  /**
+   * 生成粒子初始属性
+   * @private
+   */
+  _fillAttributes(positions, sizes, opacities) {
+    const { size, opacity, spread } = this._config;
+
+    for (let i = 0; i < sizes.length; i++) {
+      // 随机位置
+      positions[i * 3] = (this._random() - 0.5) * spread;
+      positions[i * 3 + 1] = (this._random() - 0.5) * spread;
+      positions[i * 3 + 2] = (this._random() - 0.5) * spread;
+
+      // 随机大小变化
+      sizes[i] = size * (0.5 + this._random());
+
+      // 随机透明度变化
+      opacities[i] = opacity * (0.5 + this._random() * 0.5);
+
+      // 随机速度
+      this._velocities[i * 3] = (this._random() - 0.5) * 0.1;
+      this._velocities[i * 3 + 1] = (this._random() - 0.5) * 0.1;
+      this._velocities[i * 3 + 2] = (this._random() - 0.5) * 0.1;
+    }
+  }
+
+  /**
+   * 以固定种子重新生成粒子，使后续 update 序列完全可复现
+   * @param {number} seed
+   */
+  reseed(seed) {
+    this._random = createRandom(seed);
+    this._time = 0;
+    if (!this.particles) return;
+
+    const { attributes } = this.particles.geometry;
+    this._fillAttributes(
+      attributes.position.array,
+      attributes.size.array,
+      attributes.opacity.array
+    );
+    attributes.position.needsUpdate = true;
+    attributes.size.needsUpdate = true;
+    attributes.opacity.needsUpdate = true;
+  }
+
+  /**
+   * 保存当前粒子状态
+   * @returns {object|null}
+   */
+  captureState() {
+    if (!this.particles) return null;
+    const { attributes } = this.particles.geometry;
+    return {
+      particles: this.particles,
+      positions: attributes.position.array.slice(),
+      sizes: attributes.size.array.slice(),
+      opacities: attributes.opacity.array.slice(),
+      velocities: this._velocities.slice(),
+      time: this._time,
+      random: this._random,
+    };
+  }
+
+  /**
+   * 恢复 captureState 保存的状态（粒子已被重建时忽略）
+   * @param {object|null} state
+   */
+  restoreState(state) {
+    if (!state || state.particles !== this.particles) return;
+    const { attributes } = this.particles.geometry;
+    attributes.position.array.set(state.positions);
+    attributes.size.array.set(state.sizes);
+    attributes.opacity.array.set(state.opacities);
+    this._velocities.set(state.velocities);
+    this._time = state.time;
+    this._random = state.random;
+    attributes.position.needsUpdate = true;
+    attributes.size.needsUpdate = true;
+    attributes.opacity.needsUpdate = true;
+  }
+
   /**
    * 更新粒子
    * @param {number} delta - 时间增量
@@ -253,7 +322,8 @@ export class ParticleSystem {
 
     const positions = this.particles.geometry.attributes.position.array;
     const { speed, spread, movement } = this._config;
-    const time = this._clock.getElapsedTime();
+    this._time += delta;
+    const time = this._time;
 
     // 更新时间 uniform
     this.particles.material.uniforms.time.value = time;
@@ -277,8 +347,8 @@ export class ParticleSystem {
           // 重置位置
           if (positions[idx + 1] < -spread / 2) {
             positions[idx + 1] = spread / 2;
-            positions[idx] = (Math.random() - 0.5) * spread;
-            positions[idx + 2] = (Math.random() - 0.5) * spread;
+            positions[idx] = (this._random() - 0.5) * spread;
+            positions[idx + 2] = (this._random() - 0.5) * spread;
           }
           break;
 
@@ -288,8 +358,8 @@ export class ParticleSystem {
 
           if (positions[idx + 1] < -spread / 2) {
             positions[idx + 1] = spread / 2;
-            positions[idx] = (Math.random() - 0.5) * spread;
-            positions[idx + 2] = (Math.random() - 0.5) * spread;
+            positions[idx] = (this._random() - 0.5) * spread;
+            positions[idx + 2] = (this._random() - 0.5) * spread;
           }
           break;
 
@@ -300,8 +370,8 @@ export class ParticleSystem {
 
           if (positions[idx + 1] > spread / 2) {
             positions[idx + 1] = -spread / 2;
-            positions[idx] = (Math.random() - 0.5) * spread;
-            positions[idx + 2] = (Math.random() - 0.5) * spread;
+            positions[idx] = (this._random() - 0.5) * spread;
+            positions[idx + 2] = (this._random() - 0.5) * spread;
           }
           break;
 
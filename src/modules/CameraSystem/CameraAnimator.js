@@ -5,6 +5,7 @@
 
 import * as THREE from 'three';
 import gsap from 'gsap';
+import { createRandom } from '../../utils/Random.js';
 
 /**
  * 预设动画类型
@@ -132,6 +133,8 @@ export class CameraAnimator {
    * 播放预设动画
    * @param {string} type - 动画类型
    * @param {object} options - 动画选项
+   * @param {boolean} [options.paused=false] - 只构建时间线，由 seek 驱动
+   * @param {number} [options.seed] - 随机种子（晃动等随机运镜可复现）
    */
   playPreset(type, options = {}) {
     const {
@@ -139,6 +142,7 @@ export class CameraAnimator {
       easing = EasingType.EASE_IN_OUT,
       repeat = 0,
       yoyo = false,
+      paused = false,
     } = options;
 
     // 停止现有动画
@@ -210,6 +214,11 @@ export class CameraAnimator {
         return;
     }
 
+    if (paused) {
+      this.timeline.pause();
+      return;
+    }
+
     this.isPlaying = true;
 
     console.log(`🎬 播放动画: ${type}`);
@@ -324,18 +333,19 @@ export class CameraAnimator {
    * @private
    */
   _createShakeAnimation(duration, options = {}) {
-    const { intensity = 0.1, frequency = 20 } = options;
+    const { intensity = 0.1, frequency = 20, seed = Math.random() * 2 ** 32 } = options;
     const startPos = this.camera.position.clone();
     const iterations = Math.floor(frequency * duration);
+    const random = createRandom(seed);
 
     for (let i = 0; i < iterations; i++) {
       const t = (i + 1) / iterations;
       const decay = 1 - t; // 衰减
 
       this.timeline.to(this.camera.position, {
-        x: startPos.x + (Math.random() - 0.5) * intensity * decay,
-        y: startPos.y + (Math.random() - 0.5) * intensity * decay,
-        z: startPos.z + (Math.random() - 0.5) * intensity * decay,
+        x: startPos.x + (random() - 0.5) * intensity * decay,
+        y: startPos.y + (random() - 0.5) * intensity * decay,
+        z: startPos.z + (random() - 0.5) * intensity * decay,
         duration: duration / iterations,
         ease: 'none',
       });
@@ -848,6 +858,24 @@ export class CameraAnimator {
     }
   }
 
+  /**
+   * 跳转到指定时间（不抑制回调，代理对象驱动的运镜依赖 onUpdate）
+   * @param {number} time - 秒
+   */
+  seek(time) {
+    if (this.timeline) {
+      this.timeline.seek(time, false);
+    }
+  }
+
+  /**
+   * 获取当前动画单次时长
+   * @returns {number} 秒
+   */
+  getDuration() {
+    return this.timeline ? this.timeline.duration() : 0;
+  }
+
   /**
    * 暂停动画
    */
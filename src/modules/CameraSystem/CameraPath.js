@@ -344,9 +344,12 @@ export class CameraPath {
   /**
    * 播放路径动画
    * @param {object} options
+   * @param {boolean} [options.loop=false]
+   * @param {boolean} [options.pingPong=false]
+   * @param {boolean} [options.paused=false] - 只构建时间线，由 seek 驱动
    */
   play(options = {}) {
-    const { loop = false, pingPong = false } = options;
+    const { loop = false, pingPong = false, paused = false } = options;
 
     if (this.keyframes.length < 2) {
       console.warn('需要至少 2 个关键帧');
@@ -417,10 +420,36 @@ export class CameraPath {
       }
     }
 
+    if (paused) {
+      this.timeline.pause();
+      return;
+    }
+
     this.isPlaying = true;
     console.log(`▶️ 播放路径动画 (${this.keyframes.length} 关键帧)`);
   }
 
+  /**
+   * 准备逐帧渲染：相机置于首个关键帧并构建暂停的时间线
+   * 起点不依赖当前视角，保证每次 seek 结果一致
+   * @returns {boolean} 关键帧不足时返回 false
+   */
+  prepare() {
+    if (this.keyframes.length < 2) return false;
+
+    const first = this.keyframes[0];
+    this.camera.position.copy(first.position);
+    if (this.controls?.target) {
+      this.controls.target.copy(first.target);
+      this.camera.lookAt(first.target);
+    }
+    this.camera.fov = first.fov;
+    this.camera.updateProjectionMatrix();
+
+    this.play({ paused: true });
+    return true;
+  }
+
   /**
    * 暂停
    */
@@ -454,11 +483,12 @@ export class CameraPath {
 
   /**
    * 跳转到指定时间
+   * 不抑制回调，补间的 onUpdate 负责更新相机朝向
    * @param {number} time - 秒
    */
   seek(time) {
     if (this.timeline) {
-      this.timeline.seek(time);
+      this.timeline.seek(time, false);
     }
   }
 
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview 全景环视控制器 - 球心第一人称视角
+ * @module modules/CameraSystem/PanoramaControls
+ */
+
+import * as THREE from 'three';
+
+/** @constant {number} 俯仰角上限，避免越过天顶 */
+const MAX_PITCH = Math.PI / 2 - 0.01;
+
+/** @constant {Object<string, number[]>} 移动按键 → [右, 上, 前] */
+const MOVE_KEYS = {
+  KeyW: [0, 0, 1],
+  KeyS: [0, 0, -1],
+  KeyA: [-1, 0, 0],
+  KeyD: [1, 0, 0],
+  KeyE: [0, 1, 0],
+  KeyQ: [0, -1, 0],
+};
+
+/**
+ * 全景环视控制器
+ * 相机位于球心附近：拖拽转动视角（抓住画面拖动），滚轮调整视野，
+ * WASD/QE 在 maxOffset 范围内平移，配合深度位移全景获得有限的 6DoF 视差
+ * @class
+ */
+export class PanoramaControls {
+  /**
+   * @param {THREE.PerspectiveCamera} camera
+   * @param {HTMLElement} domElement
+   */
+  constructor(camera, domElement) {
+    /** @type {THREE.PerspectiveCamera} */
+    this.camera = camera;
+
+    /** @type {HTMLElement} */
+    this.domElement = domElement;
+
+    /** @type {boolean} */
+    this.enabled = false;
+
+    /** @type {THREE.Vector3} 平移中心 */
+    this.center = new THREE.Vector3();
+
+    /** @type {number} 离开中心的最大距离，0 表示只能转动 */
+    this.maxOffset = 0;
+
+    /** @type {number} 移动速度（单位/秒） */
+    this.moveSpeed = 1;
+
+    /** @type {number} 拖拽灵敏度（相对视野） */
+    this.rotateSpeed = 1;
+
+    /** @type {number} 阻尼系数 */
+    this.dampingFactor = 0.15;
+
+    /** @type {number} */
+    this.minFov = 30;
+
+    /** @type {number} */
+    this.maxFov = 100;
+
+    /** @type {number} 初始水平角（弧度），reset() 默认回到该朝向 */
+    this.heading = 0;
+
+    /** @type {number} 水平角（弧度，0 朝 -z，向右为正） */
+    this.yaw = 0;
+
+    /** @type {number} 俯仰角（弧度，向上为正） */
+    this.pitch = 0;
+
+    /** @private 目标角度（阻尼逼近） */
+    this._targetYaw = 0;
+    this._targetPitch = 0;
+
+    /** @private */
+    this._pointer = null;
+
+    /** @private {Set<string>} */
+    this._keys = new Set();
+
+    /** @private */
+    this._direction = new THREE.Vector3();
+
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+    this._onWheel = this._onWheel.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
+    this._onKeyUp = this._onKeyUp.bind(this);
+    this._onBlur = this._onBlur.bind(this);
+
+    domElement.addEventListener('pointerdown', this._onPointerDown);
+    domElement.addEventListener('wheel', this._onWheel, { passive: false });
+    window.addEventListener('keydown', this._onKeyDown);
+    window.addEventListener('keyup', this._onKeyUp);
+    window.addEventListener('blur', this._onBlur);
+  }
+
+  /**
+   * 回到中心并朝向指定水平角
+   * @param {number} [yaw=this.heading] - 弧度
+   */
+  reset(yaw = this.heading) {
+    this.yaw = this._targetYaw = yaw;
+    this.pitch = this._targetPitch = 0;
+    this._keys.clear();
+    this.camera.position.copy(this.center);
+    this._applyRotation();
+  }
+
+  /**
+   * 每帧更新
+   * @param {number} delta - 秒
+   */
+  update(delta = 0) {
+    if (!this.enabled) return;
+
+    const damping = Math.min(1, this.dampingFactor * (delta > 0 ? delta * 60 : 1));
+    this.yaw += (this._targetYaw - this.yaw) * damping;
+    this.pitch += (this._targetPitch - this.pitch) * damping;
+    this._applyRotation();
+
+    if (this._keys.size > 0 && delta > 0) this._move(delta);
+    // maxOffset 减小（如关闭深度位移）时拉回范围内
+    const offset = this._direction.subVectors(this.camera.position, this.center);
+    if (offset.length() > this.maxOffset) {
+      this.camera.position.copy(this.center).add(offset.clampLength(0, this.maxOffset));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _applyRotation() {
+    this.camera.rotation.set(this.pitch, -this.yaw, 0, 'YXZ');
+  }
+
+  /**
+   * 按视线方向移动
+   * @private
+   * @param {number} delta
+   */
+  _move(delta) {
+    const move = [0, 0, 0];
+    for (const code of this._keys) {
+      const axis = MOVE_KEYS[code];
+      for (let i = 0; i < 3; i++) move[i] += axis[i];
+    }
+
+    const forward = this.camera.getWorldDirection(this._direction);
+    const right = new THREE.Vector3().crossVectors(forward, this.camera.up).normalize();
+    const step = new THREE.Vector3()
+      .addScaledVector(right, move[0])
+      .addScaledVector(this.camera.up, move[1])
+      .addScaledVector(forward, move[2]);
+    if (step.lengthSq() === 0) return;
+
+    this.camera.position.addScaledVector(step.normalize(), this.moveSpeed * delta);
+  }
+
+  /** @private */
+  _onPointerDown(event) {
+    if (!this.enabled || event.button !== 0) return;
+    this._pointer = { x: event.clientX, y: event.clientY };
+    this.domElement.setPointerCapture?.(event.pointerId);
+    this.domElement.addEventListener('pointermove', this._onPointerMove);
+    this.domElement.addEventListener('pointerup', this._onPointerUp);
+  }
+
+  /** @private */
+  _onPointerMove(event) {
+    if (!this._pointer) return;
+    // 拖动一个画面高度约转过一个竖直视野
+    const radiansPerPixel =
+      (THREE.MathUtils.degToRad(this.camera.fov) / (this.domElement.clientHeight || 1)) *
+      this.rotateSpeed;
+    this._targetYaw -= (event.clientX - this._pointer.x) * radiansPerPixel;
+    this._targetPitch = THREE.MathUtils.clamp(
+      this._targetPitch + (event.clientY - this._pointer.y) * radiansPerPixel,
+      -MAX_PITCH,
+      MAX_PITCH
+    );
+    this._pointer = { x: event.clientX, y: event.clientY };
+  }
+
+  /** @private */
+  _onPointerUp(event) {
+    this._pointer = null;
+    this.domElement.releasePointerCapture?.(event.pointerId);
+    this.domElement.removeEventListener('pointermove', this._onPointerMove);
+    this.domElement.removeEventListener('pointerup', this._onPointerUp);
+  }
+
+  /** @private */
+  _onWheel(event) {
+    if (!this.enabled) return;
+    event.preventDefault();
+    this.camera.fov = THREE.MathUtils.clamp(
+      this.camera.fov + event.deltaY * 0.05,
+      this.minFov,
+      this.maxFov
+    );
+    this.camera.updateProjectionMatrix();
+  }
+
+  /** @private */
+  _onKeyDown(event) {
+    if (!this.enabled || !MOVE_KEYS[event.code] || event.ctrlKey || event.metaKey) return;
+    // 组件内的事件在 window 上被重定向到宿主，取原始目标
+    const target = event.composedPath?.()[0] ?? event.target;
+    const tag = target?.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target?.isContentEditable) {
+      return;
+    }
+    this._keys.add(event.code);
+  }
+
+  /** @private */
+  _onKeyUp(event) {
+    this._keys.delete(event.code);
+  }
+
+  /**
+   * 窗口失焦时收不到 keyup，清空按键以免相机持续移动
+   * @private
+   */
+  _onBlur() {
+    this._keys.clear();
+  }
+
+  /**
+   * 销毁控制器
+   */
+  dispose() {
+    this.domElement.removeEventListener('pointerdown', this._onPointerDown);
+    this.domElement.removeEventListener('pointermove', this._onPointerMove);
+    this.domElement.removeEventListener('pointerup', this._onPointerUp);
+    this.domElement.removeEventListener('wheel', this._onWheel);
+    window.removeEventListener('keydown', this._onKeyDown);
+    window.removeEventListener('keyup', this._onKeyUp);
+    window.removeEventListener('blur', this._onBlur);
+    this._keys.clear();
+  }
+}
+
+export default PanoramaControls;
@@ -5,3 +5,4 @@
 
 export { CameraAnimator, AnimationType, EasingType, ViewPreset } from './CameraAnimator.js';
 export { CameraPath, PathPreset } from './CameraPath.js';
+export { PanoramaControls } from './PanoramaControls.js';
@@ -85,7 +85,7 @@ export class ParallaxManager {
     const top = near * Math.tan(THREE.MathUtils.degToRad(fov * 0.5));
     const bottom = -top;
 
-    const a = aspect * Math.tan(THREE.MathUtils.degToRad(fov * 0.5));
+    const a = aspect * top;
 
     const b = a - ((eyeSep / 2) * near) / focalLength;
     const c = a + ((eyeSep / 2) * near) / focalLength;
@@ -96,6 +96,9 @@ export class ParallaxManager {
 
     // 右眼投影: 左移视锥体
     this.cameraR.projectionMatrix.makePerspective(-c, b, top, bottom, near, far);
+
+    this.cameraL.projectionMatrixInverse.copy(this.cameraL.projectionMatrix).invert();
+    this.cameraR.projectionMatrixInverse.copy(this.cameraR.projectionMatrix).invert();
   }
 
   /**
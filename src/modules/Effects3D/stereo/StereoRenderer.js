@@ -4,6 +4,7 @@
  */
 
 import * as THREE from 'three';
+import { CopyShader } from 'three/addons/shaders/CopyShader.js';
 
 /**
  * 立体模式枚举
@@ -14,10 +15,29 @@ export const StereoMode = {
   ANAGLYPH: 'anaglyph', // 红青 3D
   SIDE_BY_SIDE: 'sideBySide', // 左右分屏
   TOP_BOTTOM: 'topBottom', // 上下分屏
-  INTERLACED: 'interlaced', // 交错
+  INTERLACED: 'interlaced', // 隔行交错（偏振式 3D 显示器）
+  COLUMN_INTERLEAVED: 'columnInterleaved', // 隔列交错（柱镜光栅 / 视差屏障）
+  CHECKERBOARD: 'checkerboard', // 棋盘格（DLP 3D）
   CROSS_EYED: 'crossEyed', // 交叉眼
 };
 
+/**
+ * 交错模式的奇偶：首行/首列（棋盘格为左上像素）属于哪只眼
+ * 画布在屏幕上的偏移为奇数像素时需切换，才能与显示器的偏振行对齐
+ * @enum {string}
+ */
+export const StereoParity = {
+  LEFT_FIRST: 'leftFirst',
+  RIGHT_FIRST: 'rightFirst',
+};
+
+/** @constant {Object<string, number>} 交错模式在着色器中的编号 */
+const INTERLEAVE_PATTERN = {
+  [StereoMode.INTERLACED]: 0,
+  [StereoMode.COLUMN_INTERLEAVED]: 1,
+  [StereoMode.CHECKERBOARD]: 2,
+};
+
 /**
  * 立体渲染器
  * @class
@@ -27,8 +47,9 @@ export class StereoRenderer {
    * @param {THREE.WebGLRenderer} renderer
    * @param {THREE.Scene} scene
    * @param {THREE.Camera} camera
+   * @param {RenderingPipeline} [pipeline] - 提供时左右眼画面经后处理管线渲染（红青与交错模式）
    */
-  constructor(renderer, scene, camera) {
+  constructor(renderer, scene, camera, pipeline = null) {
     /** @type {THREE.WebGLRenderer} */
     this.renderer = renderer;
 
@@ -38,6 +59,9 @@ export class StereoRenderer {
     /** @type {THREE.PerspectiveCamera} */
     this.camera = camera;
 
+    /** @type {RenderingPipeline|null} */
+    this.pipeline = pipeline;
+
     /** @type {string} */
     this.mode = StereoMode.NONE;
 
@@ -47,6 +71,9 @@ export class StereoRenderer {
     /** @type {number} 聚焦距离 */
     this.focalLength = 3;
 
+    /** @type {string} 交错模式的奇偶 */
+    this.parity = StereoParity.LEFT_FIRST;
+
     /** @private */
     this._leftCamera = null;
 
@@ -56,6 +83,12 @@ export class StereoRenderer {
     /** @private */
     this._anaglyphMaterial = null;
 
+    /** @private */
+    this._interleaveMaterial = null;
+
+    /** @private 把管线输出复制到眼睛渲染目标 */
+    this._copyMaterial = null;
+
     /** @private */
     this._renderTargetLeft = null;
 
@@ -83,12 +116,14 @@ export class StereoRenderer {
     this._leftCamera = this.camera.clone();
     this._rightCamera = this.camera.clone();
 
-    // 创建渲染目标
-    const size = this.renderer.getSize(new THREE.Vector2());
+    // 创建渲染目标（绘图缓冲尺寸，交错模式需与屏幕像素一一对应）
+    const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
     this._createRenderTargets(size.x, size.y);
 
-    // 创建红青 3D 材质
+    // 创建合成材质
     this._createAnaglyphMaterial();
+    this._createInterleaveMaterial();
+    this._copyMaterial = new THREE.ShaderMaterial(CopyShader);
 
     // 创建正交场景用于合成
     this._orthoCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 10);
@@ -159,6 +194,49 @@ export class StereoRenderer {
     });
   }
 
+  /**
+   * 创建行/列/棋盘格交错材质
+   * 按屏幕像素（自顶部计行）在左右眼画面间选择
+   * @private
+   */
+  _createInterleaveMaterial() {
+    this._interleaveMaterial = new THREE.ShaderMaterial({
+      uniforms: {
+        leftTexture: { value: null },
+        rightTexture: { value: null },
+        pattern: { value: 0 },
+        rightFirst: { value: false },
+        bufferHeight: { value: 1 },
+      },
+      vertexShader: /* glsl */ `
+        varying vec2 vUv;
+        void main() {
+          vUv = uv;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+      `,
+      fragmentShader: /* glsl */ `
+        uniform sampler2D leftTexture;
+        uniform sampler2D rightTexture;
+        uniform int pattern;
+        uniform bool rightFirst;
+        uniform float bufferHeight;
+        varying vec2 vUv;
+        
+        void main() {
+          // gl_FragCoord 原点在左下，行号改为自顶部起算
+          vec2 pixel = floor(vec2(gl_FragCoord.x, bufferHeight - gl_FragCoord.y));
+          float index = pattern == 0 ? pixel.y : (pattern == 1 ? pixel.x : pixel.x + pixel.y);
+          bool even = mod(index, 2.0) < 0.5;
+          
+          gl_FragColor = even != rightFirst
+            ? texture2D(leftTexture, vUv)
+            : texture2D(rightTexture, vUv);
+        }
+      `,
+    });
+  }
+
   /**
    * 设置立体模式
    * @param {string} mode
@@ -184,6 +262,14 @@ export class StereoRenderer {
     this.focalLength = distance;
   }
 
+  /**
+   * 设置交错模式的奇偶
+   * @param {string} parity - StereoParity
+   */
+  setParity(parity) {
+    this.parity = parity;
+  }
+
   /**
    * 更新立体相机位置
    * @private
@@ -247,6 +333,11 @@ export class StereoRenderer {
       case StereoMode.CROSS_EYED:
         this._renderCrossEyed(size);
         break;
+      case StereoMode.INTERLACED:
+      case StereoMode.COLUMN_INTERLEAVED:
+      case StereoMode.CHECKERBOARD:
+        this._renderInterleaved();
+        break;
       default:
         this.renderer.render(this.scene, this.camera);
     }
@@ -259,20 +350,69 @@ export class StereoRenderer {
    * @private
    */
   _renderAnaglyph() {
-    // 渲染左眼
-    this.renderer.setRenderTarget(this._renderTargetLeft);
-    this.renderer.clear();
-    this.renderer.render(this.scene, this._leftCamera);
-
-    // 渲染右眼
-    this.renderer.setRenderTarget(this._renderTargetRight);
-    this.renderer.clear();
-    this.renderer.render(this.scene, this._rightCamera);
+    this._renderEyes();
 
     // 合成
     this._anaglyphMaterial.uniforms.leftTexture.value = this._renderTargetLeft.texture;
     this._anaglyphMaterial.uniforms.rightTexture.value = this._renderTargetRight.texture;
+    this._composite(this._anaglyphMaterial);
+  }
 
+  /**
+   * 渲染行/列/棋盘格交错
+   * @private
+   */
+  _renderInterleaved() {
+    this._renderEyes();
+
+    const uniforms = this._interleaveMaterial.uniforms;
+    uniforms.leftTexture.value = this._renderTargetLeft.texture;
+    uniforms.rightTexture.value = this._renderTargetRight.texture;
+    uniforms.pattern.value = INTERLEAVE_PATTERN[this.mode];
+    uniforms.rightFirst.value = this.parity === StereoParity.RIGHT_FIRST;
+    uniforms.bufferHeight.value = this._renderTargetLeft.height;
+    this._composite(this._interleaveMaterial);
+  }
+
+  /**
+   * 分别渲染左右眼画面到各自的渲染目标
+   * 接入管线时每只眼都经过完整后处理，再复制出管线的输出缓冲（两次渲染共用该缓冲）
+   * @private
+   */
+  _renderEyes() {
+    const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+    if (size.x !== this._renderTargetLeft.width || size.y !== this._renderTargetLeft.height) {
+      this._createRenderTargets(size.x, size.y);
+    }
+
+    const eyes = [
+      [this._leftCamera, this._renderTargetLeft],
+      [this._rightCamera, this._renderTargetRight],
+    ];
+    for (const [camera, target] of eyes) {
+      if (this.pipeline) {
+        this.pipeline.setCamera(camera);
+        const output = this.pipeline.renderOffscreen();
+        this._copyMaterial.uniforms.tDiffuse.value = output.texture;
+        this._quad.material = this._copyMaterial;
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(this._orthoScene, this._orthoCamera);
+      } else {
+        this.renderer.setRenderTarget(target);
+        this.renderer.clear();
+        this.renderer.render(this.scene, camera);
+      }
+    }
+    if (this.pipeline) this.pipeline.setCamera(this.camera);
+  }
+
+  /**
+   * 以全屏四边形把左右眼画面合成到屏幕
+   * @private
+   * @param {THREE.ShaderMaterial} material
+   */
+  _composite(material) {
+    this._quad.material = material;
     this.renderer.setRenderTarget(null);
     this.renderer.clear();
     this.renderer.render(this._orthoScene, this._orthoCamera);
@@ -380,6 +520,8 @@ export class StereoRenderer {
     if (this._renderTargetLeft) this._renderTargetLeft.dispose();
     if (this._renderTargetRight) this._renderTargetRight.dispose();
     if (this._anaglyphMaterial) this._anaglyphMaterial.dispose();
+    if (this._interleaveMaterial) this._interleaveMaterial.dispose();
+    if (this._copyMaterial) this._copyMaterial.dispose();
     if (this._quad) {
       this._quad.geometry.dispose();
     }
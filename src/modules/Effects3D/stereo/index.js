@@ -3,5 +3,5 @@
  * @module modules/Effects3D/stereo
  */
 
-export { StereoRenderer, StereoMode } from './StereoRenderer.js';
+export { StereoRenderer, StereoMode, StereoParity } from './StereoRenderer.js';
 export { ParallaxManager } from './ParallaxManager.js';
@@ -0,0 +1,364 @@
+/**
+ * @fileoverview 深度后处理 - 以彩色图为引导的边缘保持上采样与深度修整
+ * @module modules/EnhancementSystem/DepthRefiner
+ */
+
+import { Inpainter } from './Inpainter.js';
+
+/**
+ * 上采样方法
+ * @enum {string}
+ */
+export const UpsampleMethod = {
+  BILINEAR: 'bilinear', // 双线性
+  JOINT_BILATERAL: 'joint-bilateral', // 联合双边上采样 (JBU)
+  GUIDED: 'guided', // 引导滤波
+};
+
+/** @constant {number} 联合双边上采样的颜色距离标准差 (0-255) */
+const JBU_SIGMA_COLOR = 24;
+
+/** @constant {number} 联合双边上采样的空间标准差（源像素） */
+const JBU_SIGMA_SPACE = 1;
+
+/** @constant {number} 引导滤波正则项，越小越贴合图像边缘 */
+const GUIDED_EPSILON = 1e-3;
+
+/**
+ * 深度曲线
+ * @typedef {object} DepthRemap
+ * @property {number} [low=0] - 远端截断，低于该值的深度映射为 0
+ * @property {number} [high=1] - 近端截断，高于该值的深度映射为 1
+ * @property {number} [gamma=1] - 截断后的曲线指数，大于 1 压缩远景、小于 1 压缩近景
+ */
+
+/**
+ * 深度优化器
+ * 处理顺序：填补空洞 → 中值去噪（均在源分辨率）→ 引导上采样到图像尺寸 → 深度曲线
+ * @class
+ */
+export class DepthRefiner {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.upsample='guided'] - UpsampleMethod
+   * @param {boolean} [options.fillHoles=true]
+   * @param {number} [options.medianRadius=0] - 0 表示不去噪
+   * @param {DepthRemap} [options.remap]
+   */
+  constructor(options = {}) {
+    this.options = {
+      upsample: UpsampleMethod.GUIDED,
+      fillHoles: true,
+      medianRadius: 0,
+      ...options,
+      remap: { low: 0, high: 1, gamma: 1, ...options.remap },
+    };
+  }
+
+  /**
+   * @param {Float32Array} depth - 0-1，越大越近
+   * @param {number} width - 深度宽度
+   * @param {number} height
+   * @param {ImageData} guide - 目标尺寸的彩色图像
+   * @returns {Float32Array} 与 guide 同尺寸的深度
+   */
+  refine(depth, width, height, guide) {
+    const { upsample, fillHoles: fill, medianRadius, remap } = this.options;
+
+    let data = fill ? fillHoles(depth, width, height) : clearHoles(depth);
+    if (medianRadius > 0) data = medianFilter(data, width, height, medianRadius);
+
+    const sameSize = width === guide.width && height === guide.height;
+    if (sameSize) {
+      data = Float32Array.from(data);
+    } else if (upsample === UpsampleMethod.JOINT_BILATERAL) {
+      data = jointBilateralUpsample(data, width, height, guide);
+    } else if (upsample === UpsampleMethod.GUIDED) {
+      data = guidedUpsample(data, width, height, guide);
+    } else {
+      data = resampleBilinear(data, width, height, guide.width, guide.height);
+    }
+
+    return remapDepth(data, remap);
+  }
+}
+
+/**
+ * 双线性重采样
+ * @param {Float32Array} data
+ * @param {number} srcWidth
+ * @param {number} srcHeight
+ * @param {number} dstWidth
+ * @param {number} dstHeight
+ * @returns {Float32Array}
+ */
+export function resampleBilinear(data, srcWidth, srcHeight, dstWidth, dstHeight) {
+  if (srcWidth === dstWidth && srcHeight === dstHeight) return Float32Array.from(data);
+
+  const result = new Float32Array(dstWidth * dstHeight);
+  const xRatio = srcWidth / dstWidth;
+  const yRatio = srcHeight / dstHeight;
+  for (let y = 0; y < dstHeight; y++) {
+    const sy = Math.max(0, Math.min(srcHeight - 1, (y + 0.5) * yRatio - 0.5));
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(srcHeight - 1, y0 + 1);
+    const fy = sy - y0;
+    for (let x = 0; x < dstWidth; x++) {
+      const sx = Math.max(0, Math.min(srcWidth - 1, (x + 0.5) * xRatio - 0.5));
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(srcWidth - 1, x0 + 1);
+      const fx = sx - x0;
+      const top = data[y0 * srcWidth + x0] * (1 - fx) + data[y0 * srcWidth + x1] * fx;
+      const bottom = data[y1 * srcWidth + x0] * (1 - fx) + data[y1 * srcWidth + x1] * fx;
+      result[y * dstWidth + x] = top * (1 - fy) + bottom * fy;
+    }
+  }
+  return result;
+}
+
+/**
+ * 填补空洞：非有限值视为无效（DepthMapIO 以 NaN 标记无效像素），由周围有效深度推拉填充
+ * 0 是归一化后最远处的有效深度，不作为空洞
+ * @param {Float32Array} data
+ * @param {number} width
+ * @param {number} height
+ * @returns {Float32Array}
+ */
+export function fillHoles(data, width, height) {
+  const values = new Float32Array(data.length);
+  const known = new Uint8Array(data.length);
+  let holes = 0;
+  for (let i = 0; i < data.length; i++) {
+    const v = data[i];
+    if (Number.isFinite(v)) {
+      values[i] = v;
+      known[i] = 1;
+    } else {
+      holes++;
+    }
+  }
+  if (holes === 0 || holes === data.length) return values;
+  return new Inpainter().fill(values, known, width, height);
+}
+
+/**
+ * 不填补时将无效像素置为最远（0），避免 NaN 进入纹理与网格
+ * @param {Float32Array} data
+ * @returns {Float32Array}
+ */
+export function clearHoles(data) {
+  return data.some((v) => !Number.isFinite(v))
+    ? data.map((v) => (Number.isFinite(v) ? v : 0))
+    : data;
+}
+
+/**
+ * 中值滤波
+ * @param {Float32Array} data
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius - 窗口半径（像素）
+ * @returns {Float32Array}
+ */
+export function medianFilter(data, width, height, radius) {
+  const result = new Float32Array(data.length);
+  const window = new Float32Array((2 * radius + 1) ** 2);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - radius);
+    const y1 = Math.min(height - 1, y + radius);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - radius);
+      const x1 = Math.min(width - 1, x + radius);
+      let count = 0;
+      for (let yy = y0; yy <= y1; yy++) {
+        for (let xx = x0; xx <= x1; xx++) window[count++] = data[yy * width + xx];
+      }
+      const values = window.subarray(0, count).sort();
+      result[y * width + x] = values[count >> 1];
+    }
+  }
+  return result;
+}
+
+/**
+ * 联合双边上采样：以高分辨率彩色图的颜色差异加权低分辨率深度
+ * @param {Float32Array} depth
+ * @param {number} width - 深度宽度
+ * @param {number} height
+ * @param {ImageData} guide - 目标尺寸
+ * @param {object} [options]
+ * @param {number} [options.radius=2] - 邻域半径（源像素）
+ * @param {number} [options.sigmaSpace]
+ * @param {number} [options.sigmaColor]
+ * @returns {Float32Array}
+ */
+export function jointBilateralUpsample(depth, width, height, guide, options = {}) {
+  const { radius = 2, sigmaSpace = JBU_SIGMA_SPACE, sigmaColor = JBU_SIGMA_COLOR } = options;
+  const { width: dstWidth, height: dstHeight, data: pixels } = guide;
+  const xRatio = width / dstWidth;
+  const yRatio = height / dstHeight;
+
+  // 每个源像素中心在引导图上对应的像素
+  const anchors = new Int32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const gy = Math.min(dstHeight - 1, Math.floor((y + 0.5) / yRatio));
+    for (let x = 0; x < width; x++) {
+      const gx = Math.min(dstWidth - 1, Math.floor((x + 0.5) / xRatio));
+      anchors[y * width + x] = (gy * dstWidth + gx) * 4;
+    }
+  }
+
+  // 颜色权重查找表，按 RGB 距离平方索引
+  const colorWeights = new Float32Array(3 * 255 * 255 + 1);
+  const colorScale = -1 / (2 * sigmaColor * sigmaColor);
+  for (let d = 0; d < colorWeights.length; d++) colorWeights[d] = Math.exp(d * colorScale);
+  const spaceScale = -1 / (2 * sigmaSpace * sigmaSpace);
+
+  const result = new Float32Array(dstWidth * dstHeight);
+  for (let y = 0; y < dstHeight; y++) {
+    const sy = (y + 0.5) * yRatio - 0.5;
+    const cy = Math.round(sy);
+    for (let x = 0; x < dstWidth; x++) {
+      const sx = (x + 0.5) * xRatio - 0.5;
+      const cx = Math.round(sx);
+      const p = (y * dstWidth + x) * 4;
+      const r = pixels[p];
+      const g = pixels[p + 1];
+      const b = pixels[p + 2];
+
+      let sum = 0;
+      let weight = 0;
+      for (let qy = Math.max(0, cy - radius); qy <= Math.min(height - 1, cy + radius); qy++) {
+        const dy = qy - sy;
+        for (let qx = Math.max(0, cx - radius); qx <= Math.min(width - 1, cx + radius); qx++) {
+          const dx = qx - sx;
+          const q = qy * width + qx;
+          const a = anchors[q];
+          const dr = pixels[a] - r;
+          const dg = pixels[a + 1] - g;
+          const db = pixels[a + 2] - b;
+          const w =
+            Math.exp((dx * dx + dy * dy) * spaceScale) * colorWeights[dr * dr + dg * dg + db * db];
+          sum += depth[q] * w;
+          weight += w;
+        }
+      }
+      result[y * dstWidth + x] =
+        weight > 1e-12
+          ? sum / weight
+          : depth[clampIndex(cy, height) * width + clampIndex(cx, width)];
+    }
+  }
+  return result;
+}
+
+/**
+ * 引导滤波上采样：双线性放大后以灰度图为引导做引导滤波，使深度边缘贴合图像边缘
+ * @param {Float32Array} depth
+ * @param {number} width - 深度宽度
+ * @param {number} height
+ * @param {ImageData} guide - 目标尺寸
+ * @param {object} [options]
+ * @param {number} [options.radius] - 滤波半径（目标像素），默认约为放大倍数的两倍
+ * @param {number} [options.epsilon]
+ * @returns {Float32Array}
+ */
+export function guidedUpsample(depth, width, height, guide, options = {}) {
+  const { width: dstWidth, height: dstHeight, data: pixels } = guide;
+  const scale = Math.max(dstWidth / width, dstHeight / height);
+  const { radius = Math.max(2, Math.round(scale * 2)), epsilon = GUIDED_EPSILON } = options;
+
+  const p = resampleBilinear(depth, width, height, dstWidth, dstHeight);
+  const n = dstWidth * dstHeight;
+  const gray = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    gray[i] = (0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2]) / 255;
+  }
+
+  const ip = new Float32Array(n);
+  const ii = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    ip[i] = gray[i] * p[i];
+    ii[i] = gray[i] * gray[i];
+  }
+  const meanI = boxMean(gray, dstWidth, dstHeight, radius);
+  const meanP = boxMean(p, dstWidth, dstHeight, radius);
+  const meanIP = boxMean(ip, dstWidth, dstHeight, radius);
+  const meanII = boxMean(ii, dstWidth, dstHeight, radius);
+
+  // 线性系数 q = a * I + b，复用缓冲区
+  const a = ip;
+  const b = ii;
+  for (let i = 0; i < n; i++) {
+    const variance = meanII[i] - meanI[i] * meanI[i];
+    a[i] = (meanIP[i] - meanI[i] * meanP[i]) / (variance + epsilon);
+    b[i] = meanP[i] - a[i] * meanI[i];
+  }
+  const meanA = boxMean(a, dstWidth, dstHeight, radius);
+  const meanB = boxMean(b, dstWidth, dstHeight, radius);
+
+  const result = p;
+  for (let i = 0; i < n; i++) {
+    result[i] = Math.max(0, Math.min(1, meanA[i] * gray[i] + meanB[i]));
+  }
+  return result;
+}
+
+/**
+ * 深度曲线：按远端 / 近端截断后归一化，再施加 gamma
+ * @param {Float32Array} data
+ * @param {DepthRemap} [remap]
+ * @returns {Float32Array} 新数组
+ */
+export function remapDepth(data, remap = {}) {
+  const { low = 0, high = 1, gamma = 1 } = remap;
+  const range = Math.max(1e-6, high - low);
+  const result = new Float32Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    const t = Math.max(0, Math.min(1, (data[i] - low) / range));
+    result[i] = gamma === 1 ? t : Math.pow(t, gamma);
+  }
+  return result;
+}
+
+/**
+ * 方框均值（积分图），边界处按实际覆盖像素数平均
+ * @returns {Float32Array}
+ */
+function boxMean(data, width, height, radius) {
+  const stride = width + 1;
+  const integral = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let row = 0;
+    for (let x = 0; x < width; x++) {
+      row += data[y * width + x];
+      integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + row;
+    }
+  }
+
+  const result = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - radius);
+    const y1 = Math.min(height, y + radius + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - radius);
+      const x1 = Math.min(width, x + radius + 1);
+      const sum =
+        integral[y1 * stride + x1] -
+        integral[y0 * stride + x1] -
+        integral[y1 * stride + x0] +
+        integral[y0 * stride + x0];
+      result[y * width + x] = sum / ((x1 - x0) * (y1 - y0));
+    }
+  }
+  return result;
+}
+
+/**
+ * @returns {number}
+ */
+function clampIndex(value, length) {
+  return Math.max(0, Math.min(length - 1, value));
+}
+
+export default DepthRefiner;
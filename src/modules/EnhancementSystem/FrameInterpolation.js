@@ -129,16 +129,79 @@ export class FrameInterpolation {
 
     const width = canvas1.width;
     const height = canvas1.height;
-    const blockSize = 8;
-    const searchRange = 4;
 
     const ctx1 = canvas1.getContext('2d');
     const ctx2 = canvas2.getContext('2d');
     const data1 = ctx1.getImageData(0, 0, width, height);
     const data2 = ctx2.getImageData(0, 0, width, height);
 
+    const flow = this._estimateBlockFlow(data1, data2, 8, 4);
     const outputData = new ImageData(width, height);
 
+    // 应用运动补偿插值
+    for (let y1 = 0; y1 < height; y1++) {
+      for (let x1 = 0; x1 < width; x1++) {
+        const block = Math.floor(y1 / flow.blockSize) * flow.cols + Math.floor(x1 / flow.blockSize);
+        const xInterp = Math.round(x1 + flow.dx[block] * t);
+        const yInterp = Math.round(y1 + flow.dy[block] * t);
+
+        const xClamped = Math.max(0, Math.min(width - 1, xInterp));
+        const yClamped = Math.max(0, Math.min(height - 1, yInterp));
+
+        const idx1 = (y1 * width + x1) * 4;
+        const idxInterp = (yClamped * width + xClamped) * 4;
+
+        outputData.data[idx1] = Math.round(data1.data[idx1] * (1 - t) + data2.data[idxInterp] * t);
+        outputData.data[idx1 + 1] = Math.round(
+          data1.data[idx1 + 1] * (1 - t) + data2.data[idxInterp + 1] * t
+        );
+        outputData.data[idx1 + 2] = Math.round(
+          data1.data[idx1 + 2] * (1 - t) + data2.data[idxInterp + 2] * t
+        );
+        outputData.data[idx1 + 3] = 255;
+      }
+    }
+
+    const outputCanvas = document.createElement('canvas');
+    outputCanvas.width = width;
+    outputCanvas.height = height;
+    outputCanvas.getContext('2d').putImageData(outputData, 0, 0);
+
+    return outputCanvas;
+  }
+
+  /**
+   * 估计两帧之间的块光流（frame1 中的块在 frame2 中的位移）
+   * @param {HTMLCanvasElement|ImageData} frame1
+   * @param {HTMLCanvasElement|ImageData} frame2
+   * @param {object} [options]
+   * @param {number} [options.blockSize=8] - 块大小（像素）
+   * @param {number} [options.searchRange=4] - 搜索半径（像素）
+   * @returns {{blockSize: number, cols: number, rows: number, dx: Int8Array, dy: Int8Array, error: Float32Array}}
+   *   error 为最佳匹配的逐像素平均通道差 (0-255)
+   */
+  estimateFlow(frame1, frame2, options = {}) {
+    const { blockSize = 8, searchRange = 4 } = options;
+    return this._estimateBlockFlow(
+      this._ensureImageData(frame1),
+      this._ensureImageData(frame2),
+      blockSize,
+      searchRange
+    );
+  }
+
+  /**
+   * 块匹配运动估计（SAD 最小）
+   * @private
+   */
+  _estimateBlockFlow(data1, data2, blockSize, searchRange) {
+    const { width, height } = data1;
+    const cols = Math.ceil(width / blockSize);
+    const rows = Math.ceil(height / blockSize);
+    const dxField = new Int8Array(cols * rows);
+    const dyField = new Int8Array(cols * rows);
+    const error = new Float32Array(cols * rows);
+
     // 对每个块进行运动估计
     for (let by = 0; by < height; by += blockSize) {
       for (let bx = 0; bx < width; bx += blockSize) {
@@ -173,42 +236,15 @@ export class FrameInterpolation {
           }
         }
 
-        // 应用运动补偿插值
-        for (let y = 0; y < blockSize && by + y < height; y++) {
-          for (let x = 0; x < blockSize && bx + x < width; x++) {
-            const x1 = bx + x,
-              y1 = by + y;
-            const xInterp = Math.round(x1 + bestDx * t);
-            const yInterp = Math.round(y1 + bestDy * t);
-
-            const xClamped = Math.max(0, Math.min(width - 1, xInterp));
-            const yClamped = Math.max(0, Math.min(height - 1, yInterp));
-
-            const idx1 = (y1 * width + x1) * 4;
-            const idxInterp = (yClamped * width + xClamped) * 4;
-            const idxOut = idx1;
-
-            outputData.data[idxOut] = Math.round(
-              data1.data[idx1] * (1 - t) + data2.data[idxInterp] * t
-            );
-            outputData.data[idxOut + 1] = Math.round(
-              data1.data[idx1 + 1] * (1 - t) + data2.data[idxInterp + 1] * t
-            );
-            outputData.data[idxOut + 2] = Math.round(
-              data1.data[idx1 + 2] * (1 - t) + data2.data[idxInterp + 2] * t
-            );
-            outputData.data[idxOut + 3] = 255;
-          }
-        }
+        const block = (by / blockSize) * cols + bx / blockSize;
+        const pixels = Math.min(blockSize, width - bx) * Math.min(blockSize, height - by);
+        dxField[block] = bestDx;
+        dyField[block] = bestDy;
+        error[block] = bestSAD / (pixels * 3);
       }
     }
 
-    const outputCanvas = document.createElement('canvas');
-    outputCanvas.width = width;
-    outputCanvas.height = height;
-    outputCanvas.getContext('2d').putImageData(outputData, 0, 0);
-
-    return outputCanvas;
+    return { blockSize, cols, rows, dx: dxField, dy: dyField, error };
   }
 
   /**
@@ -272,6 +308,16 @@ export class FrameInterpolation {
     return input;
   }
 
+  /**
+   * 确保输入是 ImageData
+   * @private
+   */
+  _ensureImageData(input) {
+    if (input instanceof ImageData) return input;
+    const canvas = this._ensureCanvas(input);
+    return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  }
+
   /**
    * 设置插值方法
    * @param {string} method
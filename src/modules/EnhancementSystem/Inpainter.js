@@ -0,0 +1,119 @@
+/**
+ * @fileoverview 图像修补 - 推拉金字塔 (push-pull) 填充缺失区域
+ * @module modules/EnhancementSystem/Inpainter
+ */
+
+/**
+ * 推拉金字塔修补器
+ * 下推：逐级 2×2 加权平均已知像素；上拉：由粗到细用双线性上采样填补权重不足的像素。
+ * 复杂度与像素数线性相关，任意大小的空洞都能被平滑填满，适合补全被前景遮挡的背景颜色与深度
+ * @class
+ */
+export class Inpainter {
+  /**
+   * 填充未知像素
+   * @param {Float32Array} values - 交错存储的通道数据 (width * height * channels)
+   * @param {Uint8Array|boolean[]} known - 每像素是否已知
+   * @param {number} width
+   * @param {number} height
+   * @param {number} [channels=1]
+   * @returns {Float32Array} 新数组，已知像素保持不变
+   */
+  fill(values, known, width, height, channels = 1) {
+    const base = {
+      width,
+      height,
+      values: Float32Array.from(values),
+      weights: new Float32Array(width * height),
+    };
+    for (let i = 0; i < base.weights.length; i++) base.weights[i] = known[i] ? 1 : 0;
+
+    // 下推
+    const levels = [base];
+    while (levels[levels.length - 1].width > 1 || levels[levels.length - 1].height > 1) {
+      levels.push(this._downsample(levels[levels.length - 1], channels));
+    }
+
+    // 上拉
+    for (let k = levels.length - 2; k >= 0; k--) {
+      this._pull(levels[k], levels[k + 1], channels);
+    }
+
+    return base.values;
+  }
+
+  /**
+   * @private
+   */
+  _downsample(level, channels) {
+    const width = Math.ceil(level.width / 2);
+    const height = Math.ceil(level.height / 2);
+    const values = new Float32Array(width * height * channels);
+    const weights = new Float32Array(width * height);
+    const sum = new Float32Array(channels);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let weight = 0;
+        sum.fill(0);
+        for (let dy = 0; dy < 2; dy++) {
+          const sy = y * 2 + dy;
+          if (sy >= level.height) continue;
+          for (let dx = 0; dx < 2; dx++) {
+            const sx = x * 2 + dx;
+            if (sx >= level.width) continue;
+            const source = sy * level.width + sx;
+            const w = level.weights[source];
+            if (w === 0) continue;
+            weight += w;
+            for (let c = 0; c < channels; c++) sum[c] += level.values[source * channels + c] * w;
+          }
+        }
+
+        const target = y * width + x;
+        weights[target] = Math.min(1, weight);
+        if (weight > 0) {
+          for (let c = 0; c < channels; c++) values[target * channels + c] = sum[c] / weight;
+        }
+      }
+    }
+
+    return { width, height, values, weights };
+  }
+
+  /**
+   * 用已填满的粗层补全细层
+   * @private
+   */
+  _pull(fine, coarse, channels) {
+    for (let y = 0; y < fine.height; y++) {
+      const cy = Math.max(0, Math.min(coarse.height - 1, (y + 0.5) / 2 - 0.5));
+      const y0 = Math.floor(cy);
+      const y1 = Math.min(coarse.height - 1, y0 + 1);
+      const fy = cy - y0;
+
+      for (let x = 0; x < fine.width; x++) {
+        const i = y * fine.width + x;
+        const w = fine.weights[i];
+        if (w >= 1) continue;
+
+        const cx = Math.max(0, Math.min(coarse.width - 1, (x + 0.5) / 2 - 0.5));
+        const x0 = Math.floor(cx);
+        const x1 = Math.min(coarse.width - 1, x0 + 1);
+        const fx = cx - x0;
+
+        for (let c = 0; c < channels; c++) {
+          const at = (px, py) => coarse.values[(py * coarse.width + px) * channels + c];
+          const top = at(x0, y0) * (1 - fx) + at(x1, y0) * fx;
+          const bottom = at(x0, y1) * (1 - fx) + at(x1, y1) * fx;
+          const upsampled = top * (1 - fy) + bottom * fy;
+          const index = i * channels + c;
+          fine.values[index] = fine.values[index] * w + upsampled * (1 - w);
+        }
+        fine.weights[i] = 1;
+      }
+    }
+  }
+}
+
+export default Inpainter;
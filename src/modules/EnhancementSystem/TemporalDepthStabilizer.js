@@ -0,0 +1,226 @@
+/**
+ * @fileoverview 时域深度稳定 - 消除逐帧深度估计造成的闪烁
+ * @module modules/EnhancementSystem/TemporalDepthStabilizer
+ */
+
+import { FrameInterpolation } from './FrameInterpolation.js';
+
+/** @constant {number} 稳健范围统计的分位数 */
+const RANGE_PERCENTILE = 0.02;
+
+/** @constant {number} 块匹配误差超过该值视为遮挡/错配，不做时域平滑 */
+const FLOW_ERROR_LIMIT = 32;
+
+/** @constant {number} 上一帧的最大混合权重，保证深度仍能跟随画面变化 */
+const MAX_BLEND = 0.9;
+
+/**
+ * 时域深度稳定器
+ * 1. 范围归一化：把每帧深度的稳健范围映射到整段序列的中位范围
+ * 2. 尺度/偏移对齐：按光流把上一帧结果对齐到当前帧，最小二乘求解 scale/shift
+ * 3. 运动补偿平滑：沿光流与上一帧结果做递归混合，误差大的块不混合
+ * @class
+ */
+export class TemporalDepthStabilizer {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.alignment=true] - 是否进行逐帧尺度/偏移对齐
+   * @param {number} [options.smoothing=0.5] - 时域平滑强度 (0-1)
+   * @param {number} [options.blockSize=8] - 光流块大小
+   * @param {number} [options.searchRange=4] - 光流搜索半径
+   */
+  constructor(options = {}) {
+    this.alignment = options.alignment ?? true;
+    this.smoothing = options.smoothing ?? 0.5;
+    this.blockSize = options.blockSize ?? 8;
+    this.searchRange = options.searchRange ?? 4;
+
+    /** @type {Function|null} 进度回调 (0-1) */
+    this.onProgress = null;
+
+    /** @private */
+    this._flow = new FrameInterpolation();
+  }
+
+  /**
+   * 稳定深度序列
+   * @param {Array<{canvas: HTMLCanvasElement, depth: Float32Array}>} frames - 颜色帧与原始深度
+   * @param {number} width
+   * @param {number} height
+   * @returns {Promise<{depths: Float32Array[], transforms: Array<{scale: number, shift: number}>}>}
+   *   transforms 为每帧相对原始深度的整体尺度/偏移
+   */
+  async stabilize(frames, width, height) {
+    const ranges = frames.map((frame) => this._robustRange(frame.depth));
+    const target = {
+      low: this._median(ranges.map((r) => r.low)),
+      high: this._median(ranges.map((r) => r.high)),
+    };
+
+    const depths = [];
+    const transforms = [];
+    let previous = null;
+
+    for (let i = 0; i < frames.length; i++) {
+      // 1. 范围归一化
+      const { low, high } = ranges[i];
+      let scale = (target.high - target.low) / Math.max(1e-6, high - low);
+      let shift = target.low - low * scale;
+      const depth = new Float32Array(frames[i].depth.length);
+      for (let p = 0; p < depth.length; p++) {
+        depth[p] = frames[i].depth[p] * scale + shift;
+      }
+
+      if (previous && (this.alignment || this.smoothing > 0)) {
+        const flow = this._flow.estimateFlow(frames[i].canvas, frames[i - 1].canvas, {
+          blockSize: this.blockSize,
+          searchRange: this.searchRange,
+        });
+        const warped = this._warp(previous, flow, width, height);
+
+        // 2. 尺度/偏移对齐
+        if (this.alignment) {
+          const fit = this._fitScaleShift(depth, warped, flow, width, height);
+          for (let p = 0; p < depth.length; p++) {
+            depth[p] = depth[p] * fit.scale + fit.shift;
+          }
+          shift = shift * fit.scale + fit.shift;
+          scale *= fit.scale;
+        }
+
+        // 3. 运动补偿平滑
+        if (this.smoothing > 0) {
+          this._blend(depth, warped, flow, width, height);
+        }
+      }
+
+      for (let p = 0; p < depth.length; p++) {
+        depth[p] = Math.max(0, Math.min(1, depth[p]));
+      }
+
+      depths.push(depth);
+      transforms.push({ scale, shift });
+      previous = depth;
+
+      if (this.onProgress) this.onProgress((i + 1) / frames.length);
+      // 允许 UI 更新
+      await new Promise((r) => setTimeout(r, 0));
+    }
+
+    console.log(
+      `🎞️ 时域深度稳定完成: ${frames.length} 帧 (对齐: ${this.alignment ? '开' : '关'}, 平滑: ${this.smoothing})`
+    );
+    return { depths, transforms };
+  }
+
+  /**
+   * 稳健深度范围（分位数，忽略离群值）
+   * @private
+   * @returns {{low: number, high: number}}
+   */
+  _robustRange(depth) {
+    const bins = 1024;
+    const histogram = new Uint32Array(bins);
+    for (let i = 0; i < depth.length; i++) {
+      const v = Math.max(0, Math.min(1, depth[i]));
+      histogram[Math.min(bins - 1, Math.floor(v * bins))]++;
+    }
+
+    const lowCount = depth.length * RANGE_PERCENTILE;
+    const highCount = depth.length * (1 - RANGE_PERCENTILE);
+    let low = 0;
+    let high = 1;
+    let sum = 0;
+    for (let b = 0; b < bins; b++) {
+      const next = sum + histogram[b];
+      if (sum <= lowCount && next > lowCount) low = b / bins;
+      if (sum <= highCount && next > highCount) high = (b + 1) / bins;
+      sum = next;
+    }
+    return { low, high };
+  }
+
+  /**
+   * @private
+   */
+  _median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  /**
+   * 按光流把上一帧深度采样到当前帧坐标（反向映射，无空洞）
+   * @private
+   */
+  _warp(previous, flow, width, height) {
+    const warped = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+      const row = Math.floor(y / flow.blockSize) * flow.cols;
+      for (let x = 0; x < width; x++) {
+        const block = row + Math.floor(x / flow.blockSize);
+        const sx = Math.max(0, Math.min(width - 1, x + flow.dx[block]));
+        const sy = Math.max(0, Math.min(height - 1, y + flow.dy[block]));
+        warped[y * width + x] = previous[sy * width + sx];
+      }
+    }
+    return warped;
+  }
+
+  /**
+   * 在可靠区域内最小二乘求解 depth * scale + shift ≈ reference
+   * @private
+   * @returns {{scale: number, shift: number}}
+   */
+  _fitScaleShift(depth, reference, flow, width, height) {
+    let n = 0;
+    let sx = 0;
+    let sy = 0;
+    let sxx = 0;
+    let sxy = 0;
+
+    // 隔点采样即可获得稳定估计
+    for (let y = 0; y < height; y += 2) {
+      const row = Math.floor(y / flow.blockSize) * flow.cols;
+      for (let x = 0; x < width; x += 2) {
+        if (flow.error[row + Math.floor(x / flow.blockSize)] > FLOW_ERROR_LIMIT) continue;
+        const d = depth[y * width + x];
+        const r = reference[y * width + x];
+        n++;
+        sx += d;
+        sy += r;
+        sxx += d * d;
+        sxy += d * r;
+      }
+    }
+
+    const denominator = n * sxx - sx * sx;
+    if (n < 16 || Math.abs(denominator) < 1e-9) return { scale: 1, shift: 0 };
+
+    const scale = (n * sxy - sx * sy) / denominator;
+    // 退化解（场景切换等）时放弃对齐
+    if (!(scale > 0.5 && scale < 2)) return { scale: 1, shift: 0 };
+    return { scale, shift: (sy - scale * sx) / n };
+  }
+
+  /**
+   * 与运动补偿后的上一帧递归混合
+   * @private
+   */
+  _blend(depth, warped, flow, width, height) {
+    for (let y = 0; y < height; y++) {
+      const row = Math.floor(y / flow.blockSize) * flow.cols;
+      for (let x = 0; x < width; x++) {
+        const confidence = Math.max(
+          0,
+          1 - flow.error[row + Math.floor(x / flow.blockSize)] / FLOW_ERROR_LIMIT
+        );
+        const weight = MAX_BLEND * this.smoothing * confidence;
+        const i = y * width + x;
+        depth[i] = depth[i] * (1 - weight) + warped[i] * weight;
+      }
+    }
+  }
+}
+
+export default TemporalDepthStabilizer;
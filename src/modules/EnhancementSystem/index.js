@@ -5,3 +5,16 @@
 
 export { SuperResolution, UpscaleFactor, UpscaleMethod } from './SuperResolution.js';
 export { FrameInterpolation, InterpolationMethod } from './FrameInterpolation.js';
+export { TemporalDepthStabilizer } from './TemporalDepthStabilizer.js';
+export { Inpainter } from './Inpainter.js';
+export {
+  DepthRefiner,
+  UpsampleMethod,
+  fillHoles,
+  clearHoles,
+  medianFilter,
+  jointBilateralUpsample,
+  guidedUpsample,
+  remapDepth,
+  resampleBilinear,
+} from './DepthRefiner.js';
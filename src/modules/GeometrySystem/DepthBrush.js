@@ -0,0 +1,269 @@
+/**
+ * @fileoverview 深度画笔 - 手动推拉、平滑、压平与克隆深度
+ * @module modules/GeometrySystem/DepthBrush
+ */
+
+/**
+ * 画笔模式
+ * @enum {string}
+ */
+export const BrushMode = {
+  /** 推远 */
+  PUSH: 'push',
+  /** 拉近 */
+  PULL: 'pull',
+  /** 平滑 */
+  SMOOTH: 'smooth',
+  /** 压平到落笔处的深度 */
+  FLATTEN: 'flatten',
+  /** 从克隆源复制深度 */
+  CLONE: 'clone',
+};
+
+/** @constant {number} 强度为 1 时推/拉每个笔触的深度变化量 */
+const PUSH_RATE = 0.02;
+
+/** @constant {number} 平滑采样半径（像素） */
+const SMOOTH_RADIUS = 2;
+
+/** @constant {number} 笔触间距（相对半径），拖动过快时沿路径补齐笔触 */
+const SPACING = 0.25;
+
+/**
+ * 深度画笔
+ * 直接修改传入的深度数组（0-1，越大越近），坐标为深度图像素
+ * @class
+ */
+export class DepthBrush {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.mode=BrushMode.PULL]
+   * @param {number} [options.radius=24] - 半径（像素）
+   * @param {number} [options.strength=0.5] - 0-1
+   * @param {number} [options.falloff=0.5] - 0 为硬边，1 为从中心开始衰减
+   */
+  constructor(options = {}) {
+    const { mode = BrushMode.PULL, radius = 24, strength = 0.5, falloff = 0.5 } = options;
+    this.mode = mode;
+    this.radius = radius;
+    this.strength = strength;
+    this.falloff = falloff;
+
+    /** @private {number[]|null} 克隆源 [x, y] */
+    this._cloneSource = null;
+    /** @private 当前笔画状态 */
+    this._stroke = null;
+  }
+
+  /**
+   * 设置克隆源
+   * @param {number} x
+   * @param {number} y
+   */
+  setCloneSource(x, y) {
+    this._cloneSource = [x, y];
+  }
+
+  /** @returns {boolean} */
+  hasCloneSource() {
+    return this._cloneSource !== null;
+  }
+
+  /** @returns {boolean} */
+  isStroking() {
+    return this._stroke !== null;
+  }
+
+  /**
+   * 落笔并绘制第一个笔触
+   * @param {Float32Array} depth
+   * @param {number} width
+   * @param {number} height
+   * @param {number} x
+   * @param {number} y
+   * @param {object} [options]
+   * @param {boolean} [options.invert=false] - 推/拉反向
+   * @returns {number[]|null} 本次修改的区域 [x0, y0, x1, y1)
+   */
+  beginStroke(depth, width, height, x, y, options = {}) {
+    const { invert = false } = options;
+    let mode = this.mode;
+    if (invert && mode === BrushMode.PUSH) mode = BrushMode.PULL;
+    else if (invert && mode === BrushMode.PULL) mode = BrushMode.PUSH;
+
+    const snapshot = Float32Array.from(depth);
+    const px = Math.round(Math.max(0, Math.min(width - 1, x)));
+    const py = Math.round(Math.max(0, Math.min(height - 1, y)));
+    this._stroke = {
+      depth,
+      width,
+      height,
+      mode,
+      snapshot,
+      target: snapshot[py * width + px],
+      offset: this._cloneSource ? [this._cloneSource[0] - x, this._cloneSource[1] - y] : null,
+      last: [x, y],
+      dirty: null,
+    };
+    return this._dab(x, y);
+  }
+
+  /**
+   * 拖动到新位置，沿路径按间距补齐笔触
+   * @param {number} x
+   * @param {number} y
+   * @returns {number[]|null} 本次修改的区域
+   */
+  strokeTo(x, y) {
+    const stroke = this._stroke;
+    if (!stroke) return null;
+
+    const [lx, ly] = stroke.last;
+    const distance = Math.hypot(x - lx, y - ly);
+    const step = Math.max(1, this.radius * SPACING);
+    if (distance < step) return null;
+
+    let rect = null;
+    const count = Math.floor(distance / step);
+    for (let i = 1; i <= count; i++) {
+      const t = (i * step) / distance;
+      rect = unionRect(rect, this._dab(lx + (x - lx) * t, ly + (y - ly) * t));
+    }
+    stroke.last = [
+      lx + ((x - lx) * count * step) / distance,
+      ly + ((y - ly) * count * step) / distance,
+    ];
+    return rect;
+  }
+
+  /**
+   * 抬笔
+   * @returns {{rect: number[], before: Float32Array}|null} 整个笔画修改的区域及其修改前的深度
+   */
+  endStroke() {
+    const stroke = this._stroke;
+    this._stroke = null;
+    if (!stroke?.dirty) return null;
+
+    const [x0, y0, x1, y1] = stroke.dirty;
+    const rowLength = x1 - x0;
+    const before = new Float32Array(rowLength * (y1 - y0));
+    for (let y = y0; y < y1; y++) {
+      const start = y * stroke.width + x0;
+      before.set(stroke.snapshot.subarray(start, start + rowLength), (y - y0) * rowLength);
+    }
+    return { rect: stroke.dirty, before };
+  }
+
+  /**
+   * 距中心 distance 处的笔刷权重
+   * @param {number} distance - 像素
+   * @returns {number} 0-1
+   */
+  weight(distance) {
+    const r = distance / this.radius;
+    if (r >= 1) return 0;
+    const hard = 1 - this.falloff;
+    if (r <= hard) return 1;
+    const t = (r - hard) / (1 - hard);
+    return 1 - t * t * (3 - 2 * t);
+  }
+
+  /**
+   * 在 (cx, cy) 绘制单个笔触
+   * @private
+   * @returns {number[]|null}
+   */
+  _dab(cx, cy) {
+    const stroke = this._stroke;
+    const { depth, width, height, mode, snapshot, target, offset } = stroke;
+    if (mode === BrushMode.CLONE && !offset) return null;
+
+    const radius = this.radius;
+    const x0 = Math.max(0, Math.floor(cx - radius));
+    const y0 = Math.max(0, Math.floor(cy - radius));
+    const x1 = Math.min(width, Math.ceil(cx + radius) + 1);
+    const y1 = Math.min(height, Math.ceil(cy + radius) + 1);
+    if (x1 <= x0 || y1 <= y0) return null;
+
+    // 先写入临时区域再回填，平滑时邻域读取的都是笔触前的深度
+    const rowLength = x1 - x0;
+    const patch = new Float32Array(rowLength * (y1 - y0));
+
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        const i = y * width + x;
+        const p = (y - y0) * rowLength + x - x0;
+        let value = depth[i];
+        const w = this.weight(Math.hypot(x - cx, y - cy)) * this.strength;
+        if (w <= 0) {
+          patch[p] = value;
+          continue;
+        }
+
+        switch (mode) {
+          case BrushMode.PUSH:
+            value -= PUSH_RATE * w;
+            break;
+          case BrushMode.PULL:
+            value += PUSH_RATE * w;
+            break;
+          case BrushMode.SMOOTH:
+            value += (boxAverage(depth, width, height, x, y, SMOOTH_RADIUS) - value) * w;
+            break;
+          case BrushMode.FLATTEN:
+            value += (target - value) * w;
+            break;
+          case BrushMode.CLONE: {
+            const sx = Math.round(Math.max(0, Math.min(width - 1, x + offset[0])));
+            const sy = Math.round(Math.max(0, Math.min(height - 1, y + offset[1])));
+            // 从笔画开始前的深度复制，避免源与目标重叠时反复叠加
+            value += (snapshot[sy * width + sx] - value) * w;
+            break;
+          }
+        }
+        patch[p] = Math.max(0, Math.min(1, value));
+      }
+    }
+    for (let y = y0; y < y1; y++) {
+      depth.set(patch.subarray((y - y0) * rowLength, (y - y0 + 1) * rowLength), y * width + x0);
+    }
+
+    const rect = [x0, y0, x1, y1];
+    stroke.dirty = unionRect(stroke.dirty, rect);
+    return rect;
+  }
+}
+
+/**
+ * @param {number[]|null} a
+ * @param {number[]|null} b
+ * @returns {number[]|null}
+ */
+function unionRect(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[2], b[2]), Math.max(a[3], b[3])];
+}
+
+/**
+ * (x, y) 周围 (2r+1)² 邻域的平均值（裁剪到图像内）
+ * @returns {number}
+ */
+function boxAverage(data, width, height, x, y, r) {
+  let sum = 0;
+  let count = 0;
+  for (let dy = -r; dy <= r; dy++) {
+    const yy = y + dy;
+    if (yy < 0 || yy >= height) continue;
+    for (let dx = -r; dx <= r; dx++) {
+      const xx = x + dx;
+      if (xx < 0 || xx >= width) continue;
+      sum += data[yy * width + xx];
+      count++;
+    }
+  }
+  return sum / count;
+}
+
+export default DepthBrush;
@@ -0,0 +1,339 @@
+/**
+ * @fileoverview 分层深度场景 - 在深度断层处切分前/背景，逐层修补遮挡区域并生成独立网格
+ * @module modules/GeometrySystem/DepthLayerBuilder
+ */
+
+import * as THREE from 'three';
+import { Inpainter } from '../EnhancementSystem/Inpainter.js';
+
+/** @constant {number} 切分位置直方图的桶数 */
+const CUT_BINS = 256;
+
+/** @constant {number} 每层至少占整幅图像的比例，过小的层并入相邻层 */
+const MIN_LAYER_FRACTION = 0.01;
+
+/** @constant {number} 丢弃低于该值的透明像素（片元着色器 alphaTest） */
+const LAYER_ALPHA_TEST = 0.5;
+
+/**
+ * 分层深度构建器
+ * 1. 在相邻像素深度差超过阈值处收集候选切分深度（按跳变幅度加权），取峰值作为层间分界
+ * 2. 每个像素按分界归入一层，层 0 为最远的背景
+ * 3. 对每一层：本层像素保留，被更近层遮挡的像素用推拉修补补全颜色与深度，更远层的像素透明
+ * 4. 每层生成一个 MeshGenerator 网格，统一放入 Group
+ * @class
+ */
+export class DepthLayerBuilder {
+  /**
+   * @param {MeshGenerator} meshGenerator
+   * @param {ImageProcessor} imageProcessor - 用于创建与单层网格一致的纹理
+   */
+  constructor(meshGenerator, imageProcessor) {
+    this.meshGenerator = meshGenerator;
+    this.imageProcessor = imageProcessor;
+
+    /** @private */
+    this._inpainter = new Inpainter();
+  }
+
+  /**
+   * 构建分层网格
+   * @param {Float32Array} depth - 0-1，越大越近
+   * @param {HTMLCanvasElement} canvas - 与深度同尺寸的颜色图
+   * @param {object} [options]
+   * @param {number} [options.layerCount=3] - 最大层数
+   * @param {number} [options.threshold=0.1] - 视为断层的相邻深度差
+   * @param {number} [options.margin=2] - 背景层剔除前景边缘的像素数（边缘像素混有前景颜色与过渡深度）
+   * @param {number} [options.resolution=256] - 每层网格分辨率
+   * @param {number} [options.depthScale=1]
+   * @param {number} [options.width=2] - 网格宽度
+   * @param {number} [options.height=2] - 网格高度
+   * @returns {Promise<THREE.Group>} 子网格按由远到近排列，userData.depthLayer 记录层信息
+   */
+  async build(depth, canvas, options = {}) {
+    const { layerCount = 3, threshold = 0.1, margin = 2 } = options;
+    const { width, height } = canvas;
+
+    const cuts = this.findCuts(depth, width, height, { layerCount, threshold });
+    const labels = this.labelLayers(depth, cuts);
+    const color = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+
+    const group = new THREE.Group();
+    group.name = 'DepthLayers';
+
+    const bounds = [0, ...cuts, 1];
+    for (let layer = 0; layer <= cuts.length; layer++) {
+      const data = this.buildLayer(depth, color, labels, layer, width, height, { margin });
+      const mesh = await this._createMesh(data, width, height, options);
+      mesh.name = layer === 0 ? '深度层 1（背景）' : `深度层 ${layer + 1}`;
+      mesh.userData.depthLayer = { index: layer, range: [bounds[layer], bounds[layer + 1]] };
+      group.add(mesh);
+    }
+
+    console.log(
+      `🧅 分层深度完成: ${cuts.length + 1} 层 (分界: ${cuts.map((c) => c.toFixed(3)).join(', ') || '无'})`
+    );
+    return group;
+  }
+
+  /**
+   * 按物体掩码构建分层网格：背景层修补掉所有物体，每个物体单独成层
+   * @param {Float32Array} depth - 0-1，越大越近
+   * @param {HTMLCanvasElement} canvas - 与深度同尺寸的颜色图
+   * @param {Array<{mask: {data: Uint8Array}, name: string}>} objects
+   *   alpha 掩码 (0-255)，重叠处靠后的物体优先
+   * @param {object} [options] - 同 build() 的 margin / resolution / depthScale / width / height
+   * @returns {Promise<THREE.Group>}
+   */
+  async buildFromMasks(depth, canvas, objects, options = {}) {
+    const { margin = 2 } = options;
+    const { width, height } = canvas;
+
+    const labels = new Uint8Array(width * height);
+    objects.forEach(({ mask }, index) => {
+      for (let i = 0; i < labels.length; i++) {
+        if (mask.data[i] >= 128) labels[i] = index + 1;
+      }
+    });
+    const color = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+
+    const group = new THREE.Group();
+    group.name = 'DepthLayers';
+
+    for (let layer = 0; layer <= objects.length; layer++) {
+      const data = this.buildLayer(depth, color, labels, layer, width, height, {
+        margin,
+        exclusive: true,
+      });
+      const mesh = await this._createMesh(data, width, height, options);
+      const name = layer === 0 ? null : objects[layer - 1].name;
+      mesh.name = layer === 0 ? '深度层 1（背景）' : `深度层 ${layer + 1}（${name}）`;
+      mesh.userData.depthLayer = { index: layer, object: name };
+      group.add(mesh);
+    }
+
+    console.log(`🧅 物体分层完成: 背景 + ${objects.length} 个物体`);
+    return group;
+  }
+
+  /**
+   * 在强深度断层处寻找层间分界
+   * @param {Float32Array} depth
+   * @param {number} width
+   * @param {number} height
+   * @param {object} options
+   * @param {number} options.layerCount
+   * @param {number} options.threshold
+   * @returns {number[]} 升序分界深度，长度不超过 layerCount - 1
+   */
+  findCuts(depth, width, height, { layerCount, threshold }) {
+    // 候选分界：断层两侧深度的中点，按跳变幅度加权
+    const histogram = new Float32Array(CUT_BINS);
+    const addEdge = (a, b) => {
+      const jump = Math.abs(a - b);
+      if (jump <= threshold) return;
+      const mid = (a + b) / 2;
+      histogram[Math.min(CUT_BINS - 1, Math.floor(mid * CUT_BINS))] += jump;
+    };
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (x + 1 < width) addEdge(depth[i], depth[i + 1]);
+        if (y + 1 < height) addEdge(depth[i], depth[i + width]);
+      }
+    }
+
+    const smoothed = this._smooth(histogram, 2);
+    const depthHistogram = this._depthHistogram(depth);
+
+    // 依次取峰值，抑制邻域，且每层像素占比不能过小
+    const separation = Math.max(1, Math.round((threshold / 2) * CUT_BINS));
+    const cuts = [];
+    const peak = Math.max(...smoothed);
+    while (cuts.length < layerCount - 1) {
+      let best = -1;
+      for (let b = 0; b < CUT_BINS; b++) {
+        if (smoothed[b] > 0 && (best < 0 || smoothed[b] > smoothed[best])) best = b;
+      }
+      if (best < 0 || smoothed[best] < peak * 0.1) break;
+
+      for (let b = best - separation; b <= best + separation; b++) {
+        if (b >= 0 && b < CUT_BINS) smoothed[b] = 0;
+      }
+
+      const cut = (best + 0.5) / CUT_BINS;
+      const candidate = [...cuts, cut].sort((a, b) => a - b);
+      if (this._minLayerFraction(candidate, depthHistogram, depth.length) >= MIN_LAYER_FRACTION) {
+        cuts.push(cut);
+      }
+    }
+
+    return cuts.sort((a, b) => a - b);
+  }
+
+  /**
+   * 按分界划分层号（0 为最远层）
+   * @param {Float32Array} depth
+   * @param {number[]} cuts - 升序
+   * @returns {Uint8Array}
+   */
+  labelLayers(depth, cuts) {
+    const labels = new Uint8Array(depth.length);
+    for (let i = 0; i < depth.length; i++) {
+      let label = 0;
+      while (label < cuts.length && depth[i] > cuts[label]) label++;
+      labels[i] = label;
+    }
+    return labels;
+  }
+
+  /**
+   * 生成单层的深度与颜色
+   * @param {Float32Array} depth
+   * @param {Uint8ClampedArray} color - RGBA
+   * @param {Uint8Array} labels
+   * @param {number} layer
+   * @param {number} width
+   * @param {number} height
+   * @param {object} [options]
+   * @param {number} [options.margin=2]
+   * @param {boolean} [options.exclusive=false] - 层号不代表远近（物体掩码分层），
+   *   此时其他层均视为遮挡，且只有本层像素不透明
+   * @returns {{depth: Float32Array, rgba: Uint8ClampedArray}}
+   *   被更近层遮挡处为修补结果，更远层区域 alpha 为 0
+   */
+  buildLayer(depth, color, labels, layer, width, height, options = {}) {
+    const { margin = 2, exclusive = false } = options;
+    const count = width * height;
+
+    // 更近层向外扩张 margin 像素，避免背景取到混合边缘
+    const occluded = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+      occluded[i] = (exclusive ? labels[i] !== layer : labels[i] > layer) ? 1 : 0;
+    }
+    const occludedGrown = this._dilate(occluded, width, height, margin);
+
+    const known = new Uint8Array(count);
+    const values = new Float32Array(count * 4);
+    for (let i = 0; i < count; i++) {
+      known[i] = labels[i] === layer && !occludedGrown[i] ? 1 : 0;
+      values[i * 4] = color[i * 4];
+      values[i * 4 + 1] = color[i * 4 + 1];
+      values[i * 4 + 2] = color[i * 4 + 2];
+      values[i * 4 + 3] = depth[i];
+    }
+
+    // 修补整幅图（透明区域也填充，避免网格在透明处被拉向 0 深度）
+    const filled = this._inpainter.fill(values, known, width, height, 4);
+
+    const layerDepth = new Float32Array(count);
+    const rgba = new Uint8ClampedArray(count * 4);
+    for (let i = 0; i < count; i++) {
+      rgba[i * 4] = filled[i * 4];
+      rgba[i * 4 + 1] = filled[i * 4 + 1];
+      rgba[i * 4 + 2] = filled[i * 4 + 2];
+      const visible = exclusive && layer > 0 ? labels[i] === layer : labels[i] >= layer;
+      rgba[i * 4 + 3] = visible ? 255 : 0;
+      layerDepth[i] = filled[i * 4 + 3];
+    }
+
+    return { depth: layerDepth, rgba };
+  }
+
+  /**
+   * @private
+   * @returns {Promise<THREE.Mesh>}
+   */
+  async _createMesh({ depth, rgba }, width, height, options) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').putImageData(new ImageData(rgba, width, height), 0, 0);
+
+    const colorTexture = await this.imageProcessor.createTexture(canvas);
+    const depthTexture = await this.imageProcessor.createDepthTexture(depth, width, height);
+    return this.meshGenerator.generateFromDepthMap(depthTexture, colorTexture, {
+      resolution: options.resolution ?? 256,
+      depthScale: options.depthScale ?? 1,
+      width: options.width ?? 2,
+      height: options.height ?? 2,
+      alphaTest: LAYER_ALPHA_TEST,
+    });
+  }
+
+  /**
+   * 4 邻域膨胀
+   * @private
+   * @returns {Uint8Array}
+   */
+  _dilate(mask, width, height, iterations) {
+    let current = mask;
+    for (let n = 0; n < iterations; n++) {
+      const next = Uint8Array.from(current);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = y * width + x;
+          if (current[i]) continue;
+          if (
+            (x > 0 && current[i - 1]) ||
+            (x + 1 < width && current[i + 1]) ||
+            (y > 0 && current[i - width]) ||
+            (y + 1 < height && current[i + width])
+          ) {
+            next[i] = 1;
+          }
+        }
+      }
+      current = next;
+    }
+    return current;
+  }
+
+  /**
+   * 盒式平滑
+   * @private
+   * @returns {Float32Array}
+   */
+  _smooth(histogram, radius) {
+    const result = new Float32Array(histogram.length);
+    for (let b = 0; b < histogram.length; b++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const idx = b + k;
+        if (idx >= 0 && idx < histogram.length) sum += histogram[idx];
+      }
+      result[b] = sum / (radius * 2 + 1);
+    }
+    return result;
+  }
+
+  /**
+   * @private
+   * @returns {Uint32Array}
+   */
+  _depthHistogram(depth) {
+    const histogram = new Uint32Array(CUT_BINS);
+    for (let i = 0; i < depth.length; i++) {
+      const v = Math.max(0, Math.min(1, depth[i]));
+      histogram[Math.min(CUT_BINS - 1, Math.floor(v * CUT_BINS))]++;
+    }
+    return histogram;
+  }
+
+  /**
+   * 给定分界时最小一层的像素占比
+   * @private
+   */
+  _minLayerFraction(cuts, histogram, total) {
+    const counts = new Array(cuts.length + 1).fill(0);
+    for (let b = 0; b < CUT_BINS; b++) {
+      const center = (b + 0.5) / CUT_BINS;
+      let layer = 0;
+      while (layer < cuts.length && center > cuts[layer]) layer++;
+      counts[layer] += histogram[b];
+    }
+    return Math.min(...counts) / total;
+  }
+}
+
+export default DepthLayerBuilder;
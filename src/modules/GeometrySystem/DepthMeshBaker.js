@@ -0,0 +1,186 @@
+/**
+ * @fileoverview 深度网格烘焙 - 把顶点着色器中的深度位移写入真实顶点，便于导出到外部 DCC
+ * @module modules/GeometrySystem/DepthMeshBaker
+ */
+
+import * as THREE from 'three';
+import { displaceVertex } from './MeshGenerator.js';
+
+/**
+ * 深度网格烘焙器
+ * DepthMesh 的位移在 MeshGenerator 的顶点着色器中完成，几何体本身只是（可能经投影变形的）网格；
+ * 烘焙时按着色器相同的方式采样深度纹理并位移（平面沿局部 z 轴，全景沿径向），因此 ProjectionManager 的变形会一并保留
+ * @class
+ */
+export class DepthMeshBaker {
+  /**
+   * 烘焙深度网格
+   * @param {THREE.Mesh} mesh - MeshGenerator.generateFromDepthMap 生成的网格
+   * @param {object} [options]
+   * @param {number} [options.decimation=1] - 网格抽稀步长（每隔 n 行/列保留一个顶点）
+   * @param {number} [options.edgeThreshold=0] - 三角形内深度差超过该值（0-1）时剔除，0 表示不裁剪
+   * @param {number} [options.holeThreshold=0] - 顶点深度不超过该值时视为空洞并剔除所在三角形
+   * @returns {{geometry: THREE.BufferGeometry, texture: THREE.Texture|null, stats: {vertices: number, triangles: number, trimmed: number}}}
+   *   geometry 为世界坐标，含 position/uv/normal 与索引
+   */
+  bake(mesh, options = {}) {
+    const { decimation = 1, edgeThreshold = 0, holeThreshold = 0 } = options;
+
+    const uniforms = mesh?.material?.uniforms;
+    const depthImage = uniforms?.depthMap?.value?.image;
+    if (!depthImage?.data) throw new Error('网格缺少可读取的深度纹理');
+
+    const geometry = mesh.geometry;
+    const position = geometry.attributes.position;
+    const uv = geometry.attributes.uv;
+    const vertex = new THREE.Vector3();
+
+    // PlaneGeometry 顶点按行排列，投影变形不改变顶点顺序
+    const segments = mesh.userData.segments ?? Math.round(Math.sqrt(position.count)) - 1;
+    const stride = segments + 1;
+    if (stride * stride !== position.count) throw new Error('网格不是规则网格，无法烘焙');
+
+    const keep = this._gridIndices(segments, Math.max(1, Math.round(decimation)));
+    const size = keep.length;
+
+    // 先计算抽稀后网格的全部顶点，裁剪后再压缩
+    const positions = new Float32Array(size * size * 3);
+    const uvs = new Float32Array(size * size * 2);
+    const depths = new Float32Array(size * size);
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        const source = keep[row] * stride + keep[col];
+        const target = row * size + col;
+        const u = uv.getX(source);
+        const v = uv.getY(source);
+        const depth = this._sampleDepth(depthImage, u, v);
+
+        displaceVertex(vertex.fromBufferAttribute(position, source), depth, uniforms);
+        vertex.toArray(positions, target * 3);
+        uvs[target * 2] = u;
+        uvs[target * 2 + 1] = v;
+        depths[target] = depth;
+      }
+    }
+
+    const { indices, trimmed } = this._triangulate(depths, size, edgeThreshold, holeThreshold);
+    const baked = this._compact(positions, uvs, indices);
+
+    mesh.updateMatrixWorld();
+    baked.applyMatrix4(mesh.matrixWorld);
+    baked.computeVertexNormals();
+
+    const stats = {
+      vertices: baked.attributes.position.count,
+      triangles: baked.index.count / 3,
+      trimmed,
+    };
+    console.log(
+      `🧱 网格烘焙完成: ${stats.vertices} 顶点, ${stats.triangles} 三角形 (剔除 ${trimmed})`
+    );
+
+    return { geometry: baked, texture: uniforms.colorMap?.value ?? null, stats };
+  }
+
+  /**
+   * 抽稀后保留的行/列索引（始终包含最后一行/列，保证边界完整）
+   * @private
+   * @returns {number[]}
+   */
+  _gridIndices(segments, step) {
+    const indices = [];
+    for (let i = 0; i < segments; i += step) indices.push(i);
+    indices.push(segments);
+    return indices;
+  }
+
+  /**
+   * 与着色器一致的双线性采样（DataTexture 不翻转，纹素中心对齐，边缘钳制）
+   * @private
+   * @returns {number} 0-1
+   */
+  _sampleDepth(image, u, v) {
+    const { data, width, height } = image;
+    const x = Math.max(0, Math.min(width - 1, u * width - 0.5));
+    const y = Math.max(0, Math.min(height - 1, v * height - 0.5));
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const x1 = Math.min(width - 1, x0 + 1);
+    const y1 = Math.min(height - 1, y0 + 1);
+    const fx = x - x0;
+    const fy = y - y0;
+
+    const texel = (px, py) => data[(py * width + px) * 4] / 255;
+    const top = texel(x0, y0) * (1 - fx) + texel(x1, y0) * fx;
+    const bottom = texel(x0, y1) * (1 - fx) + texel(x1, y1) * fx;
+    return top * (1 - fy) + bottom * fy;
+  }
+
+  /**
+   * 生成三角形索引（与 PlaneGeometry 相同的绕序），剔除深度断层与空洞
+   * @private
+   * @returns {{indices: number[], trimmed: number}}
+   */
+  _triangulate(depths, size, edgeThreshold, holeThreshold) {
+    const indices = [];
+    let trimmed = 0;
+
+    const accept = (a, b, c) => {
+      const da = depths[a];
+      const db = depths[b];
+      const dc = depths[c];
+      if (holeThreshold > 0 && Math.min(da, db, dc) <= holeThreshold) return false;
+      if (edgeThreshold > 0 && Math.max(da, db, dc) - Math.min(da, db, dc) > edgeThreshold) {
+        return false;
+      }
+      return true;
+    };
+
+    for (let row = 0; row < size - 1; row++) {
+      for (let col = 0; col < size - 1; col++) {
+        const a = row * size + col;
+        const b = a + size;
+        const c = b + 1;
+        const d = a + 1;
+
+        if (accept(a, b, d)) indices.push(a, b, d);
+        else trimmed++;
+        if (accept(b, c, d)) indices.push(b, c, d);
+        else trimmed++;
+      }
+    }
+
+    return { indices, trimmed };
+  }
+
+  /**
+   * 移除未被引用的顶点
+   * @private
+   * @returns {THREE.BufferGeometry}
+   */
+  _compact(positions, uvs, indices) {
+    const remap = new Int32Array(positions.length / 3).fill(-1);
+    let count = 0;
+    for (const index of indices) {
+      if (remap[index] === -1) remap[index] = count++;
+    }
+
+    const outPositions = new Float32Array(count * 3);
+    const outUvs = new Float32Array(count * 2);
+    for (let i = 0; i < remap.length; i++) {
+      const target = remap[i];
+      if (target === -1) continue;
+      outPositions.set(positions.subarray(i * 3, i * 3 + 3), target * 3);
+      outUvs.set(uvs.subarray(i * 2, i * 2 + 2), target * 2);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(outPositions, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(outUvs, 2));
+    const index = Uint32Array.from(indices, (i) => remap[i]);
+    geometry.setIndex(new THREE.BufferAttribute(index, 1));
+    return geometry;
+  }
+}
+
+export default DepthMeshBaker;
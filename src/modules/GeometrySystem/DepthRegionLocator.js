@@ -0,0 +1,177 @@
+/**
+ * @fileoverview 图像区域定位 - 将检测框映射到深度网格上的 3D 位置
+ * @module modules/GeometrySystem/DepthRegionLocator
+ */
+
+import * as THREE from 'three';
+import { displaceVertex } from './MeshGenerator.js';
+
+/** @constant {number} 取检测框中心该比例的区域统计深度，避开框边缘的背景 */
+const CORE_FRACTION = 0.5;
+
+/** @constant {number} 拾取位移曲面时的迭代次数 */
+const PICK_ITERATIONS = 4;
+
+const _point = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+const _basis = new THREE.Matrix3();
+const _center = new THREE.Vector3();
+const _raycaster = new THREE.Raycaster();
+
+/**
+ * 深度区域定位器
+ * @class
+ */
+export class DepthRegionLocator {
+  /**
+   * 测量检测框区域
+   * @param {number[]} bbox - [x, y, width, height]（深度图像素）
+   * @param {Float32Array} depth - 0-1，越大越近
+   * @param {number} width
+   * @param {number} height
+   * @returns {{rect: number[], center: number[], depth: number}|null}
+   *   rect 为裁剪到图像内的 [u0, v0, u1, v1]，center 为中心 [u, v]（v 向下），depth 为核心区域深度中值；
+   *   检测框完全在图像外时返回 null
+   */
+  measure(bbox, depth, width, height) {
+    const [bx, by, bw, bh] = bbox;
+    const x0 = Math.max(0, Math.floor(bx));
+    const y0 = Math.max(0, Math.floor(by));
+    const x1 = Math.min(width, Math.ceil(bx + bw));
+    const y1 = Math.min(height, Math.ceil(by + bh));
+    if (x1 <= x0 || y1 <= y0) return null;
+
+    const marginX = Math.floor(((x1 - x0) * (1 - CORE_FRACTION)) / 2);
+    const marginY = Math.floor(((y1 - y0) * (1 - CORE_FRACTION)) / 2);
+    const values = [];
+    for (let y = y0 + marginY; y < y1 - marginY; y++) {
+      for (let x = x0 + marginX; x < x1 - marginX; x++) {
+        values.push(depth[y * width + x]);
+      }
+    }
+    values.sort((a, b) => a - b);
+
+    return {
+      rect: [x0 / width, y0 / height, x1 / width, y1 / height],
+      center: [(x0 + x1) / 2 / width, (y0 + y1) / 2 / height],
+      depth: values[Math.floor(values.length / 2)],
+    };
+  }
+
+  /**
+   * 图像坐标 → 深度网格局部坐标
+   * 取最近的网格顶点并叠加着色器位移，投影变形后的几何体同样适用
+   * @param {THREE.Mesh} mesh - MeshGenerator 生成的深度网格
+   * @param {number} u - 0-1
+   * @param {number} v - 0-1，向下
+   * @param {number} depth - 0-1
+   * @param {THREE.Vector3} [target]
+   * @returns {THREE.Vector3}
+   */
+  toLocal(mesh, u, v, depth, target = new THREE.Vector3()) {
+    const position = mesh.geometry.attributes.position;
+    const segments = mesh.userData.segments ?? Math.round(Math.sqrt(position.count)) - 1;
+    const column = Math.round(THREE.MathUtils.clamp(u, 0, 1) * segments);
+    // PlaneGeometry 首行顶点位于图像顶部
+    const row = Math.round(THREE.MathUtils.clamp(v, 0, 1) * segments);
+
+    target.fromBufferAttribute(position, row * (segments + 1) + column);
+    return displaceVertex(target, depth, mesh.material.uniforms);
+  }
+
+  /**
+   * 图像坐标 → 世界坐标
+   * @param {THREE.Mesh} mesh
+   * @param {number} u
+   * @param {number} v
+   * @param {number} depth
+   * @param {THREE.Vector3} [target]
+   * @returns {THREE.Vector3}
+   */
+  toWorld(mesh, u, v, depth, target = new THREE.Vector3()) {
+    mesh.updateMatrixWorld();
+    return this.toLocal(mesh, u, v, depth, target).applyMatrix4(mesh.matrixWorld);
+  }
+
+  /**
+   * 射线拾取深度网格上的图像坐标
+   * 位移在着色器中完成，几何体本身未位移：将射线按当前位移量反向变换后与几何体求交，迭代收敛到位移后的曲面
+   * （平面位移沿局部 z 反向平移射线，径向位移以网格原点为中心放大射线起点）
+   * @param {THREE.Mesh} mesh
+   * @param {THREE.Ray} ray - 世界空间射线
+   * @param {Float32Array} depth - 0-1
+   * @param {number} width
+   * @param {number} height
+   * @returns {{u: number, v: number}|null} v 向下；未命中时为 null
+   */
+  pick(mesh, ray, depth, width, height) {
+    const uniforms = mesh.material.uniforms || {};
+    const depthScale = uniforms.depthScale?.value ?? 1;
+    const bias = uniforms.displacementBias?.value ?? 0;
+    const mode = uniforms.displacementMode?.value ?? 0;
+
+    mesh.updateMatrixWorld();
+    _basis.setFromMatrix4(mesh.matrixWorld);
+    _center.setFromMatrixPosition(mesh.matrixWorld);
+
+    let result = null;
+    let displacement = 0;
+    for (let i = 0; i < PICK_ITERATIONS; i++) {
+      if (mode === 1) {
+        _offset.subVectors(ray.origin, _center).multiplyScalar(1 + displacement);
+        _raycaster.ray.origin.copy(_center).add(_offset);
+      } else {
+        _offset.set(0, 0, -displacement).applyMatrix3(_basis);
+        _raycaster.ray.origin.copy(ray.origin).add(_offset);
+      }
+      _raycaster.ray.direction.copy(ray.direction);
+
+      const [hit] = _raycaster.intersectObject(mesh, false);
+      if (!hit?.uv) return result;
+      result = { u: hit.uv.x, v: 1 - hit.uv.y };
+
+      const x = Math.round(THREE.MathUtils.clamp(result.u, 0, 1) * (width - 1));
+      const y = Math.round(THREE.MathUtils.clamp(result.v, 0, 1) * (height - 1));
+      if (mode === 2) return result;
+      displacement = depth[y * width + x] * depthScale + (mode === 1 ? 0 : bias);
+    }
+    return result;
+  }
+
+  /**
+   * 检测区域在屏幕上的外接矩形
+   * @param {THREE.Mesh} mesh
+   * @param {{rect: number[], depth: number}} region - measure() 的结果
+   * @param {THREE.Camera} camera
+   * @param {number} width - 视口宽度（像素）
+   * @param {number} height - 视口高度（像素）
+   * @returns {{left: number, top: number, width: number, height: number}|null} 位于相机后方时为 null
+   */
+  projectRect(mesh, region, camera, width, height) {
+    const [u0, v0, u1, v1] = region.rect;
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    for (const [u, v] of [
+      [u0, v0],
+      [u1, v0],
+      [u0, v1],
+      [u1, v1],
+    ]) {
+      this.toWorld(mesh, u, v, region.depth, _point).project(camera);
+      if (_point.z > 1) return null;
+      const x = ((_point.x + 1) / 2) * width;
+      const y = ((1 - _point.y) / 2) * height;
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    }
+
+    return { left: minX, top: minY, width: maxX - minX, height: maxY - minY };
+  }
+}
+
+export default DepthRegionLocator;
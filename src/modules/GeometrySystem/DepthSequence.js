@@ -0,0 +1,246 @@
+/**
+ * @fileoverview 深度序列 - 视频逐帧颜色与深度数据，驱动深度网格动画
+ * @module modules/GeometrySystem/DepthSequence
+ */
+
+/**
+ * 深度序列播放器
+ * 帧数据保存在 CPU 端，播放时写入网格已有的颜色/深度纹理，避免逐帧重建材质
+ * @class
+ */
+export class DepthSequence {
+  /**
+   * @param {object} options
+   * @param {number} options.fps - 帧率
+   * @param {number} options.width - 帧宽度
+   * @param {number} options.height - 帧高度
+   */
+  constructor({ fps, width, height }) {
+    this.fps = fps;
+    this.width = width;
+    this.height = height;
+
+    /**
+     * depth 为当前显示用深度，rawDepth 为估计器原始输出（用于重新后处理）
+     * @type {Array<{canvas: HTMLCanvasElement, depth: Float32Array, rawDepth: Float32Array}>}
+     */
+    this.frames = [];
+
+    /** 当前时间（秒） */
+    this.currentTime = 0;
+
+    /** 当前显示的帧索引 */
+    this.currentFrame = -1;
+
+    this.isPlaying = false;
+    this.loop = true;
+
+    /** @private @type {THREE.Mesh|null} */
+    this._mesh = null;
+
+    /** @private */
+    this._onUpdateCallbacks = [];
+
+    /** @private */
+    this._onCompleteCallbacks = [];
+  }
+
+  /**
+   * 帧数
+   * @type {number}
+   */
+  get frameCount() {
+    return this.frames.length;
+  }
+
+  /**
+   * 总时长（秒）
+   * @type {number}
+   */
+  get duration() {
+    return this.frames.length / this.fps;
+  }
+
+  /**
+   * 添加一帧
+   * @param {HTMLCanvasElement} canvas - 颜色帧
+   * @param {Float32Array} depth - 与帧同尺寸的归一化深度
+   */
+  addFrame(canvas, depth) {
+    if (depth.length !== this.width * this.height) {
+      throw new Error(`深度帧尺寸不匹配: ${depth.length} ≠ ${this.width}×${this.height}`);
+    }
+    this.frames.push({ canvas, depth, rawDepth: depth });
+  }
+
+  /**
+   * 替换所有帧的显示深度（原始深度保持不变）
+   * @param {Float32Array[]} depths - 与帧一一对应
+   */
+  setDepths(depths) {
+    if (depths.length !== this.frames.length) {
+      throw new Error(`深度帧数不匹配: ${depths.length} ≠ ${this.frames.length}`);
+    }
+    depths.forEach((depth, i) => {
+      this.frames[i].depth = depth;
+    });
+
+    // 强制刷新当前帧
+    this.currentFrame = -1;
+    this.showFrame(this.getFrameIndex(this.currentTime));
+  }
+
+  /**
+   * 时间 → 帧索引
+   * @param {number} time - 秒
+   * @returns {number}
+   */
+  getFrameIndex(time) {
+    const index = Math.floor(time * this.fps + 1e-6);
+    return Math.max(0, Math.min(this.frames.length - 1, index));
+  }
+
+  /**
+   * 绑定由 MeshGenerator 生成的深度网格
+   * @param {THREE.Mesh} mesh
+   */
+  bindMesh(mesh) {
+    this._mesh = mesh;
+    this.currentFrame = -1;
+    this.showFrame(this.getFrameIndex(this.currentTime));
+  }
+
+  /**
+   * 将指定帧写入网格纹理
+   * @param {number} index
+   */
+  showFrame(index) {
+    const frame = this.frames[index];
+    const uniforms = this._mesh?.material?.uniforms;
+    if (!frame || !uniforms || index === this.currentFrame) return;
+
+    const colorMap = uniforms.colorMap?.value;
+    if (colorMap) {
+      colorMap.image = frame.canvas;
+      colorMap.needsUpdate = true;
+    }
+
+    // 与 ImageProcessor.createDepthTexture 相同的 RGBA8 编码
+    const depthMap = uniforms.depthMap?.value;
+    const data = depthMap?.image?.data;
+    if (data && data.length === frame.depth.length * 4) {
+      for (let i = 0; i < frame.depth.length; i++) {
+        const value = Math.floor(frame.depth[i] * 255);
+        const idx = i * 4;
+        data[idx] = value;
+        data[idx + 1] = value;
+        data[idx + 2] = value;
+      }
+      depthMap.needsUpdate = true;
+    }
+
+    this.currentFrame = index;
+  }
+
+  /**
+   * 播放
+   */
+  play() {
+    if (this.frames.length === 0) return;
+    if (this.currentTime >= this.duration) this.currentTime = 0;
+    this.isPlaying = true;
+  }
+
+  /**
+   * 暂停
+   */
+  pause() {
+    this.isPlaying = false;
+  }
+
+  /**
+   * 停止并回到首帧
+   */
+  stop() {
+    this.isPlaying = false;
+    this.seek(0);
+  }
+
+  /**
+   * 跳转到指定时间
+   * @param {number} time - 秒
+   */
+  seek(time) {
+    this.currentTime = Math.max(0, Math.min(this.duration, time));
+    this.showFrame(this.getFrameIndex(this.currentTime));
+    this._triggerUpdate();
+  }
+
+  /**
+   * 每帧更新（由渲染循环调用）
+   * @param {number} delta - 秒
+   */
+  update(delta) {
+    if (!this.isPlaying) return;
+
+    let time = this.currentTime + delta;
+    if (time >= this.duration) {
+      if (this.loop) {
+        time %= this.duration;
+      } else {
+        this.isPlaying = false;
+        this.seek(this.duration);
+        this._triggerComplete();
+        return;
+      }
+    }
+    this.seek(time);
+  }
+
+  /**
+   * 添加更新回调
+   * @param {Function} callback - 参数为当前时间（秒）
+   */
+  onUpdate(callback) {
+    this._onUpdateCallbacks.push(callback);
+  }
+
+  /**
+   * 添加完成回调
+   * @param {Function} callback
+   */
+  onComplete(callback) {
+    this._onCompleteCallbacks.push(callback);
+  }
+
+  /**
+   * @private
+   */
+  _triggerUpdate() {
+    for (const cb of this._onUpdateCallbacks) {
+      cb(this.currentTime);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _triggerComplete() {
+    for (const cb of this._onCompleteCallbacks) {
+      cb();
+    }
+  }
+
+  /**
+   * 销毁
+   */
+  dispose() {
+    this.isPlaying = false;
+    this.frames = [];
+    this._mesh = null;
+    this._onUpdateCallbacks = [];
+    this._onCompleteCallbacks = [];
+  }
+}
+
+export default DepthSequence;
@@ -5,6 +5,59 @@
 
 import * as THREE from 'three';
 
+/**
+ * 深度断层边缘处理模式
+ * @enum {string}
+ */
+export const EdgeMode = {
+  /** 不处理，断层处三角形被拉伸 */
+  OFF: 'off',
+  /** 丢弃拉伸三角形，物体轮廓与背景撕开 */
+  TEAR: 'tear',
+  /** 按拉伸程度淡出 */
+  FADE: 'fade',
+};
+
+/**
+ * 深度位移方式
+ * @enum {string}
+ */
+export const DisplacementMode = {
+  /** 沿局部 z 轴位移（平面及其投影变形） */
+  PLANAR: 'planar',
+  /** 沿到原点的径向收缩，越近越靠近球心（全景球内观看） */
+  RADIAL: 'radial',
+  /** 不位移 */
+  NONE: 'none',
+};
+
+/** @constant {Object<string, number>} 着色器中的位移方式编号 */
+const DISPLACEMENT_MODE_INDEX = {
+  [DisplacementMode.PLANAR]: 0,
+  [DisplacementMode.RADIAL]: 1,
+  [DisplacementMode.NONE]: 2,
+};
+
+/**
+ * 在 CPU 端按着色器相同的方式位移局部坐标（烘焙、定位等使用）
+ * @param {THREE.Vector3} vertex - 未位移的局部坐标，原地修改
+ * @param {number} depth - 0-1
+ * @param {object} uniforms - 深度网格材质的 uniforms
+ * @returns {THREE.Vector3}
+ */
+export function displaceVertex(vertex, depth, uniforms = {}) {
+  const depthScale = uniforms.depthScale?.value ?? 1;
+  switch (uniforms.displacementMode?.value ?? 0) {
+    case 1:
+      return vertex.divideScalar(1 + depth * depthScale);
+    case 2:
+      return vertex;
+    default:
+      vertex.z += depth * depthScale + (uniforms.displacementBias?.value ?? 0);
+      return vertex;
+  }
+}
+
 /**
  * 深度图转 3D 网格生成器
  * @class
@@ -29,6 +82,10 @@ export class MeshGenerator {
       width = 1, // 网格宽度
       height = 1, // 网格高度
       displacementBias = 0, // 位移偏移
+      alphaTest = 0, // 丢弃 alpha 低于该值的片元（分层网格的透明区域）
+      edgeMode = EdgeMode.OFF, // 深度断层边缘处理
+      edgeThreshold = 0.05, // 相邻网格顶点深度差超过该值视为断层
+      displacementMode = DisplacementMode.PLANAR, // 深度位移方式
     } = options;
 
     // 创建平面几何体
@@ -41,14 +98,22 @@ export class MeshGenerator {
         colorMap: { value: colorTexture },
         depthScale: { value: depthScale },
         displacementBias: { value: displacementBias },
+        displacementMode: { value: DISPLACEMENT_MODE_INDEX[displacementMode] ?? 0 },
+        alphaTest: { value: alphaTest },
+        gridStep: { value: new THREE.Vector2(1 / resolution, 1 / resolution) },
+        edgeThreshold: { value: 0 },
+        edgeFade: { value: false },
       },
       vertexShader: this._getVertexShader(),
       fragmentShader: this._getFragmentShader(),
       side: THREE.DoubleSide,
     });
+    this._setEdgeUniforms(material, edgeMode, edgeThreshold);
 
     const mesh = new THREE.Mesh(geometry, material);
     mesh.name = 'DepthMesh';
+    // 投影变形会替换几何体，网格分段数保存在网格上供烘焙导出使用
+    mesh.userData.segments = resolution;
 
     this._disposables.push(geometry, material);
 
@@ -65,9 +130,13 @@ export class MeshGenerator {
       uniform sampler2D depthMap;
       uniform float depthScale;
       uniform float displacementBias;
+      uniform int displacementMode;
+      uniform vec2 gridStep;
+      uniform float edgeThreshold;
       
       varying vec2 vUv;
       varying float vDepth;
+      varying float vStretch;
       
       void main() {
         vUv = uv;
@@ -76,9 +145,26 @@ export class MeshGenerator {
         float depth = texture2D(depthMap, uv).r;
         vDepth = depth;
         
+        // 与相邻网格顶点的最大深度差；跨越断层的三角形三个顶点都会得到较大的值
+        vStretch = 0.0;
+        if (edgeThreshold > 0.0) {
+          float left = texture2D(depthMap, uv - vec2(gridStep.x, 0.0)).r;
+          float right = texture2D(depthMap, uv + vec2(gridStep.x, 0.0)).r;
+          float down = texture2D(depthMap, uv - vec2(0.0, gridStep.y)).r;
+          float up = texture2D(depthMap, uv + vec2(0.0, gridStep.y)).r;
+          vStretch = max(
+            max(abs(left - depth), abs(right - depth)),
+            max(abs(down - depth), abs(up - depth))
+          );
+        }
+        
         // 应用位移
         vec3 displaced = position;
-        displaced.z += (depth * depthScale) + displacementBias;
+        if (displacementMode == 0) {
+          displaced.z += (depth * depthScale) + displacementBias;
+        } else if (displacementMode == 1) {
+          displaced /= 1.0 + depth * depthScale;
+        }
         
         gl_Position = projectionMatrix * modelViewMatrix * vec4(displaced, 1.0);
       }
@@ -92,13 +178,27 @@ export class MeshGenerator {
   _getFragmentShader() {
     return /* glsl */ `
       uniform sampler2D colorMap;
+      uniform float alphaTest;
+      uniform float edgeThreshold;
+      uniform bool edgeFade;
       
       varying vec2 vUv;
       varying float vDepth;
+      varying float vStretch;
       
       void main() {
         vec4 color = texture2D(colorMap, vUv);
         
+        if (edgeThreshold > 0.0) {
+          if (edgeFade) {
+            color.a *= 1.0 - smoothstep(edgeThreshold, edgeThreshold * 2.0, vStretch);
+            if (color.a <= 0.0) discard;
+          } else if (vStretch > edgeThreshold) {
+            discard;
+          }
+        }
+        if (color.a < alphaTest) discard;
+        
         // 可选：根据深度添加雾效
         // float fogFactor = smoothstep(0.0, 1.0, vDepth);
         // color.rgb = mix(color.rgb, vec3(0.1), fogFactor * 0.3);
@@ -119,6 +219,44 @@ export class MeshGenerator {
     }
   }
 
+  /**
+   * 更新深度位移方式
+   * @param {THREE.Mesh} mesh - 目标网格
+   * @param {string} mode - DisplacementMode
+   */
+  updateDisplacementMode(mesh, mode) {
+    if (mesh.material?.uniforms?.displacementMode) {
+      mesh.material.uniforms.displacementMode.value = DISPLACEMENT_MODE_INDEX[mode] ?? 0;
+    }
+  }
+
+  /**
+   * 更新深度断层边缘处理
+   * @param {THREE.Mesh} mesh - 目标网格
+   * @param {string} mode - EdgeMode
+   * @param {number} threshold - 断层阈值（相邻顶点深度差，0-1）
+   */
+  updateEdgeMask(mesh, mode, threshold) {
+    if (mesh.material?.uniforms?.edgeThreshold) {
+      this._setEdgeUniforms(mesh.material, mode, threshold);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _setEdgeUniforms(material, mode, threshold) {
+    const enabled = mode !== EdgeMode.OFF && threshold > 0;
+    material.uniforms.edgeThreshold.value = enabled ? threshold : 0;
+    material.uniforms.edgeFade.value = mode === EdgeMode.FADE;
+    // 淡出需要混合；撕裂只丢弃片元，保持不透明渲染
+    const transparent = enabled && mode === EdgeMode.FADE;
+    if (material.transparent !== transparent) {
+      material.transparent = transparent;
+      material.needsUpdate = true;
+    }
+  }
+
   /**
    * 创建点云
    * @param {Float32Array} depthData - 深度数据
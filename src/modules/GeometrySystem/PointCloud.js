@@ -21,7 +21,7 @@ export const PointCloudMode = {
  */
 export class PointCloud {
   /**
-   * @param {THREE.Scene} scene
+   * @param {THREE.Scene|null} scene - 为空时点云不加入场景（仅用于导出）
    */
   constructor(scene) {
     /** @type {THREE.Scene} */
@@ -93,6 +93,31 @@ export class PointCloud {
     return this._createPoints(positions, colors);
   }
 
+  /**
+   * 从已烘焙的几何体创建点云，按 UV 从颜色图取色
+   * @param {THREE.BufferGeometry} geometry - 含 position/uv
+   * @param {ImageData|null} colorData - 与纹理方向一致（首行为图像顶部）
+   * @returns {THREE.Points}
+   */
+  createFromGeometry(geometry, colorData) {
+    const position = geometry.attributes.position;
+    const uv = geometry.attributes.uv;
+    const positions = Array.from(position.array);
+    const colors = [];
+
+    if (colorData && uv) {
+      const { width, height, data } = colorData;
+      for (let i = 0; i < position.count; i++) {
+        const x = Math.min(width - 1, Math.round(uv.getX(i) * (width - 1)));
+        const y = Math.min(height - 1, Math.round((1 - uv.getY(i)) * (height - 1)));
+        const colorIdx = (y * width + x) * 4;
+        colors.push(data[colorIdx] / 255, data[colorIdx + 1] / 255, data[colorIdx + 2] / 255);
+      }
+    }
+
+    return this._createPoints(positions, colors);
+  }
+
   /**
    * 从位置数组创建点云
    * @param {number[]} positions - [x1, y1, z1, x2, y2, z2, ...]
@@ -120,7 +145,7 @@ export class PointCloud {
 
     this.points = new THREE.Points(this._geometry, this._material);
     this.points.name = 'PointCloud';
-    this.scene.add(this.points);
+    this.scene?.add(this.points);
 
     console.log(`✅ 点云创建: ${positions.length / 3} 个点`);
     return this.points;
@@ -274,7 +299,7 @@ export class PointCloud {
    */
   clear() {
     if (this.points) {
-      this.scene.remove(this.points);
+      this.scene?.remove(this.points);
     }
     if (this._geometry) {
       this._geometry.dispose();
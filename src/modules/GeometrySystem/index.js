@@ -3,7 +3,13 @@
  * @module modules/GeometrySystem
  */
 
-export { MeshGenerator } from './MeshGenerator.js';
+export { MeshGenerator, EdgeMode, DisplacementMode, displaceVertex } from './MeshGenerator.js';
 export { MaterialEditor, MaterialType } from './MaterialEditor.js';
 export { TextureManager, TextureFormat } from './TextureManager.js';
 export { PointCloud, PointCloudMode } from './PointCloud.js';
+export { DepthSequence } from './DepthSequence.js';
+export { DepthMeshBaker } from './DepthMeshBaker.js';
+export { DepthLayerBuilder } from './DepthLayerBuilder.js';
+export { DepthRegionLocator } from './DepthRegionLocator.js';
+export { ObjectDepthEditor } from './ObjectDepthEditor.js';
+export { DepthBrush, BrushMode } from './DepthBrush.js';
@@ -0,0 +1,337 @@
+/**
+ * @fileoverview 深度图读写 - 16 位 PNG / 浮点 EXR 导出，外部深度图导入
+ * @module modules/InputSystem/DepthMapIO
+ */
+
+import * as THREE from 'three';
+import { EXRExporter, ZIPS_COMPRESSION } from 'three/addons/exporters/EXRExporter.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+import { crc32 } from '../../core/Utils/ZipArchive.js';
+
+/**
+ * 深度图文件格式
+ * @enum {string}
+ */
+export const DepthFileFormat = {
+  PNG16: 'png16',
+  EXR: 'exr',
+};
+
+/** @constant {Uint8Array} PNG 文件签名 */
+const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/** @constant {Object<number, number>} PNG 颜色类型 → 通道数 */
+const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+/** @constant {RegExp} 深度图文件名特征（portrait 模式导出、常见工具命名） */
+const DEPTH_NAME_PATTERN = /(^|[^a-z])(depth|disparity|zdepth)([^a-z]|$)/i;
+
+/**
+ * 判断文件是否为深度图（按扩展名与文件名）
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isDepthMapFile(file) {
+  return /\.exr$/i.test(file.name) || DEPTH_NAME_PATTERN.test(file.name.replace(/\.[^.]+$/, ''));
+}
+
+/**
+ * 深度图读写器
+ * 应用内深度为 Float32Array（0-1，越大越近，首行为图像顶部）
+ * @class
+ */
+export class DepthMapIO {
+  /**
+   * 编码为 16 位灰度 PNG
+   * @param {Float32Array} depth
+   * @param {number} width
+   * @param {number} height
+   * @returns {Promise<Uint8Array>}
+   */
+  async encodePNG16(depth, width, height) {
+    // 每行：1 字节滤波类型 (0 = None) + 大端 16 位样本
+    const rowBytes = 1 + width * 2;
+    const raw = new Uint8Array(rowBytes * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const value = Math.round(Math.max(0, Math.min(1, depth[y * width + x])) * 65535);
+        const offset = y * rowBytes + 1 + x * 2;
+        raw[offset] = value >> 8;
+        raw[offset + 1] = value & 0xff;
+      }
+    }
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = 16; // 位深
+    header[9] = 0; // 灰度
+
+    const compressed = await this._transform(raw, new CompressionStream('deflate'));
+    return this._concat([
+      PNG_SIGNATURE,
+      this._chunk('IHDR', header),
+      this._chunk('IDAT', compressed),
+      this._chunk('IEND', new Uint8Array(0)),
+    ]);
+  }
+
+  /**
+   * 编码为 32 位浮点 EXR（ZIPS 压缩）
+   * @param {Float32Array} depth
+   * @param {number} width
+   * @param {number} height
+   * @returns {Promise<Uint8Array>}
+   */
+  async encodeEXR(depth, width, height) {
+    // EXRExporter 按 GL 约定（首行为底部）读取纹理，这里上下翻转
+    const data = new Float32Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      const source = (height - 1 - y) * width;
+      for (let x = 0; x < width; x++) {
+        const value = depth[source + x];
+        const idx = (y * width + x) * 4;
+        data[idx] = value;
+        data[idx + 1] = value;
+        data[idx + 2] = value;
+        data[idx + 3] = 1;
+      }
+    }
+
+    const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat, THREE.FloatType);
+    // 使用逐行 ZIPS：three 的 16 行块 ZIP 在高度非 16 倍数时末块解码错误
+    return new EXRExporter().parse(texture, {
+      type: THREE.FloatType,
+      compression: ZIPS_COMPRESSION,
+    });
+  }
+
+  /**
+   * 解码外部深度图，统一为 0-1 的近大远小深度
+   * EXR 中超出 0-1 的值视为度量距离，转换为逆深度后再归一化；无效像素（非正距离、NaN、Inf）为 NaN
+   * @param {File} file
+   * @returns {Promise<{data: Float32Array, width: number, height: number}>}
+   */
+  async decode(file) {
+    const buffer = await file.arrayBuffer();
+
+    let result;
+    let metric = false;
+    if (/\.exr$/i.test(file.name)) {
+      result = this.decodeEXR(buffer);
+      metric = result.data.some((v) => v > 1 || v < 0);
+    } else {
+      result = (await this.decodePNG(new Uint8Array(buffer))) || (await this._decodeImage(file));
+    }
+
+    if (metric) {
+      for (let i = 0; i < result.data.length; i++) {
+        const z = result.data[i];
+        result.data[i] = z > 0 && Number.isFinite(z) ? 1 / z : NaN;
+      }
+    }
+    this._normalize(result.data);
+
+    console.log(
+      `📥 深度图导入: ${file.name} (${result.width}×${result.height}${metric ? ', 度量深度' : ''})`
+    );
+    return result;
+  }
+
+  /**
+   * 解码 PNG（保留 16 位精度，取第一通道）
+   * 调色板、低位深与隔行扫描的 PNG 返回 null，由浏览器解码
+   * @param {Uint8Array} bytes
+   * @returns {Promise<{data: Float32Array, width: number, height: number}|null>}
+   */
+  async decodePNG(bytes) {
+    if (!PNG_SIGNATURE.every((b, i) => bytes[i] === b)) return null;
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 8;
+    let header = null;
+    const idat = [];
+    while (offset + 8 <= bytes.length) {
+      const length = view.getUint32(offset);
+      const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+      const body = bytes.subarray(offset + 8, offset + 8 + length);
+      if (type === 'IHDR') {
+        header = {
+          width: view.getUint32(offset + 8),
+          height: view.getUint32(offset + 12),
+          bitDepth: body[8],
+          colorType: body[9],
+          interlace: body[12],
+        };
+      } else if (type === 'IDAT') {
+        idat.push(body);
+      } else if (type === 'IEND') {
+        break;
+      }
+      offset += 12 + length;
+    }
+
+    const channels = PNG_CHANNELS[header?.colorType];
+    if (!channels || header.bitDepth < 8 || header.interlace) return null;
+
+    const { width, height, bitDepth } = header;
+    const sampleBytes = bitDepth / 8;
+    const pixelBytes = channels * sampleBytes;
+    const rowBytes = width * pixelBytes;
+    const raw = await this._transform(this._concat(idat), new DecompressionStream('deflate'));
+
+    const data = new Float32Array(width * height);
+    const max = bitDepth === 16 ? 65535 : 255;
+    let previous = new Uint8Array(rowBytes);
+    for (let y = 0; y < height; y++) {
+      const start = y * (rowBytes + 1);
+      const row = raw.slice(start + 1, start + 1 + rowBytes);
+      this._unfilter(raw[start], row, previous, pixelBytes);
+
+      for (let x = 0; x < width; x++) {
+        const p = x * pixelBytes;
+        const value = sampleBytes === 2 ? (row[p] << 8) | row[p + 1] : row[p];
+        data[y * width + x] = value / max;
+      }
+      previous = row;
+    }
+
+    return { data, width, height };
+  }
+
+  /**
+   * 解码 EXR（取第一通道，首行为图像顶部）
+   * @param {ArrayBuffer} buffer
+   * @returns {{data: Float32Array, width: number, height: number}}
+   */
+  decodeEXR(buffer) {
+    const loader = new EXRLoader().setDataType(THREE.FloatType);
+    const { data: pixels, width, height } = loader.parse(buffer);
+    const stride = pixels.length / (width * height);
+
+    // EXRLoader 输出按 GL 约定（首行为底部）
+    const data = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+      const source = (height - 1 - y) * width;
+      for (let x = 0; x < width; x++) {
+        data[y * width + x] = pixels[(source + x) * stride];
+      }
+    }
+    return { data, width, height };
+  }
+
+  /**
+   * 浏览器解码（JPEG/WebP 等，8 位精度）
+   * @private
+   */
+  async _decodeImage(file) {
+    const bitmap = await createImageBitmap(file);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+    const data = new Float32Array(canvas.width * canvas.height);
+    for (let i = 0; i < data.length; i++) data[i] = pixels[i * 4] / 255;
+    return { data, width: canvas.width, height: canvas.height };
+  }
+
+  /**
+   * 就地拉伸到 0-1，非有限值统一为 NaN（由深度后处理填补）
+   * @private
+   */
+  _normalize(data) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < data.length; i++) {
+      const v = data[i];
+      if (!Number.isFinite(v)) continue;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+
+    const range = max - min;
+    for (let i = 0; i < data.length; i++) {
+      const v = data[i];
+      if (!Number.isFinite(v)) data[i] = NaN;
+      else data[i] = range > 1e-9 ? (v - min) / range : 0;
+    }
+  }
+
+  /**
+   * PNG 行反滤波（就地）
+   * @private
+   */
+  _unfilter(filter, row, previous, bpp) {
+    for (let i = 0; i < row.length; i++) {
+      const left = i >= bpp ? row[i - bpp] : 0;
+      const up = previous[i];
+      const upLeft = i >= bpp ? previous[i - bpp] : 0;
+      let predictor = 0;
+      switch (filter) {
+        case 1:
+          predictor = left;
+          break;
+        case 2:
+          predictor = up;
+          break;
+        case 3:
+          predictor = (left + up) >> 1;
+          break;
+        case 4: {
+          const p = left + up - upLeft;
+          const pa = Math.abs(p - left);
+          const pb = Math.abs(p - up);
+          const pc = Math.abs(p - upLeft);
+          predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+          break;
+        }
+      }
+      row[i] = (row[i] + predictor) & 0xff;
+    }
+  }
+
+  /**
+   * 生成 PNG 数据块
+   * @private
+   * @returns {Uint8Array}
+   */
+  _chunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(new TextEncoder().encode(type), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Uint8Array>}
+   */
+  async _transform(bytes, stream) {
+    const response = new Response(new Response(bytes).body.pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  /**
+   * @private
+   * @returns {Uint8Array}
+   */
+  _concat(parts) {
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      output.set(part, offset);
+      offset += part.length;
+    }
+    return output;
+  }
+}
+
+export default DepthMapIO;
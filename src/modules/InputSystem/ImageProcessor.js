@@ -185,6 +185,27 @@ export class ImageProcessor {
     return texture;
   }
 
+  /**
+   * 就地更新 createDepthTexture 创建的深度纹理（尺寸须一致）
+   * @param {THREE.DataTexture} texture
+   * @param {Float32Array} depthData
+   * @returns {boolean} 尺寸不一致时返回 false
+   */
+  updateDepthTexture(texture, depthData) {
+    const data = texture?.image?.data;
+    if (!data || data.length !== depthData.length * 4) return false;
+
+    for (let i = 0; i < depthData.length; i++) {
+      const value = Math.floor(depthData[i] * 255);
+      const idx = i * 4;
+      data[idx] = value;
+      data[idx + 1] = value;
+      data[idx + 2] = value;
+    }
+    texture.needsUpdate = true;
+    return true;
+  }
+
   /**
    * 图像转 Base64
    * @param {HTMLCanvasElement} canvas
@@ -29,6 +29,18 @@ class InputManager {
      * @type {Map<string, Function>}
      */
     this.actions = new Map(); // key -> callback
+
+    /** @private */
+    this._listening = false;
+  }
+
+  /**
+   * 开始监听输入事件（重复调用无副作用）
+   */
+  init() {
+    if (this._listening) return;
+    this._listening = true;
+    this._init();
   }
 
   /**
@@ -54,6 +66,13 @@ class InputManager {
   _onKeyDown(event) {
     this.keys.add(event.code);
 
+    // 在输入框、下拉框或可编辑区域中输入时不触发快捷键（组件内的事件在 window 上被重定向到宿主，取原始目标）
+    const target = event.composedPath?.()[0] ?? event.target;
+    const tag = target?.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target?.isContentEditable) {
+      return;
+    }
+
     // Check for combinations
     // Note: Key values like 'KeyS' might need normalization to 'S' for user friendlyness if we want strict matching with 'Ctrl+S'
     // For now assuming registerAction uses "KeyF", "Space", etc. or we normalize.
@@ -61,9 +80,10 @@ class InputManager {
     // Simple normalization for common keys
     const simpleKey = event.key.length === 1 ? event.key.toUpperCase() : event.code;
 
+    // 修饰键顺序固定为 Ctrl+Shift+Key，macOS 的 Cmd 视为 Ctrl
     let combo = simpleKey;
-    if (event.ctrlKey) combo = 'Ctrl+' + combo;
-    // ... extend as needed
+    if (event.shiftKey) combo = 'Shift+' + combo;
+    if (event.ctrlKey || event.metaKey) combo = 'Ctrl+' + combo;
 
     // Direct match check (support both "KeyF" and "F" styles if user registered them)
     if (this.actions.has(combo)) {
@@ -106,7 +126,7 @@ class InputManager {
 
   /**
    * 注册动作回调
-   * @param {string} combo - 组合键或事件名 (e.g., "Ctrl+S", "Space", "DoubleClick")
+   * @param {string} combo - 组合键或事件名 (e.g., "Ctrl+S", "Ctrl+Shift+Z", "Space", "DoubleClick")
    * @param {Function} callback - 回调函数
    */
   registerAction(combo, callback) {
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview 全景图识别 - XMP GPano 元数据与 2:1 等距柱状宽高比
+ * @module modules/InputSystem/PanoramaDetector
+ */
+
+/**
+ * 识别依据
+ * @enum {string}
+ */
+export const PanoramaSource = {
+  GPANO: 'gpano', // XMP GPano 元数据
+  ASPECT: 'aspect', // 2:1 宽高比
+};
+
+/** @constant {number} 宽高比与 2:1 的相对误差上限 */
+const ASPECT_TOLERANCE = 0.02;
+
+/** @constant {number} XMP 通常位于文件头部（JPEG APP1 段），只读取这部分 */
+const XMP_SCAN_BYTES = 512 * 1024;
+
+/** @constant {string[]} 读取的 GPano 数值字段 */
+const GPANO_NUMBER_FIELDS = [
+  'FullPanoWidthPixels',
+  'FullPanoHeightPixels',
+  'CroppedAreaImageWidthPixels',
+  'CroppedAreaImageHeightPixels',
+  'CroppedAreaLeftPixels',
+  'CroppedAreaTopPixels',
+  'PoseHeadingDegrees',
+  'InitialViewHeadingDegrees',
+];
+
+/**
+ * 全景图信息
+ * @typedef {object} PanoramaInfo
+ * @property {string} source - PanoramaSource
+ * @property {{x: number, y: number, width: number, height: number}} crop - 图像在完整全景中的范围（0-1，y 自顶部起）
+ * @property {number} heading - 初始视角相对图像中心的水平偏转（弧度，向右为正）
+ * @property {object|null} gpano - 原始 GPano 字段
+ */
+
+/**
+ * 全景图识别器
+ * @class
+ */
+export class PanoramaDetector {
+  /**
+   * 识别等距柱状全景图：GPano 元数据优先，否则按 2:1 宽高比判断
+   * @param {File|Blob} file
+   * @param {number} width - 图像宽度
+   * @param {number} height
+   * @returns {Promise<PanoramaInfo|null>} 非全景图返回 null
+   */
+  async detect(file, width, height) {
+    let gpano = null;
+    try {
+      gpano = this.parseGPano(await this._readXMP(file));
+    } catch (error) {
+      console.warn('⚠️ XMP 读取失败:', error);
+    }
+
+    if (gpano) {
+      // 明确声明为其它投影（如 cylindrical）时不作为球面全景
+      if (gpano.ProjectionType !== 'equirectangular') return null;
+      return {
+        source: PanoramaSource.GPANO,
+        crop: this._cropFromGPano(gpano, width, height),
+        heading: this._headingFromGPano(gpano),
+        gpano,
+      };
+    }
+
+    if (!this.isEquirectangularAspect(width, height)) return null;
+    return {
+      source: PanoramaSource.ASPECT,
+      crop: { x: 0, y: 0, width: 1, height: 1 },
+      heading: 0,
+      gpano: null,
+    };
+  }
+
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @returns {boolean}
+   */
+  isEquirectangularAspect(width, height) {
+    if (!width || !height) return false;
+    return Math.abs(width / height / 2 - 1) <= ASPECT_TOLERANCE;
+  }
+
+  /**
+   * 从 XMP 文本解析 GPano 字段（兼容属性与元素两种写法）
+   * @param {string} xmp
+   * @returns {object|null} 不含 GPano:ProjectionType 时返回 null
+   */
+  parseGPano(xmp) {
+    if (!xmp) return null;
+    const projection = this._readField(xmp, 'ProjectionType');
+    if (!projection) return null;
+
+    const gpano = { ProjectionType: projection.toLowerCase() };
+    for (const field of GPANO_NUMBER_FIELDS) {
+      const value = parseFloat(this._readField(xmp, field));
+      if (Number.isFinite(value)) gpano[field] = value;
+    }
+    return gpano;
+  }
+
+  /**
+   * @private
+   * @returns {string|null}
+   */
+  _readField(xmp, field) {
+    const match =
+      xmp.match(new RegExp(`GPano:${field}\\s*=\\s*["']([^"']*)["']`)) ||
+      xmp.match(new RegExp(`<GPano:${field}>([^<]*)</GPano:${field}>`));
+    return match ? match[1].trim() : null;
+  }
+
+  /**
+   * 读取文件头部中的 XMP 包
+   * @private
+   * @returns {Promise<string|null>}
+   */
+  async _readXMP(file) {
+    const buffer = await file.slice(0, XMP_SCAN_BYTES).arrayBuffer();
+    const text = new TextDecoder('utf-8').decode(buffer);
+    const start = text.indexOf('<x:xmpmeta');
+    if (start < 0) return null;
+    const end = text.indexOf('</x:xmpmeta>', start);
+    return end < 0 ? text.slice(start) : text.slice(start, end);
+  }
+
+  /**
+   * 局部全景（未覆盖完整 360°×180°）在完整全景中的范围
+   * @private
+   */
+  _cropFromGPano(gpano, width, height) {
+    const fullWidth = gpano.FullPanoWidthPixels;
+    const fullHeight = gpano.FullPanoHeightPixels;
+    if (!fullWidth || !fullHeight) return { x: 0, y: 0, width: 1, height: 1 };
+
+    const croppedWidth = gpano.CroppedAreaImageWidthPixels || width;
+    const croppedHeight = gpano.CroppedAreaImageHeightPixels || height;
+    return {
+      x: (gpano.CroppedAreaLeftPixels || 0) / fullWidth,
+      y: (gpano.CroppedAreaTopPixels || 0) / fullHeight,
+      width: Math.min(1, croppedWidth / fullWidth),
+      height: Math.min(1, croppedHeight / fullHeight),
+    };
+  }
+
+  /**
+   * 初始视角：完整全景中心对应 PoseHeadingDegrees（缺省为 180°）
+   * @private
+   * @returns {number}
+   */
+  _headingFromGPano(gpano) {
+    if (gpano.InitialViewHeadingDegrees === undefined) return 0;
+    const center = gpano.PoseHeadingDegrees ?? 180;
+    return ((gpano.InitialViewHeadingDegrees - center) * Math.PI) / 180;
+  }
+}
+
+export default PanoramaDetector;
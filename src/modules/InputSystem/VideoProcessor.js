@@ -160,10 +160,27 @@ export class VideoProcessor {
    * 从帧序列编码视频
    * @param {HTMLCanvasElement[]} frames - 帧序列
    * @param {object} options - 选项
+   * @param {number} [options.fps=30] - 帧率
+   * @param {string} [options.codec='libx264'] - 视频编码器（libx264 / libx265 / libvpx-vp9）
+   * @param {string} [options.format='mp4'] - 容器格式
+   * @param {number} [options.crf=23] - 恒定质量因子，设置 bitrate 时忽略
+   * @param {number|null} [options.bitrate=null] - 目标码率 (bps)
+   * @param {string} [options.preset='medium'] - 编码速度预设
+   * @param {string} [options.pixFmt='yuv420p'] - 像素格式
+   * @param {Function} [options.onProgress] - 进度回调 (0-1)
    * @returns {Promise<Blob>}
    */
   async encodeVideo(frames, options = {}) {
-    const { fps = 30, codec = 'libx264', format = 'mp4', crf = 23, preset = 'medium' } = options;
+    const {
+      fps = 30,
+      codec = 'libx264',
+      format = 'mp4',
+      crf = 23,
+      bitrate = null,
+      preset = 'medium',
+      pixFmt = 'yuv420p',
+      onProgress = null,
+    } = options;
 
     if (!this._loaded) {
       await this.load();
@@ -171,6 +188,14 @@ export class VideoProcessor {
 
     const outputName = `output.${format}`;
 
+    // 写入帧占总进度的前 30%，其余为编码
+    const WRITE_PHASE = 0.3;
+    const handleProgress = ({ progress }) => {
+      if (onProgress) {
+        onProgress(WRITE_PHASE + (1 - WRITE_PHASE) * Math.max(0, Math.min(1, progress)));
+      }
+    };
+
     try {
       // 写入所有帧
       for (let i = 0; i < frames.length; i++) {
@@ -180,31 +205,48 @@ export class VideoProcessor {
         });
         const frameName = `frame_${String(i + 1).padStart(4, '0')}.png`;
         await this._ffmpeg.writeFile(frameName, await this._fetchFile(blob));
+        if (onProgress) onProgress((WRITE_PHASE * (i + 1)) / frames.length);
       }
 
       // 构建编码命令
-      const args = [
-        '-framerate',
-        fps.toString(),
-        '-i',
-        'frame_%04d.png',
-        '-c:v',
-        codec,
-        '-crf',
-        crf.toString(),
-        '-preset',
-        preset,
-        '-pix_fmt',
-        'yuv420p',
-        outputName,
-      ];
+      const args = ['-framerate', fps.toString(), '-i', 'frame_%04d.png', '-c:v', codec];
+
+      if (bitrate) {
+        args.push('-b:v', Math.round(bitrate).toString());
+      } else {
+        args.push('-crf', crf.toString());
+      }
+
+      if (codec !== 'libvpx-vp9') {
+        args.push('-preset', preset);
+      }
+
+      // 4:2:0 / 4:2:2 采样要求偶数宽高
+      if (pixFmt !== 'yuv444p') {
+        args.push('-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2');
+      }
+      args.push('-pix_fmt', pixFmt);
+
+      if (format === 'mp4') {
+        // H.265 需要 hvc1 标签才能在 Apple 平台播放
+        if (codec === 'libx265') args.push('-tag:v', 'hvc1');
+        args.push('-movflags', '+faststart');
+      }
+
+      args.push(outputName);
 
       // 执行编码
-      await this._ffmpeg.exec(args);
+      this._ffmpeg.on('progress', handleProgress);
+      try {
+        await this._ffmpeg.exec(args);
+      } finally {
+        this._ffmpeg.off('progress', handleProgress);
+      }
 
       // 读取输出
       const data = await this._ffmpeg.readFile(outputName);
       const blob = new Blob([data], { type: `video/${format}` });
+      if (onProgress) onProgress(1);
 
       // 清理文件
       await this._ffmpeg.deleteFile(outputName);
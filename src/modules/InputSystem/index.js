@@ -6,3 +6,4 @@
 export { ImageProcessor, SUPPORTED_FORMATS } from './ImageProcessor.js';
 export { VideoProcessor } from './VideoProcessor.js';
 export { DragDropHandler } from './DragDropHandler.js';
+export { PanoramaDetector, PanoramaSource } from './PanoramaDetector.js';
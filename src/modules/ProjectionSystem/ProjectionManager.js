@@ -4,32 +4,29 @@
  */
 
 import * as THREE from 'three';
+import gsap from 'gsap';
+import { ProjectionMode, projectorRegistry } from './ProjectorRegistry.js';
 
-/**
- * 投影模式枚举
- * @enum {string}
- */
-export const ProjectionMode = {
-  PERSPECTIVE: 'perspective',
-  ORTHOGRAPHIC: 'orthographic',
-  SPHERICAL: 'spherical',
-  CYLINDRICAL: 'cylindrical',
-  FISHEYE: 'fisheye',
-  STEREOGRAPHIC: 'stereographic',
-  EQUIRECTANGULAR: 'equirectangular',
-  CUBEMAP: 'cubemap',
-};
+export { ProjectionMode };
+
+/** @constant {number} 默认过渡时长（秒） */
+const DEFAULT_TRANSITION_DURATION = 0.8;
 
 /**
  * 投影管理器
+ * 投影由注册表中的 BaseProjector 插件实现；切换模式时由当前形状经缓动过渡到目标形状
  * @class
  */
 export class ProjectionManager {
   /**
    * @param {THREE.Scene} scene
    * @param {THREE.Camera} camera
+   * @param {object} [options]
+   * @param {ProjectorRegistry} [options.registry] - 默认为全局 projectorRegistry
+   * @param {number} [options.transitionDuration=0.8] - 过渡时长（秒），0 表示立即切换
+   * @param {string} [options.transitionEase='power2.inOut'] - gsap 缓动
    */
-  constructor(scene, camera) {
+  constructor(scene, camera, options = {}) {
     /** @type {THREE.Scene} */
     this.scene = scene;
 
@@ -39,18 +36,34 @@ export class ProjectionManager {
     /** @type {string} */
     this.currentMode = ProjectionMode.PERSPECTIVE;
 
+    /** @type {number} */
+    this.transitionDuration = options.transitionDuration ?? DEFAULT_TRANSITION_DURATION;
+
+    /** @type {string} */
+    this.transitionEase = options.transitionEase || 'power2.inOut';
+
+    /** @private */
+    this._registry = options.registry || projectorRegistry;
+
+    /** @private {Map<string, BaseProjector>} 本实例的投影器 */
+    this._projectors = new Map();
+
     /** @private */
     this._projectedMesh = null;
 
     /** @private */
     this._originalGeometry = null;
+
+    /** @private {gsap.core.Tween|null} */
+    this._transition = null;
   }
 
   /**
    * 设置投影模式
-   * @param {string} mode - 投影模式
+   * @param {string} mode - 投影模式（未注册的模式按透视处理）
    * @param {THREE.Mesh} mesh - 要投影的网格
-   * @param {object} options - 投影选项
+   * @param {object} options - 投影选项，原样传给投影器
+   * @param {number} [options.duration] - 过渡时长（秒），默认 transitionDuration
    */
   setProjectionMode(mode, mesh, options = {}) {
     if (!mesh || !mesh.geometry) {
@@ -58,6 +71,14 @@ export class ProjectionManager {
       return;
     }
 
+    this._stopTransition();
+
+    // 网格已更换时丢弃旧网格的原始几何体
+    if (this._originalGeometry && this._projectedMesh !== mesh) {
+      this._originalGeometry.dispose();
+      this._originalGeometry = null;
+    }
+
     // 保存原始几何体
     if (!this._originalGeometry) {
       this._originalGeometry = mesh.geometry.clone();
@@ -66,246 +87,105 @@ export class ProjectionManager {
     this.currentMode = mode;
     this._projectedMesh = mesh;
 
-    switch (mode) {
-      case ProjectionMode.PERSPECTIVE:
-        this._applyPerspective(mesh, options);
-        break;
-      case ProjectionMode.ORTHOGRAPHIC:
-        this._applyOrthographic(mesh, options);
-        break;
-      case ProjectionMode.SPHERICAL:
-        this._applySpherical(mesh, options);
-        break;
-      case ProjectionMode.CYLINDRICAL:
-        this._applyCylindrical(mesh, options);
-        break;
-      case ProjectionMode.FISHEYE:
-        this._applyFisheye(mesh, options);
-        break;
-      default:
-        console.log(`📐 投影模式 ${mode} 开发中...`);
-        this._applyPerspective(mesh, options);
+    let projector = this.getProjector(mode);
+    if (!projector) {
+      console.log(`📐 投影模式 ${mode} 未注册，使用透视`);
+      projector = this.getProjector(ProjectionMode.PERSPECTIVE);
     }
 
+    const target = projector.project(this._originalGeometry, options);
+    this._transitionTo(mesh, target, options.duration ?? this.transitionDuration);
+
     console.log(`📐 已切换到 ${mode} 投影模式`);
   }
 
   /**
-   * 应用透视投影（默认平面）
-   * @private
+   * 获取本实例中某模式的投影器（首次访问时由注册表创建）
+   * @param {string} mode
+   * @returns {BaseProjector|null}
    */
-  _applyPerspective(mesh, _options = {}) {
-    // 恢复原始几何体
-    if (this._originalGeometry) {
-      mesh.geometry.dispose();
-      mesh.geometry = this._originalGeometry.clone();
+  getProjector(mode) {
+    if (!this._projectors.has(mode)) {
+      if (!this._registry.has(mode)) return null;
+      this._projectors.set(mode, this._registry.create(mode));
     }
+    return this._projectors.get(mode);
   }
 
   /**
-   * 应用正交投影
-   * @private
+   * 是否处于模式切换过渡中
+   * @returns {boolean}
    */
-  _applyOrthographic(mesh, options = {}) {
-    // 正交投影主要通过相机实现，几何体保持不变
-    this._applyPerspective(mesh, options);
+  isTransitioning() {
+    return this._transition !== null;
   }
 
   /**
-   * 应用球面投影
-   * @private
+   * 立即完成当前过渡（导出、烘焙等需要最终几何体时调用）
    */
-  _applySpherical(mesh, options = {}) {
-    const {
-      radius = 2,
-      phiStart = 0,
-      phiLength = Math.PI,
-      thetaStart = 0,
-      thetaLength = Math.PI * 2,
-    } = options;
-
-    if (!this._originalGeometry) return;
-
-    const originalPos = this._originalGeometry.attributes.position;
-    const newGeometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(originalPos.count * 3);
-    const uvs = new Float32Array(originalPos.count * 2);
-
-    // 获取原始几何体的边界
-    this._originalGeometry.computeBoundingBox();
-    const bbox = this._originalGeometry.boundingBox;
-    const width = bbox.max.x - bbox.min.x;
-    const height = bbox.max.y - bbox.min.y;
-
-    for (let i = 0; i < originalPos.count; i++) {
-      const x = originalPos.getX(i);
-      const y = originalPos.getY(i);
-      const z = originalPos.getZ(i);
-
-      // 归一化 UV 坐标
-      const u = (x - bbox.min.x) / width;
-      const v = (y - bbox.min.y) / height;
-
-      // 球面坐标
-      const theta = thetaStart + u * thetaLength;
-      const phi = phiStart + v * phiLength;
-
-      // 考虑深度
-      const r = radius + z;
-
-      // 转换为笛卡尔坐标
-      const newX = r * Math.sin(phi) * Math.cos(theta);
-      const newY = r * Math.cos(phi);
-      const newZ = r * Math.sin(phi) * Math.sin(theta);
-
-      positions[i * 3] = newX;
-      positions[i * 3 + 1] = newY;
-      positions[i * 3 + 2] = newZ;
-
-      uvs[i * 2] = u;
-      uvs[i * 2 + 1] = v;
-    }
-
-    newGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    newGeometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
-
-    if (this._originalGeometry.index) {
-      newGeometry.setIndex(this._originalGeometry.index.clone());
-    }
-
-    newGeometry.computeVertexNormals();
-
-    mesh.geometry.dispose();
-    mesh.geometry = newGeometry;
+  finishTransition() {
+    this._transition?.progress(1);
   }
 
   /**
-   * 应用柱面投影
+   * 以目标几何体替换网格几何体，过渡期间在其上插值顶点位置
    * @private
+   * @param {THREE.Mesh} mesh
+   * @param {THREE.BufferGeometry} target
+   * @param {number} duration - 秒
    */
-  _applyCylindrical(mesh, options = {}) {
-    const { radius = 2, height = 2, thetaStart = -Math.PI / 2, thetaLength = Math.PI } = options;
-
-    if (!this._originalGeometry) return;
-
-    const originalPos = this._originalGeometry.attributes.position;
-    const newGeometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(originalPos.count * 3);
-    const uvs = new Float32Array(originalPos.count * 2);
-
-    this._originalGeometry.computeBoundingBox();
-    const bbox = this._originalGeometry.boundingBox;
-    const width = bbox.max.x - bbox.min.x;
-    const geoHeight = bbox.max.y - bbox.min.y;
-
-    for (let i = 0; i < originalPos.count; i++) {
-      const x = originalPos.getX(i);
-      const y = originalPos.getY(i);
-      const z = originalPos.getZ(i);
-
-      // 归一化坐标
-      const u = (x - bbox.min.x) / width;
-      const v = (y - bbox.min.y) / geoHeight;
-
-      // 柱面坐标
-      const theta = thetaStart + u * thetaLength;
-      const r = radius + z;
-
-      // 转换为笛卡尔坐标
-      const newX = r * Math.cos(theta);
-      const newY = (v - 0.5) * height;
-      const newZ = r * Math.sin(theta);
-
-      positions[i * 3] = newX;
-      positions[i * 3 + 1] = newY;
-      positions[i * 3 + 2] = newZ;
-
-      uvs[i * 2] = u;
-      uvs[i * 2 + 1] = v;
-    }
-
-    newGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    newGeometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
-
-    if (this._originalGeometry.index) {
-      newGeometry.setIndex(this._originalGeometry.index.clone());
-    }
-
-    newGeometry.computeVertexNormals();
+  _transitionTo(mesh, target, duration) {
+    const current = mesh.geometry.attributes.position;
+    const position = target.attributes.position;
+    // 顶点数不同（插件改变了拓扑）时无法插值，直接切换
+    const animate = duration > 0 && current && current.count === position.count;
+    const from = animate ? Float32Array.from(current.array) : null;
 
     mesh.geometry.dispose();
-    mesh.geometry = newGeometry;
+    mesh.geometry = target;
+    if (!animate) return;
+
+    // 插值位置位于起止形状的包围盒并集之内，避免过渡中被视锥剔除
+    target.computeBoundingBox();
+    const to = Float32Array.from(position.array);
+    position.array.set(from);
+    position.needsUpdate = true;
+    target.boundingBox.union(new THREE.Box3().setFromBufferAttribute(position));
+    target.boundingSphere = target.boundingBox.getBoundingSphere(new THREE.Sphere());
+
+    const state = { t: 0 };
+    this._transition = gsap.to(state, {
+      t: 1,
+      duration,
+      ease: this.transitionEase,
+      onUpdate: () => {
+        const array = position.array;
+        const t = state.t;
+        for (let i = 0; i < array.length; i++) array[i] = from[i] + (to[i] - from[i]) * t;
+        position.needsUpdate = true;
+      },
+      onComplete: () => {
+        this._transition = null;
+        target.computeBoundingBox();
+        target.computeBoundingSphere();
+      },
+    });
   }
 
   /**
-   * 应用鱼眼投影
+   * 停止过渡，网格停留在当前插值形状（作为下一次过渡的起点）
    * @private
    */
-  _applyFisheye(mesh, options = {}) {
-    const { strength = 1.0, radius = 2 } = options;
-
-    if (!this._originalGeometry) return;
-
-    const originalPos = this._originalGeometry.attributes.position;
-    const newGeometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(originalPos.count * 3);
-    const uvs = new Float32Array(originalPos.count * 2);
-
-    this._originalGeometry.computeBoundingBox();
-    const bbox = this._originalGeometry.boundingBox;
-    const width = bbox.max.x - bbox.min.x;
-    const height = bbox.max.y - bbox.min.y;
-    const centerX = (bbox.max.x + bbox.min.x) / 2;
-    const centerY = (bbox.max.y + bbox.min.y) / 2;
-    const maxRadius = Math.max(width, height) / 2;
-
-    for (let i = 0; i < originalPos.count; i++) {
-      const x = originalPos.getX(i);
-      const y = originalPos.getY(i);
-      const z = originalPos.getZ(i);
-
-      // 相对于中心的距离
-      const dx = x - centerX;
-      const dy = y - centerY;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-      const normalizedDist = dist / maxRadius;
-
-      // 鱼眼变形
-      const distortedDist = Math.pow(normalizedDist, strength);
-      const scale = normalizedDist > 0 ? distortedDist / normalizedDist : 1;
-
-      const newX = centerX + dx * scale;
-      const newY = centerY + dy * scale;
-
-      // 添加曲率
-      const curveAmount = (1 - distortedDist) * radius * 0.5;
-      const newZ = z + curveAmount;
-
-      positions[i * 3] = newX;
-      positions[i * 3 + 1] = newY;
-      positions[i * 3 + 2] = newZ;
-
-      uvs[i * 2] = (x - bbox.min.x) / width;
-      uvs[i * 2 + 1] = (y - bbox.min.y) / height;
-    }
-
-    newGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    newGeometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
-
-    if (this._originalGeometry.index) {
-      newGeometry.setIndex(this._originalGeometry.index.clone());
-    }
-
-    newGeometry.computeVertexNormals();
-
-    mesh.geometry.dispose();
-    mesh.geometry = newGeometry;
+  _stopTransition() {
+    this._transition?.kill();
+    this._transition = null;
   }
 
   /**
    * 重置到原始几何体
    */
   reset() {
+    this._stopTransition();
     if (this._projectedMesh && this._originalGeometry) {
       this._projectedMesh.geometry.dispose();
       this._projectedMesh.geometry = this._originalGeometry.clone();
@@ -323,21 +203,24 @@ export class ProjectionManager {
   }
 
   /**
-   * 获取可用的投影模式列表
+   * 获取可用的投影模式列表（含第三方注册的模式）
    * @returns {string[]}
    */
   static getAvailableModes() {
-    return Object.values(ProjectionMode);
+    return projectorRegistry.list().map(({ mode }) => mode);
   }
 
   /**
    * 销毁投影管理器
    */
   dispose() {
+    this._stopTransition();
     if (this._originalGeometry) {
       this._originalGeometry.dispose();
       this._originalGeometry = null;
     }
+    this._projectors.forEach((projector) => projector.dispose());
+    this._projectors.clear();
     this._projectedMesh = null;
     console.log('🗑️ ProjectionManager 已销毁');
   }
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview 投影器注册表 - 内置与第三方投影模式
+ * @module modules/ProjectionSystem/ProjectorRegistry
+ */
+
+import { PlanarProjector } from './projectors/PlanarProjector.js';
+import { SphericalProjector } from './projectors/SphericalProjector.js';
+import { CylindricalProjector } from './projectors/CylindricalProjector.js';
+import { FisheyeProjector } from './projectors/FisheyeProjector.js';
+import { StereographicProjector } from './projectors/StereographicProjector.js';
+import { EquirectangularProjector } from './projectors/EquirectangularProjector.js';
+import { CubemapProjector } from './projectors/CubemapProjector.js';
+
+/**
+ * 投影模式枚举（内置）
+ * @enum {string}
+ */
+export const ProjectionMode = {
+  PERSPECTIVE: 'perspective',
+  ORTHOGRAPHIC: 'orthographic',
+  SPHERICAL: 'spherical',
+  CYLINDRICAL: 'cylindrical',
+  FISHEYE: 'fisheye',
+  STEREOGRAPHIC: 'stereographic',
+  EQUIRECTANGULAR: 'equirectangular',
+  CUBEMAP: 'cubemap',
+};
+
+/**
+ * 注册项
+ * @typedef {object} ProjectorEntry
+ * @property {string} name - 显示名称
+ * @property {function(): BaseProjector} create - 创建投影器实例，投影器须实现 project()
+ */
+
+/**
+ * 投影器注册表
+ * 每个 ProjectionManager 按需为各模式创建自己的投影器实例
+ * @class
+ */
+export class ProjectorRegistry {
+  constructor() {
+    /** @private {Map<string, ProjectorEntry>} */
+    this._entries = new Map();
+  }
+
+  /**
+   * 注册投影模式（同名覆盖）
+   * @param {string} mode
+   * @param {ProjectorEntry} entry
+   */
+  register(mode, entry) {
+    this._entries.set(mode, entry);
+  }
+
+  /**
+   * @param {string} mode
+   */
+  unregister(mode) {
+    this._entries.delete(mode);
+  }
+
+  /**
+   * @param {string} mode
+   * @returns {boolean}
+   */
+  has(mode) {
+    return this._entries.has(mode);
+  }
+
+  /**
+   * @param {string} mode
+   * @returns {ProjectorEntry|undefined}
+   */
+  get(mode) {
+    return this._entries.get(mode);
+  }
+
+  /**
+   * @returns {Array<{mode: string, name: string}>}
+   */
+  list() {
+    return [...this._entries].map(([mode, entry]) => ({ mode, name: entry.name }));
+  }
+
+  /**
+   * @param {string} mode
+   * @returns {BaseProjector}
+   */
+  create(mode) {
+    const entry = this._entries.get(mode);
+    if (!entry) throw new Error(`未知投影模式: ${mode}`);
+    return entry.create();
+  }
+}
+
+export const projectorRegistry = new ProjectorRegistry();
+
+projectorRegistry.register(ProjectionMode.PERSPECTIVE, {
+  name: '透视',
+  create: () => new PlanarProjector(),
+});
+// 正交与透视的区别由相机实现，几何体保持平面
+projectorRegistry.register(ProjectionMode.ORTHOGRAPHIC, {
+  name: '正交',
+  create: () => new PlanarProjector(),
+});
+projectorRegistry.register(ProjectionMode.CYLINDRICAL, {
+  name: '柱面',
+  create: () => new CylindricalProjector(),
+});
+projectorRegistry.register(ProjectionMode.SPHERICAL, {
+  name: '球面',
+  create: () => new SphericalProjector(),
+});
+projectorRegistry.register(ProjectionMode.FISHEYE, {
+  name: '鱼眼',
+  create: () => new FisheyeProjector(),
+});
+projectorRegistry.register(ProjectionMode.STEREOGRAPHIC, {
+  name: '小星球',
+  create: () => new StereographicProjector(),
+});
+projectorRegistry.register(ProjectionMode.EQUIRECTANGULAR, {
+  name: '全景球',
+  create: () => new EquirectangularProjector(),
+});
+projectorRegistry.register(ProjectionMode.CUBEMAP, {
+  name: '立方体',
+  create: () => new CubemapProjector(),
+});
+
+export default projectorRegistry;
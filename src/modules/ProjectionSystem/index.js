@@ -3,10 +3,15 @@
  * @module modules/ProjectionSystem
  */
 
-export { ProjectionManager, ProjectionMode } from './ProjectionManager.js';
+export { ProjectionManager } from './ProjectionManager.js';
+export { ProjectionMode, ProjectorRegistry, projectorRegistry } from './ProjectorRegistry.js';
 
 // 独立投影器类
 export { BaseProjector } from './projectors/BaseProjector.js';
+export { PlanarProjector } from './projectors/PlanarProjector.js';
 export { SphericalProjector } from './projectors/SphericalProjector.js';
 export { CylindricalProjector } from './projectors/CylindricalProjector.js';
 export { FisheyeProjector } from './projectors/FisheyeProjector.js';
+export { StereographicProjector } from './projectors/StereographicProjector.js';
+export { EquirectangularProjector } from './projectors/EquirectangularProjector.js';
+export { CubemapProjector } from './projectors/CubemapProjector.js';
@@ -32,6 +32,18 @@ export class BaseProjector {
     throw new Error('子类必须实现 apply() 方法');
   }
 
+  /**
+   * 由原始几何体生成投影后的几何体（不修改网格）
+   * ProjectionManager 自行保存原始几何体，经此接口使用投影器
+   * @abstract
+   * @param {THREE.BufferGeometry} geometry
+   * @param {object} options
+   * @returns {THREE.BufferGeometry}
+   */
+  project(_geometry, _options = {}) {
+    throw new Error('子类必须实现 project() 方法');
+  }
+
   /**
    * 保存原始几何体
    * @protected
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview 立方体投影器
+ * @module modules/ProjectionSystem/projectors/CubemapProjector
+ */
+
+import { EquirectangularProjector } from './EquirectangularProjector.js';
+
+/**
+ * 立方体投影器
+ * 与等距柱状投影使用相同的全景方向，但把每个方向投射到立方体表面（六个面即立方体贴图的六个面），
+ * radius 为立方体中心到面的距离
+ * @class
+ * @extends EquirectangularProjector
+ */
+export class CubemapProjector extends EquirectangularProjector {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'cubemap';
+  }
+
+  /**
+   * 应用立方体投影
+   * @param {THREE.Mesh} mesh
+   * @param {object} options
+   */
+  apply(mesh, options = {}) {
+    this._saveOriginal(mesh);
+
+    const newGeometry = this.project(this._originalGeometry, options);
+    mesh.geometry.dispose();
+    mesh.geometry = newGeometry;
+
+    console.log('🧊 已应用立方体投影');
+  }
+
+  /**
+   * 沿方向到立方体表面的距离：主轴分量归一到 1
+   * @protected
+   * @param {{x: number, y: number, z: number}} direction - 单位向量
+   * @returns {number}
+   */
+  _radialScale(direction) {
+    return 1 / Math.max(Math.abs(direction.x), Math.abs(direction.y), Math.abs(direction.z));
+  }
+}
+
+export default CubemapProjector;
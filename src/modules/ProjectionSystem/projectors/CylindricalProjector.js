@@ -37,30 +37,35 @@ export class CylindricalProjector extends BaseProjector {
   apply(mesh, options = {}) {
     this._saveOriginal(mesh);
 
+    const newGeometry = this.project(this._originalGeometry, options);
+    mesh.geometry.dispose();
+    mesh.geometry = newGeometry;
+
+    console.log('🛢️ 已应用柱面投影');
+  }
+
+  /**
+   * @param {THREE.BufferGeometry} geometry
+   * @param {object} options
+   * @returns {THREE.BufferGeometry}
+   */
+  project(geometry, options = {}) {
     const radius = options.radius ?? this.radius;
     const height = options.height ?? this.height;
     const thetaStart = options.thetaStart ?? this.thetaStart;
     const thetaLength = options.thetaLength ?? this.thetaLength;
 
-    const newGeometry = this._createTransformedGeometry(
-      this._originalGeometry,
-      (x, y, z, u, v, _bounds) => {
-        // 柱面坐标变换
-        const theta = thetaStart + u * thetaLength;
-        const r = radius + z;
+    return this._createTransformedGeometry(geometry, (x, y, z, u, v, _bounds) => {
+      // 柱面坐标变换
+      const theta = thetaStart + u * thetaLength;
+      const r = radius + z;
 
-        return {
-          x: r * Math.cos(theta),
-          y: (v - 0.5) * height,
-          z: r * Math.sin(theta),
-        };
-      }
-    );
-
-    mesh.geometry.dispose();
-    mesh.geometry = newGeometry;
-
-    console.log('🛢️ 已应用柱面投影');
+      return {
+        x: r * Math.cos(theta),
+        y: (v - 0.5) * height,
+        z: r * Math.sin(theta),
+      };
+    });
   }
 
   /**
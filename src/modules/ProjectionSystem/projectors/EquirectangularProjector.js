@@ -0,0 +1,89 @@
+/**
+ * @fileoverview 等距柱状投影器
+ * @module modules/ProjectionSystem/projectors/EquirectangularProjector
+ */
+
+import { BaseProjector } from './BaseProjector.js';
+
+/** @constant 完整全景 */
+const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+
+/**
+ * 等距柱状投影器
+ * 把输入视为 360°×180° 全景图贴满整个球面，供位于球心附近的相机向外观看：
+ * 图像水平中心朝 -z（相机默认朝向），从球内看左右方向与原图一致
+ * @class
+ * @extends BaseProjector
+ */
+export class EquirectangularProjector extends BaseProjector {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'equirectangular';
+
+    /** @type {number} 球体半径 */
+    this.radius = options.radius || 2;
+
+    /** @type {number} 水平旋转（弧度） */
+    this.yaw = options.yaw || 0;
+  }
+
+  /**
+   * 应用等距柱状投影
+   * @param {THREE.Mesh} mesh
+   * @param {object} options
+   */
+  apply(mesh, options = {}) {
+    this._saveOriginal(mesh);
+
+    const newGeometry = this.project(this._originalGeometry, options);
+    mesh.geometry.dispose();
+    mesh.geometry = newGeometry;
+
+    console.log('🌍 已应用全景球投影');
+  }
+
+  /**
+   * @param {THREE.BufferGeometry} geometry
+   * @param {object} options
+   * @param {{x: number, y: number, width: number, height: number}} [options.crop] -
+   *   局部全景在完整全景中的范围（0-1，y 自顶部起），默认覆盖整个球面
+   * @returns {THREE.BufferGeometry}
+   */
+  project(geometry, options = {}) {
+    const radius = options.radius ?? this.radius;
+    const yaw = options.yaw ?? this.yaw;
+    const crop = options.crop || FULL_CROP;
+    const direction = { x: 0, y: 0, z: 0 };
+
+    return this._createTransformedGeometry(geometry, (x, y, z, u, v, _bounds) => {
+      const longitude = (crop.x + u * crop.width - 0.5) * Math.PI * 2 + yaw;
+      const latitude = (0.5 - (crop.y + (1 - v) * crop.height)) * Math.PI;
+      direction.x = Math.cos(latitude) * Math.sin(longitude);
+      direction.y = Math.sin(latitude);
+      direction.z = -Math.cos(latitude) * Math.cos(longitude);
+
+      const r = radius * this._radialScale(direction);
+      return { x: direction.x * r, y: direction.y * r, z: direction.z * r };
+    });
+  }
+
+  /**
+   * 单位方向上的表面距离（相对半径），球面恒为 1
+   * @protected
+   * @param {{x: number, y: number, z: number}} _direction
+   * @returns {number}
+   */
+  _radialScale(_direction) {
+    return 1;
+  }
+
+  /**
+   * 设置水平旋转
+   * @param {number} yaw - 弧度
+   */
+  setYaw(yaw) {
+    this.yaw = yaw;
+  }
+}
+
+export default EquirectangularProjector;
@@ -34,40 +34,45 @@ export class FisheyeProjector extends BaseProjector {
   apply(mesh, options = {}) {
     this._saveOriginal(mesh);
 
+    const newGeometry = this.project(this._originalGeometry, options);
+    mesh.geometry.dispose();
+    mesh.geometry = newGeometry;
+
+    console.log('👁️ 已应用鱼眼投影');
+  }
+
+  /**
+   * @param {THREE.BufferGeometry} geometry
+   * @param {object} options
+   * @returns {THREE.BufferGeometry}
+   */
+  project(geometry, options = {}) {
     const strength = options.strength ?? this.strength;
     const radius = options.radius ?? this.radius;
     const invert = options.invert ?? this.invert;
 
-    const newGeometry = this._createTransformedGeometry(
-      this._originalGeometry,
-      (x, y, z, u, v, bounds) => {
-        // 相对于中心的距离
-        const dx = x - bounds.center.x;
-        const dy = y - bounds.center.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        const maxRadius = Math.max(bounds.width, bounds.height) / 2;
-        const normalizedDist = dist / maxRadius;
+    return this._createTransformedGeometry(geometry, (x, y, z, u, v, bounds) => {
+      // 相对于中心的距离
+      const dx = x - bounds.center.x;
+      const dy = y - bounds.center.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      const maxRadius = Math.max(bounds.width, bounds.height) / 2;
+      const normalizedDist = dist / maxRadius;
 
-        // 鱼眼变形
-        const power = invert ? 1 / strength : strength;
-        const distortedDist = Math.pow(normalizedDist, power);
-        const scale = normalizedDist > 0 ? distortedDist / normalizedDist : 1;
+      // 鱼眼变形
+      const power = invert ? 1 / strength : strength;
+      const distortedDist = Math.pow(normalizedDist, power);
+      const scale = normalizedDist > 0 ? distortedDist / normalizedDist : 1;
 
-        const newX = bounds.center.x + dx * scale;
-        const newY = bounds.center.y + dy * scale;
+      const newX = bounds.center.x + dx * scale;
+      const newY = bounds.center.y + dy * scale;
 
-        // 添加曲率（中心凸起）
-        const curveAmount = (1 - distortedDist) * radius * 0.5;
-        const newZ = z + curveAmount;
+      // 添加曲率（中心凸起）
+      const curveAmount = (1 - distortedDist) * radius * 0.5;
+      const newZ = z + curveAmount;
 
-        return { x: newX, y: newY, z: newZ };
-      }
-    );
-
-    mesh.geometry.dispose();
-    mesh.geometry = newGeometry;
-
-    console.log('👁️ 已应用鱼眼投影');
+      return { x: newX, y: newY, z: newZ };
+    });
   }
 
   /**
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview 平面投影器
+ * @module modules/ProjectionSystem/projectors/PlanarProjector
+ */
+
+import { BaseProjector } from './BaseProjector.js';
+
+/**
+ * 平面投影器
+ * 保持原始平面网格，用于透视与正交模式（两者的区别由相机实现），也是其它投影过渡的起点
+ * @class
+ * @extends BaseProjector
+ */
+export class PlanarProjector extends BaseProjector {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'planar';
+  }
+
+  /**
+   * 恢复平面网格
+   * @param {THREE.Mesh} mesh
+   * @param {object} _options
+   */
+  apply(mesh, _options = {}) {
+    this._saveOriginal(mesh);
+    this.restore(mesh);
+  }
+
+  /**
+   * @param {THREE.BufferGeometry} geometry
+   * @param {object} _options
+   * @returns {THREE.BufferGeometry}
+   */
+  project(geometry, _options = {}) {
+    return geometry.clone();
+  }
+}
+
+export default PlanarProjector;
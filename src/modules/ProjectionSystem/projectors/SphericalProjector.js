@@ -40,32 +40,37 @@ export class SphericalProjector extends BaseProjector {
   apply(mesh, options = {}) {
     this._saveOriginal(mesh);
 
+    const newGeometry = this.project(this._originalGeometry, options);
+    mesh.geometry.dispose();
+    mesh.geometry = newGeometry;
+
+    console.log('🌐 已应用球面投影');
+  }
+
+  /**
+   * @param {THREE.BufferGeometry} geometry
+   * @param {object} options
+   * @returns {THREE.BufferGeometry}
+   */
+  project(geometry, options = {}) {
     const radius = options.radius ?? this.radius;
     const thetaStart = options.thetaStart ?? this.thetaStart;
     const thetaLength = options.thetaLength ?? this.thetaLength;
     const phiStart = options.phiStart ?? this.phiStart;
     const phiLength = options.phiLength ?? this.phiLength;
 
-    const newGeometry = this._createTransformedGeometry(
-      this._originalGeometry,
-      (x, y, z, u, v, _bounds) => {
-        // 球面坐标变换
-        const theta = thetaStart + u * thetaLength;
-        const phi = phiStart + v * phiLength;
-        const r = radius + z;
-
-        return {
-          x: r * Math.sin(phi) * Math.cos(theta),
-          y: r * Math.cos(phi),
-          z: r * Math.sin(phi) * Math.sin(theta),
-        };
-      }
-    );
-
-    mesh.geometry.dispose();
-    mesh.geometry = newGeometry;
-
-    console.log('🌐 已应用球面投影');
+    return this._createTransformedGeometry(geometry, (x, y, z, u, v, _bounds) => {
+      // 球面坐标变换
+      const theta = thetaStart + u * thetaLength;
+      const phi = phiStart + v * phiLength;
+      const r = radius + z;
+
+      return {
+        x: r * Math.sin(phi) * Math.cos(theta),
+        y: r * Math.cos(phi),
+        z: r * Math.sin(phi) * Math.sin(theta),
+      };
+    });
   }
 
   /**
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview 球极投影器（小星球）
+ * @module modules/ProjectionSystem/projectors/StereographicProjector
+ */
+
+import { BaseProjector } from './BaseProjector.js';
+
+/**
+ * 球极投影器
+ * 把图像视为环绕一周的全景：宽度绕圆心一周，图像底部（地面）收缩到圆心、顶部（天空）向外展开，
+ * 半径按球极投影 tan(φ/2) 增长，形成“小星球”效果
+ * @class
+ * @extends BaseProjector
+ */
+export class StereographicProjector extends BaseProjector {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'stereographic';
+
+    /** @type {number} 星球外缘半径 */
+    this.radius = options.radius || 2;
+
+    /** @type {number} 图像高度对应的天顶角跨度 (0 - π)，越大天空越向外拉伸 */
+    this.fieldOfView = options.fieldOfView || Math.PI * 0.8;
+
+    /** @type {number} 图像水平中心所在的方位角，默认朝上 */
+    this.rotation = options.rotation ?? Math.PI / 2;
+  }
+
+  /**
+   * 应用球极投影
+   * @param {THREE.Mesh} mesh
+   * @param {object} options
+   */
+  apply(mesh, options = {}) {
+    this._saveOriginal(mesh);
+
+    const newGeometry = this.project(this._originalGeometry, options);
+    mesh.geometry.dispose();
+    mesh.geometry = newGeometry;
+
+    console.log('🪐 已应用小星球投影');
+  }
+
+  /**
+   * @param {THREE.BufferGeometry} geometry
+   * @param {object} options
+   * @returns {THREE.BufferGeometry}
+   */
+  project(geometry, options = {}) {
+    const radius = options.radius ?? this.radius;
+    const fieldOfView = Math.min(options.fieldOfView ?? this.fieldOfView, Math.PI * 0.99);
+    const rotation = options.rotation ?? this.rotation;
+    const scale = radius / Math.tan(fieldOfView / 2);
+
+    return this._createTransformedGeometry(geometry, (x, y, z, u, v, _bounds) => {
+      // 顺时针环绕，保持图像左右方向
+      const theta = rotation - (u - 0.5) * Math.PI * 2;
+      const rho = scale * Math.tan((v * fieldOfView) / 2);
+
+      return {
+        x: rho * Math.cos(theta),
+        y: rho * Math.sin(theta),
+        z,
+      };
+    });
+  }
+
+  /**
+   * 设置天顶角跨度
+   * @param {number} fieldOfView - 0 - π
+   */
+  setFieldOfView(fieldOfView) {
+    this.fieldOfView = fieldOfView;
+  }
+}
+
+export default StereographicProjector;
@@ -4,6 +4,10 @@
  */
 
 export { BaseProjector } from './BaseProjector.js';
+export { PlanarProjector } from './PlanarProjector.js';
 export { SphericalProjector } from './SphericalProjector.js';
 export { CylindricalProjector } from './CylindricalProjector.js';
 export { FisheyeProjector } from './FisheyeProjector.js';
+export { StereographicProjector } from './StereographicProjector.js';
+export { EquirectangularProjector } from './EquirectangularProjector.js';
+export { CubemapProjector } from './CubemapProjector.js';
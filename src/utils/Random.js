@@ -0,0 +1,22 @@
+/**
+ * @fileoverview 可复现的伪随机数 - 离线渲染等需要逐次结果一致的场景
+ * @module utils/Random
+ */
+
+/**
+ * 创建带种子的随机数生成器 (mulberry32)
+ * @param {number} seed - 32 位整数种子
+ * @returns {Function} 返回 [0, 1) 随机数的函数，与 Math.random 用法相同
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export default createRandom;
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview CommandHistory 单元测试
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CommandHistory } from '../../src/core/History/CommandHistory.js';
+
+describe('CommandHistory', () => {
+  let history;
+  let state;
+
+  const setValue = (to, mergeKey = null) => {
+    const from = state.value;
+    history.execute({
+      label: `value ${to}`,
+      mergeKey,
+      execute: () => (state.value = to),
+      undo: () => (state.value = from),
+    });
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    history = new CommandHistory({ maxSize: 5, mergeWindow: 500 });
+    state = { value: 0 };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should undo and redo commands in order', () => {
+    setValue(1);
+    setValue(2);
+
+    expect(history.undo()).toBe(true);
+    expect(state.value).toBe(1);
+    expect(history.undo()).toBe(true);
+    expect(state.value).toBe(0);
+    expect(history.undo()).toBe(false);
+
+    expect(history.redo()).toBe(true);
+    expect(state.value).toBe(1);
+  });
+
+  it('should drop the redo branch on new commands', () => {
+    setValue(1);
+    setValue(2);
+    history.undo();
+    setValue(3);
+
+    expect(history.canRedo()).toBe(false);
+    expect(history.getEntries().map((e) => e.label)).toEqual(['value 1', 'value 3']);
+  });
+
+  it('should merge consecutive commands with the same key', () => {
+    setValue(1, 'slider');
+    vi.advanceTimersByTime(100);
+    setValue(2, 'slider');
+    vi.advanceTimersByTime(100);
+    setValue(3, 'slider');
+
+    expect(history.getEntries()).toHaveLength(1);
+    expect(history.getEntries()[0].label).toBe('value 3');
+
+    history.undo();
+    expect(state.value).toBe(0);
+    history.redo();
+    expect(state.value).toBe(3);
+  });
+
+  it('should not merge after the merge window', () => {
+    setValue(1, 'slider');
+    vi.advanceTimersByTime(600);
+    setValue(2, 'slider');
+
+    expect(history.getEntries()).toHaveLength(2);
+  });
+
+  it('should jump to any history position', () => {
+    setValue(1);
+    setValue(2);
+    setValue(3);
+
+    history.jumpTo(1);
+    expect(state.value).toBe(1);
+    expect(history.getEntries().map((e) => e.applied)).toEqual([true, false, false]);
+
+    history.jumpTo(3);
+    expect(state.value).toBe(3);
+
+    history.jumpTo(0);
+    expect(state.value).toBe(0);
+  });
+
+  it('should not record commands executed during undo', () => {
+    history.execute({
+      label: 'outer',
+      execute: () => {},
+      undo: () => setValue(42),
+    });
+    history.undo();
+
+    expect(state.value).toBe(42);
+    expect(history.getEntries()).toHaveLength(1);
+  });
+
+  it('should respect maxSize and notify listeners', () => {
+    const listener = vi.fn();
+    history.onChange(listener);
+
+    for (let i = 1; i <= 7; i++) setValue(i);
+
+    expect(history.getEntries()).toHaveLength(5);
+    expect(history.getEntries()[0].label).toBe('value 3');
+    expect(listener).toHaveBeenCalledTimes(7);
+    expect(listener.mock.calls[6][0]).toMatchObject({ index: 5, canUndo: true, canRedo: false });
+  });
+});
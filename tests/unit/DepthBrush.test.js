@@ -0,0 +1,81 @@
+/**
+ * @fileoverview DepthBrush 单元测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import { DepthBrush, BrushMode } from '../../src/modules/GeometrySystem/DepthBrush.js';
+
+describe('DepthBrush', () => {
+  const width = 32;
+  const height = 32;
+  const at = (depth, x, y) => depth[y * width + x];
+
+  it('should pull depth nearer with a soft falloff', () => {
+    const depth = new Float32Array(width * height).fill(0.5);
+    const brush = new DepthBrush({ mode: BrushMode.PULL, radius: 8, strength: 1, falloff: 1 });
+
+    const rect = brush.beginStroke(depth, width, height, 16, 16);
+    brush.endStroke();
+
+    expect(rect).toEqual([8, 8, 25, 25]);
+    expect(at(depth, 16, 16)).toBeCloseTo(0.52);
+    expect(at(depth, 20, 16)).toBeGreaterThan(0.5);
+    expect(at(depth, 20, 16)).toBeLessThan(at(depth, 16, 16));
+    expect(at(depth, 0, 0)).toBe(0.5);
+  });
+
+  it('should invert push and pull', () => {
+    const depth = new Float32Array(width * height).fill(0.5);
+    const brush = new DepthBrush({ mode: BrushMode.PULL, radius: 4, strength: 1, falloff: 0 });
+
+    brush.beginStroke(depth, width, height, 16, 16, { invert: true });
+    brush.endStroke();
+    expect(at(depth, 16, 16)).toBeCloseTo(0.48);
+  });
+
+  it('should flatten towards the depth under the first dab', () => {
+    // 左右两半深度不同，从左半落笔拖向右半
+    const depth = Float32Array.from({ length: width * height }, (_, i) =>
+      i % width < 16 ? 0.2 : 0.8
+    );
+    const brush = new DepthBrush({ mode: BrushMode.FLATTEN, radius: 4, strength: 1, falloff: 0 });
+
+    brush.beginStroke(depth, width, height, 8, 16);
+    brush.strokeTo(24, 16);
+    const { rect, before } = brush.endStroke();
+
+    expect(at(depth, 24, 16)).toBeCloseTo(0.2);
+    // 返回整个笔画修改前的深度
+    expect(rect).toEqual([4, 12, 29, 21]);
+    const rowLength = rect[2] - rect[0];
+    expect(before[(16 - rect[1]) * rowLength + 24 - rect[0]]).toBeCloseTo(0.8);
+  });
+
+  it('should smooth a step edge', () => {
+    const depth = Float32Array.from({ length: width * height }, (_, i) => (i % width < 16 ? 0 : 1));
+    const brush = new DepthBrush({ mode: BrushMode.SMOOTH, radius: 6, strength: 1, falloff: 0 });
+
+    brush.beginStroke(depth, width, height, 16, 16);
+    brush.endStroke();
+
+    expect(at(depth, 15, 16)).toBeGreaterThan(0);
+    expect(at(depth, 16, 16)).toBeLessThan(1);
+    expect(at(depth, 15, 16)).toBeLessThan(at(depth, 16, 16));
+  });
+
+  it('should clone depth relative to the source point', () => {
+    const depth = new Float32Array(width * height).fill(0.1);
+    depth[4 * width + 4] = 0.9;
+    const brush = new DepthBrush({ mode: BrushMode.CLONE, radius: 3, strength: 1, falloff: 0 });
+
+    // 未设置克隆源时不修改
+    expect(brush.beginStroke(depth, width, height, 20, 20)).toBeNull();
+    brush.endStroke();
+
+    brush.setCloneSource(4, 4);
+    brush.beginStroke(depth, width, height, 20, 20);
+    brush.endStroke();
+    expect(at(depth, 20, 20)).toBeCloseTo(0.9);
+    expect(at(depth, 21, 20)).toBeCloseTo(0.1);
+  });
+});
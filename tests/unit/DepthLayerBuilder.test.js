@@ -0,0 +1,58 @@
+/**
+ * @fileoverview DepthLayerBuilder 单元测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import { DepthLayerBuilder } from '../../src/modules/GeometrySystem/DepthLayerBuilder.js';
+
+describe('DepthLayerBuilder', () => {
+  const builder = new DepthLayerBuilder(null, null);
+  const width = 32;
+  const height = 32;
+
+  /** 背景 0.2，中间方块 0.8（前景） */
+  const depth = Float32Array.from({ length: width * height }, (_, i) => {
+    const x = i % width;
+    const y = Math.floor(i / width);
+    return x >= 8 && x < 24 && y >= 8 && y < 24 ? 0.8 : 0.2;
+  });
+
+  it('should place a cut at the depth discontinuity', () => {
+    const cuts = builder.findCuts(depth, width, height, { layerCount: 3, threshold: 0.1 });
+
+    expect(cuts).toHaveLength(1);
+    expect(cuts[0]).toBeGreaterThan(0.2);
+    expect(cuts[0]).toBeLessThan(0.8);
+
+    const labels = builder.labelLayers(depth, cuts);
+    expect(labels[0]).toBe(0);
+    expect(labels[16 * width + 16]).toBe(1);
+  });
+
+  it('should not cut smooth depth gradients', () => {
+    const ramp = Float32Array.from({ length: width * height }, (_, i) => (i % width) / width);
+    expect(builder.findCuts(ramp, width, height, { layerCount: 4, threshold: 0.1 })).toEqual([]);
+  });
+
+  it('should inpaint the background behind the foreground', () => {
+    const color = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+      const foreground = depth[i] > 0.5;
+      color.set(foreground ? [255, 0, 0, 255] : [0, 0, 255, 255], i * 4);
+    }
+    const labels = builder.labelLayers(depth, [0.5]);
+
+    const background = builder.buildLayer(depth, color, labels, 0, width, height);
+    const center = 16 * width + 16;
+    expect(background.depth[center]).toBeCloseTo(0.2, 3);
+    expect(Array.from(background.rgba.subarray(center * 4, center * 4 + 4))).toEqual([
+      0, 0, 255, 255,
+    ]);
+
+    // 前景层只保留前景像素，背景透明
+    const foreground = builder.buildLayer(depth, color, labels, 1, width, height);
+    expect(foreground.rgba[center * 4 + 3]).toBe(255);
+    expect(foreground.rgba[3]).toBe(0);
+    expect(foreground.depth[center]).toBeCloseTo(0.8, 3);
+  });
+});
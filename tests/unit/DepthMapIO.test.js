@@ -0,0 +1,67 @@
+/**
+ * @fileoverview DepthMapIO 单元测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import { DepthMapIO, isDepthMapFile } from '../../src/modules/InputSystem/DepthMapIO.js';
+
+describe('DepthMapIO', () => {
+  const io = new DepthMapIO();
+  const width = 5;
+  const height = 3;
+
+  /** 非对称渐变，可检测行列翻转 */
+  const depth = Float32Array.from({ length: width * height }, (_, i) => i / (width * height - 1));
+
+  /** jsdom 的 File 不支持 arrayBuffer()，用等价的最小对象代替 */
+  const toFile = (bytes, name) => ({ name, arrayBuffer: async () => bytes.slice().buffer });
+
+  it('should round-trip depth through 16-bit PNG', async () => {
+    const bytes = await io.encodePNG16(depth, width, height);
+
+    // IHDR: 16 位灰度
+    expect(bytes[24]).toBe(16);
+    expect(bytes[25]).toBe(0);
+
+    const decoded = await io.decode(toFile(bytes, 'scene_depth.png'));
+    expect(decoded.width).toBe(width);
+    expect(decoded.height).toBe(height);
+    decoded.data.forEach((v, i) => expect(v).toBeCloseTo(depth[i], 4));
+  });
+
+  it('should round-trip depth through float EXR', async () => {
+    const bytes = await io.encodeEXR(depth, width, height);
+    const decoded = await io.decode(toFile(bytes, 'scene.exr'));
+
+    expect(decoded.width).toBe(width);
+    decoded.data.forEach((v, i) => expect(v).toBeCloseTo(depth[i], 5));
+  });
+
+  it('should convert metric EXR distance to normalized inverse depth', async () => {
+    const distance = Float32Array.from([1, 2, 4, 8]);
+    const bytes = await io.encodeEXR(distance, 2, 2);
+    const { data } = await io.decode(toFile(bytes, 'zdepth.exr'));
+
+    // 最近处为 1，最远处为 0
+    expect(data[0]).toBeCloseTo(1);
+    expect(data[3]).toBeCloseTo(0);
+    expect(data[1]).toBeGreaterThan(data[2]);
+  });
+
+  it('should mark pixels without a valid distance as NaN', async () => {
+    const bytes = await io.encodeEXR(Float32Array.from([1, 2, 0, 8]), 2, 2);
+    const { data } = await io.decode(toFile(bytes, 'zdepth.exr'));
+
+    expect(data[2]).toBeNaN();
+    // 最远的有效像素仍为 0
+    expect(data[3]).toBeCloseTo(0);
+  });
+
+  it('should recognize depth map file names', () => {
+    expect(isDepthMapFile(new File([], 'IMG_0001_depth.png'))).toBe(true);
+    expect(isDepthMapFile(new File([], 'Disparity.jpg'))).toBe(true);
+    expect(isDepthMapFile(new File([], 'render.exr'))).toBe(true);
+    expect(isDepthMapFile(new File([], 'photo.jpg'))).toBe(false);
+    expect(isDepthMapFile(new File([], 'depthfield.png'))).toBe(false);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview DepthMeshBaker 单元测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { MeshGenerator, DisplacementMode } from '../../src/modules/GeometrySystem/MeshGenerator.js';
+import { DepthMeshBaker } from '../../src/modules/GeometrySystem/DepthMeshBaker.js';
+
+describe('DepthMeshBaker', () => {
+  const baker = new DepthMeshBaker();
+
+  /** 与 ImageProcessor.createDepthTexture 相同的 RGBA8 深度纹理 */
+  const makeDepthTexture = (width, height, fn) => {
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        data[(y * width + x) * 4] = Math.floor(fn(x, y) * 255);
+      }
+    }
+    return new THREE.DataTexture(data, width, height, THREE.RGBAFormat);
+  };
+
+  const makeMesh = (depthTexture, resolution = 8, depthScale = 2) =>
+    new MeshGenerator().generateFromDepthMap(depthTexture, new THREE.Texture(), {
+      resolution,
+      depthScale,
+    });
+
+  it('should bake shader displacement into vertex positions', () => {
+    const mesh = makeMesh(makeDepthTexture(4, 4, () => 1));
+    mesh.position.set(0, 0, 1);
+
+    const { geometry, stats } = baker.bake(mesh);
+
+    expect(stats).toEqual({ vertices: 81, triangles: 128, trimmed: 0 });
+    const z = geometry.attributes.position.array.filter((_, i) => i % 3 === 2);
+    expect(z.every((value) => Math.abs(value - 3) < 1e-6)).toBe(true);
+    expect(geometry.attributes.normal).toBeDefined();
+  });
+
+  it('should decimate the grid while keeping its border', () => {
+    const mesh = makeMesh(makeDepthTexture(4, 4, () => 0.5));
+
+    const { geometry, stats } = baker.bake(mesh, { decimation: 3 });
+
+    // 8 段按步长 3 保留 0, 3, 6, 8
+    expect(stats.vertices).toBe(16);
+    geometry.computeBoundingBox();
+    expect(geometry.boundingBox.min.x).toBeCloseTo(-0.5);
+    expect(geometry.boundingBox.max.x).toBeCloseTo(0.5);
+  });
+
+  it('should trim triangles spanning depth discontinuities and holes', () => {
+    // 左半为空洞 (0)，右半为前景 (1)
+    const texture = makeDepthTexture(8, 8, (x) => (x < 4 ? 0 : 1));
+    const mesh = makeMesh(texture, 8);
+
+    const full = baker.bake(mesh).stats;
+    const edges = baker.bake(mesh, { edgeThreshold: 0.3 }).stats;
+    const holes = baker.bake(mesh, { edgeThreshold: 0.3, holeThreshold: 0.1 }).stats;
+
+    expect(edges.trimmed).toBeGreaterThan(0);
+    expect(edges.triangles).toBe(full.triangles - edges.trimmed);
+    expect(holes.triangles).toBeLessThan(edges.triangles);
+    expect(holes.vertices).toBeLessThan(edges.vertices);
+  });
+
+  it('should bake radial displacement towards the sphere centre for panoramas', () => {
+    const generator = new MeshGenerator();
+    const mesh = generator.generateFromDepthMap(
+      makeDepthTexture(4, 4, () => 1),
+      new THREE.Texture(),
+      {
+        resolution: 4,
+        depthScale: 1,
+      }
+    );
+    // 模拟全景球：所有顶点位于半径 2 的球面上
+    const position = mesh.geometry.attributes.position;
+    for (let i = 0; i < position.count; i++) {
+      const p = new THREE.Vector3(position.getX(i), position.getY(i), -1).setLength(2);
+      position.setXYZ(i, p.x, p.y, p.z);
+    }
+    generator.updateDisplacementMode(mesh, DisplacementMode.RADIAL);
+
+    const { geometry } = baker.bake(mesh);
+
+    const baked = geometry.attributes.position;
+    for (let i = 0; i < baked.count; i++) {
+      // 深度 1 → 半径减半
+      expect(new THREE.Vector3().fromBufferAttribute(baked, i).length()).toBeCloseTo(1, 5);
+    }
+  });
+});
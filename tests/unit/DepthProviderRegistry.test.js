@@ -0,0 +1,122 @@
+/**
+ * @fileoverview DepthProviderRegistry / DepthProvider 单元测试
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  DepthProviderRegistry,
+  depthProviderRegistry,
+  FALLBACK_DEPTH_PROVIDER,
+} from '../../src/core/AIEngine/DepthProviderRegistry.js';
+import { DepthProvider, DepthOutput } from '../../src/core/AIEngine/DepthProvider.js';
+import { OnnxDepthEstimator, OnnxDepthKind } from '../../src/core/AIEngine/OnnxDepthEstimator.js';
+import { inferenceQueue } from '../../src/core/AIEngine/InferenceQueue.js';
+
+describe('DepthProviderRegistry', () => {
+  it('should register the built-in backends', () => {
+    const ids = depthProviderRegistry.list().map((entry) => entry.id);
+    expect(ids).toContain('depth-anything-v2-full');
+    expect(ids).toContain('depth-anything-v2-q4f16');
+    expect(ids).toContain('midas-small');
+    expect(ids).toContain(FALLBACK_DEPTH_PROVIDER);
+  });
+
+  it('should create providers implementing the common contract', () => {
+    const provider = depthProviderRegistry.create('depth-anything-v2-q4f16', { downloader: null });
+    expect(provider).toBeInstanceOf(DepthProvider);
+    expect(provider.getInputSize()).toBe(518);
+    expect(provider.getOutputType()).toBe(DepthOutput.RELATIVE);
+  });
+
+  it('should map near to large values for every built-in provider', async () => {
+    // 模型原始输出为视差：左侧像素更近（值更大）
+    const disparity = { data: Float32Array.from([8, 2]) };
+    for (const id of ['depth-anything-v2-full', 'depth-anything-v2-q4f16']) {
+      const provider = depthProviderRegistry.create(id, { downloader: null });
+      const [near, far] = provider._postprocessOutput({ depth: disparity });
+      expect(near, id).toBeGreaterThan(far);
+    }
+    const [near, far] = depthProviderRegistry
+      .create('midas-small')
+      ._postprocessOutput({ output: disparity });
+    expect(near).toBeGreaterThan(far);
+
+    // 启发式：亮处更近
+    vi.stubGlobal(
+      'ImageData',
+      class {
+        constructor(data, width, height) {
+          Object.assign(this, { data, width, height });
+        }
+      }
+    );
+    const pixels = new Uint8ClampedArray([255, 255, 255, 255, 0, 0, 0, 255]);
+    const { data } = await depthProviderRegistry
+      .create(FALLBACK_DEPTH_PROVIDER)
+      .estimate(new ImageData(pixels, 2, 1));
+    expect(data[0]).toBeGreaterThan(data[1]);
+    vi.unstubAllGlobals();
+  });
+
+  it('should register user ONNX models as custom entries', () => {
+    const registry = new DepthProviderRegistry();
+    const id = registry.registerOnnx('metric.onnx', new ArrayBuffer(8), {
+      kind: OnnxDepthKind.METRIC,
+      inputSize: 392,
+    });
+
+    expect(registry.list()).toEqual([
+      { id, name: 'metric.onnx', description: '自定义 ONNX 模型', custom: true },
+    ]);
+    const provider = registry.create(id);
+    expect(provider).toBeInstanceOf(OnnxDepthEstimator);
+    expect(provider.getInputSize()).toBe(392);
+    expect(provider.getOutputType()).toBe(DepthOutput.METRIC);
+    expect(() => registry.create('missing')).toThrow('未知深度后端');
+  });
+});
+
+describe('OnnxDepthEstimator', () => {
+  /** 跳过模型加载与图像预处理，推理结果为给定张量 */
+  function createEstimator(output) {
+    const estimator = new OnnxDepthEstimator({ model: new ArrayBuffer(8), inputSize: 4 });
+    estimator._session = { inputNames: ['image'], outputNames: ['depth'] };
+    vi.spyOn(estimator, '_toImageFeed').mockReturnValue({});
+    vi.spyOn(inferenceQueue, 'run').mockResolvedValue({ depth: output });
+    return estimator;
+  }
+
+  it('should take the depth size from the output tensor shape', async () => {
+    const estimator = createEstimator({ data: new Float32Array(6).fill(1), dims: [1, 1, 2, 3] });
+    const result = await estimator.estimate(null);
+
+    expect([result.width, result.height]).toEqual([3, 2]);
+    expect(result.confidence).toHaveLength(6);
+    vi.restoreAllMocks();
+  });
+
+  it('should reject outputs that are not a single-channel depth map', async () => {
+    const estimator = createEstimator({ data: new Float32Array(12), dims: [1, 2, 2, 3] });
+
+    await expect(estimator.estimate(null)).rejects.toThrow('不是单通道深度图');
+    vi.restoreAllMocks();
+  });
+});
+
+describe('DepthProvider', () => {
+  it('should normalize disparity and distance outputs so that near is large', () => {
+    expect(Array.from(DepthProvider.normalize([2, 4, 6]).data)).toEqual([0, 0.5, 1]);
+
+    const { data, min, max } = DepthProvider.normalize([2, 4, 6], false);
+    expect(Array.from(data)).toEqual([1, 0.5, 0]);
+    expect([min, max]).toEqual([2, 6]);
+  });
+
+  it('should lower confidence at depth discontinuities', () => {
+    // 3×1：左侧平坦，右侧断层
+    const confidence = DepthProvider.gradientConfidence(Float32Array.from([0.5, 0.5, 1]), 3, 1);
+    expect(confidence[0]).toBe(1);
+    expect(confidence[1]).toBe(0);
+    expect(confidence[2]).toBe(1);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview DepthRefiner 单元测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DepthRefiner,
+  UpsampleMethod,
+  clearHoles,
+  fillHoles,
+  medianFilter,
+  remapDepth,
+} from '../../src/modules/EnhancementSystem/DepthRefiner.js';
+
+/**
+ * 左半黑、右半白的引导图
+ */
+function splitGuide(width, height, edge) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const value = x < edge ? 0 : 255;
+      data[i] = data[i + 1] = data[i + 2] = value;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+/**
+ * 与引导图同一位置断层的低分辨率深度：左侧远 (0.2)，右侧近 (0.8)
+ */
+function splitDepth(width, height, edge) {
+  const data = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) data[y * width + x] = x < edge ? 0.2 : 0.8;
+  }
+  return data;
+}
+
+describe('DepthRefiner', () => {
+  it('should fill invalid pixels from surrounding depth', () => {
+    const data = new Float32Array([0.5, 0.5, 0.5, 0.5, NaN, 0.5, 0.5, Infinity, 0.5]);
+    const result = fillHoles(data, 3, 3);
+
+    expect(result[4]).toBeCloseTo(0.5, 5);
+    expect(result[7]).toBeCloseTo(0.5, 5);
+    expect(result[0]).toBe(0.5);
+  });
+
+  it('should keep the normalized far plane (0) as valid depth', () => {
+    // 黑色天空：上排为最远处
+    const data = new Float32Array([0, 0, 0, 0.5, NaN, 0.5, 0.5, 0.5, 0.5]);
+    const result = fillHoles(data, 3, 3);
+
+    expect(Array.from(result.subarray(0, 3))).toEqual([0, 0, 0]);
+    expect(Number.isFinite(result[4])).toBe(true);
+    expect(Array.from(clearHoles(data))).toEqual([0, 0, 0, 0.5, 0, 0.5, 0.5, 0.5, 0.5]);
+  });
+
+  it('should remove isolated spikes with the median filter', () => {
+    const data = new Float32Array(25).fill(0.3);
+    data[12] = 1;
+    const result = medianFilter(data, 5, 5, 1);
+
+    expect(result[12]).toBeCloseTo(0.3, 5);
+    expect(result[0]).toBeCloseTo(0.3, 5);
+  });
+
+  it('should clip and reshape depth with the remap curve', () => {
+    const result = remapDepth(new Float32Array([0.1, 0.2, 0.6, 1]), {
+      low: 0.2,
+      high: 0.6,
+      gamma: 2,
+    });
+    [0, 0, 1, 1].forEach((value, i) => expect(result[i]).toBeCloseTo(value, 5));
+
+    const mid = remapDepth(new Float32Array([0.5]), { gamma: 2 });
+    expect(mid[0]).toBeCloseTo(0.25, 5);
+  });
+
+  it.each([UpsampleMethod.JOINT_BILATERAL, UpsampleMethod.GUIDED])(
+    'should keep depth edges aligned to the guide with %s upsampling',
+    (upsample) => {
+      // 8× 放大，断层位于第 4 列源像素 = 第 32 列目标像素
+      const guide = splitGuide(64, 16, 32);
+      const refiner = new DepthRefiner({ upsample, fillHoles: false });
+      const refined = refiner.refine(splitDepth(8, 2, 4), 8, 2, guide);
+      const bilinear = new DepthRefiner({ upsample: UpsampleMethod.BILINEAR }).refine(
+        splitDepth(8, 2, 4),
+        8,
+        2,
+        guide
+      );
+
+      expect(refined.length).toBe(64 * 16);
+      const row = 8 * 64;
+      // 边缘两侧紧邻像素：双线性在数个像素内渐变，边缘保持方法在一个像素内完成断层
+      expect(bilinear[row + 32] - bilinear[row + 31]).toBeLessThan(0.1);
+      expect(refined[row + 32] - refined[row + 31]).toBeGreaterThan(0.4);
+      expect(refined[row]).toBeCloseTo(0.2, 1);
+      expect(refined[row + 63]).toBeCloseTo(0.8, 1);
+    }
+  );
+});
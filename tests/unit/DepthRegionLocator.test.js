@@ -0,0 +1,82 @@
+/**
+ * @fileoverview DepthRegionLocator 单元测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { MeshGenerator } from '../../src/modules/GeometrySystem/MeshGenerator.js';
+import { DepthRegionLocator } from '../../src/modules/GeometrySystem/DepthRegionLocator.js';
+
+describe('DepthRegionLocator', () => {
+  const locator = new DepthRegionLocator();
+  const width = 20;
+  const height = 10;
+
+  /** 背景 0.1，右下方块 0.9 */
+  const depth = Float32Array.from({ length: width * height }, (_, i) => {
+    const x = i % width;
+    const y = Math.floor(i / width);
+    return x >= 10 && y >= 5 ? 0.9 : 0.1;
+  });
+
+  it('should measure the object depth from the core of the box', () => {
+    // 框略大于物体，边缘混入背景
+    const region = locator.measure([8, 3, 12, 7], depth, width, height);
+
+    expect(region.depth).toBeCloseTo(0.9);
+    expect(region.rect).toEqual([0.4, 0.3, 1, 1]);
+    expect(region.center[0]).toBeCloseTo(0.7);
+    expect(region.center[1]).toBeCloseTo(0.65);
+  });
+
+  it('should return null for boxes outside the image', () => {
+    expect(locator.measure([-10, -10, 5, 5], depth, width, height)).toBeNull();
+  });
+
+  it('should map image coordinates onto the displaced mesh', () => {
+    const mesh = new MeshGenerator().generateFromDepthMap(
+      new THREE.Texture(),
+      new THREE.Texture(),
+      {
+        resolution: 4,
+        depthScale: 2,
+        width: 2,
+        height: 1,
+      }
+    );
+    mesh.position.set(0, 0, -1);
+
+    // 图像左上角 → 平面左上顶点
+    const topLeft = locator.toWorld(mesh, 0, 0, 0.5);
+    expect(topLeft.toArray()).toEqual([-1, 0.5, 0]);
+
+    const bottomRight = locator.toLocal(mesh, 1, 1, 0);
+    expect(bottomRight.toArray()).toEqual([1, -0.5, 0]);
+  });
+
+  it('should pick the displaced surface rather than the flat base geometry', () => {
+    const mesh = new MeshGenerator().generateFromDepthMap(
+      new THREE.Texture(),
+      new THREE.Texture(),
+      { resolution: 20, width: 2, height: 1 }
+    );
+
+    // 斜射线命中抬高的右下方块 (局部 0.5, -0.25, 0.9)；与平面求交会落在方块左边缘附近
+    const direction = new THREE.Vector3(-0.5, 0, -1).normalize();
+    const origin = new THREE.Vector3(1.5, -0.25, 2.9);
+    const hit = locator.pick(mesh, new THREE.Ray(origin, direction), depth, width, height);
+
+    expect(hit.u).toBeCloseTo(0.75);
+    expect(hit.v).toBeCloseTo(0.75);
+  });
+
+  it('should return null when the ray misses the mesh', () => {
+    const mesh = new MeshGenerator().generateFromDepthMap(
+      new THREE.Texture(),
+      new THREE.Texture(),
+      { resolution: 4, width: 2, height: 1 }
+    );
+    const ray = new THREE.Ray(new THREE.Vector3(5, 5, 3), new THREE.Vector3(0, 0, -1));
+    expect(locator.pick(mesh, ray, depth, width, height)).toBeNull();
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview DepthSequence 单元测试
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { DepthSequence } from '../../src/modules/GeometrySystem/DepthSequence.js';
+
+describe('DepthSequence', () => {
+  let sequence;
+  let mesh;
+
+  beforeEach(() => {
+    sequence = new DepthSequence({ fps: 10, width: 2, height: 1 });
+    for (let i = 0; i < 5; i++) {
+      const canvas = document.createElement('canvas');
+      canvas.dataset.frame = String(i);
+      sequence.addFrame(canvas, new Float32Array([i / 4, 1 - i / 4]));
+    }
+
+    const depthTexture = new THREE.DataTexture(new Uint8Array(8), 2, 1, THREE.RGBAFormat);
+    mesh = {
+      material: {
+        uniforms: {
+          depthMap: { value: depthTexture },
+          colorMap: { value: new THREE.Texture() },
+        },
+      },
+    };
+  });
+
+  it('should report duration and map time to frames', () => {
+    expect(sequence.frameCount).toBe(5);
+    expect(sequence.duration).toBeCloseTo(0.5);
+    expect(sequence.getFrameIndex(0)).toBe(0);
+    expect(sequence.getFrameIndex(0.3)).toBe(3);
+    expect(sequence.getFrameIndex(10)).toBe(4);
+  });
+
+  it('should reject depth frames with the wrong size', () => {
+    expect(() =>
+      sequence.addFrame(document.createElement('canvas'), new Float32Array(3))
+    ).toThrow();
+  });
+
+  it('should write the current frame into the mesh textures', () => {
+    sequence.bindMesh(mesh);
+    sequence.seek(0.4);
+
+    const { depthMap, colorMap } = mesh.material.uniforms;
+    expect(colorMap.value.image.dataset.frame).toBe('4');
+    expect(depthMap.value.image.data[0]).toBe(255);
+    expect(depthMap.value.image.data[4]).toBe(0);
+    expect(depthMap.value.version).toBeGreaterThan(0);
+  });
+
+  it('should advance while playing and loop', () => {
+    const onUpdate = vi.fn();
+    sequence.onUpdate(onUpdate);
+    sequence.bindMesh(mesh);
+    sequence.play();
+
+    sequence.update(0.25);
+    expect(sequence.currentFrame).toBe(2);
+
+    sequence.update(0.35);
+    expect(sequence.currentTime).toBeCloseTo(0.1);
+    expect(onUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  it('should stop at the end when not looping', () => {
+    const onComplete = vi.fn();
+    sequence.loop = false;
+    sequence.onComplete(onComplete);
+    sequence.play();
+    sequence.update(1);
+
+    expect(sequence.isPlaying).toBe(false);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview GifEncoder 单元测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import { GifEncoder, quantize } from '../../src/core/Utils/GifEncoder.js';
+
+/**
+ * 最小 GIF 解析器：读取循环次数、帧延迟并解码 LZW 索引
+ */
+function parseGif(bytes) {
+  let pos = 0;
+  const byte = () => bytes[pos++];
+  const short = () => byte() | (byte() << 8);
+
+  const header = String.fromCharCode(...bytes.slice(0, 6));
+  pos = 6;
+  const width = short();
+  const height = short();
+  const flags = byte();
+  pos += 2;
+  const paletteSize = 3 << ((flags & 7) + 1);
+  const palette = bytes.slice(pos, pos + paletteSize);
+  pos += paletteSize;
+
+  const readSubBlocks = () => {
+    const data = [];
+    let size;
+    while ((size = byte()) !== 0) {
+      for (let i = 0; i < size; i++) data.push(byte());
+    }
+    return data;
+  };
+
+  const result = { header, width, height, palette, loop: null, frames: [], trailer: false };
+  let delay = 0;
+  while (pos < bytes.length) {
+    const block = byte();
+    if (block === 0x3b) {
+      result.trailer = true;
+      break;
+    }
+    if (block === 0x21) {
+      const label = byte();
+      const data = readSubBlocks();
+      if (label === 0xff) result.loop = data[12] | (data[13] << 8);
+      if (label === 0xf9) delay = data[1] | (data[2] << 8);
+    } else if (block === 0x2c) {
+      pos += 9;
+      const minCodeSize = byte();
+      result.frames.push({ delay, indices: lzwDecode(readSubBlocks(), minCodeSize) });
+    }
+  }
+  return result;
+}
+
+function lzwDecode(data, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let dictionary = [];
+  const reset = () => {
+    dictionary = [];
+    for (let i = 0; i < clearCode; i++) dictionary.push([i]);
+    dictionary.push([], []);
+    codeSize = minCodeSize + 1;
+  };
+
+  const output = [];
+  let bitPos = 0;
+  let previous = null;
+  reset();
+  for (;;) {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++) {
+      const bit = (data[(bitPos + i) >> 3] >> ((bitPos + i) & 7)) & 1;
+      code |= bit << i;
+    }
+    bitPos += codeSize;
+
+    if (code === clearCode) {
+      reset();
+      previous = null;
+      continue;
+    }
+    if (code === endCode) break;
+
+    let entry;
+    if (code < dictionary.length) {
+      entry = dictionary[code];
+      if (previous) dictionary.push([...previous, entry[0]]);
+    } else {
+      entry = [...previous, previous[0]];
+      dictionary.push(entry);
+    }
+    output.push(...entry);
+    previous = entry;
+    if (dictionary.length === 1 << codeSize && codeSize < 12) codeSize++;
+  }
+  return output;
+}
+
+describe('GifEncoder', () => {
+  const solid = (width, height, [r, g, b]) => {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < pixels.length; i += 4) {
+      pixels[i] = r;
+      pixels[i + 1] = g;
+      pixels[i + 2] = b;
+      pixels[i + 3] = 255;
+    }
+    return pixels;
+  };
+
+  it('should quantize to the dominant colors', () => {
+    const palette = quantize(
+      [solid(4, 4, [255, 0, 0]), solid(4, 4, [0, 0, 255]), solid(4, 4, [0, 255, 0])],
+      4
+    );
+
+    const colors = [];
+    for (let i = 0; i < palette.length; i += 3) colors.push([...palette.slice(i, i + 3)]);
+    expect(colors).toEqual(
+      expect.arrayContaining([
+        [255, 0, 0],
+        [0, 255, 0],
+        [0, 0, 255],
+      ])
+    );
+  });
+
+  it('should write a valid looping GIF89a with drift-free delays', () => {
+    const palette = new Uint8Array([0, 0, 0, 255, 255, 255]);
+    const encoder = new GifEncoder(2, 2, { palette, loop: 0, dither: false });
+    for (let i = 0; i < 3; i++) encoder.addFrame(solid(2, 2, [255, 255, 255]), 1000 / 15);
+
+    const gif = parseGif(encoder.finish());
+    expect(gif.header).toBe('GIF89a');
+    expect(gif.width).toBe(2);
+    expect(gif.loop).toBe(0);
+    expect(gif.trailer).toBe(true);
+    // 15 fps：7 + 6 + 7 厘秒 = 0.2 秒
+    expect(gif.frames.map((f) => f.delay)).toEqual([7, 6, 7]);
+  });
+
+  it('should omit the loop extension when playing once', () => {
+    const palette = new Uint8Array([0, 0, 0, 255, 255, 255]);
+    const encoder = new GifEncoder(1, 1, { palette, loop: -1 });
+    encoder.addFrame(solid(1, 1, [0, 0, 0]), 100);
+
+    expect(parseGif(encoder.finish()).loop).toBeNull();
+  });
+
+  it('should write a finite repeat count', () => {
+    const palette = new Uint8Array([0, 0, 0, 255, 255, 255]);
+    const encoder = new GifEncoder(1, 1, { palette, loop: 3 });
+    encoder.addFrame(solid(1, 1, [0, 0, 0]), 100);
+
+    expect(parseGif(encoder.finish()).loop).toBe(3);
+  });
+
+  it('should round-trip pixel indices through LZW, including table resets', () => {
+    const colors = new Uint8Array(256 * 3);
+    for (let i = 0; i < 256; i++) colors.set([i, (i * 7) & 255, (i * 13) & 255], i * 3);
+
+    const width = 128;
+    const height = 96;
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    const expected = [];
+    let seed = 1;
+    for (let i = 0; i < width * height; i++) {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      const index = seed % 256;
+      expected.push(index);
+      pixels.set([index, (index * 7) & 255, (index * 13) & 255, 255], i * 4);
+    }
+
+    const encoder = new GifEncoder(width, height, { palette: colors, dither: false });
+    encoder.addFrame(pixels, 100);
+    const gif = parseGif(encoder.finish());
+
+    const decoded = gif.frames[0].indices.map((index) => [
+      ...gif.palette.slice(index * 3, index * 3 + 3),
+    ]);
+    expect(decoded).toEqual(
+      expected.map((index) => [index, (index * 7) & 255, (index * 13) & 255])
+    );
+  });
+});
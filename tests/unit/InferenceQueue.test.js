@@ -0,0 +1,152 @@
+/**
+ * @fileoverview InferenceQueue / InferenceWorker 单元测试
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { InferenceQueue, JobStage } from '../../src/core/AIEngine/InferenceQueue.js';
+import { imageToTensor } from '../../src/core/AIEngine/InferenceWorker.js';
+
+/**
+ * 主线程后端：run 在 release(jobId) 之前保持未完成
+ */
+function createFakeBackend() {
+  const pending = new Map();
+  const api = {
+    loadSession: vi.fn(async () => ({ inputNames: ['image'], outputNames: ['depth'] })),
+    releaseSession: vi.fn(async () => {}),
+    cancel: vi.fn(),
+    run: vi.fn(async (jobId, key, feeds, onStage) => {
+      await onStage('preprocess');
+      await onStage('inference');
+      await new Promise((resolve) => pending.set(jobId, resolve));
+      await onStage('postprocess');
+      return { depth: { type: 'float32', data: new Float32Array([jobId]), dims: [1] } };
+    }),
+  };
+  const release = async (jobId) => {
+    await vi.waitFor(() => expect(pending.has(jobId)).toBe(true));
+    pending.get(jobId)();
+  };
+  return { api, release, createBackend: async () => ({ api, remote: false }) };
+}
+
+describe('InferenceQueue', () => {
+  it('should run jobs one at a time in submission order with per-job progress', async () => {
+    const backend = createFakeBackend();
+    const queue = new InferenceQueue({ createBackend: backend.createBackend });
+    await queue.loadModel('model', new ArrayBuffer(4));
+
+    const stages = [];
+    const first = queue.run('model', {}, { onProgress: ({ stage }) => stages.push(stage) });
+    const second = queue.run('model', {});
+    expect(queue.getPendingCount()).toBe(2);
+
+    await backend.release(1);
+    expect((await first).depth.data[0]).toBe(1);
+    expect(stages).toEqual([
+      JobStage.QUEUED,
+      JobStage.PREPROCESS,
+      JobStage.INFERENCE,
+      JobStage.POSTPROCESS,
+      JobStage.DONE,
+    ]);
+
+    await backend.release(2);
+    expect((await second).depth.data[0]).toBe(2);
+    expect(backend.api.run).toHaveBeenCalledTimes(2);
+    expect(queue.getPendingCount()).toBe(0);
+  });
+
+  it('should reject cancelled jobs and discard results of the running one', async () => {
+    const backend = createFakeBackend();
+    const queue = new InferenceQueue({ createBackend: backend.createBackend });
+    await queue.loadModel('model', 'model.onnx');
+
+    const running = queue.run('model', {});
+    const queued = queue.run('model', {});
+    await vi.waitFor(() => expect(backend.api.run).toHaveBeenCalledTimes(1));
+
+    queue.cancelAll();
+    await expect(running).rejects.toMatchObject({ name: 'AbortError' });
+    await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+    expect(backend.api.cancel).toHaveBeenCalledWith(1);
+
+    // 执行中的任务结束后队列继续可用，被取消的等待任务不会执行
+    await backend.release(1);
+    const next = queue.run('model', {});
+    await backend.release(3);
+    expect((await next).depth.data[0]).toBe(3);
+    expect(backend.api.run).toHaveBeenCalledTimes(2);
+  });
+
+  it('should honour abort signals', async () => {
+    const backend = createFakeBackend();
+    const queue = new InferenceQueue({ createBackend: backend.createBackend });
+    await queue.loadModel('model', new Uint8Array(4));
+
+    const controller = new AbortController();
+    controller.abort();
+    await expect(queue.run('model', {}, { signal: controller.signal })).rejects.toMatchObject({
+      name: 'AbortError',
+    });
+
+    const later = new AbortController();
+    const job = queue.run('model', {}, { signal: later.signal });
+    later.abort();
+    await expect(job).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('should resolve relative model URLs against the page', async () => {
+    const backend = createFakeBackend();
+    const queue = new InferenceQueue({ createBackend: backend.createBackend });
+    await queue.loadModel('yolo', './models/yolov8n.onnx');
+
+    const [, source] = backend.api.loadSession.mock.calls[0];
+    expect(source).toBe(new URL('./models/yolov8n.onnx', location.href).href);
+    expect(queue.hasModel('yolo')).toBe(true);
+
+    await queue.releaseModel('yolo');
+    expect(backend.api.releaseSession).toHaveBeenCalledWith('yolo');
+    expect(queue.hasModel('yolo')).toBe(false);
+  });
+
+  it('should keep a shared session until every owner has released it', async () => {
+    const backend = createFakeBackend();
+    const queue = new InferenceQueue({ createBackend: backend.createBackend });
+    // 例如对比窗口为当前后端另建了一个估计器
+    await queue.loadModel('depth', new ArrayBuffer(4));
+    await queue.loadModel('depth', new ArrayBuffer(4));
+    expect(backend.api.loadSession).toHaveBeenCalledTimes(1);
+
+    await queue.releaseModel('depth');
+    expect(backend.api.releaseSession).not.toHaveBeenCalled();
+    expect(queue.hasModel('depth')).toBe(true);
+
+    await queue.releaseModel('depth');
+    expect(backend.api.releaseSession).toHaveBeenCalledWith('depth');
+    expect(queue.hasModel('depth')).toBe(false);
+  });
+});
+
+describe('InferenceWorker', () => {
+  it('should convert RGBA pixels to normalized NCHW tensors', () => {
+    const pixels = new Uint8ClampedArray([255, 0, 51, 255, 0, 255, 102, 255]);
+    const tensor = imageToTensor({
+      pixels,
+      width: 2,
+      height: 1,
+      mean: [0.5, 0, 0],
+      std: [0.5, 1, 1],
+    });
+
+    expect(tensor.dims).toEqual([1, 3, 1, 2]);
+    expect(Array.from(tensor.data)).toEqual([
+      1,
+      -1,
+      0,
+      1,
+      expect.closeTo(0.2, 5),
+      expect.closeTo(0.4, 5),
+    ]);
+  });
+});
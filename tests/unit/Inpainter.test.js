@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Inpainter 单元测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Inpainter } from '../../src/modules/EnhancementSystem/Inpainter.js';
+
+describe('Inpainter', () => {
+  const inpainter = new Inpainter();
+
+  it('should keep known pixels and fill holes between them', () => {
+    const width = 9;
+    const height = 5;
+    // 左半为 0，右半为 1，中间一列未知
+    const values = Float32Array.from({ length: width * height }, (_, i) => (i % width > 4 ? 1 : 0));
+    const known = Uint8Array.from(values, (_, i) => (i % width === 4 ? 0 : 1));
+
+    const filled = inpainter.fill(values, known, width, height);
+
+    expect(filled).not.toBe(values);
+    for (let i = 0; i < filled.length; i++) {
+      if (known[i]) {
+        expect(filled[i]).toBe(values[i]);
+      } else {
+        expect(filled[i]).toBeGreaterThan(0);
+        expect(filled[i]).toBeLessThan(1);
+      }
+    }
+  });
+
+  it('should fill every channel of interleaved data', () => {
+    const values = Float32Array.from([10, 20, 0, 0, 10, 20, 10, 20]);
+    const known = Uint8Array.from([1, 0, 1, 1]);
+
+    const filled = inpainter.fill(values, known, 2, 2, 2);
+
+    expect(filled[2]).toBeCloseTo(10);
+    expect(filled[3]).toBeCloseTo(20);
+  });
+});
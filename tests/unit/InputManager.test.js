@@ -0,0 +1,35 @@
+/**
+ * @fileoverview InputManager 单元测试
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { inputManager } from '../../src/modules/InputSystem/InputManager.js';
+
+describe('InputManager', () => {
+  afterEach(() => {
+    inputManager.actions.clear();
+    document.body.innerHTML = '';
+  });
+
+  it('should not fire shortcuts while typing in a field inside a component', () => {
+    const action = vi.fn();
+    inputManager.registerAction('F', action);
+
+    const host = document.createElement('div');
+    const input = document.createElement('input');
+    host.attachShadow({ mode: 'open' }).appendChild(input);
+    document.body.appendChild(host);
+
+    // 在 window 上监听时 event.target 已被重定向为宿主元素
+    const onKeyDown = (e) => inputManager._onKeyDown(e);
+    window.addEventListener('keydown', onKeyDown);
+    input.dispatchEvent(
+      new KeyboardEvent('keydown', { key: 'f', code: 'KeyF', bubbles: true, composed: true })
+    );
+    window.removeEventListener('keydown', onKeyDown);
+    expect(action).not.toHaveBeenCalled();
+
+    inputManager._onKeyDown(new KeyboardEvent('keydown', { key: 'f', code: 'KeyF' }));
+    expect(action).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview ModelDownloader 单元测试（IndexedDB 以内存桩代替）
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { ModelDownloader } from '../../src/core/AIEngine/ModelDownloader.js';
+
+/** 用内存替代 IndexedDB 读写 */
+function createDownloader(segments = []) {
+  const downloader = new ModelDownloader();
+  const store = { segments: [...segments], cached: null };
+  downloader._getFromCache = async () => store.cached;
+  downloader._getSegments = async () => store.segments.map((s) => s.buffer);
+  downloader._saveSegment = async (id, version, index, data) => {
+    store.segments[index] = data;
+  };
+  downloader._deleteSegments = async () => {
+    store.segments = [];
+  };
+  downloader._saveToCache = async (id, data) => {
+    store.cached = data;
+  };
+  return { downloader, store };
+}
+
+describe('ModelDownloader', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should resume from stored segments with a Range request', async () => {
+    const { downloader, store } = createDownloader([Uint8Array.from([1, 2, 3])]);
+    const fetchMock = vi.fn(async () => new Response(Uint8Array.from([4, 5]), { status: 206 }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const buffer = await downloader.download('yolov8n');
+
+    expect(fetchMock.mock.calls[0][1].headers).toEqual({ Range: 'bytes=3-' });
+    expect(Array.from(new Uint8Array(buffer))).toEqual([1, 2, 3, 4, 5]);
+    expect(store.cached).toBe(buffer);
+    expect(store.segments).toEqual([]);
+  });
+
+  it('should restart when the server ignores the Range header', async () => {
+    const { downloader } = createDownloader([Uint8Array.from([9, 9])]);
+    vi.stubGlobal('fetch', async () => new Response(Uint8Array.from([1, 2, 3]), { status: 200 }));
+
+    const buffer = await downloader.download('yolov8n');
+    expect(Array.from(new Uint8Array(buffer))).toEqual([1, 2, 3]);
+  });
+
+  it('should reject HTML fallback pages instead of caching them', async () => {
+    const { downloader, store } = createDownloader();
+    vi.stubGlobal(
+      'fetch',
+      async () => new Response('<!doctype html>', { headers: { 'Content-Type': 'text/html' } })
+    );
+
+    await expect(downloader.download('yolov8n-seg')).rejects.toThrow('模型文件不存在');
+    expect(store.cached).toBeNull();
+    expect(downloader.isDownloading('yolov8n-seg')).toBe(false);
+  });
+
+  it('should report registered models', () => {
+    const downloader = new ModelDownloader();
+    expect(downloader.has('depth-anything-v2-q4f16')).toBe(true);
+    expect(downloader.has('toString')).toBe(false);
+  });
+});
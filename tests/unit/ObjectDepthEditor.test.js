@@ -0,0 +1,38 @@
+/**
+ * @fileoverview ObjectDepthEditor 单元测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ObjectDepthEditor } from '../../src/modules/GeometrySystem/ObjectDepthEditor.js';
+
+describe('ObjectDepthEditor', () => {
+  const editor = new ObjectDepthEditor();
+
+  // 4 像素：物体占前两个，第二个为半透明边缘
+  const depth = Float32Array.from([0.4, 0.6, 0.2, 0.2]);
+  const mask = { data: Uint8Array.from([255, 128, 0, 0]), width: 4, height: 1 };
+
+  it('should push the object forward weighted by mask alpha', () => {
+    const result = editor.apply(depth, [{ mask, offset: 0.2 }]);
+
+    expect(result[0]).toBeCloseTo(0.6);
+    expect(result[1]).toBeCloseTo(0.6 + (0.2 * 128) / 255);
+    expect(result[2]).toBe(depth[2]);
+    // 原始深度不变
+    expect(depth[0]).toBeCloseTo(0.4);
+  });
+
+  it('should flatten the object towards its median depth', () => {
+    const result = editor.apply(depth, [{ mask, flatten: 1 }]);
+
+    // 内部像素 (alpha ≥ 128) 为 0.4 与 0.6，中值取 0.6
+    expect(result[0]).toBeCloseTo(0.6);
+    expect(result[1]).toBeCloseTo(0.6);
+    expect(result[3]).toBe(depth[3]);
+  });
+
+  it('should clamp depth to the valid range', () => {
+    const result = editor.apply(depth, [{ mask, offset: -1 }]);
+    expect(result[0]).toBe(0);
+  });
+});
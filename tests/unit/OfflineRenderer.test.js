@@ -0,0 +1,125 @@
+/**
+ * @fileoverview OfflineRenderer 单元测试
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { OfflineRenderer } from '../../src/core/Renderer/OfflineRenderer.js';
+
+describe('OfflineRenderer', () => {
+  let sceneManager;
+  let pipeline;
+  let offline;
+
+  beforeEach(() => {
+    sceneManager = {
+      renderer: {
+        getSize: (target) => target.set(800, 600),
+        getPixelRatio: () => 2,
+        setPixelRatio: vi.fn(),
+        setSize: vi.fn(),
+        domElement: {},
+      },
+      camera: { aspect: 800 / 600, updateProjectionMatrix: vi.fn() },
+      controls: { enableDamping: true, autoRotate: true },
+      stop: vi.fn(),
+      start: vi.fn(),
+    };
+    pipeline = {
+      time: 3,
+      setPixelRatio: vi.fn(),
+      setSize: vi.fn(),
+      render: vi.fn(),
+    };
+    offline = new OfflineRenderer(sceneManager, pipeline);
+    vi.spyOn(offline, '_capture').mockImplementation((width, height) => ({ width, height }));
+  });
+
+  it('should step the scene by exact 1/fps increments', async () => {
+    const times = [];
+    const deltas = [];
+    const frames = await offline.render({
+      width: 320,
+      height: 180,
+      fps: 30,
+      duration: 0.1,
+      step: (time, delta) => {
+        times.push(time);
+        deltas.push(delta);
+      },
+    });
+
+    expect(frames).toHaveLength(3);
+    expect(frames[0]).toEqual({ width: 320, height: 180 });
+    expect(times).toEqual([0, 1 / 30, 2 / 30]);
+    expect(deltas).toEqual([0, 1 / 30, 1 / 30]);
+    expect(pipeline.render).toHaveBeenCalledTimes(3);
+  });
+
+  it('should render at the requested size and restore the viewport afterwards', async () => {
+    await offline.render({ width: 1920, height: 1080, fps: 10, duration: 0.1, step: () => {} });
+
+    expect(sceneManager.renderer.setSize).toHaveBeenNthCalledWith(1, 1920, 1080, false);
+    expect(sceneManager.renderer.setSize).toHaveBeenLastCalledWith(800, 600);
+    expect(sceneManager.renderer.setPixelRatio).toHaveBeenLastCalledWith(2);
+    expect(sceneManager.camera.aspect).toBeCloseTo(800 / 600);
+    expect(sceneManager.controls).toEqual({ enableDamping: true, autoRotate: true });
+    expect(pipeline.time).toBe(3);
+    expect(sceneManager.start).toHaveBeenCalled();
+  });
+
+  it('should restore state when a step throws', async () => {
+    const step = () => {
+      throw new Error('boom');
+    };
+    await expect(
+      offline.render({ width: 64, height: 64, fps: 10, duration: 1, step })
+    ).rejects.toThrow('boom');
+
+    expect(offline.isRendering).toBe(false);
+    expect(sceneManager.start).toHaveBeenCalled();
+  });
+
+  it('should crop the tile margin and flip rows to top-down order', () => {
+    // 4×4 目标，外扩 1 像素；R 通道编码为 行×10+列（读回顺序，原点左下）
+    const pixels = new Uint8Array(4 * 4 * 4);
+    for (let row = 0; row < 4; row++) {
+      for (let col = 0; col < 4; col++) pixels[(row * 4 + col) * 4] = row * 10 + col;
+    }
+
+    // jsdom 未提供 ImageData
+    vi.stubGlobal(
+      'ImageData',
+      class {
+        constructor(width, height) {
+          this.width = width;
+          this.height = height;
+          this.data = new Uint8ClampedArray(width * height * 4);
+        }
+      }
+    );
+    const tile = offline._cropTile(pixels, 4, 4, 1, 2, 2);
+
+    expect(tile.width).toBe(2);
+    expect(Array.from(tile.data.filter((_, i) => i % 4 === 0))).toEqual([21, 22, 11, 12]);
+    vi.unstubAllGlobals();
+  });
+
+  it('should crop an arbitrary projection to a tile like setViewOffset', () => {
+    const reference = new THREE.PerspectiveCamera(50, 3 / 2, 0.1, 100);
+    const camera = reference.clone();
+    const base = reference.projectionMatrix.clone();
+
+    reference.setViewOffset(3000, 2000, 1000 - 64, 500 - 64, 1128, 1128);
+    offline._cropProjection(camera, base, 3000, 2000, {
+      x: 1000 - 64,
+      y: 500 - 64,
+      width: 1128,
+      height: 1128,
+    });
+
+    camera.projectionMatrix.elements.forEach((value, i) => {
+      expect(value).toBeCloseTo(reference.projectionMatrix.elements[i], 6);
+    });
+  });
+});
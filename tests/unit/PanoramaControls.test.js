@@ -0,0 +1,49 @@
+/**
+ * @fileoverview PanoramaControls 单元测试
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { PanoramaControls } from '../../src/modules/CameraSystem/PanoramaControls.js';
+
+describe('PanoramaControls', () => {
+  let controls;
+
+  afterEach(() => {
+    controls.dispose();
+    document.body.innerHTML = '';
+  });
+
+  function createControls() {
+    controls = new PanoramaControls(new THREE.PerspectiveCamera(), document.createElement('div'));
+    controls.enabled = true;
+    controls.maxOffset = 1;
+    return controls;
+  }
+
+  it('should ignore move keys typed into inputs inside a component', () => {
+    createControls();
+    const host = document.createElement('div');
+    const input = document.createElement('input');
+    host.attachShadow({ mode: 'open' }).appendChild(input);
+    document.body.appendChild(host);
+
+    input.dispatchEvent(
+      new KeyboardEvent('keydown', { code: 'KeyW', bubbles: true, composed: true })
+    );
+    controls.update(0.5);
+    expect(controls.camera.position.length()).toBe(0);
+  });
+
+  it('should stop moving when the window loses focus with a key held', () => {
+    createControls();
+    window.dispatchEvent(new KeyboardEvent('keydown', { code: 'KeyW' }));
+    controls.update(0.1);
+    const moved = controls.camera.position.clone();
+    expect(moved.length()).toBeGreaterThan(0);
+
+    window.dispatchEvent(new Event('blur'));
+    controls.update(0.1);
+    expect(controls.camera.position.equals(moved)).toBe(true);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview PanoramaDetector 单元测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  PanoramaDetector,
+  PanoramaSource,
+} from '../../src/modules/InputSystem/PanoramaDetector.js';
+
+/** jsdom 的 Blob 不支持 arrayBuffer()，用等价的最小对象代替 */
+const toFile = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  return { slice: () => ({ arrayBuffer: async () => bytes.buffer }) };
+};
+
+const xmp = (body) =>
+  `\xff\xd8<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF><rdf:Description ${body}</rdf:RDF></x:xmpmeta>`;
+
+describe('PanoramaDetector', () => {
+  const detector = new PanoramaDetector();
+
+  it('should read GPano attributes including the cropped area and heading', async () => {
+    const file = toFile(
+      xmp(`GPano:ProjectionType="equirectangular"
+        GPano:FullPanoWidthPixels="8000" GPano:FullPanoHeightPixels="4000"
+        GPano:CroppedAreaImageWidthPixels="8000" GPano:CroppedAreaImageHeightPixels="2000"
+        GPano:CroppedAreaLeftPixels="0" GPano:CroppedAreaTopPixels="1000"
+        GPano:PoseHeadingDegrees="90" GPano:InitialViewHeadingDegrees="180"/>`)
+    );
+
+    // 4:1 的局部全景，仅凭宽高比无法识别
+    const info = await detector.detect(file, 8000, 2000);
+
+    expect(info.source).toBe(PanoramaSource.GPANO);
+    expect(info.crop).toEqual({ x: 0, y: 0.25, width: 1, height: 0.5 });
+    expect(info.heading).toBeCloseTo(Math.PI / 2, 5);
+  });
+
+  it('should read GPano elements and reject non-equirectangular projections', () => {
+    const gpano = detector.parseGPano(
+      '<GPano:ProjectionType>cylindrical</GPano:ProjectionType><GPano:FullPanoWidthPixels>4096</GPano:FullPanoWidthPixels>'
+    );
+    expect(gpano).toEqual({ ProjectionType: 'cylindrical', FullPanoWidthPixels: 4096 });
+  });
+
+  it('should fall back to the 2:1 aspect ratio without metadata', async () => {
+    const file = toFile('\xff\xd8 no metadata');
+
+    expect((await detector.detect(file, 4096, 2048)).source).toBe(PanoramaSource.ASPECT);
+    expect((await detector.detect(file, 4000, 2030)).crop).toEqual({
+      x: 0,
+      y: 0,
+      width: 1,
+      height: 1,
+    });
+    expect(await detector.detect(file, 1920, 1080)).toBeNull();
+  });
+});
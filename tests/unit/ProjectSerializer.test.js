@@ -0,0 +1,91 @@
+/**
+ * @fileoverview ProjectSerializer 单元测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  ProjectSerializer,
+  ProjectEntry,
+  PROJECT_FORMAT,
+  PROJECT_FORMAT_VERSION,
+  migrateProject,
+} from '../../src/core/Project/ProjectSerializer.js';
+import { ZipWriter, ZipReader } from '../../src/core/Utils/ZipArchive.js';
+
+describe('ZipArchive', () => {
+  it('should roundtrip text and binary entries', () => {
+    const zip = new ZipWriter();
+    zip.addFile('a.json', '{"ok":true}');
+    zip.addFile('b.bin', new Uint8Array([1, 2, 3, 255]));
+
+    const reader = new ZipReader(zip.toUint8Array());
+    expect(reader.list()).toEqual(['a.json', 'b.bin']);
+    expect(reader.readText('a.json')).toBe('{"ok":true}');
+    expect(Array.from(reader.read('b.bin'))).toEqual([1, 2, 3, 255]);
+  });
+
+  it('should detect corrupted data', () => {
+    const zip = new ZipWriter();
+    zip.addFile('data', new Uint8Array([10, 20, 30]));
+    const bytes = zip.toUint8Array();
+    bytes[30 + 'data'.length] ^= 0xff;
+
+    expect(() => new ZipReader(bytes).read('data')).toThrow('CRC');
+  });
+});
+
+describe('ProjectSerializer', () => {
+  const serializer = new ProjectSerializer();
+
+  it('should roundtrip manifest, source and depth', () => {
+    const depth = new Float32Array([0, 0.25, 0.5, 1, 0.123456]);
+    const source = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+
+    const bytes = serializer.serialize({
+      manifest: { scene: { depthScale: 0.8, projectionMode: 'spherical' } },
+      source,
+      depth,
+    });
+    const project = serializer.deserialize(bytes);
+
+    expect(project.manifest.format).toBe(PROJECT_FORMAT);
+    expect(project.manifest.version).toBe(PROJECT_FORMAT_VERSION);
+    expect(project.manifest.scene).toEqual({ depthScale: 0.8, projectionMode: 'spherical' });
+    expect(Array.from(project.source)).toEqual(Array.from(source));
+    expect(Array.from(project.depth)).toEqual(Array.from(depth));
+  });
+
+  it('should reject archives without a manifest', () => {
+    const zip = new ZipWriter();
+    zip.addFile(ProjectEntry.SOURCE, new Uint8Array([1]));
+
+    expect(() => serializer.deserialize(zip.toUint8Array())).toThrow('清单');
+  });
+});
+
+describe('migrateProject', () => {
+  it('should apply migrations step by step', () => {
+    const migrations = {
+      1: (m) => ({ ...m, scene: { ...m.scene, depthScale: m.depthScale } }),
+      2: (m) => ({ ...m, renamed: true }),
+    };
+    const result = migrateProject(
+      { format: PROJECT_FORMAT, version: 1, depthScale: 0.4 },
+      migrations,
+      3
+    );
+
+    expect(result.version).toBe(3);
+    expect(result.scene.depthScale).toBe(0.4);
+    expect(result.renamed).toBe(true);
+  });
+
+  it('should reject newer versions', () => {
+    expect(() => migrateProject({ format: PROJECT_FORMAT, version: 99 })).toThrow('v99');
+  });
+
+  it('should reject missing migrations and foreign files', () => {
+    expect(() => migrateProject({ format: PROJECT_FORMAT, version: 1 }, {}, 2)).toThrow('迁移');
+    expect(() => migrateProject({ format: 'other', version: 1 })).toThrow();
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview 投影器与 ProjectionManager 单元测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { StereographicProjector } from '../../src/modules/ProjectionSystem/projectors/StereographicProjector.js';
+import { EquirectangularProjector } from '../../src/modules/ProjectionSystem/projectors/EquirectangularProjector.js';
+import { CubemapProjector } from '../../src/modules/ProjectionSystem/projectors/CubemapProjector.js';
+import { BaseProjector } from '../../src/modules/ProjectionSystem/projectors/BaseProjector.js';
+import {
+  ProjectionManager,
+  ProjectionMode,
+} from '../../src/modules/ProjectionSystem/ProjectionManager.js';
+import { ProjectorRegistry } from '../../src/modules/ProjectionSystem/ProjectorRegistry.js';
+
+/** 第三方插件：整体沿 z 平移 */
+class OffsetProjector extends BaseProjector {
+  project(geometry, options = {}) {
+    const offset = options.offset ?? 1;
+    return this._createTransformedGeometry(geometry, (x, y, z) => ({ x, y, z: z + offset }));
+  }
+}
+
+/** 4×2 平面：u 方向 4 段、v 方向 2 段 */
+function createPlane() {
+  return new THREE.PlaneGeometry(4, 2, 4, 2);
+}
+
+/**
+ * 读取 (u, v) 处顶点（PlaneGeometry 首行为顶部 v = 1）
+ */
+function vertexAt(geometry, column, row) {
+  const position = geometry.attributes.position;
+  const index = row * 5 + column;
+  return new THREE.Vector3(position.getX(index), position.getY(index), position.getZ(index));
+}
+
+describe('Projectors', () => {
+  it('should wrap the image around a tiny planet with the ground at the centre', () => {
+    const geometry = new StereographicProjector().project(createPlane(), { radius: 2 });
+
+    // 底部一行收缩到圆心，顶部一行位于外缘
+    expect(vertexAt(geometry, 1, 2).length()).toBeCloseTo(0, 5);
+    expect(vertexAt(geometry, 1, 0).length()).toBeCloseTo(2, 5);
+    // 图像水平中心朝上，左右两端在下方重合
+    const top = vertexAt(geometry, 2, 0);
+    expect(top.x).toBeCloseTo(0, 5);
+    expect(top.y).toBeCloseTo(2, 5);
+    expect(vertexAt(geometry, 0, 0).distanceTo(vertexAt(geometry, 4, 0))).toBeCloseTo(0, 5);
+  });
+
+  it('should map a panorama onto a sphere facing -z', () => {
+    const geometry = new EquirectangularProjector().project(createPlane(), { radius: 3 });
+
+    const centre = vertexAt(geometry, 2, 1);
+    expect(centre.z).toBeCloseTo(-3, 5);
+    // 从球内看，u 增大向右 (+x)
+    expect(vertexAt(geometry, 3, 1).x).toBeCloseTo(3, 5);
+    expect(vertexAt(geometry, 2, 0).y).toBeCloseTo(3, 5);
+    for (let i = 0; i < geometry.attributes.position.count; i++) {
+      const p = new THREE.Vector3().fromBufferAttribute(geometry.attributes.position, i);
+      expect(p.length()).toBeCloseTo(3, 5);
+    }
+  });
+
+  it('should map a partial panorama onto its cropped band of the sphere', () => {
+    // 仅覆盖纬度 ±45° 的局部全景
+    const crop = { x: 0, y: 0.25, width: 1, height: 0.5 };
+    const geometry = new EquirectangularProjector().project(createPlane(), { radius: 2, crop });
+
+    expect(vertexAt(geometry, 2, 1).z).toBeCloseTo(-2, 5);
+    expect(vertexAt(geometry, 2, 0).y).toBeCloseTo(2 * Math.sin(Math.PI / 4), 5);
+    expect(vertexAt(geometry, 2, 2).y).toBeCloseTo(-2 * Math.sin(Math.PI / 4), 5);
+  });
+
+  it('should place cubemap vertices on the cube faces', () => {
+    const geometry = new CubemapProjector().project(new THREE.PlaneGeometry(4, 2, 16, 8), {
+      radius: 2,
+    });
+
+    for (let i = 0; i < geometry.attributes.position.count; i++) {
+      const p = new THREE.Vector3().fromBufferAttribute(geometry.attributes.position, i);
+      expect(Math.max(Math.abs(p.x), Math.abs(p.y), Math.abs(p.z))).toBeCloseTo(2, 5);
+    }
+  });
+
+  it('should apply the new modes through ProjectionManager and restore the plane', () => {
+    const manager = new ProjectionManager(new THREE.Scene(), new THREE.PerspectiveCamera());
+    const mesh = new THREE.Mesh(createPlane(), new THREE.MeshBasicMaterial());
+
+    manager.setProjectionMode(ProjectionMode.EQUIRECTANGULAR, mesh, { radius: 2, duration: 0 });
+    expect(vertexAt(mesh.geometry, 2, 1).z).toBeCloseTo(-2, 5);
+
+    manager.setProjectionMode(ProjectionMode.PERSPECTIVE, mesh, { duration: 0 });
+    expect(vertexAt(mesh.geometry, 2, 1).z).toBeCloseTo(0, 5);
+    manager.dispose();
+  });
+});
+
+describe('ProjectionManager', () => {
+  it('should use projectors registered by third parties', () => {
+    const registry = new ProjectorRegistry();
+    registry.register('offset', { name: '平移', create: () => new OffsetProjector() });
+    const manager = new ProjectionManager(null, null, { registry, transitionDuration: 0 });
+    const mesh = new THREE.Mesh(createPlane(), new THREE.MeshBasicMaterial());
+
+    manager.setProjectionMode('offset', mesh, { offset: 0.5 });
+    expect(manager.getProjector('offset')).toBeInstanceOf(OffsetProjector);
+    expect(vertexAt(mesh.geometry, 0, 0).z).toBeCloseTo(0.5, 5);
+    expect(registry.list()).toEqual([{ mode: 'offset', name: '平移' }]);
+    manager.dispose();
+  });
+
+  it('should morph from the current shape to the target with an eased blend', () => {
+    const manager = new ProjectionManager(null, null, { transitionDuration: 1 });
+    const mesh = new THREE.Mesh(createPlane(), new THREE.MeshBasicMaterial());
+
+    manager.setProjectionMode(ProjectionMode.EQUIRECTANGULAR, mesh, { radius: 2 });
+    expect(manager.isTransitioning()).toBe(true);
+    // 过渡开始时仍为平面
+    expect(vertexAt(mesh.geometry, 2, 1).z).toBeCloseTo(0, 5);
+    expect(mesh.geometry.boundingBox.min.z).toBeCloseTo(-2, 5);
+
+    manager.finishTransition();
+    expect(manager.isTransitioning()).toBe(false);
+    expect(vertexAt(mesh.geometry, 2, 1).z).toBeCloseTo(-2, 5);
+    manager.dispose();
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview SceneAnalyzer 单元测试（后处理，不加载模型）
+ */
+
+import { describe, it, expect } from 'vitest';
+import { SceneAnalyzer } from '../../src/core/AIEngine/SceneAnalyzer.js';
+
+describe('SceneAnalyzer', () => {
+  const analyzer = new SceneAnalyzer();
+
+  /** 构造 YOLOv8-seg 输出：1 个锚点，类别 0 (person)，掩码系数 [1] */
+  const makeOutput = (bbox, maskCoefficient) => {
+    const channels = 4 + 80 + 1;
+    const data = new Float32Array(channels);
+    data.set(bbox, 0);
+    data[4] = 0.9;
+    data[84] = maskCoefficient;
+    return { data, dims: [1, channels, 1] };
+  };
+
+  it('should keep mask coefficients for segmentation models', () => {
+    const [detection] = analyzer._postprocess(
+      makeOutput([320, 320, 100, 100], 2),
+      1,
+      { x: 0, y: 0 },
+      0.25,
+      0.45
+    );
+
+    expect(detection.label).toBe('person');
+    expect(detection.bbox).toEqual([270, 270, 100, 100]);
+    expect(Array.from(detection.maskCoefficients)).toEqual([2]);
+  });
+
+  it('should decode prototype masks into image-space alpha cropped to the box', () => {
+    // 原型 16×16：左半为正 (物体)，右半为负
+    const size = 16;
+    const protos = new Float32Array(size * size).map((_, i) => (i % size < 8 ? 10 : -10));
+    const prototypes = { data: protos, dims: [1, 1, size, size] };
+
+    // 原图 320×320，缩放 2 倍到 640×640 输入，无填充
+    const detection = { bbox: [0, 0, 320, 160], maskCoefficients: Float32Array.from([1]) };
+    analyzer._decodeMasks([detection], prototypes, 2, { x: 0, y: 0 }, 320, 320);
+
+    const { data, width, height } = detection.mask;
+    expect(width).toBe(320);
+    expect(height).toBe(320);
+    expect(data[10 * width + 10]).toBe(255); // 框内左侧
+    expect(data[10 * width + 300]).toBe(0); // 框内右侧
+    expect(data[200 * width + 10]).toBe(0); // 框外
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview StereoImageEncoder 单元测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import { StereoImageEncoder } from '../../src/core/Utils/StereoImageEncoder.js';
+
+/** 最小 JPEG：SOI + APP0(JFIF) + 数据 + EOI */
+function createJpeg(fill) {
+  const app0 = [0xff, 0xe0, 0x00, 0x07, 0x4a, 0x46, 0x49, 0x46, 0x00];
+  return new Uint8Array([0xff, 0xd8, ...app0, fill, fill, fill, 0xff, 0xd9]);
+}
+
+function findMarker(bytes, marker, from = 0) {
+  for (let i = from; i < bytes.length - 1; i++) {
+    if (bytes[i] === 0xff && bytes[i + 1] === marker) return i;
+  }
+  return -1;
+}
+
+describe('StereoImageEncoder', () => {
+  const encoder = new StereoImageEncoder();
+
+  it('should index both images of an MPO relative to the first MP header', () => {
+    const left = createJpeg(0x11);
+    const right = createJpeg(0x22);
+    const mpo = encoder.buildMPO(left, right, { baseline: 0.065 });
+
+    // APP2 位于 APP0 之后
+    const app2 = findMarker(mpo, 0xe2);
+    expect(app2).toBe(2 + 9);
+    expect(Array.from(mpo.slice(app2 + 4, app2 + 8))).toEqual([0x4d, 0x50, 0x46, 0x00]);
+
+    const header = app2 + 8;
+    const view = new DataView(mpo.buffer, header);
+    expect(view.getUint16(0)).toBe(0x4949);
+    const ifd = view.getUint32(4, true);
+    expect(view.getUint16(ifd, true)).toBe(3);
+    expect(view.getUint32(ifd + 14 + 8, true)).toBe(2); // NumberOfImages
+
+    const entries = view.getUint32(ifd + 26 + 8, true);
+    const first = {
+      size: view.getUint32(entries + 4, true),
+      offset: view.getUint32(entries + 8, true),
+    };
+    const second = {
+      size: view.getUint32(entries + 20, true),
+      offset: view.getUint32(entries + 24, true),
+    };
+    expect(view.getUint32(entries, true)).toBe(0x20020002);
+    expect(first.offset).toBe(0);
+    expect(first.size + second.size).toBe(mpo.length);
+
+    // 第二幅偏移指向其 SOI，且其中同样含 MPF 段
+    const secondStart = header + second.offset;
+    expect(secondStart).toBe(first.size);
+    expect([mpo[secondStart], mpo[secondStart + 1]]).toEqual([0xff, 0xd8]);
+    expect(findMarker(mpo, 0xe2, secondStart)).toBe(secondStart + 11);
+    expect(mpo[mpo.length - 3]).toBe(0x22);
+  });
+
+  it('should write a cross-eyed side-by-side JPS descriptor', () => {
+    const jps = encoder.addJPSHeader(createJpeg(0x33));
+
+    const app3 = findMarker(jps, 0xe3);
+    expect(app3).toBe(2 + 9);
+    const payload = jps.slice(app3 + 4);
+    expect(new TextDecoder().decode(payload.slice(0, 8))).toBe('_JPSJPS_');
+    // 描述符长度 4；立体、左右排列、右图在前（无 left field first 标志）
+    expect(Array.from(payload.slice(8, 14))).toEqual([0x00, 0x04, 0x00, 0x00, 0x02, 0x01]);
+
+    const leftFirst = encoder.addJPSHeader(createJpeg(0x33), { leftFirst: true });
+    expect(leftFirst[app3 + 4 + 11]).toBe(0x04);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview TemporalDepthStabilizer 单元测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import { TemporalDepthStabilizer } from '../../src/modules/EnhancementSystem/TemporalDepthStabilizer.js';
+
+describe('TemporalDepthStabilizer', () => {
+  const width = 16;
+  const height = 16;
+
+  /** 水平渐变深度，按给定尺度/偏移模拟逐帧闪烁 */
+  const makeDepth = (scale, shift) => {
+    const depth = new Float32Array(width * height);
+    for (let i = 0; i < depth.length; i++) {
+      depth[i] = ((i % width) / (width - 1)) * scale + shift;
+    }
+    return depth;
+  };
+
+  it('should normalize per-frame depth range to the sequence median', async () => {
+    const stabilizer = new TemporalDepthStabilizer({ alignment: false, smoothing: 0 });
+    const frames = [
+      { canvas: null, depth: makeDepth(0.8, 0.1) },
+      { canvas: null, depth: makeDepth(0.4, 0.3) },
+      { canvas: null, depth: makeDepth(0.8, 0.1) },
+    ];
+
+    const { depths, transforms } = await stabilizer.stabilize(frames, width, height);
+
+    expect(depths).toHaveLength(3);
+    for (let i = 0; i < depths[0].length; i++) {
+      expect(depths[1][i]).toBeCloseTo(depths[0][i], 1);
+    }
+    expect(transforms[1].scale).toBeGreaterThan(1.5);
+    expect(transforms[0].scale).toBeCloseTo(1, 1);
+  });
+
+  it('should clamp results and report progress', async () => {
+    const stabilizer = new TemporalDepthStabilizer({ alignment: false, smoothing: 0 });
+    const progress = [];
+    stabilizer.onProgress = (p) => progress.push(p);
+
+    const { depths } = await stabilizer.stabilize(
+      [{ canvas: null, depth: makeDepth(1, 0) }],
+      width,
+      height
+    );
+
+    expect(progress).toEqual([1]);
+    expect(Math.min(...depths[0])).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...depths[0])).toBeLessThanOrEqual(1);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview TiledDepthEstimator 单元测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  TiledDepthEstimator,
+  TileBlender,
+  computeTiles,
+  fitScaleShift,
+} from '../../src/core/AIEngine/TiledDepthEstimator.js';
+import { resampleBilinear } from '../../src/modules/EnhancementSystem/DepthRefiner.js';
+
+/** 水平渐变 + 竖直渐变的参考深度 */
+function gradient(width, height) {
+  const data = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++)
+      data[y * width + x] = 0.2 + (0.5 * x) / width + (0.2 * y) / height;
+  }
+  return data;
+}
+
+describe('TiledDepthEstimator', () => {
+  it('should lay out overlapping tiles covering the whole image', () => {
+    const tiles = computeTiles(1000, 600, 400, 0.25);
+    expect(tiles).toHaveLength(3 * 2);
+    expect(tiles.at(-1)).toEqual({ x: 600, y: 200, width: 400, height: 400 });
+
+    const xs = [...new Set(tiles.map((tile) => tile.x))];
+    for (let i = 1; i < xs.length; i++) expect(xs[i] - xs[i - 1]).toBeLessThanOrEqual(300);
+    expect(computeTiles(300, 200, 400, 0.25)).toEqual([{ x: 0, y: 0, width: 300, height: 200 }]);
+  });
+
+  it('should grow tiles to respect the tile limit', () => {
+    const provider = { getInputSize: () => 518, isReady: () => true };
+    const estimator = new TiledDepthEstimator(provider, { maxTiles: 6 });
+    const tiles = estimator.layout(4000, 3000);
+    expect(tiles.length).toBeLessThanOrEqual(6);
+    expect(tiles[0].width).toBeGreaterThan(518);
+  });
+
+  it('should fit scale and shift of a tile to the global depth', () => {
+    const reference = new Float32Array([0.2, 0.4, 0.6, 0.8]);
+    const tile = reference.map((v) => (v - 0.1) * 2);
+    const fit = fitScaleShift(tile, reference);
+    expect(fit.scale).toBeCloseTo(0.5, 5);
+    expect(fit.shift).toBeCloseTo(0.1, 5);
+
+    expect(fitScaleShift(new Float32Array(4).fill(0.3), reference)).toBeNull();
+    expect(
+      fitScaleShift(
+        reference.map((v) => 1 - v),
+        reference
+      )
+    ).toBeNull();
+  });
+
+  it('should blend tiles with different scale and shift back into a seamless map', () => {
+    const width = 64;
+    const height = 40;
+    const reference = gradient(width, height);
+    const blender = new TileBlender(reference, width, height, 8);
+
+    computeTiles(width, height, 32, 0.25).forEach((tile, i) => {
+      // 每块独立归一化（不同的缩放与平移），模拟模型的相对深度输出
+      const depth = new Float32Array(tile.width * tile.height);
+      for (let y = 0; y < tile.height; y++) {
+        for (let x = 0; x < tile.width; x++) {
+          const value = reference[(tile.y + y) * width + tile.x + x];
+          depth[y * tile.width + x] = value * (1 + i * 0.3) - 0.1 * i;
+        }
+      }
+      expect(blender.add(tile, depth)).toBe(true);
+    });
+
+    const result = blender.finish();
+    for (let i = 0; i < result.length; i++) expect(result[i]).toBeCloseTo(reference[i], 4);
+  });
+
+  it('should resample bilinearly', () => {
+    const result = resampleBilinear(new Float32Array([0, 1]), 2, 1, 4, 1);
+    expect(Array.from(result)).toEqual([0, 0.25, 0.75, 1]);
+  });
+});
@@ -118,6 +118,12 @@ export default defineConfig({
     }),
   ],
 
+  // Worker 同样需要 comlink 插件 (InferenceWorker)
+  worker: {
+    format: 'es',
+    plugins: () => [comlink()],
+  },
+
   server: {
     port: 5173,
     open: true,